@@ -205,8 +205,8 @@ export default function AssignInspectionPage() {
     }
   };
 
-  const handleLogout = () => {
-    authUtils.logout();
+  const handleLogout = async () => {
+    await authUtils.logout();
   };
 
   const getStatusBadge = (status: string) => {
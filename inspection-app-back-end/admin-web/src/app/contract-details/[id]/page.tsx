@@ -6,6 +6,9 @@ import { authUtils } from '@/lib/auth';
 import { apiService } from '@/lib/api';
 import Sidebar from '@/components/Sidebar';
 import TopNavbar from '@/components/TopNavbar';
+import Pagination, { ListPagination } from '@/components/Pagination';
+
+const INSPECTIONS_PAGE_SIZE = 20;
 
 interface Contract {
   id: string;
@@ -50,6 +53,7 @@ export default function ContractDetailsPage() {
   const [contract, setContract] = useState<Contract | null>(null);
   const [devices, setDevices] = useState<Device[]>([]);
   const [inspections, setInspections] = useState<Inspection[]>([]);
+  const [inspectionsPagination, setInspectionsPagination] = useState<ListPagination | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   const [activeTab, setActiveTab] = useState<'devices' | 'inspections'>('devices');
@@ -65,9 +69,9 @@ export default function ContractDetailsPage() {
   const loadData = async () => {
     try {
       setIsLoading(true);
-      const [contractsRes, inspectionsRes] = await Promise.all([
+      const [contractsRes] = await Promise.all([
         apiService.contracts.getAll(),
-        apiService.inspections.getAll(),
+        loadInspections(1),
       ]);
 
       const foundContract = (contractsRes?.data || []).find((c: Contract) => c?.id === contractId) || null;
@@ -86,11 +90,6 @@ export default function ContractDetailsPage() {
       const contractDevices = allDevices.filter((d: Device) => d.contractId === contractId);
       setDevices(contractDevices);
 
-      // Filter inspections by contract
-      const allInspections = inspectionsRes.data || [];
-      const contractInspections = allInspections.filter((insp: Inspection) => insp.contractId === contractId);
-      setInspections(contractInspections);
-
       setError('');
     } catch (err: any) {
       console.error('Failed to load data:', err);
@@ -100,6 +99,26 @@ export default function ContractDetailsPage() {
     }
   };
 
+  // Inspections of the contract, one page at a time
+  const loadInspections = async (page: number) => {
+    const response = await apiService.inspections.getAll({
+      contractId,
+      page,
+      limit: INSPECTIONS_PAGE_SIZE,
+    });
+    setInspections(response.data || []);
+    setInspectionsPagination(response.pagination || null);
+  };
+
+  const handleInspectionsPageChange = async (page: number) => {
+    try {
+      await loadInspections(page);
+    } catch (err: any) {
+      console.error('Failed to load inspections:', err);
+      setError('Үзлэгүүдийг ачаалахад алдаа гарлаа');
+    }
+  };
+
   if (isLoading) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-50">
@@ -190,7 +209,7 @@ export default function ContractDetailsPage() {
                     : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
                 }`}
               >
-                Үзлэг ({inspections.length})
+                Үзлэг ({inspectionsPagination?.totalCount ?? inspections.length})
               </button>
             </nav>
           </div>
@@ -286,6 +305,12 @@ export default function ContractDetailsPage() {
                     </tbody>
                   </table>
                 )}
+                {inspectionsPagination && (
+                  <Pagination
+                    pagination={inspectionsPagination}
+                    onPageChange={handleInspectionsPageChange}
+                  />
+                )}
               </div>
             )}
           </div>
@@ -26,6 +26,8 @@ interface Inspection {
 export default function DashboardPage() {
   const [user, setUser] = useState<User | null>(null);
   const [inspections, setInspections] = useState<Inspection[]>([]);
+  // Server-side totals per active status (the list holds one page only)
+  const [statusCounts, setStatusCounts] = useState<Record<string, number>>({});
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   const [confirmAction, setConfirmAction] = useState<{
@@ -79,13 +81,23 @@ export default function DashboardPage() {
   const loadInspections = async () => {
     try {
       setIsLoading(true);
-      // Get all inspections and filter for active ones
-      const response = await apiService.inspections.getAll();
-      const allInspections: Inspection[] = Array.isArray(response?.data) ? response.data : Array.isArray(response) ? response : [];
-      const active = allInspections.filter((inspection: Inspection) =>
-        ACTIVE_STATUSES.includes(inspection.status?.toLowerCase?.() || '')
-      );
-      setInspections(active);
+      // Active inspections, filtered by the server
+      const [response, ...statusResponses] = await Promise.all([
+        apiService.inspections.getAll({ status: ACTIVE_STATUSES.join(',') }),
+        ...ACTIVE_STATUSES.map((status) =>
+          apiService.inspections.getAll({ status, limit: 1 })
+        ),
+      ]);
+      setInspections(Array.isArray(response?.data) ? response.data : []);
+      setStatusCounts({
+        all: response?.pagination?.totalCount ?? 0,
+        ...Object.fromEntries(
+          ACTIVE_STATUSES.map((status, index) => [
+            status,
+            statusResponses[index]?.pagination?.totalCount ?? 0,
+          ])
+        ),
+      });
     } catch (err: any) {
       const message = err?.response?.data?.message || err?.response?.data?.error || err.message || 'Үзлэгүүдийг ачаалахад алдаа гарлаа';
       setError(message);
@@ -94,8 +106,8 @@ export default function DashboardPage() {
     }
   };
 
-  const handleLogout = () => {
-    authUtils.logout();
+  const handleLogout = async () => {
+    await authUtils.logout();
   };
 
   const getStatusColor = (status: string) => {
@@ -223,7 +235,7 @@ export default function DashboardPage() {
                       Идэвхтэй үзлэг
                     </dt>
                     <dd className="text-lg font-medium text-gray-900">
-                      {inspections.length}
+                      {statusCounts.all ?? 0}
                     </dd>
                   </dl>
                 </div>
@@ -245,11 +257,7 @@ export default function DashboardPage() {
                       Илгээсэн (submitted)
                     </dt>
                     <dd className="text-lg font-medium text-gray-900">
-                      {
-                        inspections.filter(
-                          (i) => (i.status || '').toLowerCase() === 'submitted'
-                        ).length
-                      }
+                      {statusCounts.submitted ?? 0}
                     </dd>
                   </dl>
                 </div>
@@ -271,11 +279,7 @@ export default function DashboardPage() {
                       Хийгдэж байгаа
                     </dt>
                     <dd className="text-lg font-medium text-gray-900">
-                      {
-                        inspections.filter(
-                          (i) => (i.status || '').toLowerCase() === 'in_progress'
-                        ).length
-                      }
+                      {statusCounts.in_progress ?? 0}
                     </dd>
                   </dl>
                 </div>
@@ -297,11 +301,7 @@ export default function DashboardPage() {
                       Ноорог
                     </dt>
                     <dd className="text-lg font-medium text-gray-900">
-                      {
-                        inspections.filter(
-                          (i) => (i.status || '').toLowerCase() === 'draft'
-                        ).length
-                      }
+                      {statusCounts.draft ?? 0}
                     </dd>
                   </dl>
                 </div>
@@ -0,0 +1,81 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { apiService } from '@/lib/api';
+
+export default function ForgotPasswordPage() {
+  const [email, setEmail] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+
+    try {
+      await apiService.auth.forgotPassword(email);
+      setSent(true);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Сүлжээний алдаа гарлаа');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Нууц үг сэргээх
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Бүртгэлтэй имэйл хаягаа оруулна уу
+          </p>
+        </div>
+
+        {sent ? (
+          <div className="text-green-700 text-sm text-center bg-green-50 border border-green-200 rounded-md p-3">
+            Хэрэв энэ имэйлээр бүртгэл байгаа бол нууц үг сэргээх холбоос
+            илгээгдлээ.
+          </div>
+        ) : (
+          <form className="mt-8 space-y-4" onSubmit={handleSubmit}>
+            <input
+              type="email"
+              autoComplete="email"
+              required
+              className="appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+              placeholder="Email address"
+              value={email}
+              onChange={e => setEmail(e.target.value)}
+            />
+
+            {error && (
+              <div className="text-red-600 text-sm text-center bg-red-50 border border-red-200 rounded-md p-3">
+                {error}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+            >
+              {isLoading ? 'Илгээж байна...' : 'Холбоос илгээх'}
+            </button>
+          </form>
+        )}
+
+        <div className="text-center text-sm">
+          <Link href="/login" className="text-indigo-600 hover:text-indigo-500">
+            Нэвтрэх хуудас руу буцах
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
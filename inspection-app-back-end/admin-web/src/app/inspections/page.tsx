@@ -5,6 +5,9 @@ import { apiService } from '@/lib/api';
 import { authUtils } from '@/lib/auth';
 import Sidebar from '@/components/Sidebar';
 import TopNavbar from '@/components/TopNavbar';
+import Pagination, { ListPagination } from '@/components/Pagination';
+
+const PAGE_SIZE = 20;
 
 interface Organization {
   id: string;
@@ -108,6 +111,14 @@ export default function InspectionsPage() {
   const [showModal, setShowModal] = useState(false);
   const [editingId, setEditingId] = useState<string | null>(null);
   const [loading, setLoading] = useState(false);
+
+  // List filters (applied by the server)
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pagination, setPagination] = useState<ListPagination | null>(null);
   
   // Form states
   const [selectedOrg, setSelectedOrg] = useState('');
@@ -126,7 +137,6 @@ export default function InspectionsPage() {
   const [filterUserOrgId, setFilterUserOrgId] = useState(''); // Filter users by organization (optional)
 
   useEffect(() => {
-    fetchInspections();
     fetchOrganizations();
     fetchTemplates();
     fetchUsers();
@@ -144,11 +154,22 @@ export default function InspectionsPage() {
     }
   }, [selectedOrg]);
 
+  useEffect(() => {
+    fetchInspections();
+  }, [currentPage, search, statusFilter, typeFilter]);
+
   const fetchInspections = async () => {
     try {
       setLoading(true);
-      const response = await apiService.inspections.getAll();
+      const response = await apiService.inspections.getAll({
+        page: currentPage,
+        limit: PAGE_SIZE,
+        search: search || undefined,
+        status: statusFilter || undefined,
+        type: typeFilter || undefined,
+      });
       setInspections(response.data || []);
+      setPagination(response.pagination || null);
     } catch (error: any) {
       const errorMessage = error.response?.data?.message || error.response?.data?.error || error.message || 'Үзлэгүүдийг ачаалахад алдаа гарлаа';
       alert('❌ ' + errorMessage);
@@ -211,6 +232,12 @@ export default function InspectionsPage() {
     }
   };
 
+  const handleSearchSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    setCurrentPage(1);
+    setSearch(searchInput.trim());
+  };
+
   const handleOpenModal = (inspection?: Inspection) => {
     if (inspection) {
       setEditingId(inspection.id);
@@ -355,7 +382,10 @@ export default function InspectionsPage() {
       SCHEDULED: { bg: 'bg-blue-100', text: 'text-blue-700', label: 'Төлөвлөсөн' },
       IN_PROGRESS: { bg: 'bg-yellow-100', text: 'text-yellow-700', label: 'Явагдаж байгаа' },
       COMPLETED: { bg: 'bg-green-100', text: 'text-green-700', label: 'Дууссан' },
+      SUBMITTED: { bg: 'bg-blue-100', text: 'text-blue-700', label: 'Илгээсэн' },
       APPROVED: { bg: 'bg-indigo-100', text: 'text-indigo-700', label: 'Батлагдсан' },
+      REJECTED: { bg: 'bg-red-100', text: 'text-red-700', label: 'Буцаагдсан' },
+      CANCELED: { bg: 'bg-gray-100', text: 'text-gray-500', label: 'Цуцлагдсан' },
     };
 
     const config = statusConfig[status] || { bg: 'bg-gray-100', text: 'text-gray-700', label: status };
@@ -412,6 +442,56 @@ export default function InspectionsPage() {
 
         <main className="p-6 flex-1">
 
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow p-4 mb-4 flex flex-wrap gap-3 items-center">
+        <form onSubmit={handleSearchSubmit} className="flex gap-2 flex-1 min-w-[16rem]">
+          <input
+            type="text"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            className="flex-1 p-2 border rounded-lg text-sm"
+            placeholder="Гарчиг, сериал дугаар, хөрөнгийн дугаараар хайх..."
+          />
+          <button
+            type="submit"
+            className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors text-sm font-medium"
+          >
+            Хайх
+          </button>
+        </form>
+        <select
+          value={statusFilter}
+          onChange={(e) => {
+            setCurrentPage(1);
+            setStatusFilter(e.target.value);
+          }}
+          className="p-2 border rounded-lg text-sm"
+        >
+          <option value="">Бүх төлөв</option>
+          <option value="DRAFT">Ноорог</option>
+          <option value="IN_PROGRESS">Явагдаж байгаа</option>
+          <option value="SUBMITTED">Илгээсэн</option>
+          <option value="APPROVED">Батлагдсан</option>
+          <option value="REJECTED">Буцаагдсан</option>
+          <option value="CANCELED">Цуцлагдсан</option>
+        </select>
+        <select
+          value={typeFilter}
+          onChange={(e) => {
+            setCurrentPage(1);
+            setTypeFilter(e.target.value);
+          }}
+          className="p-2 border rounded-lg text-sm"
+        >
+          <option value="">Бүх төрөл</option>
+          {['INSPECTION', 'INSTALLATION', 'MAINTENANCE', 'VERIFICATION'].map((type) => (
+            <option key={type} value={type}>
+              {getTypeLabel(type)}
+            </option>
+          ))}
+        </select>
+      </div>
+
       {loading && <p className="text-center py-4">Loading...</p>}
 
       <div className="bg-white rounded-lg shadow overflow-hidden">
@@ -484,6 +564,10 @@ export default function InspectionsPage() {
             <p className="text-sm mt-2">Шинэ үзлэг үүсгэнэ үү</p>
           </div>
         )}
+
+        {pagination && (
+          <Pagination pagination={pagination} onPageChange={setCurrentPage} />
+        )}
       </div>
 
       {/* Create/Edit Modal */}
@@ -2,6 +2,7 @@
 
 import { useState } from 'react';
 import { useRouter } from 'next/navigation';
+import Link from 'next/link';
 import { authUtils } from '@/lib/auth';
 
 export default function LoginPage() {
@@ -86,6 +87,12 @@ export default function LoginPage() {
             </div>
           )}
 
+          <div className="text-right text-sm">
+            <Link href="/forgot-password" className="text-indigo-600 hover:text-indigo-500">
+              Нууц үгээ мартсан?
+            </Link>
+          </div>
+
           <div>
             <button
               type="submit"
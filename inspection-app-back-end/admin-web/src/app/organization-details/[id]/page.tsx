@@ -6,6 +6,9 @@ import { authUtils } from '@/lib/auth';
 import { apiService } from '@/lib/api';
 import Sidebar from '@/components/Sidebar';
 import TopNavbar from '@/components/TopNavbar';
+import Pagination, { ListPagination } from '@/components/Pagination';
+
+const INSPECTIONS_PAGE_SIZE = 20;
 
 interface Organization {
   id: string;
@@ -62,6 +65,7 @@ export default function OrganizationDetailsPage() {
   const [contracts, setContracts] = useState<Contract[]>([]);
   const [devices, setDevices] = useState<Device[]>([]);
   const [inspections, setInspections] = useState<Inspection[]>([]);
+  const [inspectionsPagination, setInspectionsPagination] = useState<ListPagination | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   const [activeTab, setActiveTab] = useState<'sites' | 'contracts' | 'devices' | 'inspections'>('sites');
@@ -77,12 +81,12 @@ export default function OrganizationDetailsPage() {
   const loadData = async () => {
     try {
       setIsLoading(true);
-      const [orgsRes, sitesRes, contractsRes, devicesRes, inspectionsRes] = await Promise.all([
+      const [orgsRes, sitesRes, contractsRes, devicesRes] = await Promise.all([
         apiService.organizations.getAll(),
         apiService.sites.getByOrganization(orgId),
         apiService.contracts.getByOrganization(orgId),
         apiService.devices.getByOrganization(orgId),
-        apiService.inspections.getAll(),
+        loadInspections(1),
       ]);
 
       const org = (orgsRes?.data || []).find((o: Organization) => o?.id === orgId) || null;
@@ -90,19 +94,6 @@ export default function OrganizationDetailsPage() {
       setSites(sitesRes.data || []);
       setContracts(contractsRes.data || []);
       setDevices(devicesRes.data || []);
-      
-      // Filter inspections by organization
-      const allInspections = inspectionsRes.data || [];
-      const siteIds = (sitesRes.data || []).map((s: Site) => s.id);
-      const contractIds = (contractsRes.data || []).map((c: Contract) => c.id);
-      const deviceIds = (devicesRes.data || []).map((d: Device) => d.id);
-      
-      const orgInspections = allInspections.filter((insp: Inspection) => {
-        return siteIds.includes(insp.siteId || '') || 
-               contractIds.includes(insp.contractId || '') || 
-               deviceIds.includes(insp.deviceId || '');
-      });
-      setInspections(orgInspections);
 
       setError('');
     } catch (err: any) {
@@ -113,6 +104,26 @@ export default function OrganizationDetailsPage() {
     }
   };
 
+  // Inspections of the organization, one page at a time
+  const loadInspections = async (page: number) => {
+    const response = await apiService.inspections.getAll({
+      orgId,
+      page,
+      limit: INSPECTIONS_PAGE_SIZE,
+    });
+    setInspections(response.data || []);
+    setInspectionsPagination(response.pagination || null);
+  };
+
+  const handleInspectionsPageChange = async (page: number) => {
+    try {
+      await loadInspections(page);
+    } catch (err: any) {
+      console.error('Failed to load inspections:', err);
+      setError('Үзлэгүүдийг ачаалахад алдаа гарлаа');
+    }
+  };
+
   if (isLoading) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-50">
@@ -217,7 +228,7 @@ export default function OrganizationDetailsPage() {
                     : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
                 }`}
               >
-                Үзлэг ({inspections.length})
+                Үзлэг ({inspectionsPagination?.totalCount ?? inspections.length})
               </button>
             </nav>
           </div>
@@ -401,6 +412,12 @@ export default function OrganizationDetailsPage() {
                     </tbody>
                   </table>
                 )}
+                {inspectionsPagination && (
+                  <Pagination
+                    pagination={inspectionsPagination}
+                    onPageChange={handleInspectionsPageChange}
+                  />
+                )}
               </div>
             )}
           </div>
@@ -0,0 +1,7 @@
+'use client';
+
+import PasswordTokenForm from '@/components/PasswordTokenForm';
+
+export default function ResetPasswordPage() {
+  return <PasswordTokenForm mode="reset" />;
+}
@@ -0,0 +1,7 @@
+'use client';
+
+import PasswordTokenForm from '@/components/PasswordTokenForm';
+
+export default function SetPasswordPage() {
+  return <PasswordTokenForm mode="invite" />;
+}
@@ -6,6 +6,9 @@ import { authUtils } from '@/lib/auth';
 import { apiService } from '@/lib/api';
 import Sidebar from '@/components/Sidebar';
 import TopNavbar from '@/components/TopNavbar';
+import Pagination, { ListPagination } from '@/components/Pagination';
+
+const INSPECTIONS_PAGE_SIZE = 20;
 
 interface Site {
   id: string;
@@ -47,6 +50,7 @@ export default function SiteDetailsPage() {
   const [site, setSite] = useState<Site | null>(null);
   const [devices, setDevices] = useState<Device[]>([]);
   const [inspections, setInspections] = useState<Inspection[]>([]);
+  const [inspectionsPagination, setInspectionsPagination] = useState<ListPagination | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   const [activeTab, setActiveTab] = useState<'devices' | 'inspections'>('devices');
@@ -62,9 +66,9 @@ export default function SiteDetailsPage() {
   const loadData = async () => {
     try {
       setIsLoading(true);
-      const [sitesRes, inspectionsRes] = await Promise.all([
+      const [sitesRes] = await Promise.all([
         apiService.sites.getAll(),
-        apiService.inspections.getAll(),
+        loadInspections(1),
       ]);
 
       const foundSite = (sitesRes.data || []).find((s: Site) => s.id === siteId);
@@ -83,11 +87,6 @@ export default function SiteDetailsPage() {
       const siteDevices = allDevices.filter((d: Device) => d?.siteId === siteId);
       setDevices(siteDevices);
 
-      // Filter inspections by site
-      const allInspections = inspectionsRes?.data || [];
-      const siteInspections = allInspections.filter((insp: Inspection) => insp?.siteId === siteId);
-      setInspections(siteInspections);
-
       setError('');
     } catch (err: any) {
       console.error('Failed to load data:', err);
@@ -97,6 +96,26 @@ export default function SiteDetailsPage() {
     }
   };
 
+  // Inspections of the site, one page at a time
+  const loadInspections = async (page: number) => {
+    const response = await apiService.inspections.getAll({
+      siteId,
+      page,
+      limit: INSPECTIONS_PAGE_SIZE,
+    });
+    setInspections(response.data || []);
+    setInspectionsPagination(response.pagination || null);
+  };
+
+  const handleInspectionsPageChange = async (page: number) => {
+    try {
+      await loadInspections(page);
+    } catch (err: any) {
+      console.error('Failed to load inspections:', err);
+      setError('Үзлэгүүдийг ачаалахад алдаа гарлаа');
+    }
+  };
+
   if (isLoading) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-50">
@@ -185,7 +204,7 @@ export default function SiteDetailsPage() {
                     : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
                 }`}
               >
-                Үзлэг ({inspections.length})
+                Үзлэг ({inspectionsPagination?.totalCount ?? inspections.length})
               </button>
             </nav>
           </div>
@@ -281,6 +300,12 @@ export default function SiteDetailsPage() {
                     </tbody>
                   </table>
                 )}
+                {inspectionsPagination && (
+                  <Pagination
+                    pagination={inspectionsPagination}
+                    onPageChange={handleInspectionsPageChange}
+                  />
+                )}
               </div>
             )}
           </div>
@@ -12,6 +12,7 @@ interface UserData {
   fullName: string;
   phone: string;
   isActive: boolean;
+  invitePending?: boolean;
   createdAt: string;
   updatedAt: string;
   organization: {
@@ -37,7 +38,7 @@ export default function UsersPage() {
   const [currentUser, setCurrentUser] = useState<User | null>(null);
   const [users, setUsers] = useState<UserData[]>([]);
   const [organizations, setOrganizations] = useState<Organization[]>([]);
-  const [roles] = useState<Role[]>([
+  const [roles, setRoles] = useState<Role[]>([
     { id: '1', name: 'admin' },
     { id: '2', name: 'inspector' }
   ]);
@@ -55,7 +56,6 @@ export default function UsersPage() {
   // Form state
   const [formData, setFormData] = useState({
     email: '',
-    password: '',
     fullName: '',
     phone: '',
     roleId: '2', // Default to inspector
@@ -100,6 +100,7 @@ export default function UsersPage() {
 
       await loadUsers();
       await loadOrganizations();
+      await loadRoles();
     };
 
     initialize();
@@ -114,6 +115,17 @@ export default function UsersPage() {
     }
   };
 
+  const loadRoles = async () => {
+    try {
+      const response = await apiService.roles.getAll();
+      if (response.data?.length) {
+        setRoles(response.data.map((role: Role) => ({ id: role.id, name: role.name })));
+      }
+    } catch (err: any) {
+      console.error('Failed to load roles:', err);
+    }
+  };
+
   const loadUsers = async () => {
     try {
       setIsLoading(true);
@@ -150,9 +162,8 @@ export default function UsersPage() {
     }
 
     try {
-      await apiService.users.create({
+      const response = await apiService.users.create({
         email: formData.email,
-        password: formData.password,
         fullName: formData.fullName,
         phone: formData.phone || undefined,
         roleIds: [formData.roleId],
@@ -162,7 +173,6 @@ export default function UsersPage() {
       // Reset form and close modal
       setFormData({
         email: '',
-        password: '',
         fullName: '',
         phone: '',
         roleId: '2',
@@ -173,7 +183,11 @@ export default function UsersPage() {
       // Reload users
       await loadUsers();
       
-      alert('✓ Хэрэглэгч амжилттай үүслээ!');
+      alert(
+        response.data?.invitationSent
+          ? '✓ Хэрэглэгч үүсч, нууц үг тохируулах урилга имэйлээр илгээгдлээ!'
+          : '⚠️ Хэрэглэгч үүссэн боловч урилгын имэйл илгээгдсэнгүй. "Урилга" товчоор дахин илгээнэ үү.'
+      );
     } catch (err: any) {
       let errorMessage = 'Хэрэглэгч үүсгэхэд алдаа гарлаа';
       
@@ -337,13 +351,41 @@ export default function UsersPage() {
     }
   };
 
+  const handleResendInvite = async (user: UserData) => {
+    try {
+      await apiService.users.resendInvite(user.id);
+      alert(`✓ ${user.email} хаяг руу урилга дахин илгээгдлээ.`);
+    } catch (err: any) {
+      const errorMessage =
+        err.response?.data?.message || 'Урилга илгээхэд алдаа гарлаа';
+      setError(errorMessage);
+      alert(`❌ ${errorMessage}`);
+    }
+  };
+
+  const handleRevokeSessions = async (user: UserData) => {
+    if (!confirm(`${user.fullName} хэрэглэгчийг бүх төхөөрөмжөөс гаргах уу?`)) {
+      return;
+    }
+
+    try {
+      await apiService.users.revokeSessions(user.id);
+      alert(`✓ ${user.fullName} хэрэглэгчийн бүх сешн хаагдлаа.`);
+    } catch (err: any) {
+      const errorMessage =
+        err.response?.data?.message || 'Сешн хаахад алдаа гарлаа';
+      setError(errorMessage);
+      alert(`❌ ${errorMessage}`);
+    }
+  };
+
   const handleCloseEditModal = () => {
     setShowEditModal(false);
     resetEditForm();
   };
 
-  const handleLogout = () => {
-    authUtils.logout();
+  const handleLogout = async () => {
+    await authUtils.logout();
   };
 
   const getRoleBadgeColor = (role: string) => {
@@ -476,6 +518,11 @@ export default function UsersPage() {
                         }`}>
                           {user.isActive ? 'Идэвхтэй' : 'Идэвхгүй'}
                         </span>
+                        {user.invitePending && (
+                          <span className="ml-2 px-2 py-1 text-xs font-medium rounded-full bg-yellow-100 text-yellow-800">
+                            Урилга хүлээгдэж буй
+                          </span>
+                        )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                         {new Date(user.createdAt).toLocaleDateString('mn-MN')}
@@ -488,6 +535,20 @@ export default function UsersPage() {
                           >
                             Засах
                           </button>
+                          {user.invitePending && (
+                            <button
+                              onClick={() => handleResendInvite(user)}
+                              className="px-3 py-1 rounded-md text-sm font-medium border border-yellow-500 text-yellow-700 hover:bg-yellow-50 transition"
+                            >
+                              Урилга
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleRevokeSessions(user)}
+                            className="px-3 py-1 rounded-md text-sm font-medium border border-gray-400 text-gray-600 hover:bg-gray-50 transition"
+                          >
+                            Гаргах
+                          </button>
                           <button
                             onClick={() => handleOpenDeleteModal(user)}
                             className="px-3 py-1 rounded-md text-sm font-medium border border-red-500 text-red-600 hover:bg-red-50 transition"
@@ -583,21 +644,9 @@ export default function UsersPage() {
                       />
                     </div>
 
-                    <div>
-                      <label className="block text-sm font-semibold text-gray-700 mb-1">
-                        Нууц үг <span className="text-red-500">*</span>
-                      </label>
-                      <input
-                        type="password"
-                        name="password"
-                        required
-                        minLength={6}
-                        value={formData.password}
-                        onChange={handleInputChange}
-                        className="block w-full border-2 border-gray-300 rounded-lg shadow-sm py-2.5 px-4 text-gray-900 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-                        placeholder="Хамгийн багадаа 6 тэмдэгт"
-                      />
-                    </div>
+                    <p className="text-sm text-gray-500">
+                      Хэрэглэгч имэйлээр ирсэн урилгын холбоосоор нууц үгээ өөрөө тохируулна.
+                    </p>
 
                     <div>
                       <label className="block text-sm font-semibold text-gray-700 mb-1">
@@ -0,0 +1,98 @@
+'use client';
+
+// `pagination` block of the API list responses
+export interface ListPagination {
+  page: number | null;
+  limit: number;
+  totalCount: number;
+  totalPages: number;
+  hasNextPage: boolean;
+  hasPrevPage: boolean;
+}
+
+interface PaginationProps {
+  pagination: ListPagination;
+  onPageChange: (page: number) => void;
+}
+
+export default function Pagination({
+  pagination,
+  onPageChange,
+}: PaginationProps) {
+  const { limit, totalCount, totalPages } = pagination;
+  const currentPage = pagination.page || 1;
+
+  if (totalPages <= 1) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white px-4 py-3 flex items-center justify-between border-t border-gray-200 sm:px-6">
+      <div className="flex-1 flex justify-between sm:hidden">
+        <button
+          onClick={() => onPageChange(currentPage - 1)}
+          disabled={!pagination.hasPrevPage}
+          className="relative inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          Өмнөх
+        </button>
+        <button
+          onClick={() => onPageChange(currentPage + 1)}
+          disabled={!pagination.hasNextPage}
+          className="ml-3 relative inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          Дараах
+        </button>
+      </div>
+      <div className="hidden sm:flex-1 sm:flex sm:items-center sm:justify-between">
+        <div>
+          <p className="text-sm text-gray-700">
+            <span className="font-medium">{(currentPage - 1) * limit + 1}</span>
+            {' - '}
+            <span className="font-medium">
+              {Math.min(currentPage * limit, totalCount)}
+            </span>
+            {' / '}
+            <span className="font-medium">{totalCount}</span>
+            {' үр дүн'}
+          </p>
+        </div>
+        <div>
+          <nav className="relative z-0 inline-flex rounded-md shadow-sm -space-x-px">
+            <button
+              onClick={() => onPageChange(currentPage - 1)}
+              disabled={!pagination.hasPrevPage}
+              className="relative inline-flex items-center px-2 py-2 rounded-l-md border border-gray-300 bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Өмнөх
+            </button>
+            {Array.from({ length: Math.min(5, totalPages) }, (_, i) => {
+              const page = Math.max(1, currentPage - 2) + i;
+              if (page > totalPages) return null;
+              return (
+                <button
+                  key={page}
+                  onClick={() => onPageChange(page)}
+                  className={`relative inline-flex items-center px-4 py-2 border text-sm font-medium ${
+                    page === currentPage
+                      ? 'z-10 bg-indigo-50 border-indigo-500 text-indigo-600'
+                      : 'bg-white border-gray-300 text-gray-500 hover:bg-gray-50'
+                  }`}
+                >
+                  {page}
+                </button>
+              );
+            })}
+            <button
+              onClick={() => onPageChange(currentPage + 1)}
+              disabled={!pagination.hasNextPage}
+              className="relative inline-flex items-center px-2 py-2 rounded-r-md border border-gray-300 bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Дараах
+            </button>
+          </nav>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { authUtils } from '@/lib/auth';
+import { apiService } from '@/lib/api';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+interface PasswordTokenFormProps {
+  // invite: first password from an invitation link, reset: forgot-password link
+  mode: 'invite' | 'reset';
+}
+
+export default function PasswordTokenForm({ mode }: PasswordTokenFormProps) {
+  const [token, setToken] = useState<string | null>(null);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const router = useRouter();
+
+  useEffect(() => {
+    setToken(new URLSearchParams(window.location.search).get('token') || '');
+  }, []);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Нууц үг хамгийн багадаа ${MIN_PASSWORD_LENGTH} тэмдэгт байна`);
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Нууц үг таарахгүй байна');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      if (mode === 'invite') {
+        const result = await authUtils.acceptInvite(token!, password);
+        if (result.success) {
+          router.push('/dashboard');
+        } else {
+          setError(result.error || 'Нууц үг тохируулахад алдаа гарлаа');
+        }
+      } else {
+        await apiService.auth.resetPassword(token!, password);
+        setSuccess(
+          'Нууц үг амжилттай солигдлоо. Шинэ нууц үгээрээ нэвтэрнэ үү.'
+        );
+      }
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Сүлжээний алдаа гарлаа');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const inputClassName =
+    'appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            {mode === 'invite' ? 'Нууц үг тохируулах' : 'Нууц үг сэргээх'}
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Inspection Management System
+          </p>
+        </div>
+
+        {token === '' ? (
+          <div className="text-red-600 text-sm text-center bg-red-50 border border-red-200 rounded-md p-3">
+            Холбоос буруу байна. Имэйлээр ирсэн холбоосыг дахин нээнэ үү.
+          </div>
+        ) : success ? (
+          <div className="space-y-6">
+            <div className="text-green-700 text-sm text-center bg-green-50 border border-green-200 rounded-md p-3">
+              {success}
+            </div>
+            <button
+              onClick={() => router.push('/login')}
+              className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700"
+            >
+              Нэвтрэх
+            </button>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-4" onSubmit={handleSubmit}>
+            <input
+              type="password"
+              autoComplete="new-password"
+              required
+              className={inputClassName}
+              placeholder={`Шинэ нууц үг (хамгийн багадаа ${MIN_PASSWORD_LENGTH} тэмдэгт)`}
+              value={password}
+              onChange={e => setPassword(e.target.value)}
+            />
+            <input
+              type="password"
+              autoComplete="new-password"
+              required
+              className={inputClassName}
+              placeholder="Нууц үг давтах"
+              value={confirmPassword}
+              onChange={e => setConfirmPassword(e.target.value)}
+            />
+
+            {error && (
+              <div className="text-red-600 text-sm text-center bg-red-50 border border-red-200 rounded-md p-3">
+                {error}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={isLoading || !token}
+              className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+            >
+              {isLoading ? 'Хадгалж байна...' : 'Хадгалах'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
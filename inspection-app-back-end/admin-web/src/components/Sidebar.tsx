@@ -117,8 +117,8 @@ export default function Sidebar({ currentUser: propCurrentUser }: SidebarProps)
     setCurrentUser(user);
   }, [propCurrentUser]);
 
-  const handleLogout = () => {
-    authUtils.logout();
+  const handleLogout = async () => {
+    await authUtils.logout();
     router.push('/login');
   };
 
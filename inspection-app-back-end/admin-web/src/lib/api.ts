@@ -10,6 +10,8 @@ export const API_CONFIG = {
       ? 'http://192.168.0.6:4555'  // Default production IP
       : 'http://localhost:4555'),   // Development
   TIMEOUT: 10000,
+  // How long logout waits for the refresh token revoke before leaving
+  LOGOUT_TIMEOUT: 3000,
 };
 
 // Create axios instance with default config
@@ -37,10 +39,44 @@ apiClient.interceptors.request.use(
   }
 );
 
+// Clear stored auth data and return to the login page
+const redirectToLogin = () => {
+  if (typeof window !== 'undefined') {
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+    window.location.href = '/login';
+  }
+};
+
+// One refresh at a time; concurrent 401s wait for the same request
+let refreshPromise: Promise<string> | null = null;
+
+const refreshAccessToken = (): Promise<string> => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_CONFIG.BASE_URL}/api/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((response) => {
+        const { token, refreshToken: nextRefreshToken, user } = response.data.data;
+        localStorage.setItem('authToken', token);
+        localStorage.setItem('refreshToken', nextRefreshToken);
+        localStorage.setItem('user', JSON.stringify(user));
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Response interceptor to handle auth errors
 apiClient.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
     // Log detailed error in development
     if (process.env.NODE_ENV === 'development' && error.response) {
       console.error('[API Error]', {
@@ -52,12 +88,25 @@ apiClient.interceptors.response.use(
       });
     }
     
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      if (typeof window !== 'undefined') {
-        localStorage.removeItem('authToken');
-        localStorage.removeItem('user');
-        window.location.href = '/login';
+    if (error.response?.status === 401 && typeof window !== 'undefined') {
+      const originalRequest = error.config;
+      const isAuthRequest = originalRequest?.url?.startsWith('/api/auth/');
+
+      // Access token expired: refresh it once and retry the request
+      if (originalRequest && !originalRequest._retry && !isAuthRequest) {
+        originalRequest._retry = true;
+        try {
+          const token = await refreshAccessToken();
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+          return apiClient(originalRequest);
+        } catch {
+          redirectToLogin();
+          return Promise.reject(error);
+        }
+      }
+
+      if (!isAuthRequest || originalRequest?.url === API_ENDPOINTS.AUTH.VERIFY) {
+        redirectToLogin();
       }
     }
     return Promise.reject(error);
@@ -70,6 +119,11 @@ export const API_ENDPOINTS = {
     LOGIN: '/api/auth/login',
     REGISTER: '/api/auth/register',
     VERIFY: '/api/auth/verify',
+    REFRESH: '/api/auth/refresh',
+    LOGOUT: '/api/auth/logout',
+    ACCEPT_INVITE: '/api/auth/accept-invite',
+    FORGOT_PASSWORD: '/api/auth/forgot-password',
+    RESET_PASSWORD: '/api/auth/reset-password',
   },
   ORGANIZATIONS: {
     LIST: '/api/organizations',
@@ -125,6 +179,19 @@ export const API_ENDPOINTS = {
     UPDATE: '/api/users/:id',
     DELETE: '/api/users/:id',
     BY_ORG: '/api/users/organization/:orgId',
+    REVOKE_SESSIONS: '/api/users/:id/revoke-sessions',
+    RESEND_INVITE: '/api/users/:id/resend-invite',
+  },
+  ROLES: {
+    LIST: '/api/roles',
+    PERMISSIONS: '/api/roles/permissions',
+    CREATE: '/api/roles',
+    UPDATE: '/api/roles/:id',
+    DELETE: '/api/roles/:id',
+  },
+  AUDIT_LOGS: {
+    LIST: '/api/audit-logs',
+    TABLES: '/api/audit-logs/tables',
   },
   TEMPLATES: {
     LIST: '/api/templates',
@@ -153,6 +220,38 @@ export const apiService = {
       const response = await apiClient.get(API_ENDPOINTS.AUTH.VERIFY);
       return response.data;
     },
+
+    logout: async (refreshToken: string) => {
+      const response = await apiClient.post(
+        API_ENDPOINTS.AUTH.LOGOUT,
+        { refreshToken },
+        { timeout: API_CONFIG.LOGOUT_TIMEOUT }
+      );
+      return response.data;
+    },
+
+    acceptInvite: async (token: string, password: string) => {
+      const response = await apiClient.post(API_ENDPOINTS.AUTH.ACCEPT_INVITE, {
+        token,
+        password,
+      });
+      return response.data;
+    },
+
+    forgotPassword: async (email: string) => {
+      const response = await apiClient.post(API_ENDPOINTS.AUTH.FORGOT_PASSWORD, {
+        email,
+      });
+      return response.data;
+    },
+
+    resetPassword: async (token: string, password: string) => {
+      const response = await apiClient.post(API_ENDPOINTS.AUTH.RESET_PASSWORD, {
+        token,
+        password,
+      });
+      return response.data;
+    },
   },
   
   // Organization services
@@ -337,8 +436,28 @@ export const apiService = {
   
   // Inspection services
   inspections: {
-    getAll: async () => {
-      const response = await apiClient.get(API_ENDPOINTS.INSPECTIONS.LIST);
+    // Filters take one value or a comma-separated list (e.g. status: 'SUBMITTED,REJECTED')
+    getAll: async (params?: {
+      status?: string;
+      type?: string;
+      scheduleType?: string;
+      orgId?: string;
+      siteId?: string;
+      deviceId?: string;
+      contractId?: string;
+      assignedTo?: string;
+      scheduledFrom?: string;
+      scheduledTo?: string;
+      completedFrom?: string;
+      completedTo?: string;
+      search?: string;
+      sortBy?: string;
+      sortOrder?: 'asc' | 'desc';
+      page?: number;
+      limit?: number;
+      cursor?: string;
+    }) => {
+      const response = await apiClient.get(API_ENDPOINTS.INSPECTIONS.LIST, { params });
       return response.data;
     },
     
@@ -426,7 +545,6 @@ export const apiService = {
     
     create: async (userData: {
       email: string;
-      password: string;
       fullName: string;
       phone?: string;
       roleIds: string[];
@@ -453,8 +571,75 @@ export const apiService = {
       const response = await apiClient.delete(url);
       return response.data;
     },
+
+    resendInvite: async (id: string) => {
+      const url = API_ENDPOINTS.USERS.RESEND_INVITE.replace(':id', id);
+      const response = await apiClient.post(url);
+      return response.data;
+    },
+
+    revokeSessions: async (id: string) => {
+      const url = API_ENDPOINTS.USERS.REVOKE_SESSIONS.replace(':id', id);
+      const response = await apiClient.post(url);
+      return response.data;
+    },
   },
   
+  // Role services
+  roles: {
+    getAll: async () => {
+      const response = await apiClient.get(API_ENDPOINTS.ROLES.LIST);
+      return response.data;
+    },
+
+    getPermissions: async () => {
+      const response = await apiClient.get(API_ENDPOINTS.ROLES.PERMISSIONS);
+      return response.data;
+    },
+
+    create: async (roleData: { name: string; permissions: string[] }) => {
+      const response = await apiClient.post(API_ENDPOINTS.ROLES.CREATE, roleData);
+      return response.data;
+    },
+
+    update: async (id: string, roleData: { name?: string; permissions?: string[] }) => {
+      const url = API_ENDPOINTS.ROLES.UPDATE.replace(':id', id);
+      const response = await apiClient.put(url, roleData);
+      return response.data;
+    },
+
+    delete: async (id: string) => {
+      const url = API_ENDPOINTS.ROLES.DELETE.replace(':id', id);
+      const response = await apiClient.delete(url);
+      return response.data;
+    },
+  },
+
+  // Audit trail services
+  auditLogs: {
+    getAll: async (params?: {
+      table?: string;
+      recordId?: string;
+      userId?: string;
+      action?: string;
+      createdFrom?: string;
+      createdTo?: string;
+      sortBy?: string;
+      sortOrder?: 'asc' | 'desc';
+      page?: number;
+      limit?: number;
+      cursor?: string;
+    }) => {
+      const response = await apiClient.get(API_ENDPOINTS.AUDIT_LOGS.LIST, { params });
+      return response.data;
+    },
+
+    getTables: async () => {
+      const response = await apiClient.get(API_ENDPOINTS.AUDIT_LOGS.TABLES);
+      return response.data;
+    },
+  },
+
   // Template services
   templates: {
     getAll: async () => {
@@ -34,11 +34,14 @@ export const authUtils = {
     return null;
   },
 
-  // Set authentication data
-  setAuth: (token: string, user: User): void => {
+  // Set authentication data (refresh token is kept when not given)
+  setAuth: (token: string, user: User, refreshToken?: string): void => {
     if (typeof window !== 'undefined') {
       localStorage.setItem('authToken', token);
       localStorage.setItem('user', JSON.stringify(user));
+      if (refreshToken) {
+        localStorage.setItem('refreshToken', refreshToken);
+      }
     }
   },
 
@@ -46,6 +49,7 @@ export const authUtils = {
   clearAuth: (): void => {
     if (typeof window !== 'undefined') {
       localStorage.removeItem('authToken');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
     }
   },
@@ -68,8 +72,8 @@ export const authUtils = {
       const response = await apiService.auth.login(email, password);
       
       if (response.data?.token && response.data?.user) {
-        const { token, user } = response.data;
-        authUtils.setAuth(token, user);
+        const { token, refreshToken, user } = response.data;
+        authUtils.setAuth(token, user, refreshToken);
         return { success: true, user };
       }
       
@@ -80,6 +84,24 @@ export const authUtils = {
     }
   },
 
+  // Accept an invitation: set the first password and sign in
+  acceptInvite: async (token: string, password: string): Promise<{ success: boolean; error?: string; user?: User }> => {
+    try {
+      const response = await apiService.auth.acceptInvite(token, password);
+
+      if (response.data?.token && response.data?.user) {
+        const { token: authToken, refreshToken, user } = response.data;
+        authUtils.setAuth(authToken, user, refreshToken);
+        return { success: true, user };
+      }
+
+      return { success: false, error: 'Invalid response from server' };
+    } catch (error: any) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to accept invitation';
+      return { success: false, error: errorMessage };
+    }
+  },
+
   // Verify token with backend
   verifyToken: async (): Promise<{ valid: boolean; user?: User }> => {
     try {
@@ -100,8 +122,15 @@ export const authUtils = {
     }
   },
 
-  // Logout
-  logout: (): void => {
+  // Logout (revokes the refresh token on the server before leaving the page;
+  // a failed or slow revoke does not keep the user signed in)
+  logout: async (): Promise<void> => {
+    if (typeof window !== 'undefined') {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (refreshToken) {
+        await apiService.auth.logout(refreshToken).catch(() => {});
+      }
+    }
     authUtils.clearAuth();
     if (typeof window !== 'undefined') {
       window.location.href = '/login';
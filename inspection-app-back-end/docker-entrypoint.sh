@@ -10,8 +10,8 @@ if [ ! -d "/app/uploads" ]; then
 fi
 
 echo "✅ Starting application..."
-echo "   FTP_STORAGE_PATH: ${FTP_STORAGE_PATH:-/app/uploads}"
-echo "   FTP_BASE_URL: ${FTP_BASE_URL:-not set}"
+echo "   STORAGE_DRIVER: ${STORAGE_DRIVER:-local}"
+echo "   STORAGE_LOCAL_PATH: ${STORAGE_LOCAL_PATH:-${FTP_STORAGE_PATH:-/app/uploads}}"
 echo "   FTP_REMOTE_PREFIX: ${FTP_REMOTE_PREFIX:-test}"
 
 exec "$@"
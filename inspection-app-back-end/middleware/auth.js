@@ -1,6 +1,9 @@
 const jwt = require('jsonwebtoken');
+const { getUserAccess } = require('../services/permission-service');
+const { getSessionError } = require('../services/session-service');
+const { runWithTenant } = require('../utils/tenantScope');
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   try {
     // Get token from header
     const authHeader = req.headers.authorization;
@@ -20,11 +23,22 @@ const authMiddleware = (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Reject tokens of deactivated / deleted users and revoked sessions
+    const sessionError = await getSessionError(decoded);
+    if (sessionError) {
+      console.log(`[auth] ❌ ${sessionError} for ${req.method} ${req.originalUrl}`);
+      return res.status(401).json({
+        error: 'Invalid token',
+        message: sessionError,
+      });
+    }
+
     // Add user info to request
     req.user = decoded;
 
     console.log(`[auth] ✅ Authenticated user for ${req.method} ${req.originalUrl}`);
-    next();
+    // Queries of this request are limited to the user's organization
+    runWithTenant(decoded, next);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       console.log(`[auth] ❌ Token expired for ${req.method} ${req.originalUrl}`);
@@ -34,6 +48,17 @@ const authMiddleware = (req, res, next) => {
       });
     }
 
+    if (!(error instanceof jwt.JsonWebTokenError)) {
+      console.error('[auth] ❌ Session check failed:', error);
+      return res.status(500).json({
+        error: 'Authentication failed',
+        message:
+          process.env.NODE_ENV === 'development'
+            ? error.message
+            : 'Internal server error',
+      });
+    }
+
     console.log(`[auth] ❌ Invalid token for ${req.method} ${req.originalUrl}:`, error.message);
     return res.status(401).json({
       error: 'Invalid token',
@@ -54,6 +79,7 @@ const optionalAuth = (req, res, next) => {
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       req.user = decoded;
+      return runWithTenant(decoded, next);
     }
 
     next();
@@ -63,8 +89,50 @@ const optionalAuth = (req, res, next) => {
   }
 };
 
+// Permission guard - use after authMiddleware, e.g. requirePermission('inspections:assign')
+// Passes when the user's role has any of the given permissions
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      const access = await getUserAccess(req.user.id);
+      const allowed =
+        !!access && permissions.some(permission => access.permissions.has(permission));
+
+      if (!allowed) {
+        console.log(
+          `[auth] ❌ Role ${access?.name || 'none'} lacks ${permissions.join(' | ')} for ${req.method} ${req.originalUrl}`
+        );
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `This action requires the permission: ${permissions.join(' or ')}`,
+        });
+      }
+
+      req.user.role = access.name;
+      req.user.permissions = [...access.permissions];
+      next();
+    } catch (error) {
+      console.error('[auth] ❌ Permission check failed:', error);
+      return res.status(500).json({
+        error: 'Failed to check permissions',
+        message:
+          process.env.NODE_ENV === 'development'
+            ? error.message
+            : 'Internal server error',
+      });
+    }
+  };
+};
+
+// Re-enter the tenant context of the authenticated user. Multer parses the
+// body outside the request's async context, so use this right after it,
+// e.g. upload.array('images'), restoreTenantContext
+const restoreTenantContext = (req, res, next) => runWithTenant(req.user, next);
+
 module.exports = {
   authMiddleware,
   optionalAuth,
+  requirePermission,
+  restoreTenantContext,
 };
 
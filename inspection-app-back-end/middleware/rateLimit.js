@@ -0,0 +1,49 @@
+// In-memory fixed-window rate limiter. Counters live in this process only,
+// which is enough for the single API instance we run.
+const rateLimit = ({
+  windowMs = 15 * 60 * 1000,
+  max = 10,
+  keyGenerator = req => req.ip,
+  message = 'Too many requests. Please try again later.',
+} = {}) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map does not grow without bound
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const key = keyGenerator(req);
+    const now = Date.now();
+    let entry = hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      console.log(
+        `[rateLimit] ❌ Limit exceeded for ${req.method} ${req.originalUrl}`
+      );
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests',
+        message,
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit,
+};
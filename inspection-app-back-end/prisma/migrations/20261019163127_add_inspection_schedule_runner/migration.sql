@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE `inspection_schedules` ADD COLUMN `type` ENUM('INSPECTION', 'INSTALLATION', 'MAINTENANCE', 'VERIFICATION') NOT NULL DEFAULT 'INSPECTION',
+    ADD COLUMN `title` VARCHAR(255) NULL,
+    ADD COLUMN `assigned_to` BIGINT UNSIGNED NULL,
+    ADD COLUMN `created_by` BIGINT UNSIGNED NULL,
+    ADD COLUMN `last_run_at` DATETIME(3) NULL;
+
+-- AlterTable
+ALTER TABLE `inspections` ADD COLUMN `schedule_id` BIGINT UNSIGNED NULL,
+    ADD COLUMN `schedule_due_at` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `idx_schedule_active_due` ON `inspection_schedules`(`is_active`, `next_due_date`);
+
+-- CreateIndex
+CREATE UNIQUE INDEX `uk_inspections_schedule_due` ON `inspections`(`schedule_id`, `schedule_due_at`);
+
+-- AddForeignKey
+ALTER TABLE `inspection_schedules` ADD CONSTRAINT `inspection_schedules_assigned_to_fkey` FOREIGN KEY (`assigned_to`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `inspection_schedules` ADD CONSTRAINT `inspection_schedules_created_by_fkey` FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `inspections` ADD CONSTRAINT `inspections_schedule_id_fkey` FOREIGN KEY (`schedule_id`) REFERENCES `inspection_schedules`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE `inspection_template_versions` (
+    `id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `template_id` BIGINT UNSIGNED NOT NULL,
+    `version` INTEGER UNSIGNED NOT NULL,
+    `questions` JSON NOT NULL,
+    `change_note` VARCHAR(255) NULL,
+    `created_by` BIGINT UNSIGNED NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `uk_template_versions_template_version`(`template_id`, `version`),
+    INDEX `idx_template_versions_creator`(`created_by`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AlterTable
+ALTER TABLE `inspection_templates` ADD COLUMN `current_version` INTEGER UNSIGNED NOT NULL DEFAULT 1,
+    ADD COLUMN `archived_at` DATETIME(3) NULL;
+
+-- AlterTable
+ALTER TABLE `inspections` ADD COLUMN `template_version_id` BIGINT UNSIGNED NULL;
+
+-- Backfill: every existing template becomes version 1 and existing inspections pin it
+INSERT INTO `inspection_template_versions` (`template_id`, `version`, `questions`, `change_note`)
+SELECT `id`, 1, `questions`, 'Initial version' FROM `inspection_templates`;
+
+UPDATE `inspections` i
+JOIN `inspection_template_versions` v ON v.`template_id` = i.`template_id` AND v.`version` = 1
+SET i.`template_version_id` = v.`id`;
+
+-- AddForeignKey
+ALTER TABLE `inspection_template_versions` ADD CONSTRAINT `inspection_template_versions_template_id_fkey` FOREIGN KEY (`template_id`) REFERENCES `inspection_templates`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `inspection_template_versions` ADD CONSTRAINT `inspection_template_versions_created_by_fkey` FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `inspections` ADD CONSTRAINT `inspections_template_version_id_fkey` FOREIGN KEY (`template_version_id`) REFERENCES `inspection_template_versions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
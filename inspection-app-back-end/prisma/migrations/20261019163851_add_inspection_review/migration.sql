@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE `inspections` ADD COLUMN `reviewed_by` BIGINT UNSIGNED NULL,
+    ADD COLUMN `reviewed_at` DATETIME(3) NULL,
+    ADD COLUMN `rejection_reason` TEXT NULL;
+
+-- AddForeignKey
+ALTER TABLE `inspections` ADD CONSTRAINT `inspections_reviewed_by_fkey` FOREIGN KEY (`reviewed_by`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Reviewer role allowed to approve / reject submitted inspections
+INSERT IGNORE INTO `roles` (`name`) VALUES ('reviewer');
@@ -0,0 +1,82 @@
+-- CreateTable
+CREATE TABLE `permissions` (
+    `id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `key` VARCHAR(64) NOT NULL,
+    `description` VARCHAR(255) NULL,
+
+    UNIQUE INDEX `permissions_key_key`(`key`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `role_permissions` (
+    `role_id` BIGINT UNSIGNED NOT NULL,
+    `permission_id` BIGINT UNSIGNED NOT NULL,
+
+    INDEX `role_permissions_permission_id_fkey`(`permission_id`),
+    PRIMARY KEY (`role_id`, `permission_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `role_permissions` ADD CONSTRAINT `role_permissions_role_id_fkey` FOREIGN KEY (`role_id`) REFERENCES `roles`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `role_permissions` ADD CONSTRAINT `role_permissions_permission_id_fkey` FOREIGN KEY (`permission_id`) REFERENCES `permissions`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed the permission catalog (kept in sync with services/permission-service.js)
+INSERT INTO `permissions` (`key`, `description`) VALUES
+    ('inspections:read', 'View inspections, answers and images'),
+    ('inspections:create', 'Create inspections'),
+    ('inspections:update', 'Edit inspection details'),
+    ('inspections:delete', 'Delete inspections'),
+    ('inspections:assign', 'Assign inspections to users'),
+    ('inspections:answer', 'Fill in answers, photos and signatures'),
+    ('inspections:review', 'Approve, reject and cancel submitted inspections'),
+    ('templates:read', 'View inspection templates'),
+    ('templates:manage', 'Create, edit and archive inspection templates'),
+    ('schedules:read', 'View recurring inspection schedules'),
+    ('schedules:manage', 'Create, edit and run recurring inspection schedules'),
+    ('documents:read', 'Preview and download inspection reports'),
+    ('devices:read', 'View devices and device models'),
+    ('devices:manage', 'Create, edit and delete devices and device models'),
+    ('sites:read', 'View sites'),
+    ('sites:manage', 'Create, edit and delete sites'),
+    ('contracts:read', 'View contracts'),
+    ('contracts:manage', 'Create, edit and delete contracts'),
+    ('organizations:read', 'View organizations'),
+    ('organizations:manage', 'Create, edit and delete organizations'),
+    ('organizations:all', 'Access data of every organization'),
+    ('users:read', 'View users'),
+    ('users:manage', 'Create, edit and delete users'),
+    ('roles:manage', 'Manage roles and their permissions');
+
+-- Built-in roles
+INSERT IGNORE INTO `roles` (`name`) VALUES ('admin'), ('inspector'), ('reviewer');
+
+-- Existing roles are matched by name the way the old role checks did
+-- (case-insensitive, "admin" was the only privileged name). Roles with any
+-- other name get the inspector permissions, which is what non-admins could
+-- do before; review them under Roles after the upgrade.
+
+-- Admins: every permission
+INSERT INTO `role_permissions` (`role_id`, `permission_id`)
+SELECT r.`id`, p.`id` FROM `roles` r CROSS JOIN `permissions` p
+WHERE LOWER(TRIM(r.`name`)) = 'admin';
+
+-- Inspectors and custom roles: read reference data, create and fill in inspections
+INSERT INTO `role_permissions` (`role_id`, `permission_id`)
+SELECT r.`id`, p.`id` FROM `roles` r JOIN `permissions` p ON p.`key` IN (
+    'inspections:read', 'inspections:create', 'inspections:update', 'inspections:answer',
+    'templates:read', 'schedules:read', 'documents:read', 'devices:read', 'sites:read',
+    'contracts:read', 'organizations:read', 'users:read'
+)
+WHERE LOWER(TRIM(r.`name`)) NOT IN ('admin', 'reviewer');
+
+-- Reviewers: read everything in their organization and decide on submitted inspections
+INSERT INTO `role_permissions` (`role_id`, `permission_id`)
+SELECT r.`id`, p.`id` FROM `roles` r JOIN `permissions` p ON p.`key` IN (
+    'inspections:read', 'inspections:review', 'templates:read', 'schedules:read',
+    'documents:read', 'devices:read', 'sites:read', 'contracts:read',
+    'organizations:read', 'users:read'
+)
+WHERE LOWER(TRIM(r.`name`)) = 'reviewer';
@@ -0,0 +1,8 @@
+-- Audit trail viewer permission (kept in sync with services/permission-service.js)
+INSERT IGNORE INTO `permissions` (`key`, `description`) VALUES
+    ('audit:read', 'View the audit trail of changes');
+
+-- Admins: grant the new permission
+INSERT IGNORE INTO `role_permissions` (`role_id`, `permission_id`)
+SELECT r.`id`, p.`id` FROM `roles` r JOIN `permissions` p ON p.`key` = 'audit:read'
+WHERE r.`name` = 'admin';
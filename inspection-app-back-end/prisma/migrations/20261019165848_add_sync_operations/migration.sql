@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE `sync_operations` (
+    `id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `user_id` BIGINT UNSIGNED NOT NULL,
+    `client_id` VARCHAR(64) NOT NULL,
+    `type` VARCHAR(40) NOT NULL,
+    `inspection_id` BIGINT UNSIGNED NULL,
+    `status` VARCHAR(20) NOT NULL,
+    `result` JSON NULL,
+    `client_timestamp` DATETIME(3) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `uk_sync_operations_user_client`(`user_id`, `client_id`),
+    INDEX `idx_sync_operations_inspection`(`inspection_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `sync_operations` ADD CONSTRAINT `sync_operations_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
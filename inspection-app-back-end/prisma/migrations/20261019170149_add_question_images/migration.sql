@@ -0,0 +1,136 @@
+-- inspection_question_images was created by hand on existing installs and is
+-- missing on fresh ones. Make sure a legacy table exists, rebuild it with the
+-- Prisma definition and carry the rows over.
+
+-- Legacy shape (no-op where the table already exists)
+CREATE TABLE IF NOT EXISTS `inspection_question_images` (
+    `id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `answer_id` BIGINT UNSIGNED NULL,
+    `field_id` VARCHAR(100) NOT NULL,
+    `section` VARCHAR(100) NOT NULL,
+    `image_order` INTEGER UNSIGNED NOT NULL,
+    `image_url` VARCHAR(1000) NOT NULL,
+    `uploaded_by` BIGINT UNSIGNED NULL,
+    `uploaded_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Older hand-made tables only have id, field_id, section, image_order and
+-- image_url; add the optional columns the copy below reads so it cannot
+-- abort after the RENAME
+SET @ddl = (
+    SELECT IF(COUNT(*) = 0,
+        'ALTER TABLE `inspection_question_images` ADD COLUMN `answer_id` BIGINT UNSIGNED NULL',
+        'DO 0')
+    FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'inspection_question_images'
+      AND COLUMN_NAME = 'answer_id'
+);
+PREPARE stmt FROM @ddl;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @ddl = (
+    SELECT IF(COUNT(*) = 0,
+        'ALTER TABLE `inspection_question_images` ADD COLUMN `uploaded_by` BIGINT UNSIGNED NULL',
+        'DO 0')
+    FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'inspection_question_images'
+      AND COLUMN_NAME = 'uploaded_by'
+);
+PREPARE stmt FROM @ddl;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @ddl = (
+    SELECT IF(COUNT(*) = 0,
+        'ALTER TABLE `inspection_question_images` ADD COLUMN `uploaded_at` DATETIME(3) NULL',
+        'DO 0')
+    FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'inspection_question_images'
+      AND COLUMN_NAME = 'uploaded_at'
+);
+PREPARE stmt FROM @ddl;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @ddl = (
+    SELECT IF(COUNT(*) = 0,
+        'ALTER TABLE `inspection_question_images` ADD COLUMN `created_at` DATETIME(3) NULL',
+        'DO 0')
+    FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'inspection_question_images'
+      AND COLUMN_NAME = 'created_at'
+);
+PREPARE stmt FROM @ddl;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @ddl = (
+    SELECT IF(COUNT(*) = 0,
+        'ALTER TABLE `inspection_question_images` ADD COLUMN `updated_at` DATETIME(3) NULL',
+        'DO 0')
+    FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'inspection_question_images'
+      AND COLUMN_NAME = 'updated_at'
+);
+PREPARE stmt FROM @ddl;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+RENAME TABLE `inspection_question_images` TO `inspection_question_images_legacy`;
+
+-- CreateTable
+CREATE TABLE `inspection_question_images` (
+    `id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `answer_id` BIGINT UNSIGNED NULL,
+    `field_id` VARCHAR(100) NOT NULL,
+    `section` VARCHAR(100) NOT NULL,
+    `image_order` INTEGER UNSIGNED NOT NULL,
+    `image_url` VARCHAR(1000) NOT NULL,
+    `uploaded_by` BIGINT UNSIGNED NULL,
+    `uploaded_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `uk_question_images_answer_field_order`(`answer_id`, `field_id`, `image_order`),
+    INDEX `idx_question_images_uploader`(`uploaded_by`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Copy rows; links to deleted answers / users become NULL, duplicates of the
+-- same answer + field + order keep the first row
+INSERT IGNORE INTO `inspection_question_images`
+    (`id`, `answer_id`, `field_id`, `section`, `image_order`, `image_url`,
+     `uploaded_by`, `uploaded_at`, `created_at`, `updated_at`)
+SELECT
+    l.`id`,
+    ia.`id`,
+    l.`field_id`,
+    l.`section`,
+    l.`image_order`,
+    l.`image_url`,
+    u.`id`,
+    COALESCE(l.`uploaded_at`, l.`created_at`, CURRENT_TIMESTAMP(3)),
+    COALESCE(l.`created_at`, CURRENT_TIMESTAMP(3)),
+    COALESCE(l.`updated_at`, CURRENT_TIMESTAMP(3))
+FROM `inspection_question_images_legacy` l
+LEFT JOIN `inspection_answers` ia ON ia.`id` = l.`answer_id`
+LEFT JOIN `users` u ON u.`id` = l.`uploaded_by`
+ORDER BY l.`id`;
+
+DROP TABLE `inspection_question_images_legacy`;
+
+-- AddForeignKey
+ALTER TABLE `inspection_question_images` ADD CONSTRAINT `inspection_question_images_answer_id_fkey` FOREIGN KEY (`answer_id`) REFERENCES `inspection_answers`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `inspection_question_images` ADD CONSTRAINT `inspection_question_images_uploaded_by_fkey` FOREIGN KEY (`uploaded_by`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
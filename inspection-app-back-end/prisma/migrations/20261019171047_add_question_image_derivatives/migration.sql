@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE `inspection_question_images`
+    ADD COLUMN `thumbnail_url` VARCHAR(1000) NULL AFTER `image_url`,
+    ADD COLUMN `medium_url` VARCHAR(1000) NULL AFTER `thumbnail_url`;
@@ -0,0 +1,8 @@
+-- Orphaned photo cleanup permission (kept in sync with services/permission-service.js)
+INSERT IGNORE INTO `permissions` (`key`, `description`) VALUES
+    ('media:manage', 'Find and clean up orphaned photos');
+
+-- Admins: grant the new permission
+INSERT IGNORE INTO `role_permissions` (`role_id`, `permission_id`)
+SELECT r.`id`, p.`id` FROM `roles` r JOIN `permissions` p ON p.`key` = 'media:manage'
+WHERE r.`name` = 'admin';
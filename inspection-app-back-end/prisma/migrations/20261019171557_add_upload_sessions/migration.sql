@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE `upload_sessions` (
+    `id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `upload_id` VARCHAR(64) NOT NULL,
+    `inspection_id` BIGINT UNSIGNED NOT NULL,
+    `answer_id` BIGINT UNSIGNED NOT NULL,
+    `section` VARCHAR(100) NOT NULL,
+    `field_id` VARCHAR(100) NOT NULL,
+    `image_order` INTEGER UNSIGNED NOT NULL,
+    `file_name` VARCHAR(255) NULL,
+    `total_size` INTEGER UNSIGNED NOT NULL,
+    `received_bytes` INTEGER UNSIGNED NOT NULL DEFAULT 0,
+    `status` VARCHAR(20) NOT NULL DEFAULT 'OPEN',
+    `image_id` BIGINT UNSIGNED NULL,
+    `created_by` BIGINT UNSIGNED NOT NULL,
+    `expires_at` DATETIME(3) NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `uk_upload_sessions_upload_id`(`upload_id`),
+    INDEX `idx_upload_sessions_inspection`(`inspection_id`),
+    INDEX `idx_upload_sessions_status_expires`(`status`, `expires_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `upload_sessions` ADD CONSTRAINT `upload_sessions_inspection_id_fkey` FOREIGN KEY (`inspection_id`) REFERENCES `inspections`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `upload_sessions` ADD CONSTRAINT `upload_sessions_created_by_fkey` FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `upload_sessions` ADD CONSTRAINT `upload_sessions_image_id_fkey` FOREIGN KEY (`image_id`) REFERENCES `inspection_question_images`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
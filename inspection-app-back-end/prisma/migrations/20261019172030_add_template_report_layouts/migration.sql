@@ -0,0 +1,4 @@
+-- DOCX report layout registered per inspection template
+ALTER TABLE `inspection_templates`
+    ADD COLUMN `report_layout_key` VARCHAR(500) NULL AFTER `current_version`,
+    ADD COLUMN `report_layout_name` VARCHAR(255) NULL AFTER `report_layout_key`;
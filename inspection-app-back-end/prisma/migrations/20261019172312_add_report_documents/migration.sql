@@ -0,0 +1,41 @@
+-- AlterTable: doc_details becomes the registry of generated reports
+ALTER TABLE `doc_details`
+    ADD COLUMN `inspection_id` BIGINT UNSIGNED NULL AFTER `doc_name`,
+    ADD COLUMN `answer_id` BIGINT UNSIGNED NULL AFTER `inspection_id`,
+    ADD COLUMN `format` VARCHAR(10) NULL AFTER `answer_id`,
+    ADD COLUMN `revision` INTEGER UNSIGNED NOT NULL DEFAULT 1 AFTER `format`,
+    ADD COLUMN `storage_key` VARCHAR(500) NULL AFTER `revision`,
+    ADD COLUMN `mime_type` VARCHAR(100) NULL AFTER `storage_key`,
+    ADD COLUMN `file_size` INTEGER UNSIGNED NULL AFTER `mime_type`,
+    ADD COLUMN `sha256` CHAR(64) NULL AFTER `file_size`,
+    ADD COLUMN `generator_version` VARCHAR(50) NULL AFTER `sha256`,
+    ADD COLUMN `template_id` BIGINT UNSIGNED NULL AFTER `generator_version`,
+    ADD COLUMN `template_version` INTEGER UNSIGNED NULL AFTER `template_id`,
+    ADD COLUMN `report_layout_key` VARCHAR(500) NULL AFTER `template_version`,
+    ADD COLUMN `created_by` BIGINT UNSIGNED NULL AFTER `report_layout_key`;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `uk_doc_details_answer_format_revision` ON `doc_details`(`answer_id`, `format`, `revision`);
+CREATE INDEX `idx_doc_details_inspection` ON `doc_details`(`inspection_id`);
+CREATE INDEX `idx_doc_details_creator` ON `doc_details`(`created_by`);
+
+-- AddForeignKey
+ALTER TABLE `doc_details` ADD CONSTRAINT `doc_details_inspection_id_fkey` FOREIGN KEY (`inspection_id`) REFERENCES `inspections`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `doc_details` ADD CONSTRAINT `doc_details_answer_id_fkey` FOREIGN KEY (`answer_id`) REFERENCES `inspection_answers`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `doc_details` ADD CONSTRAINT `doc_details_template_id_fkey` FOREIGN KEY (`template_id`) REFERENCES `inspection_templates`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `doc_details` ADD CONSTRAINT `doc_details_created_by_fkey` FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Report regeneration permission (kept in sync with services/permission-service.js)
+INSERT IGNORE INTO `permissions` (`key`, `description`) VALUES
+    ('documents:generate', 'Regenerate inspection reports as a new revision');
+
+-- Admins: grant the new permission
+INSERT IGNORE INTO `role_permissions` (`role_id`, `permission_id`)
+SELECT r.`id`, p.`id` FROM `roles` r JOIN `permissions` p ON p.`key` = 'documents:generate'
+WHERE r.`name` = 'admin';
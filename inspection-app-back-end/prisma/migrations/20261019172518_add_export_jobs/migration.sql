@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE `export_jobs` (
+    `id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `status` VARCHAR(20) NOT NULL DEFAULT 'QUEUED',
+    `format` VARCHAR(10) NOT NULL DEFAULT 'DOCX',
+    `filters` JSON NOT NULL,
+    `total_count` INTEGER UNSIGNED NOT NULL DEFAULT 0,
+    `processed_count` INTEGER UNSIGNED NOT NULL DEFAULT 0,
+    `failed_count` INTEGER UNSIGNED NOT NULL DEFAULT 0,
+    `storage_key` VARCHAR(500) NULL,
+    `file_size` INTEGER UNSIGNED NULL,
+    `error` TEXT NULL,
+    `created_by` BIGINT UNSIGNED NOT NULL,
+    `started_at` DATETIME(3) NULL,
+    `completed_at` DATETIME(3) NULL,
+    `expires_at` DATETIME(3) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `idx_export_jobs_status_created`(`status`, `created_at`),
+    INDEX `idx_export_jobs_creator`(`created_by`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `export_jobs` ADD CONSTRAINT `export_jobs_created_by_fkey` FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Bulk export permission (kept in sync with services/permission-service.js)
+INSERT IGNORE INTO `permissions` (`key`, `description`) VALUES
+    ('documents:export', 'Export the reports of many inspections as a ZIP');
+
+-- Admins: grant the new permission
+INSERT IGNORE INTO `role_permissions` (`role_id`, `permission_id`)
+SELECT r.`id`, p.`id` FROM `roles` r JOIN `permissions` p ON p.`key` = 'documents:export'
+WHERE r.`name` = 'admin';
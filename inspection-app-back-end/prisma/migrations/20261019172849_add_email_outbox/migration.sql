@@ -0,0 +1,46 @@
+-- CreateTable
+CREATE TABLE `email_outbox` (
+    `id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `kind` VARCHAR(50) NOT NULL,
+    `org_id` BIGINT UNSIGNED NULL,
+    `inspection_id` BIGINT UNSIGNED NULL,
+    `to_address` VARCHAR(500) NOT NULL,
+    `subject` VARCHAR(500) NOT NULL,
+    `text_body` TEXT NULL,
+    `html_body` MEDIUMTEXT NULL,
+    `attachments` JSON NULL,
+    `status` VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+    `attempts` INTEGER UNSIGNED NOT NULL DEFAULT 0,
+    `next_attempt_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `last_error` TEXT NULL,
+    `delivery_log` JSON NULL,
+    `message_id` VARCHAR(255) NULL,
+    `sent_at` DATETIME(3) NULL,
+    `created_by` BIGINT UNSIGNED NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `idx_email_outbox_status_next`(`status`, `next_attempt_at`),
+    INDEX `idx_email_outbox_org`(`org_id`),
+    INDEX `idx_email_outbox_inspection`(`inspection_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `email_outbox` ADD CONSTRAINT `email_outbox_org_id_fkey` FOREIGN KEY (`org_id`) REFERENCES `organizations`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `email_outbox` ADD CONSTRAINT `email_outbox_inspection_id_fkey` FOREIGN KEY (`inspection_id`) REFERENCES `inspections`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `email_outbox` ADD CONSTRAINT `email_outbox_created_by_fkey` FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Outbox permissions (kept in sync with services/permission-service.js)
+INSERT IGNORE INTO `permissions` (`key`, `description`) VALUES
+    ('notifications:read', 'View outgoing emails and their delivery status'),
+    ('notifications:manage', 'Resend emails and manage notification settings');
+
+-- Admins: grant the new permissions
+INSERT IGNORE INTO `role_permissions` (`role_id`, `permission_id`)
+SELECT r.`id`, p.`id` FROM `roles` r JOIN `permissions` p ON p.`key` IN ('notifications:read', 'notifications:manage')
+WHERE r.`name` = 'admin';
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE `organizations` ADD COLUMN `email_locale` VARCHAR(10) NOT NULL DEFAULT 'mn';
+
+-- CreateTable
+CREATE TABLE `email_templates` (
+    `id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `org_id` BIGINT UNSIGNED NOT NULL,
+    `event` VARCHAR(50) NOT NULL,
+    `locale` VARCHAR(10) NOT NULL,
+    `subject` VARCHAR(500) NOT NULL,
+    `text_body` TEXT NOT NULL,
+    `html_body` MEDIUMTEXT NULL,
+    `updated_by` BIGINT UNSIGNED NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `uk_email_templates_org_event_locale`(`org_id`, `event`, `locale`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `email_templates` ADD CONSTRAINT `email_templates_org_id_fkey` FOREIGN KEY (`org_id`) REFERENCES `organizations`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `email_templates` ADD CONSTRAINT `email_templates_updated_by_fkey` FOREIGN KEY (`updated_by`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
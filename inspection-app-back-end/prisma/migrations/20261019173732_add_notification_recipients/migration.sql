@@ -0,0 +1,63 @@
+-- AlterTable
+ALTER TABLE `inspections` ADD COLUMN `assigned_by` BIGINT UNSIGNED NULL,
+    ADD COLUMN `overdue_notified_at` DATETIME(3) NULL;
+
+-- Existing assignments: the last user who changed the inspection is the best guess
+UPDATE `inspections` SET `assigned_by` = COALESCE(`updated_by`, `created_by`) WHERE `assigned_to` IS NOT NULL;
+
+-- Inspections that are already overdue are not announced retroactively
+UPDATE `inspections` SET `overdue_notified_at` = CURRENT_TIMESTAMP(3)
+WHERE `scheduled_at` < CURRENT_TIMESTAMP(3) AND `status` IN ('DRAFT', 'IN_PROGRESS', 'REJECTED');
+
+-- AlterTable
+ALTER TABLE `email_outbox` MODIFY `to_address` TEXT NOT NULL,
+    ADD COLUMN `cc_address` TEXT NULL;
+
+-- CreateTable
+CREATE TABLE `notification_recipients` (
+    `id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `org_id` BIGINT UNSIGNED NOT NULL,
+    `contract_id` BIGINT UNSIGNED NULL,
+    `name` VARCHAR(200) NULL,
+    `email` VARCHAR(255) NOT NULL,
+    `events` JSON NOT NULL,
+    `is_active` BOOLEAN NOT NULL DEFAULT true,
+    `created_by` BIGINT UNSIGNED NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `idx_notification_recipients_org`(`org_id`),
+    INDEX `idx_notification_recipients_contract`(`contract_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `notification_settings` (
+    `id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `org_id` BIGINT UNSIGNED NOT NULL,
+    `event` VARCHAR(30) NOT NULL,
+    `enabled` BOOLEAN NOT NULL DEFAULT true,
+    `notify_assignee` BOOLEAN NOT NULL DEFAULT false,
+    `notify_organization_contact` BOOLEAN NOT NULL DEFAULT false,
+    `cc_dispatcher` BOOLEAN NOT NULL DEFAULT false,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `uk_notification_settings_org_event`(`org_id`, `event`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `inspections` ADD CONSTRAINT `inspections_assigned_by_fkey` FOREIGN KEY (`assigned_by`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `notification_recipients` ADD CONSTRAINT `notification_recipients_org_id_fkey` FOREIGN KEY (`org_id`) REFERENCES `organizations`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `notification_recipients` ADD CONSTRAINT `notification_recipients_contract_id_fkey` FOREIGN KEY (`contract_id`) REFERENCES `contracts`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `notification_recipients` ADD CONSTRAINT `notification_recipients_created_by_fkey` FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `notification_settings` ADD CONSTRAINT `notification_settings_org_id_fkey` FOREIGN KEY (`org_id`) REFERENCES `organizations`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -1,9 +1,11 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const { authMiddleware } = require('../middleware/auth');
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
 
 // Helper function to serialize BigInt
 const serializeBigInt = (obj) => {
@@ -13,7 +15,7 @@ const serializeBigInt = (obj) => {
 };
 
 // GET /api/inspection-answers - Fetch all inspection answers
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requirePermission('inspections:read'), async (req, res) => {
   try {
     const { page = 1, limit = 50, inspectionId, answeredBy } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -83,7 +85,7 @@ router.get('/', authMiddleware, async (req, res) => {
 });
 
 // GET /api/inspection-answers/:id - Fetch inspection answer by ID
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, requirePermission('inspections:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -0,0 +1,116 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenantScope');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { handleError } = require('../utils/routeHelpers');
+const { HttpError } = require('../utils/errors');
+const { parseListQuery, findListPage } = require('../utils/listQuery');
+const { AUDITED_MODELS } = require('../utils/auditTrail');
+
+const router = express.Router();
+const prisma = withTenantScope(new PrismaClient());
+
+// Query syntax of GET /api/audit-logs (utils/listQuery); `table` is matched
+// as is, so it is handled by the route
+const AUDIT_LOG_LIST_QUERY = {
+  filters: {
+    recordId: { type: 'id' },
+    userId: { type: 'id' },
+    action: {
+      type: 'enum',
+      values: ['CREATE', 'UPDATE', 'SOFT_DELETE', 'DELETE'],
+    },
+  },
+  dateRanges: { created: 'createdAt' },
+  sortFields: ['createdAt'],
+  defaultSort: [{ createdAt: 'desc' }],
+};
+
+const formatAuditLog = log => ({
+  id: log.id.toString(),
+  table: log.tableId,
+  recordId: log.recordId.toString(),
+  action: log.action,
+  oldData: log.oldData,
+  newData: log.newData,
+  user: log.user
+    ? {
+        id: log.user.id.toString(),
+        fullName: log.user.fullName,
+        email: log.user.email,
+      }
+    : null,
+  createdAt: log.createdAt,
+});
+
+// =============================================================================
+// AUDIT TRAIL
+// =============================================================================
+
+/**
+ * GET /api/audit-logs
+ * Query: table, recordId, userId, action, createdFrom, createdTo, sortBy
+ * (createdAt), sortOrder, page, limit, cursor
+ * Example: ?table=devices&recordId=42 – every change of one device
+ */
+router.get(
+  '/',
+  authMiddleware,
+  requirePermission('audit:read'),
+  async (req, res) => {
+    try {
+      const listQuery = parseListQuery(req.query, AUDIT_LOG_LIST_QUERY);
+
+      const where = {};
+      if (req.query.table) {
+        if (!Object.values(AUDITED_MODELS).includes(req.query.table)) {
+          throw new HttpError(
+            400,
+            'Validation Error',
+            `table must be one of: ${Object.values(AUDITED_MODELS).join(', ')}`
+          );
+        }
+        where.tableId = req.query.table;
+        listQuery.filters.table = req.query.table;
+      }
+
+      const { items: logs, pagination } = await findListPage(
+        prisma.AuditLog,
+        {
+          where,
+          include: {
+            user: { select: { id: true, fullName: true, email: true } },
+          },
+        },
+        listQuery
+      );
+
+      res.json({
+        message: 'Audit logs retrieved successfully',
+        data: logs.map(formatAuditLog),
+        pagination,
+        filters: listQuery.filters,
+      });
+    } catch (error) {
+      handleError(res, error, 'fetch audit logs');
+    }
+  }
+);
+
+/**
+ * GET /api/audit-logs/tables
+ * Tables recorded by the automatic audit trail
+ */
+router.get(
+  '/tables',
+  authMiddleware,
+  requirePermission('audit:read'),
+  async (req, res) => {
+    res.json({
+      message: 'Audited tables retrieved successfully',
+      data: Object.values(AUDITED_MODELS),
+    });
+  }
+);
+
+module.exports = router;
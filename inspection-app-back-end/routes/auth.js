@@ -2,27 +2,88 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const { withAuditTrail } = require('../utils/auditTrail');
+const { runUnscoped } = require('../utils/tenantScope');
+const { getDefaultRole } = require('../services/permission-service');
+const {
+  getSessionMeta,
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  getSessionError,
+} = require('../services/session-service');
+const {
+  USER_TOKEN_TYPES,
+  createUserToken,
+  consumeUserToken,
+  buildTokenLink,
+} = require('../services/user-token-service');
+const { sendPasswordResetEmail } = require('../services/email-service');
+const { authMiddleware } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { handleError } = require('../utils/routeHelpers');
 
 const router = express.Router();
-const prisma = new PrismaClient();
-
-// Helper function to generate JWT
-const generateToken = user => {
-  return jwt.sign(
-    {
-      id: user.id.toString(),
-      email: user.email,
-      orgId: user.orgId.toString(),
-      fullName: user.fullName,
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
+const prisma = withAuditTrail(new PrismaClient());
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Brute-force protection for credential and token endpoints.
+// Keyed by client and email so users behind one proxy do not share a budget.
+const clientEmailKey = req =>
+  `${req.ip}:${String(req.body.email || '').toLowerCase()}`;
+
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.LOGIN_RATE_LIMIT) || 20,
+  keyGenerator: clientEmailKey,
+  message: 'Too many login attempts. Please try again later.',
+});
+const passwordLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: Number(process.env.PASSWORD_RESET_RATE_LIMIT) || 5,
+  keyGenerator: clientEmailKey,
+  message: 'Too many password requests. Please try again later.',
+});
+const tokenLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+});
+
+// User fields returned by login, register, refresh and verify
+const formatAuthUser = user => ({
+  id: user.id.toString(),
+  email: user.email,
+  fullName: user.fullName,
+  phone: user.phone,
+  isActive: user.isActive,
+  organization: {
+    id: user.organization.id.toString(),
+    name: user.organization.name,
+    code: user.organization.code,
+  },
+  role: user.role.name,
+});
+
+// Check a new password; returns an error message or null
+const validatePassword = password => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  return null;
 };
 
-// Register new user
-router.post('/register', async (req, res) => {
+// Register new user (only when ALLOW_SELF_REGISTRATION=true; otherwise users are invited)
+router.post('/register', loginLimiter, async (req, res) => {
   try {
+    if (process.env.ALLOW_SELF_REGISTRATION !== 'true') {
+      return res.status(403).json({
+        error: 'Registration disabled',
+        message: 'Self-registration is disabled. Ask an administrator for an invitation.',
+      });
+    }
+
     const { email, password, fullName, phone, orgId } = req.body;
 
     // Validate required fields
@@ -61,6 +122,9 @@ router.post('/register', async (req, res) => {
     const saltRounds = 10;
     const passwordHash = await bcrypt.hash(password, saltRounds);
 
+    // Self-registered users get the default role (DEFAULT_ROLE_NAME)
+    const defaultRole = await getDefaultRole(prisma);
+
     // Create user
     const user = await prisma.User.create({
       data: {
@@ -69,6 +133,7 @@ router.post('/register', async (req, res) => {
         fullName,
         phone,
         orgId: BigInt(orgId),
+        roleId: defaultRole.id,
       },
       include: {
         organization: true,
@@ -76,27 +141,15 @@ router.post('/register', async (req, res) => {
       },
     });
 
-    // Generate token
-    const token = generateToken(user);
+    // Access token + refresh token
+    const session = await issueSession(user, getSessionMeta(req));
 
     // Return user data without password
     res.status(201).json({
       message: 'User registered successfully',
       data: {
-        user: {
-          id: user.id.toString(),
-          email: user.email,
-          fullName: user.fullName,
-          phone: user.phone,
-          isActive: user.isActive,
-          organization: {
-            id: user.organization.id.toString(),
-            name: user.organization.name,
-            code: user.organization.code,
-          },
-          role: user.role.name,
-        },
-        token,
+        user: formatAuthUser(user),
+        ...session,
       },
     });
   } catch (error) {
@@ -112,7 +165,7 @@ router.post('/register', async (req, res) => {
 });
 
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -133,13 +186,22 @@ router.post('/login', async (req, res) => {
       },
     });
 
-    if (!user) {
+    if (!user || user.deletedAt) {
       return res.status(401).json({
         error: 'Invalid credentials',
         message: 'Email or password is incorrect',
       });
     }
 
+    // Invited users sign in only after choosing a password
+    if (user.invitedAt) {
+      return res.status(403).json({
+        error: 'Invitation pending',
+        message:
+          'Please set your password using the link in your invitation email.',
+      });
+    }
+
     // Check if user is active
     if (!user.isActive) {
       return res.status(403).json({
@@ -159,27 +221,15 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user);
+    // Access token + refresh token
+    const session = await issueSession(user, getSessionMeta(req));
 
     // Return user data without password
     res.json({
       message: 'Login successful',
       data: {
-        user: {
-          id: user.id.toString(),
-          email: user.email,
-          fullName: user.fullName,
-          phone: user.phone,
-          isActive: user.isActive,
-          organization: {
-            id: user.organization.id.toString(),
-            name: user.organization.name,
-            code: user.organization.code,
-          },
-          role: user.role.name,
-        },
-        token,
+        user: formatAuthUser(user),
+        ...session,
       },
     });
   } catch (error) {
@@ -222,29 +272,18 @@ router.get('/verify', async (req, res) => {
       },
     });
 
-    if (!user || !user.isActive) {
+    const sessionError = await getSessionError(decoded);
+    if (!user || sessionError) {
       return res.status(401).json({
         error: 'Invalid user',
-        message: 'User not found or inactive',
+        message: sessionError || 'User not found or inactive',
       });
     }
 
     res.json({
       message: 'Token valid',
       data: {
-        user: {
-          id: user.id.toString(),
-          email: user.email,
-          fullName: user.fullName,
-          phone: user.phone,
-          isActive: user.isActive,
-          organization: {
-            id: user.organization.id.toString(),
-            name: user.organization.name,
-            code: user.organization.code,
-          },
-          role: user.role.name,
-        },
+        user: formatAuthUser(user),
       },
     });
   } catch (error) {
@@ -262,5 +301,188 @@ router.get('/verify', async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access token (the refresh token rotates)
+router.post('/refresh', tokenLimiter, async (req, res) => {
+  try {
+    const { user, ...session } = await rotateRefreshToken(
+      req.body.refreshToken,
+      getSessionMeta(req)
+    );
+
+    res.json({
+      message: 'Token refreshed successfully',
+      data: {
+        user: formatAuthUser(user),
+        ...session,
+      },
+    });
+  } catch (error) {
+    handleError(res, error, 'refresh token');
+  }
+});
+
+// Logout: revoke the session of the given refresh token
+router.post('/logout', async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+
+    res.json({
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    handleError(res, error, 'logout');
+  }
+});
+
+// Logout from every device of the current user
+router.post('/logout-all', authMiddleware, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id);
+
+    res.json({
+      message: 'All sessions revoked successfully',
+      data: { revokedSessions: revoked },
+    });
+  } catch (error) {
+    handleError(res, error, 'revoke sessions');
+  }
+});
+
+// Accept an invitation: set the first password and sign in
+router.post('/accept-invite', tokenLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: passwordError,
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    const user = await consumeUserToken(
+      token,
+      USER_TOKEN_TYPES.INVITE,
+      (tx, invitedUser) =>
+        tx.user.update({
+          where: { id: invitedUser.id },
+          data: { passwordHash, invitedAt: null },
+          include: { organization: true, role: true },
+        })
+    );
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        error: 'Account disabled',
+        message:
+          'Your account has been disabled. Please contact administrator.',
+      });
+    }
+
+    const session = await issueSession(user, getSessionMeta(req));
+
+    console.log(`[auth] ✅ Invitation accepted by user ${user.id}`);
+    res.json({
+      message: 'Invitation accepted successfully',
+      data: {
+        user: formatAuthUser(user),
+        ...session,
+      },
+    });
+  } catch (error) {
+    handleError(res, error, 'accept invitation');
+  }
+});
+
+/**
+ * Email a password reset link when the address belongs to an active account
+ */
+async function sendPasswordResetLink(email) {
+  const user = await prisma.User.findUnique({
+    where: { email },
+  });
+  if (!user || !user.isActive || user.deletedAt || user.invitedAt) {
+    return;
+  }
+
+  const { token, expiresAt } = await createUserToken(
+    user.id,
+    USER_TOKEN_TYPES.PASSWORD_RESET
+  );
+  // No one is signed in, so the email is queued outside any tenant
+  await runUnscoped(() =>
+    sendPasswordResetEmail({
+      to: user.email,
+      fullName: user.fullName,
+      orgId: user.orgId,
+      link: buildTokenLink(USER_TOKEN_TYPES.PASSWORD_RESET, token),
+      expiresAt,
+    })
+  );
+}
+
+// Request a password reset link. Always answers the same way, before looking
+// the email up, so neither the response nor its timing tells which emails
+// have accounts.
+router.post('/forgot-password', passwordLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'Email is required',
+      });
+    }
+
+    res.json({
+      message:
+        'If an account exists for this email, a password reset link has been sent',
+    });
+
+    sendPasswordResetLink(String(email)).catch(error =>
+      console.error('[auth] ❌ Failed to send password reset link:', error)
+    );
+  } catch (error) {
+    handleError(res, error, 'request password reset');
+  }
+});
+
+// Set a new password with a reset token; signs the user out everywhere
+router.post('/reset-password', tokenLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: passwordError,
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    const user = await consumeUserToken(
+      token,
+      USER_TOKEN_TYPES.PASSWORD_RESET,
+      (tx, resetUser) =>
+        tx.user.update({
+          where: { id: resetUser.id },
+          data: { passwordHash },
+        })
+    );
+    await revokeAllSessions(user.id);
+
+    console.log(`[auth] ✅ Password reset for user ${user.id}`);
+    res.json({
+      message: 'Password reset successfully. Please login with your new password.',
+    });
+  } catch (error) {
+    handleError(res, error, 'reset password');
+  }
+});
+
 module.exports = router;
 
@@ -1,13 +1,15 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const { authMiddleware } = require('../middleware/auth');
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const { handleError } = require('../utils/routeHelpers');
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
 
 // GET all contracts
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requirePermission('contracts:read'), async (req, res) => {
   try {
     const contracts = await prisma.Contract.findMany({
       include: {
@@ -58,10 +60,22 @@ router.get('/', authMiddleware, async (req, res) => {
 });
 
 // GET contracts by organization
-router.get('/organization/:orgId', authMiddleware, async (req, res) => {
+router.get('/organization/:orgId', authMiddleware, requirePermission('contracts:read'), async (req, res) => {
   try {
     const { orgId } = req.params;
 
+    // Organizations of other tenants are not visible to the scoped client
+    const organization = await prisma.Organization.findUnique({
+      where: { id: BigInt(orgId) },
+    });
+
+    if (!organization) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Organization not found',
+      });
+    }
+
     const contracts = await prisma.Contract.findMany({
       where: {
         orgId: BigInt(orgId),
@@ -100,7 +114,7 @@ router.get('/organization/:orgId', authMiddleware, async (req, res) => {
 });
 
 // POST create new contract
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', authMiddleware, requirePermission('contracts:manage'), async (req, res) => {
   try {
     const { contractName, contractNumber, startDate, endDate, metadata, orgId } = req.body;
 
@@ -199,7 +213,7 @@ router.post('/', authMiddleware, async (req, res) => {
 });
 
 // PUT update contract
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission('contracts:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { contractName, contractNumber, startDate, endDate, metadata, orgId } = req.body;
@@ -313,7 +327,7 @@ router.put('/:id', authMiddleware, async (req, res) => {
 });
 
 // DELETE contract
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission('contracts:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     console.log(`🗑️ DELETE contract request: ID=${id}, User=${req.user.id}`);
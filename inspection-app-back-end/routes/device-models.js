@@ -1,13 +1,15 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const { authMiddleware } = require('../middleware/auth');
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const { handleError } = require('../utils/routeHelpers');
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
 
 // GET all device models
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requirePermission('devices:read'), async (req, res) => {
   try {
     const models = await prisma.DeviceModel.findMany({
       orderBy: [
@@ -42,7 +44,7 @@ router.get('/', authMiddleware, async (req, res) => {
 });
 
 // POST create new device model
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', authMiddleware, requirePermission('devices:manage'), async (req, res) => {
   try {
     const { manufacturer, model, specs } = req.body;
 
@@ -110,7 +112,7 @@ router.post('/', authMiddleware, async (req, res) => {
 });
 
 // PUT update device model
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission('devices:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { manufacturer, model, specs } = req.body;
@@ -188,7 +190,7 @@ router.put('/:id', authMiddleware, async (req, res) => {
 });
 
 // DELETE device model
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission('devices:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     console.log(`🗑️ DELETE device model request: ID=${id}, User=${req.user.id}`);
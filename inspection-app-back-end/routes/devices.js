@@ -1,16 +1,30 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const { authMiddleware } = require('../middleware/auth');
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const { serializeBigInt, handleError, parseBigIntId } = require('../utils/routeHelpers');
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
 
 // GET devices by organization
-router.get('/organization/:orgId', authMiddleware, async (req, res) => {
+router.get('/organization/:orgId', authMiddleware, requirePermission('devices:read'), async (req, res) => {
   try {
     const { orgId } = req.params;
 
+    // Organizations of other tenants are not visible to the scoped client
+    const organization = await prisma.Organization.findUnique({
+      where: { id: BigInt(orgId) },
+    });
+
+    if (!organization) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Organization not found',
+      });
+    }
+
     const devices = await prisma.Device.findMany({
       where: {
         orgId: BigInt(orgId),
@@ -72,7 +86,7 @@ router.get('/organization/:orgId', authMiddleware, async (req, res) => {
 });
 
 // POST create new device
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', authMiddleware, requirePermission('devices:manage'), async (req, res) => {
   try {
     const {
       orgId,
@@ -235,7 +249,7 @@ router.post('/', authMiddleware, async (req, res) => {
 });
 
 // PUT update device
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission('devices:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -426,7 +440,7 @@ router.put('/:id', authMiddleware, async (req, res) => {
 });
 
 // DELETE device
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission('devices:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     console.log(`🗑️ DELETE device request: ID=${id}, User=${req.user.id}`);
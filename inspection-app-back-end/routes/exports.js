@@ -0,0 +1,156 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenantScope');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { handleError, parseBigIntId } = require('../utils/routeHelpers');
+const { getStorage } = require('../utils/storage');
+const {
+  createExportJob,
+  formatExportJob,
+} = require('../services/export-service');
+
+const router = express.Router();
+const prisma = withTenantScope(new PrismaClient());
+
+const MAX_PAGE_SIZE = 100;
+
+const findExportJob = async id => {
+  const job = await prisma.ExportJob.findUnique({
+    where: { id: parseBigIntId(id) },
+  });
+  if (!job) {
+    throw new Error('Export job not found');
+  }
+  return job;
+};
+
+// =============================================================================
+// BULK REPORT EXPORT
+// =============================================================================
+
+/**
+ * POST /api/exports
+ * Body: { orgId, contractId, siteId, from, to, format: docx|pdf }
+ * Queues a ZIP of the reports of every approved inspection that matches;
+ * from/to apply to the completion date
+ */
+router.post(
+  '/',
+  authMiddleware,
+  requirePermission('documents:export'),
+  async (req, res) => {
+    try {
+      const job = await createExportJob(req.body || {}, req.user);
+      res.status(202).json({
+        message: 'Export queued',
+        data: formatExportJob(job),
+      });
+    } catch (error) {
+      handleError(res, error, 'queue export');
+    }
+  }
+);
+
+/**
+ * GET /api/exports?page=1&limit=20
+ * Export jobs, newest first
+ */
+router.get(
+  '/',
+  authMiddleware,
+  requirePermission('documents:export'),
+  async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit) || 20, 1),
+        MAX_PAGE_SIZE
+      );
+
+      const [jobs, totalCount] = await Promise.all([
+        prisma.ExportJob.findMany({
+          orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        prisma.ExportJob.count(),
+      ]);
+
+      const totalPages = Math.ceil(totalCount / limit);
+      res.json({
+        message: 'Export jobs retrieved successfully',
+        data: jobs.map(formatExportJob),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      });
+    } catch (error) {
+      handleError(res, error, 'fetch export jobs');
+    }
+  }
+);
+
+/**
+ * GET /api/exports/:id
+ * Status and progress of one export
+ */
+router.get(
+  '/:id',
+  authMiddleware,
+  requirePermission('documents:export'),
+  async (req, res) => {
+    try {
+      const job = await findExportJob(req.params.id);
+      res.json({
+        message: 'Export job fetched successfully',
+        data: formatExportJob(job),
+      });
+    } catch (error) {
+      handleError(res, error, 'fetch export job');
+    }
+  }
+);
+
+/**
+ * GET /api/exports/:id/download
+ * ZIP of a completed export
+ */
+router.get(
+  '/:id/download',
+  authMiddleware,
+  requirePermission('documents:export'),
+  async (req, res) => {
+    try {
+      const job = await findExportJob(req.params.id);
+      if (job.status !== 'COMPLETED' || !job.storageKey) {
+        return res.status(409).json({
+          error: 'Export not ready',
+          message: `Export ${job.id} is ${job.status.toLowerCase()}`,
+        });
+      }
+
+      const buffer = await getStorage().get(job.storageKey);
+      if (!buffer) {
+        throw new Error(
+          `File of export ${job.id} was not found in the storage`
+        );
+      }
+
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="inspection-reports-${job.id}.zip"`
+      );
+      res.send(buffer);
+    } catch (error) {
+      handleError(res, error, 'download export');
+    }
+  }
+);
+
+module.exports = router;
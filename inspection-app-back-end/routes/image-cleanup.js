@@ -0,0 +1,77 @@
+const express = require('express');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { handleError } = require('../utils/routeHelpers');
+const { HttpError } = require('../utils/errors');
+const {
+  cleanUpOrphanedImages,
+  formatCleanupReport,
+} = require('../services/orphaned-images-service');
+
+const router = express.Router();
+
+// The storage is shared by every organization, so the job is not tenant scoped
+const requireCleanupAccess = [
+  authMiddleware,
+  requirePermission('media:manage'),
+  requirePermission('organizations:all'),
+];
+
+const parseGraceHours = value => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const hours = parseFloat(value);
+  if (!Number.isFinite(hours) || hours < 0) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      'graceHours must be a number of hours'
+    );
+  }
+  return hours;
+};
+
+// =============================================================================
+// ORPHANED IMAGES
+// =============================================================================
+
+/**
+ * GET /api/image-cleanup?graceHours=24
+ * Dry run: rows without files, files without rows and unlinked uploads
+ */
+router.get('/', requireCleanupAccess, async (req, res) => {
+  try {
+    const report = await cleanUpOrphanedImages({
+      graceHours: parseGraceHours(req.query.graceHours),
+    });
+    res.json({
+      message: 'Image cleanup report generated',
+      data: formatCleanupReport(report),
+    });
+  } catch (error) {
+    handleError(res, error, 'generate image cleanup report');
+  }
+});
+
+/**
+ * POST /api/image-cleanup
+ * Body: { apply: true, graceHours } – without apply this is a dry run as well
+ */
+router.post('/', requireCleanupAccess, async (req, res) => {
+  try {
+    const report = await cleanUpOrphanedImages({
+      apply: req.body.apply === true,
+      graceHours: parseGraceHours(req.body.graceHours),
+    });
+    res.json({
+      message: report.dryRun
+        ? 'Image cleanup report generated'
+        : 'Image cleanup completed',
+      data: formatCleanupReport(report),
+    });
+  } catch (error) {
+    handleError(res, error, 'clean up images');
+  }
+});
+
+module.exports = router;
@@ -1,51 +1,97 @@
 const express = require('express');
-const { PrismaClient } = require('@prisma/client');
-const { authMiddleware } = require('../middleware/auth');
+const {
+  PrismaClient,
+  InspectionStatus,
+  InspectionType,
+  InspectionScheduleType,
+} = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail, withAuditContext } = require('../utils/auditTrail');
+const {
+  authMiddleware,
+  requirePermission,
+  restoreTenantContext,
+} = require('../middleware/auth');
 const {
   normalizeRelativePath,
-  buildPublicUrl,
   loadImagePayload,
   inferMimeType,
 } = require('../utils/imageStorage');
+const {
+  parseImageSize,
+  pickImageVariant,
+  storeImageWithDerivatives,
+} = require('../services/image-derivatives-service');
+const { signMediaUrl } = require('../utils/mediaUrls');
 const { serializeBigInt, handleError, parseBigIntId } = require('../utils/routeHelpers');
+const { HttpError, ValidationError } = require('../utils/errors');
+const { parseListQuery, findListPage } = require('../utils/listQuery');
 const sectionAnswersService = require('../services/section-answers-service');
-const { sendInspectionAssignmentEmail, sendInspectionCompletionEmail } = require('../services/email-service');
-const { generateInspectionDocx } = require('./documents');
+const {
+  getLatestTemplateVersion,
+  resolveInspectionTemplate,
+} = require('../services/template-service');
+const {
+  assertAnswersEditable,
+  transitionInspection,
+  changeInspectionStatus,
+} = require('../services/inspection-workflow');
+const { userHasPermission } = require('../services/permission-service');
+const {
+  verifyInspectionAccess,
+} = require('../services/inspection-access-service');
+const {
+  formatCompletion,
+  getTemplateAndSections,
+  assertSectionsComplete,
+  finishSectionSave,
+} = require('../services/section-completion-service');
+const {
+  sendInspectionNotification,
+  sendInspectionCompletionEmail,
+} = require('../services/email-service');
+const {
+  saveSignatureImage,
+  saveQuestionImages,
+} = require('../services/inspection-media-service');
+const {
+  createUploadSession,
+  getUploadSession,
+  appendChunk,
+  abortUploadSession,
+  formatUploadSession,
+} = require('../services/upload-session-service');
+const {
+  createImage,
+  listImagesForInspection,
+} = require('../services/question-image-repository');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const fsPromises = require('fs').promises;
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
 
 // =============================================================================
 // MULTER CONFIGURATION FOR IMAGE UPLOADS
 // =============================================================================
 
-// Ensure upload directory exists
-const FTP_STORAGE_PATH = process.env.FTP_STORAGE_PATH || path.resolve('C:/ftp_data');
-if (!fs.existsSync(FTP_STORAGE_PATH)) {
-  fs.mkdirSync(FTP_STORAGE_PATH, { recursive: true });
+// Uploads land in a temp directory and are then moved to the configured storage
+const TEMP_UPLOAD_DIR = path.resolve(__dirname, '..', 'temp_uploads');
+if (!fs.existsSync(TEMP_UPLOAD_DIR)) {
+  fs.mkdirSync(TEMP_UPLOAD_DIR, { recursive: true });
 }
 
 // Configure multer storage
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    console.log(`📁 Multer destination: ${FTP_STORAGE_PATH}`);
-    // Ensure directory exists
-    if (!fs.existsSync(FTP_STORAGE_PATH)) {
-      console.log(`📁 Creating directory: ${FTP_STORAGE_PATH}`);
-      fs.mkdirSync(FTP_STORAGE_PATH, { recursive: true });
-    }
-    cb(null, FTP_STORAGE_PATH);
+    cb(null, TEMP_UPLOAD_DIR);
   },
   filename: function (req, file, cb) {
-    // Generate temporary filename - will be renamed later with correct format
+    // Generate temporary filename - the stored object gets the final name
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
     const ext = path.extname(file.originalname) || '.jpg';
     const fileName = `temp-${uniqueSuffix}${ext}`;
-    console.log(`📝 Generated temporary filename: ${fileName} (will be renamed later)`);
     cb(null, fileName);
   }
 });
@@ -73,25 +119,6 @@ const upload = multer({
 // HELPER FUNCTIONS
 // =============================================================================
 
-// Format datetime for Mongolian locale
-const formatDateTime = value => {
-  if (!value) {
-    return 'Төлөвлөсөн огноо тодорхойгүй';
-  }
-
-  try {
-    return new Date(value).toLocaleString('mn-MN', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-    });
-  } catch (error) {
-    return String(value);
-  }
-};
-
 /**
  * Get section answers for a specific section
  */
@@ -118,45 +145,33 @@ async function getSectionAnswers(inspectionId, sectionName) {
 }
 
 /**
- * Get completed sections for an inspection55
+ * Completed sections of an inspection completion
+ * (sectionAnswersService.getInspectionCompletion)
  */
-async function getCompletedSections(inspectionId) {
-  const answers = await prisma.InspectionAnswer.findMany({
-    where: { inspectionId },
-    orderBy: { answeredAt: 'asc' },
-    select: { answers: true, answeredAt: true },
-  });
-
-  const completedSections = [];
-  const sectionNames = [
-    'exterior',
-    'indicator',
-    'jbox',
-    'sensor',
-    'foundation',
-    'cleanliness',
-  ];
-
-  answers.forEach(answer => {
-    const answerData = answer.answers || {};
-    const sectionData = answerData.data || answerData; // Support both formats
-    if (sectionData) {
-      sectionNames.forEach(sectionName => {
-        if (
-          sectionData[sectionName] &&
-          !completedSections.find(s => s.section === sectionName)
-        ) {
-          completedSections.push({
-            section: sectionName,
-            completedAt: answer.answeredAt,
-            answeredAt: answer.answeredAt,
-          });
-        }
-      });
-    }
-  });
+function formatCompletedSections(completion) {
+  return completion.sections
+    .filter(section => section.status === 'COMPLETED')
+    .map(section => ({
+      section: section.section,
+      completedAt: section.answeredAt,
+      answeredAt: section.answeredAt,
+    }));
+}
 
-  return completedSections;
+/**
+ * Reject submitting an inspection whose required sections are not all
+ * answered or skipped
+ * @param {Object} inspection - Inspection with id, templateId and templateVersionId
+ */
+async function assertInspectionComplete(inspection) {
+  const completion =
+    await sectionAnswersService.getInspectionCompletion(inspection);
+  if (!completion.isComplete) {
+    throw new ValidationError(
+      `${completion.missingSections.length} required section(s) are not finished`,
+      { missingSections: completion.missingSections }
+    );
+  }
 }
 
 /**
@@ -165,8 +180,9 @@ async function getCompletedSections(inspectionId) {
 async function getAssignedInspectionsByType(userId, inspectionType = null) {
   // Active statuses that should be shown in Flutter app
   // Based on schema: DRAFT, IN_PROGRESS, SUBMITTED are active
-  // Exclude: APPROVED, REJECTED, CANCELED
-  const ACTIVE_STATUSES = ['DRAFT', 'IN_PROGRESS', 'SUBMITTED'];
+  // REJECTED stays visible so the assignee can reopen and fix it
+  // Exclude: APPROVED, CANCELED
+  const ACTIVE_STATUSES = ['DRAFT', 'IN_PROGRESS', 'SUBMITTED', 'REJECTED'];
   
   const whereClause = {
     assignedTo: userId,
@@ -285,176 +301,124 @@ async function getAssignedInspectionsByType(userId, inspectionType = null) {
   }));
 }
 
-/**
- * Check user access to inspection
- */
-function checkInspectionAccess(inspection, orgIdFromToken, userId, isAdmin = false) {
-  if (isAdmin) {
-    return true;
-  }
-
-  const sameOrg = inspection.orgId.toString() === orgIdFromToken;
-  const isAssignee = inspection.assignedTo?.toString() === userId;
-  const isCreator = inspection.createdBy.toString() === userId;
-  return sameOrg || isAssignee || isCreator;
-}
-
-/**
- * Common inspection verification and access check
- */
-async function verifyInspectionAccess(
-  inspectionId,
-  userId,
-  orgIdFromToken,
-  selectFields = {}
-) {
-  const defaultSelect = {
-    id: true,
-    orgId: true,
-    assignedTo: true,
-    createdBy: true,
-    templateId: true,
-    type: true,
-    title: true,
-  };
-
-  const inspection = await prisma.Inspection.findUnique({
-    where: { id: inspectionId },
-    select: { ...defaultSelect, ...selectFields },
-  });
-
-  if (!inspection) {
-    throw new Error('Inspection not found');
-  }
-
-  const currentUser = await prisma.User.findUnique({
-    where: { id: BigInt(userId) },
-    include: { role: true },
-  });
-
-  const isAdmin =
-    currentUser?.role?.name &&
-    currentUser.role.name.toLowerCase() === 'admin';
-
-  if (!checkInspectionAccess(inspection, orgIdFromToken, userId, isAdmin)) {
-    throw new Error('You do not have access to this inspection');
-  }
-
-  return inspection;
-}
-
-/**
- * Get template and sections for inspection
- */
-async function getTemplateAndSections(inspection) {
-  let template = null;
-  if (inspection.templateId) {
-    template = await prisma.InspectionTemplate.findUnique({
-      where: { id: inspection.templateId },
-      select: {
-        id: true,
-        name: true,
-        type: true,
-        description: true,
-        questions: true,
-        isActive: true,
-      },
-    });
-  }
-
-  if (!template) {
-    throw new Error('No template found for this inspection');
-  }
-
-  const questions =
-    typeof template.questions === 'string'
-      ? JSON.parse(template.questions)
-      : template.questions;
-  const sections = sectionAnswersService.getTemplateSections(questions);
-
-  return { template, sections };
-}
-
 // Error handling function is now imported from routeHelpers
 
 // =============================================================================
 // GET ROUTES - FETCH INSPECTIONS
 // =============================================================================
 
-// GET all inspections (admin view)
-router.get('/', authMiddleware, async (req, res) => {
+// Query syntax of GET /api/inspections (utils/listQuery)
+const INSPECTION_LIST_QUERY = {
+  filters: {
+    status: { type: 'enum', values: Object.values(InspectionStatus) },
+    type: { type: 'enum', values: Object.values(InspectionType) },
+    scheduleType: {
+      type: 'enum',
+      values: Object.values(InspectionScheduleType),
+    },
+    orgId: { type: 'id' },
+    siteId: { type: 'id' },
+    deviceId: { type: 'id' },
+    contractId: { type: 'id' },
+    assignedTo: { type: 'id' },
+  },
+  dateRanges: { scheduled: 'scheduledAt', completed: 'completedAt' },
+  search: ['title', 'device.serialNumber', 'device.assetTag'],
+  sortFields: [
+    'scheduledAt',
+    'completedAt',
+    'createdAt',
+    'updatedAt',
+    'status',
+    'title',
+  ],
+  defaultSort: [{ scheduledAt: 'asc' }, { createdAt: 'desc' }],
+  nullableSortFields: ['scheduledAt', 'completedAt'],
+};
+
+/**
+ * GET /api/inspections
+ * All inspections visible to the user (admin view), filtered and paged.
+ * Query: status, type, scheduleType, orgId, siteId, deviceId, contractId,
+ * assignedTo, scheduledFrom, scheduledTo, completedFrom, completedTo, search
+ * (title, device serial number, asset tag), sortBy, sortOrder, page, limit,
+ * cursor (with sortBy createdAt, updatedAt, status or title; the default
+ * order runs on scheduledAt, which may be empty)
+ * Example: ?status=SUBMITTED,REJECTED&siteId=3&search=SN-104&sortBy=completedAt&sortOrder=desc
+ */
+router.get('/', authMiddleware, requirePermission('inspections:read'), async (req, res) => {
   try {
+    const listQuery = parseListQuery(req.query, INSPECTION_LIST_QUERY);
+
     // Build where clause
     const whereClause = {
       deletedAt: null,
     };
 
-    // Check if user is admin or regular user
-    const currentUser = await prisma.User.findUnique({
-      where: { id: BigInt(req.user.id) },
-      include: { role: true },
-    });
-
-    // If not admin, show inspections from their organization OR assigned to them
-    if (currentUser?.role?.name !== 'admin') {
+    // Unless the user may see every organization, show inspections from
+    // their organization OR assigned to them
+    if (!(await userHasPermission(req.user.id, 'organizations:all'))) {
       whereClause.OR = [
         { orgId: BigInt(req.user.orgId) },
         { assignedTo: BigInt(req.user.id) },
       ];
     }
 
-    const inspections = await prisma.Inspection.findMany({
-      where: whereClause,
-      include: {
-        device: {
-          select: {
-            id: true,
-            serialNumber: true,
-            assetTag: true,
-            model: {
-              select: {
-                manufacturer: true,
-                model: true,
+    const { items: inspections, pagination } = await findListPage(
+      prisma.Inspection,
+      {
+        where: whereClause,
+        include: {
+          device: {
+            select: {
+              id: true,
+              serialNumber: true,
+              assetTag: true,
+              model: {
+                select: {
+                  manufacturer: true,
+                  model: true,
+                },
               },
             },
           },
-        },
-        site: {
-          select: {
-            id: true,
-            name: true,
+          site: {
+            select: {
+              id: true,
+              name: true,
+            },
           },
-        },
-        contract: {
-          select: {
-            id: true,
-            contractName: true,
-            contractNumber: true,
+          contract: {
+            select: {
+              id: true,
+              contractName: true,
+              contractNumber: true,
+            },
           },
-        },
-        template: {
-          select: {
-            id: true,
-            name: true,
-            type: true,
+          template: {
+            select: {
+              id: true,
+              name: true,
+              type: true,
+            },
           },
-        },
-        assignee: {
-          select: {
-            id: true,
-            fullName: true,
-            email: true,
+          assignee: {
+            select: {
+              id: true,
+              fullName: true,
+              email: true,
+            },
           },
-        },
-        createdByUser: {
-          select: {
-            id: true,
-            fullName: true,
+          createdByUser: {
+            select: {
+              id: true,
+              fullName: true,
+            },
           },
         },
       },
-      orderBy: [{ scheduledAt: 'asc' }, { createdAt: 'desc' }],
-    });
+      listQuery
+    );
 
     const formattedInspections = inspections.map(inspection => ({
       id: inspection.id.toString(),
@@ -520,21 +484,16 @@ router.get('/', authMiddleware, async (req, res) => {
     res.json({
       message: 'Inspections fetched successfully',
       data: formattedInspections,
+      pagination,
+      filters: listQuery.filters,
     });
   } catch (error) {
-    console.error('Error fetching inspections:', error);
-    res.status(500).json({
-      error: 'Failed to fetch inspections',
-      message:
-        process.env.NODE_ENV === 'development'
-          ? error.message
-          : 'Internal server error',
-    });
+    handleError(res, error, 'fetch inspections');
   }
 });
 
 // GET inspections by schedule type (DAILY / SCHEDULED) for current user
-router.get('/by-schedule-type/:scheduleType', authMiddleware, async (req, res) => {
+router.get('/by-schedule-type/:scheduleType', authMiddleware, requirePermission('inspections:read'), async (req, res) => {
   try {
     const requestedScheduleType = req.params.scheduleType
       ? req.params.scheduleType.toString().toUpperCase()
@@ -548,14 +507,9 @@ router.get('/by-schedule-type/:scheduleType', authMiddleware, async (req, res) =
       });
     }
 
-    const currentUser = await prisma.User.findUnique({
-      where: { id: BigInt(req.user.id) },
-      include: { role: true },
-    });
-
-    const isAdmin = currentUser?.role?.name?.toLowerCase() === 'admin';
+    const isAdmin = await userHasPermission(req.user.id, 'organizations:all');
     // Active statuses that should be shown in Flutter app
-    const ACTIVE_STATUSES = ['DRAFT', 'IN_PROGRESS', 'SUBMITTED'];
+    const ACTIVE_STATUSES = ['DRAFT', 'IN_PROGRESS', 'SUBMITTED', 'REJECTED'];
     
     const whereClause = {
       deletedAt: null,
@@ -566,9 +520,7 @@ router.get('/by-schedule-type/:scheduleType', authMiddleware, async (req, res) =
     };
 
     if (!isAdmin) {
-      // Only filter by assignedTo to support cross-organization assignments
-      // Remove orgId filter to allow users to see inspections assigned to them
-      // from other organizations
+      // Organization is enforced by the tenant-scoped client
       whereClause.assignedTo = BigInt(req.user.id);
     }
     
@@ -576,7 +528,6 @@ router.get('/by-schedule-type/:scheduleType', authMiddleware, async (req, res) =
       scheduleType: requestedScheduleType,
       status: { in: ACTIVE_STATUSES },
       assignedTo: !isAdmin ? req.user.id : 'all users (admin)',
-      note: 'Cross-organization assignments are now supported'
     }, null, 2));
 
     const inspections = await prisma.Inspection.findMany({
@@ -680,7 +631,7 @@ router.get('/by-schedule-type/:scheduleType', authMiddleware, async (req, res) =
 });
 
 // GET all inspections assigned to logged-in user
-router.get('/assigned', authMiddleware, async (req, res) => {
+router.get('/assigned', authMiddleware, requirePermission('inspections:read'), async (req, res) => {
   try {
     const userId = BigInt(req.user.id);
     console.log(`[GET /assigned] User ID: ${req.user.id}`);
@@ -701,7 +652,7 @@ router.get('/assigned', authMiddleware, async (req, res) => {
 });
 
 // GET assigned inspections by type
-router.get('/assigned/type/:type', authMiddleware, async (req, res) => {
+router.get('/assigned/type/:type', authMiddleware, requirePermission('inspections:read'), async (req, res) => {
   try {
     const { type } = req.params;
     const validTypes = [
@@ -746,7 +697,7 @@ router.get('/assigned/type/:type', authMiddleware, async (req, res) => {
 // SECTION BY SECTION INSPECTION FLOW
 // =============================================================================
 // GET inspection template with sections
-router.get('/:id/template', authMiddleware, async (req, res) => {
+router.get('/:id/template', authMiddleware, requirePermission('inspections:read'), async (req, res) => {
   try {
     const inspectionId = BigInt(req.params.id);
     const inspection = await verifyInspectionAccess(
@@ -820,6 +771,7 @@ router.get('/:id/template', authMiddleware, async (req, res) => {
 router.get(
   '/:id/section/:sectionName/questions',
   authMiddleware,
+  requirePermission('inspections:read'),
   async (req, res) => {
     try {
       const inspectionId = BigInt(req.params.id);
@@ -870,6 +822,7 @@ router.get(
 router.get(
   '/:id/section/:sectionName/review',
   authMiddleware,
+  requirePermission('inspections:read'),
   async (req, res) => {
     try {
       const inspectionId = BigInt(req.params.id);
@@ -955,6 +908,7 @@ router.get(
 router.post(
   '/:id/section/:sectionName/confirm',
   authMiddleware,
+  requirePermission('inspections:answer'),
   async (req, res) => {
     try {
       const inspectionId = BigInt(req.params.id);
@@ -976,6 +930,15 @@ router.post(
           : null;
       const isLastSection = currentIndex === sectionOrder.length - 1;
 
+      assertAnswersEditable(inspection, sectionName);
+
+      // Strict mode: the last confirmation submits the whole inspection
+      await assertSectionsComplete(
+        inspection,
+        isLastSection ? null : [sectionName],
+        req.body
+      );
+
       // Mark section as confirmed/completed
       const result = await prisma.$transaction(async tx => {
         const existingAnswers = await tx.inspectionAnswer.findFirst({
@@ -1005,41 +968,60 @@ router.post(
           },
         });
 
-        // Update inspection progress
-        const progressPercentage = Math.round(
-          ((currentIndex + 1) / sectionOrder.length) * 100
+        // Confirming the last section submits the inspection once every
+        // required section is done
+        const completion = await sectionAnswersService.getInspectionCompletion(
+          inspection,
+          tx
+        );
+        const submit = isLastSection && completion.isComplete;
+        // The audit rows of the status and progress change name the section
+        const { changed, updatedInspection } = await withAuditContext(
+          { source: 'section-confirm', section: sectionName },
+          async () => {
+            const { changed } = await transitionInspection(
+              tx,
+              inspectionId,
+              submit ? 'SUBMITTED' : 'IN_PROGRESS',
+              { userId: req.user.id, source: 'section-confirm' }
+            );
+            const updatedInspection = await tx.inspection.update({
+              where: { id: inspectionId },
+              data: {
+                progress: completion.progress,
+                updatedBy: BigInt(req.user.id),
+              },
+              select: { id: true, status: true, progress: true, completedAt: true },
+            });
+            return { changed, updatedInspection };
+          }
         );
-        const updatedInspection = await tx.inspection.update({
-          where: { id: inspectionId },
-          data: {
-            progress: progressPercentage,
-            status: isLastSection ? 'SUBMITTED' : 'IN_PROGRESS',
-            completedAt: isLastSection ? new Date() : undefined,
-            updatedBy: BigInt(req.user.id),
-          },
-          select: { id: true, status: true, progress: true, completedAt: true },
-        });
-
-        // Audit log
-        await tx.auditLog.create({
-          data: {
-            tableId: 'inspection_section_confirm',
-            recordId: inspectionId,
-            action: 'UPDATE',
-            newData: {
-              section: sectionName,
-              confirmed: true,
-              status: updatedInspection.status,
-              progress: updatedInspection.progress,
-              isLastSection: isLastSection,
-            },
-            userId: BigInt(req.user.id),
-          },
-        });
 
-        return { sectionAnswer, updatedInspection };
+        return {
+          sectionAnswer,
+          updatedInspection,
+          completion,
+          submitted: submit && changed,
+        };
       });
 
+      // Queue the completion email (delivered by the email outbox)
+      if (result.submitted) {
+        try {
+          await sendInspectionCompletionEmail({
+            inspectionId,
+            completedAt: result.sectionAnswer.answeredAt,
+            answerId: result.sectionAnswer.id,
+            createdBy: req.user.id,
+          });
+        } catch (emailError) {
+          console.error(
+            '❌ Failed to queue completion email:',
+            emailError.message
+          );
+        }
+      }
+
       return res.json({
         message: `Section '${sectionName}' confirmed successfully`,
         data: {
@@ -1047,17 +1029,16 @@ router.post(
           section: sectionName,
           nextSection: nextSection,
           isLastSection: isLastSection,
-          isInspectionComplete: isLastSection,
+          isInspectionComplete: result.completion.isComplete,
           sectionOrder: sectionOrder,
           currentIndex: currentIndex,
           totalSections: sectionOrder.length,
           progress: {
             current: currentIndex + 1,
             total: sectionOrder.length,
-            percentage: Math.round(
-              ((currentIndex + 1) / sectionOrder.length) * 100
-            ),
+            percentage: result.completion.progress,
           },
+          completion: formatCompletion(result.completion),
           inspection: {
             status: result.updatedInspection.status,
             progress: result.updatedInspection.progress,
@@ -1075,6 +1056,7 @@ router.post(
 router.get(
   '/:id/next-section/:currentSection',
   authMiddleware,
+  requirePermission('inspections:read'),
   async (req, res) => {
     try {
       const inspectionId = BigInt(req.params.id);
@@ -1094,7 +1076,8 @@ router.get(
         currentIndex < sectionOrder.length - 1
           ? sectionOrder[currentIndex + 1]
           : null;
-      const completedSections = await getCompletedSections(inspectionId);
+      const completion =
+        await sectionAnswersService.getInspectionCompletion(inspection);
 
       return res.json({
         message: 'Next section information retrieved successfully',
@@ -1103,15 +1086,14 @@ router.get(
           currentSection: currentSection,
           nextSection: nextSection,
           isLastSection: currentIndex === sectionOrder.length - 1,
-          isInspectionComplete: nextSection === null,
+          isInspectionComplete: completion.isComplete,
           progress: {
             current: currentIndex + 1,
             total: sectionOrder.length,
-            percentage: Math.round(
-              ((currentIndex + 1) / sectionOrder.length) * 100
-            ),
+            percentage: completion.progress,
           },
-          completedSections: completedSections,
+          completedSections: formatCompletedSections(completion),
+          completion: formatCompletion(completion),
           sectionOrder: sectionOrder,
           navigation: {
             canGoToPrevious: currentIndex > 0,
@@ -1133,7 +1115,7 @@ router.get(
 // =============================================================================
 
 // GET section status for an inspection
-router.get('/:id/section-status', authMiddleware, async (req, res) => {
+router.get('/:id/section-status', authMiddleware, requirePermission('inspections:read'), async (req, res) => {
   try {
     const inspectionId = BigInt(req.params.id);
     const inspection = await verifyInspectionAccess(
@@ -1141,42 +1123,34 @@ router.get('/:id/section-status', authMiddleware, async (req, res) => {
       req.user.id,
       req.user.orgId
     );
-    const sectionAnswers = await prisma.InspectionAnswer.findMany({
-      where: { inspectionId },
-      orderBy: { answeredAt: 'asc' },
-      select: { id: true, answers: true, answeredBy: true, answeredAt: true },
-    });
+    const completion =
+      await sectionAnswersService.getInspectionCompletion(inspection);
 
-    // Extract section statuses
+    // Section statuses in template order
     const sectionStatuses = {};
-    sectionAnswers.forEach(answer => {
-      const answerData = answer.answers;
-      if (answerData && answerData.sectionStatus) {
-        const sectionName = answerData.section || 'unknown';
-        sectionStatuses[sectionName] = {
-          status: answerData.sectionStatus,
-          completedAt: answerData.completedAt,
-          answeredAt: answer.answeredAt,
-          answeredBy: answer.answeredBy?.toString(),
-        };
-      }
+    completion.sections.forEach(section => {
+      sectionStatuses[section.section] = {
+        status: section.status,
+        title: section.title,
+        required: section.required,
+        skippable: section.skippable,
+        answeredAt: section.answeredAt,
+        answeredBy: section.answeredBy,
+      };
     });
+    const countStatus = status =>
+      completion.sections.filter(section => section.status === status).length;
 
     return res.json({
       message: 'Section status retrieved successfully',
       data: {
         inspectionId: inspection.id.toString(),
         sectionStatuses,
-        totalSections: Object.keys(sectionStatuses).length,
-        completedSections: Object.values(sectionStatuses).filter(
-          s => s.status === 'COMPLETED'
-        ).length,
-        inProgressSections: Object.values(sectionStatuses).filter(
-          s => s.status === 'IN_PROGRESS'
-        ).length,
-        skippedSections: Object.values(sectionStatuses).filter(
-          s => s.status === 'SKIPPED'
-        ).length,
+        totalSections: completion.sections.length,
+        completedSections: countStatus('COMPLETED'),
+        inProgressSections: countStatus('IN_PROGRESS'),
+        skippedSections: countStatus('SKIPPED'),
+        completion: formatCompletion(completion),
       },
     });
   } catch (error) {
@@ -1185,7 +1159,7 @@ router.get('/:id/section-status', authMiddleware, async (req, res) => {
 });
 
 // GET section review (show questions and answers for verification)
-router.get('/:id/section-review/:section', authMiddleware, async (req, res) => {
+router.get('/:id/section-review/:section', authMiddleware, requirePermission('inspections:read'), async (req, res) => {
   try {
     const inspectionId = BigInt(req.params.id);
     const section = req.params.section;
@@ -1301,7 +1275,8 @@ router.get('/:id/section-review/:section', authMiddleware, async (req, res) => {
       metadata: {
         answeredAt: latestAnswer.answeredAt,
         answeredBy: latestAnswer.answeredBy?.toString(),
-        sectionStatus: answerData.sectionStatus || 'IN_PROGRESS',
+        sectionStatus:
+          sectionData.sectionStatus || answerData.sectionStatus || 'IN_PROGRESS',
         completedAt: answerData.completedAt || null,
         totalQuestions: questionAnswerPairs.length,
         sessionStartedAt: answerData.sessionStartedAt,
@@ -1331,7 +1306,7 @@ router.get('/:id/section-review/:section', authMiddleware, async (req, res) => {
 });
 
 // GET section answers for an inspection
-router.get('/:id/section-answers', authMiddleware, async (req, res) => {
+router.get('/:id/section-answers', authMiddleware, requirePermission('inspections:read'), async (req, res) => {
   try {
     const inspectionId = BigInt(req.params.id);
     const inspection = await verifyInspectionAccess(
@@ -1410,7 +1385,7 @@ router.get('/:id/section-answers', authMiddleware, async (req, res) => {
 });
 
 // POST initialize inspection metadata (called before starting first section)
-router.post('/initialize-metadata', authMiddleware, async (req, res) => {
+router.post('/initialize-metadata', authMiddleware, requirePermission('inspections:answer'), async (req, res) => {
   try {
     console.log('=== Initialize Metadata Request ===');
     console.log('Request body:', JSON.stringify(req.body, null, 2));
@@ -1431,7 +1406,7 @@ router.post('/initialize-metadata', authMiddleware, async (req, res) => {
 });
 
 // POST save signatures for inspection
-router.post('/:id/signatures', authMiddleware, async (req, res) => {
+router.post('/:id/signatures', authMiddleware, requirePermission('inspections:answer'), async (req, res) => {
   try {
     console.log('=== Save Signatures Request ===');
     console.log('Request body:', JSON.stringify(req.body, null, 2));
@@ -1452,6 +1427,7 @@ router.post('/:id/signatures', authMiddleware, async (req, res) => {
       req.user.id,
       req.user.orgId
     );
+    assertAnswersEditable(inspection, 'signatures');
 
     // Find the main inspection answer record
     const mainAnswer = await prisma.InspectionAnswer.findFirst({
@@ -1506,7 +1482,7 @@ router.post('/:id/signatures', authMiddleware, async (req, res) => {
 });
 
 // GET latest answer ID for inspection
-router.get('/:id/latest-answer-id', authMiddleware, async (req, res) => {
+router.get('/:id/latest-answer-id', authMiddleware, requirePermission('inspections:read'), async (req, res) => {
   try {
     const inspectionId = BigInt(req.params.id);
     const inspection = await verifyInspectionAccess(
@@ -1540,7 +1516,7 @@ router.get('/:id/latest-answer-id', authMiddleware, async (req, res) => {
 });
 
 // GET test endpoint to check remarks and signatures
-router.get('/:id/test-data', authMiddleware, async (req, res) => {
+router.get('/:id/test-data', authMiddleware, requirePermission('inspections:read'), async (req, res) => {
   try {
     const inspectionId = BigInt(req.params.id);
     const inspection = await verifyInspectionAccess(
@@ -1617,7 +1593,7 @@ router.get('/:id/test-data', authMiddleware, async (req, res) => {
 });
 
 // POST save signature image (for Flutter signature pad)
-router.post('/:id/signature-image', authMiddleware, async (req, res) => {
+router.post('/:id/signature-image', authMiddleware, requirePermission('inspections:answer'), async (req, res) => {
   try {
     console.log('=== Save Signature Image Request ===');
     console.log('Request body:', JSON.stringify(req.body, null, 2));
@@ -1642,235 +1618,12 @@ router.post('/:id/signature-image', authMiddleware, async (req, res) => {
       req.user.id,
       req.user.orgId
     );
+    assertAnswersEditable(inspection, 'signatures');
 
-    // If answerId is provided, use that specific record
-    if (answerId) {
-      const targetAnswer = await prisma.InspectionAnswer.findFirst({
-        where: {
-          id: BigInt(answerId),
-          inspectionId,
-        },
-      });
-
-      if (targetAnswer) {
-        console.log(
-          '🔍 Found target answer record for signature image:',
-          targetAnswer.id.toString()
-        );
-
-        const existingAnswers = targetAnswer.answers || {};
-        const existingSignatures = existingAnswers.signatures || {};
-
-        const updatedSignatures = {
-          ...existingSignatures,
-          [signatureType]: signatureImage,
-        };
-
-        const updatedAnswers = {
-          ...existingAnswers,
-          signatures: updatedSignatures,
-        };
-
-        const updatedAnswer = await prisma.InspectionAnswer.update({
-          where: { id: targetAnswer.id },
-          data: {
-            answers: updatedAnswers,
-            answeredBy: BigInt(req.user.id),
-            answeredAt: new Date(),
-          },
-        });
-
-        console.log(
-          `Updated target record ${updatedAnswer.id} with signature image`
-        );
-
-        return res.json({
-          message: 'Signature image saved successfully',
-          data: {
-            inspectionId: inspection.id.toString(),
-            answerId: updatedAnswer.id.toString(),
-            signatureType: signatureType,
-            signatureImage: signatureImage,
-            savedAt: updatedAnswer.answeredAt,
-          },
-        });
-      } else {
-        console.log(
-          '⚠️ Target answer record not found, falling back to main record search'
-        );
-      }
-    }
-
-    // Find the main inspection answer record
-    // First try to find record with data field
-    let mainAnswer = await prisma.InspectionAnswer.findFirst({
-      where: {
-        inspectionId,
-        answers: {
-          path: '$.data',
-          not: null,
-        },
-      },
-      orderBy: { answeredAt: 'asc' },
-    });
-
-    // If not found, try to find record with multiple sections (jbox, sensor, exterior, etc.)
-    if (!mainAnswer) {
-      const sectionPaths = [
-        '$.jbox',
-        '$.sensor',
-        '$.exterior',
-        '$.indicator',
-        '$.foundation',
-        '$.cleanliness',
-      ];
-
-      for (const path of sectionPaths) {
-        mainAnswer = await prisma.InspectionAnswer.findFirst({
-          where: {
-            inspectionId,
-            answers: {
-              path: path,
-              not: null,
-            },
-          },
-          orderBy: { answeredAt: 'asc' },
-        });
-
-        if (mainAnswer) {
-          console.log(`🔍 Found main record with ${path} section`);
-          break;
-        }
-      }
-    }
-
-    // If still not found, try to find record with metadata
-    if (!mainAnswer) {
-      mainAnswer = await prisma.InspectionAnswer.findFirst({
-        where: {
-          inspectionId,
-          answers: {
-            path: '$.metadata',
-            not: null,
-          },
-        },
-        orderBy: { answeredAt: 'asc' },
-      });
-    }
-
-    console.log(
-      '🔍 Found main answer record for signature image:',
-      mainAnswer ? mainAnswer.id.toString() : 'NOT FOUND'
-    );
-
-    if (!mainAnswer) {
-      // Try to find any record for this inspection
-      const anyAnswer = await prisma.InspectionAnswer.findFirst({
-        where: { inspectionId },
-        orderBy: { answeredAt: 'asc' },
-      });
-
-      console.log(
-        '🔍 Any answer record found for signature image:',
-        anyAnswer ? anyAnswer.id.toString() : 'NOT FOUND'
-      );
-
-      if (!anyAnswer) {
-        return res.status(404).json({
-          error: 'Not Found',
-          message:
-            'No inspection record found for this inspection ID. Please save sections first.',
-        });
-      }
-
-      // Use the first available record
-      const existingAnswers = anyAnswer.answers || {};
-      const existingSignatures = existingAnswers.signatures || {};
-
-      const updatedSignatures = {
-        ...existingSignatures,
-        [signatureType]: signatureImage,
-      };
-
-      const updatedAnswers = {
-        ...existingAnswers,
-        signatures: updatedSignatures,
-      };
-
-      const updatedAnswer = await prisma.InspectionAnswer.update({
-        where: { id: anyAnswer.id },
-        data: {
-          answers: updatedAnswers,
-          answeredBy: BigInt(req.user.id),
-          answeredAt: new Date(),
-        },
-      });
-
-      console.log(`Updated record ${updatedAnswer.id} with signature image`);
-
-      return res.json({
-        message: 'Signature image saved successfully',
-        data: {
-          inspectionId: inspection.id.toString(),
-          answerId: updatedAnswer.id.toString(),
-          signatureType: signatureType,
-          signatureImage: signatureImage,
-          savedAt: updatedAnswer.answeredAt,
-        },
-      });
-    }
-
-    // Clean up any existing separate signatures records
-    await prisma.InspectionAnswer.deleteMany({
-      where: {
-        inspectionId,
-        answers: {
-          path: '$.signatures',
-          not: null,
-        },
-        id: {
-          not: mainAnswer.id,
-        },
-      },
-    });
-
-    // Update the main record with signature image
-    const existingAnswers = mainAnswer.answers || {};
-    const existingSignatures = existingAnswers.signatures || {};
-
-    console.log(
-      '🔍 Existing answers before signature update:',
-      JSON.stringify(existingAnswers, null, 2)
-    );
-
-    const updatedSignatures = {
-      ...existingSignatures,
-      [signatureType]: signatureImage,
-    };
-
-    const updatedAnswers = {
-      ...existingAnswers,
-      signatures: updatedSignatures,
-    };
-
-    console.log(
-      '🔍 Updated answers with signature:',
-      JSON.stringify(updatedAnswers, null, 2)
-    );
-
-    const updatedAnswer = await prisma.InspectionAnswer.update({
-      where: { id: mainAnswer.id },
-      data: {
-        answers: updatedAnswers,
-        answeredBy: BigInt(req.user.id),
-        answeredAt: new Date(),
-      },
-    });
-
-    console.log(`Updated main record ${updatedAnswer.id} with signature image`);
-    console.log(
-      '🔍 Final saved answers:',
-      JSON.stringify(updatedAnswer.answers, null, 2)
+    const updatedAnswer = await saveSignatureImage(
+      inspection,
+      { signatureImage, signatureType, answerId },
+      req.user.id
     );
 
     return res.json({
@@ -1889,7 +1642,7 @@ router.post('/:id/signature-image', authMiddleware, async (req, res) => {
 });
 
 // POST upload images via HTTP multipart (ngrok-compatible)
-router.post('/:id/upload-images', authMiddleware, upload.array('images', 10), async (req, res) => {
+router.post('/:id/upload-images', authMiddleware, requirePermission('inspections:answer'), upload.array('images', 10), restoreTenantContext, async (req, res) => {
   try {
     console.log('=== Upload Images via HTTP Multipart ===');
     console.log('Inspection ID:', req.params.id);
@@ -1931,6 +1684,7 @@ router.post('/:id/upload-images', authMiddleware, upload.array('images', 10), as
       req.user.id,
       req.user.orgId
     );
+    assertAnswersEditable(inspection, section);
 
     // Verify that answer belongs to this inspection
     const answer = await prisma.InspectionAnswer.findFirst({
@@ -1949,162 +1703,61 @@ router.post('/:id/upload-images', authMiddleware, upload.array('images', 10), as
 
     console.log(`✅ Inspection ${inspectionId} verified, answer ${answerIdBigInt} found`);
 
-    // Process uploaded files
-    console.log(`📦 Processing ${req.files.length} uploaded file(s)`);
-    
-    // Rename files to correct format: inspection_{id}_ans_{answerId}_field_{fieldId}_{timestamp}_{order}.jpg
-    const FTP_BASE_URL = process.env.FTP_BASE_URL || 'ftp://192.168.0.6';
-    const FTP_REMOTE_PREFIX = process.env.FTP_REMOTE_PREFIX || 'test';
+    // Store files as inspection_{id}_ans_{answerId}_field_{fieldId}_{timestamp}_{order}.jpg
     const timestamp = Date.now();
-    
-    const uploadedImages = [];
+    const savedImages = [];
+
     for (let i = 0; i < req.files.length; i++) {
       const file = req.files[i];
-      const oldFilePath = file.path;
+      const imageOrder = i + 1;
       const ext = path.extname(file.originalname) || '.jpg';
-      
-      // Generate new filename in correct format
-      const newFileName = `inspection_${inspectionId}_ans_${answerId}_field_${fieldId}_${timestamp}_${i}${ext}`;
-      const newFilePath = path.join(FTP_STORAGE_PATH, newFileName);
-      
-      // Rename file to correct format
-      try {
-        if (fs.existsSync(oldFilePath)) {
-          fs.renameSync(oldFilePath, newFilePath);
-          console.log(`✅ Renamed file: ${file.filename} -> ${newFileName}`);
-        } else {
-          console.error(`❌ Old file not found: ${oldFilePath}`);
-          continue;
-        }
-      } catch (renameError) {
-        console.error(`❌ Error renaming file: ${renameError.message}`);
-        continue;
-      }
-      
-      // Build FTP URL in format: ftp://192.168.0.6/test/{filename}
-      const imageUrl = `${FTP_BASE_URL}/${FTP_REMOTE_PREFIX}/${newFileName}`;
-
-      console.log(`  📸 Image ${i + 1}:`);
-      console.log(`     Filename: ${newFileName}`);
-      console.log(`     Saved to: ${newFilePath}`);
-      console.log(`     Size: ${file.size} bytes`);
-      console.log(`     URL: ${imageUrl}`);
-      
-      // Verify file actually exists
-      if (fs.existsSync(newFilePath)) {
-        console.log(`     ✅ File exists at: ${newFilePath}`);
-      } else {
-        console.error(`     ❌ File NOT found at: ${newFilePath}`);
-        continue;
-      }
-
-      uploadedImages.push({
-        order: i + 1,
-        fileName: newFileName,
-        fileSize: file.size,
-        relativePath: `/${newFileName}`,
-        imageUrl: imageUrl,
-        mimeType: file.mimetype,
-        filePath: newFilePath,
-      });
-    }
+      const fileName = `inspection_${inspectionId}_ans_${answerId}_field_${fieldId}_${timestamp}_${i}${ext}`;
 
-    // Save images directly to inspection_question_images table using raw SQL
-    const savedImages = [];
-    const userId = BigInt(req.user.id);
-    
-    for (let i = 0; i < uploadedImages.length; i++) {
-      const img = uploadedImages[i];
-      const imageOrder = i + 1;
-      
       try {
-        console.log(`💾 Saving image ${imageOrder} to database:`, {
-          inspectionId: inspectionId.toString(),
-          answerId: answerIdBigInt.toString(),
-          fieldId: fieldId,
-          section: section,
-          imageOrder: imageOrder,
-          imageUrl: img.imageUrl,
+        const stored = await storeImageWithDerivatives(fileName, file.path, {
+          contentType: file.mimetype,
         });
-        
-        // Insert into inspection_question_images table
-        // Note: inspection_question_images table does NOT have inspection_id column
-        await prisma.$executeRaw`
-          INSERT INTO inspection_question_images (
-            answer_id,
-            field_id,
-            section,
-            image_order,
-            image_url,
-            uploaded_by,
-            uploaded_at,
-            created_at,
-            updated_at
-          ) VALUES (
-            ${answerIdBigInt},
-            ${fieldId},
-            ${section},
-            ${imageOrder},
-            ${img.imageUrl},
-            ${userId},
-            NOW(),
-            NOW(),
-            NOW()
-          )
-        `;
-        
-        console.log(`✅ Database INSERT successful for image ${imageOrder}`);
-        
-        // Get the inserted ID
-        const result = await prisma.$queryRaw`
-          SELECT id 
-          FROM inspection_question_images 
-          WHERE answer_id = ${answerIdBigInt}
-            AND field_id = ${fieldId}
-            AND image_order = ${imageOrder}
-          ORDER BY id DESC 
-          LIMIT 1
-        `;
-        
-        const imageId = result?.[0]?.id ? result[0].id.toString() : null;
-        
-        console.log(`✅ Retrieved image ID: ${imageId}`);
-        
+        const image = await createImage({
+          answerId: answerIdBigInt,
+          fieldId,
+          section,
+          imageOrder,
+          imageUrl: stored.url,
+          thumbnailUrl: stored.thumbnailUrl,
+          mediumUrl: stored.mediumUrl,
+          uploadedBy: req.user.id,
+        });
+
         savedImages.push({
-          id: imageId,
-          fileName: img.fileName,
-          fileSize: img.fileSize,
-          mimeType: img.mimeType,
-          relativePath: img.relativePath,
-          imageUrl: img.imageUrl,
+          id: image.id.toString(),
+          fileName: stored.key,
+          fileSize: stored.size,
+          mimeType: file.mimetype,
+          relativePath: `/${stored.key}`,
+          imageUrl: stored.url,
+          thumbnailUrl: stored.thumbnailUrl,
+          mediumUrl: stored.mediumUrl,
           order: imageOrder,
         });
-        
-        console.log(`✅ Successfully saved image ${imageOrder} to database (ID: ${imageId}, URL: ${img.imageUrl})`);
+
+        console.log(`✅ Saved image ${imageOrder} (ID: ${image.id}, URL: ${stored.url})`);
       } catch (imageError) {
-        console.error(`❌ Error saving image ${imageOrder} to database:`, imageError);
-        console.error(`   Error details:`, {
-          message: imageError.message,
-          code: imageError.code,
-          stack: imageError.stack,
-        });
+        console.error(`❌ Error saving image ${imageOrder}:`, imageError);
         // Continue with other images
       }
     }
 
-    console.log(`✅ Successfully uploaded and saved ${savedImages.length}/${uploadedImages.length} images`);
+    console.log(`✅ Saved ${savedImages.length}/${req.files.length} image(s)`);
 
     // If no images were saved, return error
     if (savedImages.length === 0) {
       console.error('❌ No images were saved to database!');
       console.error('   req.files length:', req.files?.length || 0);
-      console.error('   uploadedImages length:', uploadedImages.length);
       return res.status(500).json({
         error: 'Upload Failed',
         message: 'No images were saved. Please check server logs.',
         debug: {
           filesReceived: req.files?.length || 0,
-          processedImages: uploadedImages.length,
           savedImages: savedImages.length,
         },
       });
@@ -2124,11 +1777,16 @@ router.post('/:id/upload-images', authMiddleware, upload.array('images', 10), as
   } catch (error) {
     console.error('❌ Error uploading images:', error);
     handleError(res, error, 'upload images via HTTP');
+  } finally {
+    // Temp files are no longer needed once stored
+    for (const file of req.files || []) {
+      fs.promises.unlink(file.path).catch(() => {});
+    }
   }
 });
 
 // POST upload question images (for Flutter app)
-router.post('/:id/question-images', authMiddleware, async (req, res) => {
+router.post('/:id/question-images', authMiddleware, requirePermission('inspections:answer'), async (req, res) => {
   try {
     console.log('=== Upload Question Images Request ===');
     console.log('Request params id:', req.params.id);
@@ -2189,380 +1847,19 @@ router.post('/:id/question-images', authMiddleware, async (req, res) => {
       });
     }
 
-    const answerIdBigInt = BigInt(answerId);
-
-    // Verify inspection access and answer exists
+    // Verify inspection access (the answer is checked when saving)
     const inspection = await verifyInspectionAccess(
       inspectionId,
       req.user.id,
       req.user.orgId
     );
+    assertAnswersEditable(inspection, section);
 
-    // Verify that answer belongs to this inspection
-    const answer = await prisma.InspectionAnswer.findFirst({
-      where: {
-        id: answerIdBigInt,
-        inspectionId: inspectionId,
-      },
-    });
-
-    if (!answer) {
-      return res.status(400).json({
-        error: 'Validation Error',
-        message:
-          'Invalid answerId: answer does not exist or does not belong to this inspection',
-      });
-    }
-
-    // Check if inspection_question_images table exists and has answer_id column
-    try {
-      const tableCheck = await prisma.$queryRaw`
-        SELECT COUNT(*) as count 
-        FROM information_schema.tables 
-        WHERE table_schema = DATABASE() 
-        AND table_name = 'inspection_question_images'
-      `;
-      const tableExists = tableCheck[0]?.count > 0;
-
-      if (!tableExists) {
-        console.error('❌ inspection_question_images table does not exist!');
-        console.error('Please create the table first using SQL script.');
-        return res.status(500).json({
-          error: 'Database Configuration Error',
-          message:
-            'The inspection_question_images table does not exist. Please create it first using the SQL script.',
-        });
-      }
-
-      // Check if answer_id column exists
-      const columnCheck = await prisma.$queryRaw`
-        SELECT COUNT(*) as count
-        FROM information_schema.COLUMNS
-        WHERE table_schema = DATABASE()
-          AND table_name = 'inspection_question_images'
-          AND column_name = 'answer_id'
-      `;
-      const columnExists = columnCheck[0]?.count > 0;
-
-      if (!columnExists) {
-        console.error(
-          '❌ answer_id column does not exist in inspection_question_images table!'
-        );
-        console.error(
-          'Please run the migration script to add answer_id column.'
-        );
-        return res.status(500).json({
-          error: 'Database Configuration Error',
-          message:
-            'The answer_id column does not exist. Please run the migration script to add it.',
-        });
-      }
-
-      // Check for UNIQUE constraint on (answer_id, field_id, image_order)
-      const uniqueCheck = await prisma.$queryRaw`
-        SELECT 
-          CONSTRAINT_NAME,
-          COLUMN_NAME
-        FROM information_schema.KEY_COLUMN_USAGE
-        WHERE table_schema = DATABASE()
-          AND table_name = 'inspection_question_images'
-          AND CONSTRAINT_NAME != 'PRIMARY'
-          AND CONSTRAINT_NAME IN (
-            SELECT CONSTRAINT_NAME
-            FROM information_schema.TABLE_CONSTRAINTS
-            WHERE table_schema = DATABASE()
-              AND table_name = 'inspection_question_images'
-              AND CONSTRAINT_TYPE = 'UNIQUE'
-          )
-          AND COLUMN_NAME IN ('answer_id', 'field_id', 'image_order')
-      `;
-
-      console.log('🔍 UNIQUE constraints found:', uniqueCheck);
-
-      if (!uniqueCheck || uniqueCheck.length === 0) {
-        console.warn(
-          '⚠️ No UNIQUE constraint found on (answer_id, field_id, image_order). ON DUPLICATE KEY UPDATE may not work correctly.'
-        );
-      }
-
-      console.log('✅ Table and answer_id column verified');
-    } catch (checkError) {
-      console.error('Error checking table/column existence:', checkError);
-      // Continue anyway, let the INSERT fail if table/column doesn't exist
-    }
-
-    const uploadedImages = [];
-    const userId = BigInt(req.user.id);
-
-    console.log(`📋 Processing ${images.length} image(s)`);
-    for (const imageData of images) {
-      const orderRaw = imageData.order ?? imageData.imageOrder;
-      const orderInt = parseInt(orderRaw, 10);
-      
-      if (!Number.isFinite(orderInt) || orderInt <= 0) {
-        console.warn('❌ Skipping image with invalid order value', {
-          fieldId,
-          order: orderRaw,
-        });
-        uploadedImages.push({
-          fieldId,
-          order: orderRaw,
-          failed: true,
-          error: 'Invalid image order',
-        });
-        continue;
-      }
-
-      // Check if we have base64 image data
-      const base64Data = imageData.file || imageData.base64 || imageData.data;
-      let savedFileName = null;
-      let storedUrl = null;
-      let normalizedPath = null;
-
-      if (base64Data && typeof base64Data === 'string') {
-        // We have base64 data - need to save it to C:/ftp_data
-        try {
-          console.log(`💾 Saving base64 image to C:/ftp_data for field ${fieldId}, order ${orderInt}`);
-          
-          // Generate unique filename
-          const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-          const ext = imageData.mimeType?.includes('png') ? '.png' : 
-                     imageData.mimeType?.includes('gif') ? '.gif' : 
-                     imageData.mimeType?.includes('webp') ? '.webp' : '.jpg';
-          
-          savedFileName = `inspection_${inspectionId}_ans_${answerId}_field_${fieldId}_${uniqueSuffix}_${orderInt}${ext}`;
-          const filePath = path.join(FTP_STORAGE_PATH, savedFileName);
-          
-          // Remove data URL prefix if present (e.g., "data:image/jpeg;base64,")
-          let base64String = base64Data;
-          if (base64String.includes(',')) {
-            base64String = base64String.split(',')[1];
-          }
-          
-          // Decode base64 and save to file
-          const imageBuffer = Buffer.from(base64String, 'base64');
-          await fsPromises.writeFile(filePath, imageBuffer);
-          
-          console.log(`✅ Saved image to: ${filePath}`);
-          
-          // Build public URL
-          normalizedPath = savedFileName;
-          storedUrl = buildPublicUrl(savedFileName);
-          
-          console.log(`✅ Generated URL: ${storedUrl}`);
-          
-        } catch (saveError) {
-          console.error(`❌ Error saving base64 image:`, saveError);
-          uploadedImages.push({
-            fieldId,
-            order: orderInt,
-            failed: true,
-            error: `Failed to save image: ${saveError.message}`,
-          });
-          continue;
-        }
-      } else {
-        // Try to use existing path/URL
-        const candidatePath =
-          imageData.relativePath ||
-          imageData.imageUrl ||
-          imageData.url ||
-          imageData.path;
-        const fileName = imageData.fileName || null;
-        
-        console.log('🔍 Incoming image payload (no base64, using path)', {
-          fieldId,
-          orderRaw,
-          orderInt,
-          candidatePath,
-          imageUrl: imageData.imageUrl,
-          relativePath: imageData.relativePath,
-          fileName,
-        });
-
-        normalizedPath = normalizeRelativePath(candidatePath);
-        if (!normalizedPath) {
-          console.warn('❌ Skipping image due to missing path/url', {
-            fieldId,
-            order: orderInt,
-            candidatePath,
-          });
-          uploadedImages.push({
-            fieldId,
-            order: orderInt,
-            failed: true,
-            error: 'Missing image path information',
-          });
-          continue;
-        }
-
-        storedUrl =
-          (imageData.imageUrl && imageData.imageUrl.trim()) ||
-          buildPublicUrl(normalizedPath);
-        savedFileName = fileName || normalizedPath;
-      }
-
-      console.log('🔁 Preparing to store image', {
-        fieldId,
-        order: orderInt,
-        candidatePath,
-        normalizedPath,
-        storedUrl,
-        fileName,
-      });
-
-      const existingImage = await prisma.$queryRaw`
-        SELECT 
-          id,
-          image_url,
-          image_order,
-          uploaded_at
-        FROM inspection_question_images
-        WHERE answer_id = ${answerIdBigInt}
-          AND field_id = ${fieldId}
-          AND image_order = ${orderInt}
-        LIMIT 1
-      `;
-
-      if (existingImage && existingImage.length > 0) {
-        console.warn(
-          '⚠️ Attempt to upload duplicate image without deleting existing one',
-          {
-            fieldId,
-            order: orderInt,
-            existingImage: existingImage[0],
-          }
-        );
-        return res.status(409).json({
-          error: 'ImageAlreadyExists',
-          message:
-            'Энэ талбарт аль хэдийн зураг байна. Шинэ зураг оруулахын өмнө өмнөх зургийг устгана уу.',
-          details: {
-            fieldId,
-            order: orderInt,
-            existingImage: existingImage[0],
-          },
-        });
-      }
-
-      try {
-        await prisma.$executeRaw`
-          INSERT INTO inspection_question_images (
-            answer_id,
-            field_id,
-            section,
-            image_order,
-            image_url,
-            uploaded_by,
-            uploaded_at,
-            created_at,
-            updated_at
-          ) VALUES (
-            ${answerIdBigInt},
-            ${fieldId},
-            ${section},
-            ${orderInt},
-            ${storedUrl},
-            ${userId},
-            NOW(),
-            NOW(),
-            NOW()
-          )
-        `;
-
-        const idResult = await prisma.$queryRaw`
-          SELECT id
-          FROM inspection_question_images
-          WHERE answer_id = ${answerIdBigInt}
-            AND field_id = ${fieldId}
-            AND image_order = ${orderInt}
-          ORDER BY id DESC
-          LIMIT 1
-        `;
-        const rawId = idResult?.[0]?.id;
-        const imageId =
-          typeof rawId === 'bigint'
-            ? rawId.toString()
-            : rawId
-              ? String(rawId)
-              : null;
-
-        // Load image payload for metadata (if file exists)
-        const payload = normalizedPath ? await loadImagePayload(normalizedPath) : { base64: null, size: null };
-        const mimeType = inferMimeType(normalizedPath || savedFileName || '');
-        if (!payload.base64 && normalizedPath) {
-          console.warn('⚠️ Failed to read uploaded image from disk', {
-            normalizedPath,
-            storedUrl,
-          });
-        }
-
-        // Get file size if we just saved it
-        let fileSize = payload.size;
-        if (savedFileName && !fileSize) {
-          try {
-            const stats = await fsPromises.stat(path.join(FTP_STORAGE_PATH, savedFileName));
-            fileSize = stats.size;
-          } catch (e) {
-            console.warn('⚠️ Could not get file size:', e.message);
-          }
-        }
-
-        uploadedImages.push({
-          id: imageId,
-          fieldId,
-          order: orderInt,
-          imageUrl: storedUrl,
-          relativePath: normalizedPath || savedFileName,
-          fileName: savedFileName || fileName,
-          mimeType,
-          fileSize: fileSize,
-        });
-
-        console.log('✅ Image metadata stored', {
-          imageId,
-          fieldId,
-          order: orderInt,
-          imageUrl: storedUrl,
-          relativePath: normalizedPath,
-          mimeType,
-          fileSize: payload.size,
-        });
-
-        console.log(
-          `✅ Stored image ${orderInt} for field ${fieldId} (ID: ${imageId})`
-        );
-      } catch (imageError) {
-        console.error(
-          `❌ Error saving image metadata for order ${orderInt}, field ${fieldId}:`,
-          imageError
-        );
-        uploadedImages.push({
-          fieldId,
-          order: orderInt,
-          failed: true,
-          error: imageError.message,
-          relativePath: normalizedPath,
-        });
-      }
-    }
-
-    // Check if table exists for better error message
-    let tableCheckMessage = '';
-    try {
-      const tableCheck = await prisma.$queryRaw`
-        SELECT COUNT(*) as count 
-        FROM information_schema.tables 
-        WHERE table_schema = DATABASE() 
-        AND table_name = 'inspection_question_images'
-      `;
-      const tableExists = tableCheck[0]?.count > 0;
-      tableCheckMessage = tableExists
-        ? 'Table exists'
-        : 'Table does NOT exist - please run create_inspection_question_images_table.sql';
-    } catch (e) {
-      tableCheckMessage = `Could not check table: ${e.message}`;
-    }
+    const uploadedImages = await saveQuestionImages(
+      inspection,
+      { answerId, fieldId, section, images },
+      req.user.id
+    );
 
     // Get error details from failed uploads
     const failedUploads = uploadedImages.filter(img => img.failed);
@@ -2588,7 +1885,6 @@ router.post('/:id/question-images', authMiddleware, async (req, res) => {
           successful: successfulUploads.length,
           failed: failedUploads.length,
           errors: errorDetails,
-          tableStatus: tableCheckMessage,
         },
         debug: {
           requestBody: {
@@ -2606,28 +1902,160 @@ router.post('/:id/question-images', authMiddleware, async (req, res) => {
     return res.json({
       message: `Successfully uploaded ${successfulImages.length} image(s)`,
       data: {
-        inspectionId: inspection.id.toString(),
-        fieldId,
-        section,
-        questionText,
-        uploadedImages: successfulImages,
-        uploadedCount: successfulImages.length,
+        inspectionId: inspection.id.toString(),
+        fieldId,
+        section,
+        questionText,
+        uploadedImages: successfulImages,
+        uploadedCount: successfulImages.length,
+      },
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return handleError(res, error, 'upload question images');
+    }
+    console.error('Error uploading question images:', error);
+    return res.status(500).json({
+      error: 'Failed to upload question images',
+      message:
+        process.env.NODE_ENV === 'development'
+          ? error.message
+          : 'Internal server error',
+    });
+  }
+});
+
+// =============================================================================
+// RESUMABLE QUESTION IMAGE UPLOADS
+// =============================================================================
+
+/**
+ * POST /api/inspections/:id/question-images/uploads
+ * Open a resumable upload for one photo slot.
+ * Body: { answerId, section, fieldId, order, fileName, size }
+ * Then PUT the file in chunks to /uploads/:uploadId with
+ * `Content-Type: application/octet-stream` and
+ * `Content-Range: bytes <start>-<end>/<size>`. After a dropped connection,
+ * GET /uploads/:uploadId and continue at `receivedBytes`. When storing the
+ * photo fails after the last chunk, retry with an empty PUT and
+ * `Content-Range: bytes *\/<size>`.
+ */
+router.post('/:id/question-images/uploads', authMiddleware, requirePermission('inspections:answer'), async (req, res) => {
+  try {
+    const inspectionId = parseBigIntId(req.params.id);
+    const { answerId, section, fieldId, fileName, size } = req.body;
+
+    const inspection = await verifyInspectionAccess(inspectionId, req.user.id, req.user.orgId);
+    assertAnswersEditable(inspection, section);
+
+    const session = await createUploadSession(
+      inspection,
+      {
+        answerId,
+        section,
+        fieldId,
+        imageOrder: req.body.order ?? req.body.imageOrder,
+        fileName,
+        size,
+      },
+      req.user.id
+    );
+
+    res.status(201).json({
+      message: 'Upload session created',
+      data: formatUploadSession(session),
+    });
+  } catch (error) {
+    handleError(res, error, 'create upload session');
+  }
+});
+
+/**
+ * GET /api/inspections/:id/question-images/uploads/:uploadId
+ * Progress of an upload (where to resume)
+ */
+router.get('/:id/question-images/uploads/:uploadId', authMiddleware, requirePermission('inspections:answer'), async (req, res) => {
+  try {
+    const inspectionId = parseBigIntId(req.params.id);
+    await verifyInspectionAccess(inspectionId, req.user.id, req.user.orgId);
+    const session = await getUploadSession(inspectionId, req.params.uploadId);
+
+    res.json({
+      message: 'Upload session retrieved successfully',
+      data: formatUploadSession(session),
+    });
+  } catch (error) {
+    handleError(res, error, 'fetch upload session');
+  }
+});
+
+/**
+ * PUT /api/inspections/:id/question-images/uploads/:uploadId
+ * One chunk as raw bytes. The chunk that completes the file stores the photo
+ * (the format is checked from its magic bytes) and answers 201 with the image.
+ */
+router.put('/:id/question-images/uploads/:uploadId', authMiddleware, requirePermission('inspections:answer'), async (req, res) => {
+  try {
+    if (req.is('application/json') || req.is('application/x-www-form-urlencoded')) {
+      throw new HttpError(
+        400,
+        'Validation Error',
+        'Send chunks as application/octet-stream'
+      );
+    }
+
+    const inspectionId = parseBigIntId(req.params.id);
+    const inspection = await verifyInspectionAccess(inspectionId, req.user.id, req.user.orgId);
+    const session = await getUploadSession(inspectionId, req.params.uploadId);
+    assertAnswersEditable(inspection, session.section);
+
+    const result = await appendChunk(
+      session,
+      req,
+      req.headers['content-range'],
+      req.user.id
+    );
+
+    if (!result.image) {
+      return res.json({
+        message: 'Chunk received',
+        data: formatUploadSession(result.session),
+      });
+    }
+    return res.status(201).json({
+      message: 'Image uploaded successfully',
+      data: {
+        ...formatUploadSession(result.session),
+        image: result.image,
       },
     });
   } catch (error) {
-    console.error('Error uploading question images:', error);
-    return res.status(500).json({
-      error: 'Failed to upload question images',
-      message:
-        process.env.NODE_ENV === 'development'
-          ? error.message
-          : 'Internal server error',
+    handleError(res, error, 'upload image chunk');
+  }
+});
+
+/**
+ * DELETE /api/inspections/:id/question-images/uploads/:uploadId
+ * Cancel an upload and discard the received bytes
+ */
+router.delete('/:id/question-images/uploads/:uploadId', authMiddleware, requirePermission('inspections:answer'), async (req, res) => {
+  try {
+    const inspectionId = parseBigIntId(req.params.id);
+    await verifyInspectionAccess(inspectionId, req.user.id, req.user.orgId);
+    const session = await getUploadSession(inspectionId, req.params.uploadId);
+    const aborted = await abortUploadSession(session);
+
+    res.json({
+      message: 'Upload session canceled',
+      data: formatUploadSession(aborted),
     });
+  } catch (error) {
+    handleError(res, error, 'cancel upload session');
   }
 });
 
 // GET question images for an inspection
-router.get('/:id/question-images', authMiddleware, async (req, res) => {
+router.get('/:id/question-images', authMiddleware, requirePermission('inspections:read'), async (req, res) => {
   try {
     const inspectionId = BigInt(req.params.id);
     const { fieldId, section } = req.query;
@@ -2646,124 +2074,22 @@ router.get('/:id/question-images', authMiddleware, async (req, res) => {
 
     console.log('Verified inspection ID:', inspection.id.toString());
 
-    // Build WHERE conditions dynamically
-    let query;
-    if (fieldId && section) {
-      query = prisma.$queryRaw`
-        SELECT 
-          id,
-          inspection_id,
-          field_id,
-          section,
-          image_order,
-          image_url,
-          uploaded_by,
-          uploaded_at,
-          created_at,
-          updated_at
-        FROM inspection_question_images
-        WHERE inspection_id = ${inspectionId}
-          AND field_id = ${fieldId}
-          AND section = ${section}
-        ORDER BY section, field_id, image_order ASC
-      `;
-    } else if (fieldId) {
-      query = prisma.$queryRaw`
-        SELECT 
-          id,
-          inspection_id,
-          field_id,
-          section,
-          image_order,
-          image_url,
-          uploaded_by,
-          uploaded_at,
-          created_at,
-          updated_at
-        FROM inspection_question_images
-        WHERE inspection_id = ${inspectionId}
-          AND field_id = ${fieldId}
-        ORDER BY section, field_id, image_order ASC
-      `;
-    } else if (section) {
-      query = prisma.$queryRaw`
-        SELECT 
-          id,
-          inspection_id,
-          field_id,
-          section,
-          image_order,
-          image_url,
-          uploaded_by,
-          uploaded_at,
-          created_at,
-          updated_at
-        FROM inspection_question_images
-        WHERE inspection_id = ${inspectionId}
-          AND section = ${section}
-        ORDER BY section, field_id, image_order ASC
-      `;
-    } else {
-      // Get all images for this specific inspection only
-      query = prisma.$queryRaw`
-        SELECT 
-          id,
-          inspection_id,
-          field_id,
-          section,
-          image_order,
-          image_url,
-          uploaded_by,
-          uploaded_at,
-          created_at,
-          updated_at
-        FROM inspection_question_images
-        WHERE inspection_id = ${inspectionId}
-        ORDER BY section, field_id, image_order ASC
-      `;
-
-      // Debug: Also check how many total images exist in the table
-      const totalCountResult = await prisma.$queryRaw`
-        SELECT COUNT(*) as total FROM inspection_question_images
-      `;
-      console.log(
-        'Total images in table:',
-        totalCountResult[0]?.total?.toString() || 'N/A'
-      );
-
-      const thisInspectionCountResult = await prisma.$queryRaw`
-        SELECT COUNT(*) as count FROM inspection_question_images WHERE inspection_id = ${inspectionId}
-      `;
-      console.log(
-        `Images for inspection ${inspectionId.toString()}:`,
-        thisInspectionCountResult[0]?.count?.toString() || 'N/A'
-      );
-    }
-
-    const images = await query;
+    const images = await listImagesForInspection(inspectionId, {
+      fieldId,
+      section,
+    });
 
     console.log(
       `Found ${images.length} image(s) for inspection ${inspectionId.toString()}`
     );
-    if (images.length > 0) {
-      console.log(
-        'First image inspection_id:',
-        images[0].inspection_id?.toString() || 'N/A'
-      );
-      console.log('Sample image data:', {
-        id: images[0].id?.toString(),
-        inspection_id: images[0].inspection_id?.toString(),
-        field_id: images[0].field_id,
-        section: images[0].section,
-      });
-    }
 
     // Format response - ensure all BigInt values are converted to strings
     const formattedImages = await Promise.all(
       images.map(async (img, index) => {
-        const relativePath = normalizeRelativePath(img.image_url);
+        const relativePath = normalizeRelativePath(img.imageUrl);
         const payload = await loadImagePayload(relativePath);
-        const publicUrl = img.image_url || buildPublicUrl(relativePath);
+        // Signed link so the admin web can show it in an <img> tag
+        const publicUrl = signMediaUrl(relativePath) || img.imageUrl;
 
         console.log(`[Images] Loaded image ${index + 1}`, {
           relativePath,
@@ -2773,20 +2099,21 @@ router.get('/:id/question-images', authMiddleware, async (req, res) => {
         });
 
         return {
-          id: img.id ? img.id.toString() : null,
-          inspectionId: img.inspection_id ? img.inspection_id.toString() : null,
-          fieldId: img.field_id,
+          id: img.id.toString(),
+          inspectionId: inspection.id.toString(),
+          answerId: img.answerId ? img.answerId.toString() : null,
+          fieldId: img.fieldId,
           section: img.section,
-          order: Number(img.image_order),
+          order: img.imageOrder,
           imageUrl: publicUrl,
           storagePath: relativePath,
           fileSize: payload.size,
           mimeType: inferMimeType(relativePath),
           imageData: payload.base64,
-          uploadedBy: img.uploaded_by ? img.uploaded_by.toString() : null,
-          uploadedAt: img.uploaded_at ? img.uploaded_at.toISOString() : null,
-          createdAt: img.created_at ? img.created_at.toISOString() : null,
-          updatedAt: img.updated_at ? img.updated_at.toISOString() : null,
+          uploadedBy: img.uploadedBy ? img.uploadedBy.toString() : null,
+          uploadedAt: img.uploadedAt.toISOString(),
+          createdAt: img.createdAt.toISOString(),
+          updatedAt: img.updatedAt.toISOString(),
         };
       })
     );
@@ -2817,15 +2144,17 @@ router.get('/:id/question-images', authMiddleware, async (req, res) => {
 /**
  * GET /api/inspections/:id/image-gallery
  * Returns all question images for the inspection (grouped by section/field)
+ * Query: includeData (default true), size=thumbnail|medium|original (default original)
  */
-router.get('/:id/image-gallery', authMiddleware, async (req, res) => {
+router.get('/:id/image-gallery', authMiddleware, requirePermission('inspections:read'), async (req, res) => {
   try {
     const inspectionId = BigInt(req.params.id);
     const includeData = req.query.includeData !== 'false';
+    const size = parseImageSize(req.query.size);
 
     console.log('=== GET Image Gallery ===');
     console.log('Inspection ID:', inspectionId.toString());
-    console.log('Include base64 data:', includeData);
+    console.log('Include base64 data:', includeData, 'size:', size);
 
     // Verify access rights
     let inspection;
@@ -2850,7 +2179,6 @@ router.get('/:id/image-gallery', authMiddleware, async (req, res) => {
               count: 0,
               sections: {},
               images: [],
-              tableExists: null,
             },
           })
         );
@@ -2866,53 +2194,7 @@ router.get('/:id/image-gallery', authMiddleware, async (req, res) => {
       throw verifyError;
     }
 
-    // Ensure inspection_question_images table exists
-    const tableCheck = await prisma.$queryRaw`
-      SELECT COUNT(*) as count 
-      FROM information_schema.tables 
-      WHERE table_schema = DATABASE() 
-        AND table_name = 'inspection_question_images'
-    `;
-    const tableExists = tableCheck?.[0]?.count > 0;
-
-    if (!tableExists) {
-      console.warn(
-        '[image-gallery] inspection_question_images table not found. Returning empty result.'
-      );
-      return res.json(
-        serializeBigInt({
-          message:
-            'Зургийн мэдээллийн хүснэгт олдсонгүй (inspection_question_images).',
-          data: {
-            inspectionId: inspection.id.toString(),
-            count: 0,
-            sections: {},
-            images: [],
-            tableExists: false,
-          },
-        })
-      );
-    }
-
-    // Fetch images joined with answers to resolve inspection -> answer relation
-    const rows = await prisma.$queryRaw`
-      SELECT 
-        qi.id,
-        qi.answer_id,
-        ia.inspection_id,
-        qi.field_id,
-        qi.section,
-        qi.image_order,
-        qi.image_url,
-        qi.uploaded_by,
-        qi.uploaded_at,
-        qi.created_at,
-        qi.updated_at
-      FROM inspection_question_images qi
-      INNER JOIN inspection_answers ia ON ia.id = qi.answer_id
-      WHERE ia.inspection_id = ${inspectionId}
-      ORDER BY qi.section, qi.field_id, qi.image_order
-    `;
+    const rows = await listImagesForInspection(inspectionId);
 
     console.log(
       `Found ${rows.length} image rows linked to inspection ${inspectionId.toString()}`
@@ -2920,26 +2202,28 @@ router.get('/:id/image-gallery', authMiddleware, async (req, res) => {
 
     const images = await Promise.all(
       rows.map(async row => {
-        const relativePath = normalizeRelativePath(row.image_url);
+        const relativePath = normalizeRelativePath(pickImageVariant(row, size));
         const mimeType = inferMimeType(relativePath);
 
-        let payload = { base64: null, size: null, localPath: null };
+        let payload = { base64: null, size: null, key: null };
         if (includeData && relativePath) {
           payload = await loadImagePayload(relativePath);
         }
 
-        const publicUrl =
-          row.image_url ||
-          (relativePath ? buildPublicUrl(relativePath) : null);
+        // Signed link so the admin web can show it in an <img> tag
+        const publicUrl = signMediaUrl(relativePath) || row.imageUrl;
 
         return {
-          id: row.id ? row.id.toString() : null,
+          id: row.id.toString(),
           inspectionId: inspection.id.toString(),
-          answerId: row.answer_id ? row.answer_id.toString() : null,
-          fieldId: row.field_id,
+          answerId: row.answerId ? row.answerId.toString() : null,
+          fieldId: row.fieldId,
           section: row.section,
-          order: Number(row.image_order),
+          order: row.imageOrder,
+          size,
           imageUrl: publicUrl,
+          thumbnailUrl: signMediaUrl(pickImageVariant(row, 'thumbnail')),
+          originalUrl: signMediaUrl(row.imageUrl),
           storagePath: relativePath,
           fileSize: payload.size,
           mimeType,
@@ -2948,10 +2232,10 @@ router.get('/:id/image-gallery', authMiddleware, async (req, res) => {
             payload.base64 && mimeType
               ? `data:${mimeType};base64,${payload.base64}`
               : null,
-          uploadedBy: row.uploaded_by ? row.uploaded_by.toString() : null,
-          uploadedAt: row.uploaded_at ? row.uploaded_at.toISOString() : null,
-          createdAt: row.created_at ? row.created_at.toISOString() : null,
-          updatedAt: row.updated_at ? row.updated_at.toISOString() : null,
+          uploadedBy: row.uploadedBy ? row.uploadedBy.toString() : null,
+          uploadedAt: row.uploadedAt.toISOString(),
+          createdAt: row.createdAt.toISOString(),
+          updatedAt: row.updatedAt.toISOString(),
         };
       })
     );
@@ -2983,7 +2267,7 @@ router.get('/:id/image-gallery', authMiddleware, async (req, res) => {
 });
 
 // POST save section answers (section by section saving with smart data management)
-router.post('/section-answers', authMiddleware, async (req, res) => {
+router.post('/section-answers', authMiddleware, requirePermission('inspections:answer'), async (req, res) => {
   try {
     console.log('=== Section Answers Request ===');
     console.log('Request body keys:', Object.keys(req.body));
@@ -2999,9 +2283,6 @@ router.post('/section-answers', authMiddleware, async (req, res) => {
       requestData,
       req.user
     );
-    const completedSections = await getCompletedSections(
-      BigInt(requestData.inspectionId)
-    );
 
     const baseMessage = serviceResult.isCompletion
       ? `Section '${requestData.section}' completed successfully. Inspection finished!`
@@ -3025,146 +2306,11 @@ router.post('/section-answers', authMiddleware, async (req, res) => {
           )
       : res.status(200);
 
-    // Debug: Log completion status for email sending
-    console.log('📧 Email sending check:', {
-      isCompletion: serviceResult.isCompletion,
-      section: requestData.section,
-      status: requestData.status,
-      sectionStatus: requestData.sectionStatus,
-      isLastSection: serviceResult.isLastSection,
-      sectionOrder: serviceResult.sectionOrder,
-      currentSectionIndex: serviceResult.currentSectionIndex,
-    });
-
-    // Send email with DOCX report when inspection is completed
-    // Check if this is the signatures section and it's completed (final step)
-    // Also check if all main sections are completed
-    const isSignaturesCompleted = requestData.section === 'signatures' && 
-                                  (requestData.sectionStatus === 'COMPLETED' || requestData.progress === 100);
-    const allMainSectionsCompleted = completedSections.length >= 6; // exterior, indicator, jbox, sensor, foundation, cleanliness
-    
-    const shouldSendEmail = serviceResult.isCompletion || 
-      (isSignaturesCompleted && allMainSectionsCompleted);
-
-    if (shouldSendEmail) {
-      console.log('📧 Email sending triggered:', {
-        reason: serviceResult.isCompletion ? 'isCompletion=true' : 'signatures section completed with all main sections done',
-        isSignaturesCompleted,
-        allMainSectionsCompleted,
-        completedSectionsCount: completedSections.length,
-        completedSections: completedSections.map(s => s.section),
-      });
-      // Run email sending in background to avoid blocking the response
-      (async () => {
-        try {
-          console.log('📧 Preparing to send completion email with DOCX report...');
-          
-          // Get inspection with organization details
-          const inspection = await prisma.Inspection.findUnique({
-            where: { id: BigInt(requestData.inspectionId) },
-            select: {
-              id: true,
-              title: true,
-              organization: {
-                select: {
-                  id: true,
-                  name: true,
-                  contactEmail: true,
-                  contactName: true,
-                },
-              },
-            },
-          });
-
-          if (!inspection) {
-            console.warn('⚠️ Inspection not found for email sending');
-            return;
-          }
-
-          // Check if organization has contact email
-          if (!inspection.organization?.contactEmail) {
-            console.warn(`⚠️ Organization ${inspection.organization?.name || 'Unknown'} does not have contact_email configured. Skipping email.`);
-            return;
-          }
-
-          console.log(`📧 Generating DOCX report for inspection ${requestData.inspectionId}...`);
-          
-          // Generate DOCX report
-          const answerId = serviceResult.result.sectionAnswer.id;
-          const docxBuffer = await generateInspectionDocx(answerId);
-          
-          console.log(`📧 DOCX report generated (${docxBuffer.length} bytes). Sending email to ${inspection.organization.contactEmail}...`);
-
-          // Send email with DOCX attachment
-          await sendInspectionCompletionEmail({
-            to: inspection.organization.contactEmail,
-            organizationName: inspection.organization.name || 'Байгууллага',
-            inspectionTitle: inspection.title || `Үзлэг #${requestData.inspectionId}`,
-            inspectionId: requestData.inspectionId.toString(),
-            completedAt: serviceResult.result.sectionAnswer.answeredAt || new Date(),
-            contactName: inspection.organization.contactName || null,
-            docxBuffer: docxBuffer,
-          });
-
-          console.log(`✅ Completion email with DOCX report sent successfully to ${inspection.organization.contactEmail}`);
-        } catch (emailError) {
-          // Log error but don't fail the request
-          console.error('\n========================================');
-          console.error('❌ EMAIL SENDING FAILED');
-          console.error('========================================');
-          console.error('Inspection ID:', requestData.inspectionId);
-          console.error('Error Message:', emailError.message);
-          console.error('Error Code:', emailError.code || 'N/A');
-          console.error('Error Type:', emailError.name || 'Unknown');
-          
-          // Additional context
-          if (emailError.code === 'EAUTH') {
-            console.error('\n⚠️  AUTHENTICATION ERROR:');
-            console.error('   - Check NOTIFY_EMAIL_USER and NOTIFY_EMAIL_PASSWORD in config.env');
-            console.error('   - For Microsoft 365, use full email address as username');
-            console.error('   - If MFA is enabled, use App Password instead of regular password');
-          } else if (emailError.code === 'ECONNECTION') {
-            console.error('\n⚠️  CONNECTION ERROR:');
-            console.error('   - Check internet connection');
-            console.error('   - Check NOTIFY_EMAIL_HOST setting (should be smtp.office365.com)');
-            console.error('   - Check firewall settings (ports 587 or 465 should be open)');
-          } else if (emailError.code === 'ETIMEDOUT') {
-            console.error('\n⚠️  TIMEOUT ERROR:');
-            console.error('   - Check network connection');
-            console.error('   - Check firewall settings');
-            console.error('   - SMTP server might be slow or unreachable');
-          } else if (emailError.responseCode === 535) {
-            console.error('\n⚠️  MICROSOFT 365 AUTHENTICATION FAILED:');
-            if (emailError.response && emailError.response.includes('security defaults policy')) {
-              console.error('   - ERROR: User is locked by organization\'s Security Defaults policy');
-              console.error('   - SOLUTION: SMTP AUTH must be enabled for this mailbox');
-              console.error('   - Contact your administrator to enable SMTP AUTH');
-              console.error('   - Admin steps: Exchange Admin Center → Mailboxes → Select user → Mail → Enable "Authenticated SMTP"');
-            } else {
-              console.error('   - Invalid credentials');
-              console.error('   - Check if MFA is enabled - use App Password if needed');
-              console.error('   - Make sure you are using full email address as username');
-            }
-          } else if (emailError.responseCode === 550) {
-            console.error('\n⚠️  MICROSOFT 365 ERROR:');
-            console.error('   - Mailbox unavailable');
-            console.error('   - Recipient email might be invalid or rejected');
-          } else if (emailError.responseCode === 421) {
-            console.error('\n⚠️  MICROSOFT 365 SERVICE ERROR:');
-            console.error('   - Service temporarily unavailable');
-            console.error('   - Try again later');
-          }
-          
-          // Stack trace for debugging
-          if (process.env.NODE_ENV === 'development') {
-            console.error('\nStack Trace:');
-            console.error(emailError.stack);
-          }
-          
-          console.error('========================================\n');
-        }
-      })();
-    }
+    const completion = await finishSectionSave(
+      requestData,
+      serviceResult,
+      req.user
+    );
 
     return responseBuilder.json({
       message: baseMessage,
@@ -3194,7 +2340,8 @@ router.post('/section-answers', authMiddleware, async (req, res) => {
           serviceResult.sectionOrder.length > 0
             ? serviceResult.sectionOrder.length
             : 1,
-        completedSections: completedSections,
+        completedSections: formatCompletedSections(completion),
+        completion: formatCompletion(completion),
         hasTemplate: serviceResult.template,
         navigation: {
           canGoToNext: serviceResult.nextSection !== null,
@@ -3215,6 +2362,11 @@ router.post('/section-answers', authMiddleware, async (req, res) => {
     console.error('Error message:', error.message);
     console.error('Error stack:', error.stack);
 
+    // Strict validation errors carry the per-field list for the app
+    if (error instanceof HttpError) {
+      return handleError(res, error, 'save section answers');
+    }
+
     if (
       error.message.includes('Missing required field') ||
       error.message.includes('must be') ||
@@ -3254,7 +2406,7 @@ router.post('/section-answers', authMiddleware, async (req, res) => {
 // =============================================================================
 
 // GET /api/inspections/:id/devices - Get devices for an inspection
-router.get('/:id/devices', authMiddleware, async (req, res) => {
+router.get('/:id/devices', authMiddleware, requirePermission('inspections:read'), async (req, res) => {
   try {
     const inspectionId = BigInt(req.params.id);
     const inspection = await verifyInspectionAccess(
@@ -3282,9 +2434,10 @@ router.get('/:id/devices', authMiddleware, async (req, res) => {
       }
     );
 
-    const templateQuestions = inspection.template?.questions || [];
-    const sections =
-      sectionAnswersService.getTemplateSections(templateQuestions);
+    const resolvedTemplate = await resolveInspectionTemplate(prisma, inspection);
+    const sections = sectionAnswersService.getTemplateSections(
+      resolvedTemplate?.questions || []
+    );
     const sectionAnswers = await prisma.InspectionAnswer.findMany({
       where: { inspectionId: inspectionId },
       orderBy: { answeredAt: 'asc' },
@@ -3311,9 +2464,10 @@ router.get('/:id/devices', authMiddleware, async (req, res) => {
       }
     });
 
-    const completedSections = await getCompletedSections(inspectionId);
+    const completion =
+      await sectionAnswersService.getInspectionCompletion(inspection);
 
-    // Format device info for cross-organization support
+    // Format device info
     const deviceInfo = inspection.device ? {
       id: inspection.device.id.toString(),
       serialNumber: inspection.device.serialNumber,
@@ -3351,7 +2505,7 @@ router.get('/:id/devices', authMiddleware, async (req, res) => {
           id: inspection.id.toString(),
           title: inspection.title,
           status: inspection.status,
-          progress: inspection.progress,
+          progress: completion.progress,
           assignedTo: inspection.assignee
             ? {
                 id: inspection.assignee.id.toString(),
@@ -3367,16 +2521,18 @@ router.get('/:id/devices', authMiddleware, async (req, res) => {
           id: inspection.template?.id?.toString(),
           name: inspection.template?.name,
           type: inspection.template?.type,
+          version: resolvedTemplate?.version,
           sections: sections,
           totalSections: Object.keys(sections).length,
         },
         answers: organizedAnswers,
         metadata: inspectionMetadata,
-        completedSections: completedSections,
+        completedSections: formatCompletedSections(completion),
+        completion: formatCompletion(completion),
         summary: {
           totalSections: Object.keys(sections).length,
-          completedSections: completedSections.length,
-          progress: inspection.progress || 0,
+          completedSections: completion.completedSections.length,
+          progress: completion.progress,
         },
       },
     });
@@ -3386,7 +2542,7 @@ router.get('/:id/devices', authMiddleware, async (req, res) => {
 });
 
 // GET all device models
-router.get('/device-models', authMiddleware, async (req, res) => {
+router.get('/device-models', authMiddleware, requirePermission('inspections:read'), async (req, res) => {
   try {
     const deviceModels = await prisma.DeviceModel.findMany({
       include: { _count: { select: { devices: true } } },
@@ -3414,7 +2570,7 @@ router.get('/device-models', authMiddleware, async (req, res) => {
 });
 
 // GET specific device model by ID
-router.get('/device-models/:id', authMiddleware, async (req, res) => {
+router.get('/device-models/:id', authMiddleware, requirePermission('inspections:read'), async (req, res) => {
   try {
     const deviceModel = await prisma.DeviceModel.findUnique({
       where: { id: BigInt(req.params.id) },
@@ -3471,13 +2627,13 @@ router.get('/device-models/:id', authMiddleware, async (req, res) => {
 });
 
 // GET all devices (for organization users + devices from assigned inspections)
-router.get('/devices', authMiddleware, async (req, res) => {
+router.get('/devices', authMiddleware, requirePermission('inspections:read'), async (req, res) => {
   try {
     const orgIdFromToken = req.user.orgId;
     const userId = BigInt(req.user.id);
     const { status, siteId, modelId, search, page = 1, limit = 10 } = req.query;
 
-    // Get device IDs from inspections assigned to this user (cross-organization support)
+    // Get device IDs from inspections assigned to this user
     const assignedInspections = await prisma.Inspection.findMany({
       where: {
         assignedTo: userId,
@@ -3585,7 +2741,7 @@ router.get('/devices', authMiddleware, async (req, res) => {
 });
 
 // GET specific device by ID
-router.get('/devices/:id', authMiddleware, async (req, res) => {
+router.get('/devices/:id', authMiddleware, requirePermission('inspections:read'), async (req, res) => {
   try {
     const device = await prisma.Device.findFirst({
       where: {
@@ -3693,7 +2849,7 @@ router.get('/devices/:id', authMiddleware, async (req, res) => {
  * GET /api/inspections/device/:deviceId
  * Get all inspections for a specific device
  */
-router.get('/device/:deviceId', authMiddleware, async (req, res) => {
+router.get('/device/:deviceId', authMiddleware, requirePermission('inspections:read'), async (req, res) => {
   try {
     const { deviceId } = req.params;
 
@@ -3771,7 +2927,7 @@ router.get('/device/:deviceId', authMiddleware, async (req, res) => {
 // =============================================================================
 
 // GET inspection by ID
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, requirePermission('inspections:read'), async (req, res) => {
   try {
     const inspectionId = BigInt(req.params.id);
     const inspection = await verifyInspectionAccess(
@@ -3796,8 +2952,13 @@ router.get('/:id', authMiddleware, async (req, res) => {
         assignedTo: true,
         createdBy: true,
         notes: true,
+        reviewedAt: true,
+        rejectionReason: true,
         createdAt: true,
         updatedAt: true,
+        reviewer: {
+          select: { id: true, fullName: true, email: true },
+        },
         device: {
           select: {
             id: true,
@@ -3845,6 +3006,15 @@ router.get('/:id', authMiddleware, async (req, res) => {
       assignedTo: inspection.assignedTo?.toString(),
       createdBy: inspection.createdBy?.toString(),
       notes: inspection.notes,
+      reviewedAt: inspection.reviewedAt,
+      rejectionReason: inspection.rejectionReason,
+      reviewer: inspection.reviewer
+        ? {
+            id: inspection.reviewer.id.toString(),
+            fullName: inspection.reviewer.fullName,
+            email: inspection.reviewer.email,
+          }
+        : null,
       createdAt: inspection.createdAt,
       updatedAt: inspection.updatedAt,
       device: inspection.device
@@ -3911,7 +3081,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
  * POST /api/inspections
  * Create a new inspection
  */
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', authMiddleware, requirePermission('inspections:create'), async (req, res) => {
   try {
     const {
       orgId,
@@ -3955,7 +3125,8 @@ router.post('/', authMiddleware, async (req, res) => {
     const finalSiteId = siteId || device.siteId?.toString();
     const finalContractId = contractId || device.contractId?.toString();
 
-    // Verify template if provided
+    // Verify template if provided and pin its current version
+    let templateVersion = null;
     if (templateId) {
       const template = await prisma.InspectionTemplate.findUnique({
         where: { id: BigInt(templateId) },
@@ -3967,6 +3138,15 @@ router.post('/', authMiddleware, async (req, res) => {
           message: 'Template not found',
         });
       }
+
+      if (!template.isActive) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Template is archived',
+        });
+      }
+
+      templateVersion = await getLatestTemplateVersion(prisma, template.id);
     }
 
     // Normalize type to uppercase (Prisma enum requirement)
@@ -3980,6 +3160,7 @@ router.post('/', authMiddleware, async (req, res) => {
         siteId: finalSiteId ? BigInt(finalSiteId) : null,
         contractId: finalContractId ? BigInt(finalContractId) : null,
         templateId: templateId ? BigInt(templateId) : null,
+        templateVersionId: templateVersion?.id || null,
         type: normalizedType,
         title: title,
         scheduledAt: scheduledAt ? new Date(scheduledAt) : null,
@@ -4067,7 +3248,7 @@ router.post('/', authMiddleware, async (req, res) => {
  * PUT /api/inspections/:id
  * Update an inspection
  */
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission('inspections:update'), async (req, res) => {
   try {
     const { id } = req.params;
     const { title, scheduledAt, notes, status } = req.body;
@@ -4090,37 +3271,67 @@ router.put('/:id', authMiddleware, async (req, res) => {
     // Build update data
     const updateData = {};
     if (title !== undefined) updateData.title = title;
-    if (scheduledAt !== undefined)
+    if (scheduledAt !== undefined) {
       updateData.scheduledAt = scheduledAt ? new Date(scheduledAt) : null;
+      // A new planned date is announced again once it passes
+      updateData.overdueNotifiedAt = null;
+    }
     if (notes !== undefined) updateData.notes = notes;
-    if (status !== undefined) updateData.status = status;
     updateData.updatedBy = BigInt(req.user.id);
 
-    // Update inspection
-    const updatedInspection = await prisma.Inspection.update({
-      where: { id: BigInt(id) },
-      data: updateData,
-      include: {
-        device: {
-          select: {
-            id: true,
-            serialNumber: true,
-            assetTag: true,
+    // Review decisions have their own endpoints (approve / reject / cancel)
+    const reviewEndpoints = {
+      APPROVED: 'approve',
+      REJECTED: 'reject',
+      CANCELED: 'cancel',
+    };
+    const nextStatus = status ? String(status).toUpperCase() : undefined;
+    if (reviewEndpoints[nextStatus]) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `Use POST /api/inspections/${id}/${reviewEndpoints[nextStatus]} to set status ${nextStatus}`,
+      });
+    }
+
+    if (nextStatus === 'SUBMITTED' && inspection.status !== 'SUBMITTED') {
+      await assertSectionsComplete(inspection, null, req.body);
+      await assertInspectionComplete(inspection);
+    }
+
+    // Update inspection; status changes go through the workflow state machine
+    const updatedInspection = await prisma.$transaction(async tx => {
+      if (nextStatus) {
+        await transitionInspection(tx, inspection.id, nextStatus, {
+          userId: req.user.id,
+          source: 'inspection-update',
+        });
+      }
+
+      return tx.inspection.update({
+        where: { id: BigInt(id) },
+        data: updateData,
+        include: {
+          device: {
+            select: {
+              id: true,
+              serialNumber: true,
+              assetTag: true,
+            },
           },
-        },
-        site: {
-          select: {
-            id: true,
-            name: true,
+          site: {
+            select: {
+              id: true,
+              name: true,
+            },
           },
-        },
-        template: {
-          select: {
-            id: true,
-            name: true,
+          template: {
+            select: {
+              id: true,
+              name: true,
+            },
           },
         },
-      },
+      });
     });
 
     res.json({
@@ -4160,6 +3371,9 @@ router.put('/:id', authMiddleware, async (req, res) => {
       },
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return handleError(res, error, 'update inspection');
+    }
     console.error('Error updating inspection:', error);
     res.status(500).json({
       error: 'Failed to update inspection',
@@ -4175,7 +3389,7 @@ router.put('/:id', authMiddleware, async (req, res) => {
  * DELETE /api/inspections/:id
  * Hard delete an inspection (permanently remove from MySQL)
  */
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission('inspections:delete'), async (req, res) => {
   try {
     const { id } = req.params;
     console.log(`🗑️ DELETE inspection request: ID=${id}, User=${req.user.id}`);
@@ -4199,38 +3413,8 @@ router.delete('/:id', authMiddleware, async (req, res) => {
     console.log(`✅ Inspection found: ${inspection.title} (ID=${id})`);
 
     // Hard delete - permanently remove from database
-    // First, delete related inspection_question_images (raw SQL table)
-    try {
-      // Check if inspection_question_images table exists
-      const tableCheck = await prisma.$queryRaw`
-        SELECT COUNT(*) as count
-        FROM information_schema.tables
-        WHERE table_schema = DATABASE()
-        AND table_name = 'inspection_question_images'
-      `;
-      
-      const tableExists = tableCheck?.[0]?.count > 0;
-      
-      if (tableExists) {
-        console.log(`🗑️ Deleting related images from inspection_question_images for inspection ${id}...`);
-        
-        // Delete images using inspection_id directly
-        const deleteResult = await prisma.$executeRaw`
-          DELETE FROM inspection_question_images
-          WHERE inspection_id = ${BigInt(id)}
-        `;
-        
-        console.log(`✅ Deleted images from inspection_question_images for inspection ${id} (affected rows: ${deleteResult})`);
-      } else {
-        console.log(`⚠️ inspection_question_images table does not exist, skipping image deletion`);
-      }
-    } catch (imageError) {
-      console.error('⚠️ Error deleting inspection_question_images (non-critical):', imageError.message);
-      // Continue with inspection deletion even if image deletion fails
-    }
-
     // Hard delete the inspection
-    // This will cascade delete InspectionAnswer, InspectionQuestionAnswer, and Attachment records
+    // This will cascade delete InspectionAnswer (and its question images), InspectionQuestionAnswer, and Attachment records
     console.log(`🗑️ Attempting to hard delete inspection: ${inspection.title} (ID=${id})`);
     const deletedInspection = await prisma.Inspection.delete({
       where: { id: BigInt(id) },
@@ -4266,7 +3450,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
  * PUT /api/inspections/:id/assign
  * Assign an inspection to a user
  */
-router.put('/:id/assign', authMiddleware, async (req, res) => {
+router.put('/:id/assign', authMiddleware, requirePermission('inspections:assign'), async (req, res) => {
   try {
     const { id } = req.params;
     const { userId } = req.body;
@@ -4312,14 +3496,15 @@ router.put('/:id/assign', authMiddleware, async (req, res) => {
       });
     }
 
-    // Optionally verify user belongs to same organization as inspection
-    // (commented out to allow admin to assign across organizations)
-    // if (targetUser.orgId !== inspection.orgId) {
-    //   return res.status(400).json({
-    //     error: 'Invalid assignment',
-    //     message: 'User must belong to the same organization as the inspection',
-    //   });
-    // }
+    // Assignees must belong to the inspection's organization. Users of other
+    // tenants are already hidden by the scoped client; this also stops
+    // platform administrators from assigning across organizations.
+    if (targetUser.orgId !== inspection.orgId) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: "User not found in the inspection's organization",
+      });
+    }
 
     // Update inspection assignee
     // DRAFT status is fine - it will be shown in Flutter app
@@ -4331,6 +3516,7 @@ router.put('/:id/assign', authMiddleware, async (req, res) => {
       where: { id: BigInt(id) },
       data: {
         assignedTo: BigInt(userId),
+        assignedBy: BigInt(req.user.id),
         updatedBy: BigInt(req.user.id),
         // Keep current status - DRAFT status is fine and will be shown in Flutter app
       },
@@ -4366,63 +3552,14 @@ router.put('/:id/assign', authMiddleware, async (req, res) => {
     console.log(`[PUT /:id/assign] Updated inspection status: ${updatedInspection.status}`);
     console.log(`[PUT /:id/assign] Updated inspection assignedTo: ${updatedInspection.assignedTo?.toString()}`);
 
-    if (updatedInspection.assignee?.email) {
-      const orgName = updatedInspection.organization?.name || 'Тодорхойгүй байгууллага';
-      const siteName = updatedInspection.site?.name || 'Талбайн мэдээлэл байхгүй';
-      const scheduledDate = formatDateTime(updatedInspection.scheduledAt);
-      const deviceParts = [];
-
-      if (updatedInspection.device?.serialNumber) {
-        deviceParts.push(`Сериал: ${updatedInspection.device.serialNumber}`);
-      }
-
-      if (updatedInspection.device?.assetTag) {
-        deviceParts.push(`Asset: ${updatedInspection.device.assetTag}`);
-      }
-
-      const deviceInfo =
-        deviceParts.length > 0
-          ? deviceParts.join(' / ')
-          : 'Төхөөрөмжийн дэлгэрэнгүй мэдээлэл одоогоор байхгүй байна.';
-
-      const instructions = updatedInspection.notes?.trim()
-        ? updatedInspection.notes.trim()
-        : 'Нэмэлт заавар ирээгүй байна. Дэлгэрэнгүйг систем дээрх тэмдэглэлээс шалгана уу.';
-
-      const subject = `Шинэ үзлэгийн томилолт - ${updatedInspection.title}`;
-      const text = [
-        `Сайн байна уу ${updatedInspection.assignee.fullName || ''},`,
-        '',
-        'Танд дараах үзлэгийн томилолт ирлээ:',
-        `• Үзлэг: ${updatedInspection.title}`,
-        `• Төрөл: ${updatedInspection.type}`,
-        `• Төлөвлөсөн огноо: ${scheduledDate}`,
-        `• Байгууллага: ${orgName}`,
-        `• Талбай: ${siteName}`,
-        `• Төхөөрөмж: ${deviceInfo}`,
-        '',
-        'Үзлэгийн заавар / тэмдэглэл:',
-        instructions,
-        '',
-        'Амжилттай гүйцэтгэнэ үү.',
-        '',
-        'Хүндэтгэсэн,',
-        'Inspection System',
-      ].join('\n');
-
-      try {
-        await sendInspectionAssignmentEmail({
-          to: updatedInspection.assignee.email,
-          subject,
-          text,
-        });
-      } catch (emailError) {
-        console.error('Failed to send assignment email:', emailError);
-      }
-    } else {
-      console.warn(
-        `Assigned user ${userId} does not have an email address, skipping notification.`
-      );
+    // Recipients and wording come from the organization's notification settings
+    try {
+      await sendInspectionNotification('assigned', {
+        inspectionId: updatedInspection.id,
+        createdBy: req.user.id,
+      });
+    } catch (emailError) {
+      console.error('Failed to queue assignment email:', emailError);
     }
 
     res.json({
@@ -4451,4 +3588,187 @@ router.put('/:id/assign', authMiddleware, async (req, res) => {
   }
 });
 
+// =============================================================================
+// REVIEW WORKFLOW - APPROVE / REJECT / REOPEN / CANCEL
+// =============================================================================
+
+const MIN_REJECTION_REASON_LENGTH = 3;
+
+const formatReviewResult = inspection => ({
+  id: inspection.id.toString(),
+  status: inspection.status,
+  startedAt: inspection.startedAt,
+  completedAt: inspection.completedAt,
+  reviewedBy: inspection.reviewedBy?.toString() || null,
+  reviewedAt: inspection.reviewedAt,
+  rejectionReason: inspection.rejectionReason,
+  updatedAt: inspection.updatedAt,
+});
+
+/**
+ * Queue the notification of a review decision (approved / rejected)
+ */
+async function sendReviewEmail(event, inspection) {
+  try {
+    await sendInspectionNotification(event, {
+      inspectionId: inspection.id,
+      createdBy: inspection.reviewedBy,
+    });
+  } catch (emailError) {
+    console.error(`Failed to queue ${event} email:`, emailError);
+  }
+}
+
+/**
+ * POST /api/inspections/:id/approve
+ * Approve a submitted inspection (inspections:review)
+ */
+router.post(
+  '/:id/approve',
+  authMiddleware,
+  requirePermission('inspections:review'),
+  async (req, res) => {
+    try {
+      const inspection = await verifyInspectionAccess(
+        parseBigIntId(req.params.id),
+        req.user.id,
+        req.user.orgId
+      );
+
+      const { inspection: updated } = await changeInspectionStatus(
+        inspection.id,
+        'APPROVED',
+        { userId: req.user.id, source: 'review' }
+      );
+
+      // Queue the notification (delivered by the email outbox)
+      await sendReviewEmail('approved', updated);
+
+      res.json({
+        message: 'Inspection approved successfully',
+        data: formatReviewResult(updated),
+      });
+    } catch (error) {
+      handleError(res, error, 'approve inspection');
+    }
+  }
+);
+
+/**
+ * POST /api/inspections/:id/reject
+ * Send a submitted inspection back to the assignee with a mandatory reason
+ */
+router.post(
+  '/:id/reject',
+  authMiddleware,
+  requirePermission('inspections:review'),
+  async (req, res) => {
+    try {
+      const reason =
+        typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+      if (reason.length < MIN_REJECTION_REASON_LENGTH) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: `reason is required (at least ${MIN_REJECTION_REASON_LENGTH} characters)`,
+        });
+      }
+
+      const inspection = await verifyInspectionAccess(
+        parseBigIntId(req.params.id),
+        req.user.id,
+        req.user.orgId
+      );
+
+      const { inspection: updated } = await changeInspectionStatus(
+        inspection.id,
+        'REJECTED',
+        { userId: req.user.id, reason, source: 'review' }
+      );
+
+      // Queue the notification (delivered by the email outbox)
+      await sendReviewEmail('rejected', updated);
+
+      res.json({
+        message: 'Inspection rejected successfully',
+        data: formatReviewResult(updated),
+      });
+    } catch (error) {
+      handleError(res, error, 'reject inspection');
+    }
+  }
+);
+
+/**
+ * POST /api/inspections/:id/reopen
+ * Reopen a rejected inspection for editing (assignee or inspections:review)
+ */
+router.post(
+  '/:id/reopen',
+  authMiddleware,
+  requirePermission('inspections:answer', 'inspections:review'),
+  async (req, res) => {
+    try {
+      const inspection = await verifyInspectionAccess(
+        parseBigIntId(req.params.id),
+        req.user.id,
+        req.user.orgId
+      );
+
+      if (
+        inspection.assignedTo?.toString() !== String(req.user.id) &&
+        !req.user.permissions.includes('inspections:review')
+      ) {
+        throw new Error('You do not have access to reopen this inspection');
+      }
+
+      const { inspection: updated } = await changeInspectionStatus(
+        inspection.id,
+        'IN_PROGRESS',
+        { userId: req.user.id, source: 'reopen' }
+      );
+
+      res.json({
+        message: 'Inspection reopened successfully',
+        data: formatReviewResult(updated),
+      });
+    } catch (error) {
+      handleError(res, error, 'reopen inspection');
+    }
+  }
+);
+
+/**
+ * POST /api/inspections/:id/cancel
+ * Cancel an open inspection (inspections:review)
+ */
+router.post(
+  '/:id/cancel',
+  authMiddleware,
+  requirePermission('inspections:review'),
+  async (req, res) => {
+    try {
+      const inspection = await verifyInspectionAccess(
+        parseBigIntId(req.params.id),
+        req.user.id,
+        req.user.orgId
+      );
+
+      const reason =
+        typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+      const { inspection: updated } = await changeInspectionStatus(
+        inspection.id,
+        'CANCELED',
+        { userId: req.user.id, reason: reason || undefined, source: 'review' }
+      );
+
+      res.json({
+        message: 'Inspection canceled successfully',
+        data: formatReviewResult(updated),
+      });
+    } catch (error) {
+      handleError(res, error, 'cancel inspection');
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,109 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenantScope');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { handleError } = require('../utils/routeHelpers');
+const { HttpError } = require('../utils/errors');
+const { getStorage } = require('../utils/storage');
+const { toStorageKey, inferMimeType } = require('../utils/imageStorage');
+const { verifyMediaSignature } = require('../utils/mediaUrls');
+const {
+  verifyInspectionAccess,
+} = require('../services/inspection-access-service');
+
+const router = express.Router();
+const prisma = withTenantScope(new PrismaClient());
+
+/**
+ * Image row stored under a key (original or derivative). Rows keep full URLs
+ * (media, legacy /uploads or ftp://), so the key is matched as the last path
+ * segments.
+ */
+async function findImageByKey(key) {
+  return prisma.QuestionImage.findFirst({
+    where: {
+      OR: [
+        { imageUrl: key },
+        { imageUrl: { endsWith: `/${key}` } },
+        { thumbnailUrl: { endsWith: `/${key}` } },
+        { mediumUrl: { endsWith: `/${key}` } },
+      ],
+    },
+    select: { id: true, answer: { select: { inspectionId: true } } },
+  });
+}
+
+async function sendObject(res, key, cacheControl) {
+  const data = await getStorage().get(key);
+  if (!data) {
+    throw new HttpError(404, 'Not Found', 'File not found');
+  }
+  res.setHeader('Cache-Control', cacheControl);
+  res.type(inferMimeType(key)).send(data);
+}
+
+// =============================================================================
+// MEDIA
+// =============================================================================
+
+/**
+ * GET /api/media/<key>?expires=<unix seconds>&signature=<hex>
+ * Signed links (see utils/mediaUrls) are served without authentication
+ * until they expire; other requests fall through to the authenticated handler.
+ */
+router.get('/*', async (req, res, next) => {
+  if (!req.query.signature) {
+    return next();
+  }
+
+  try {
+    const key = toStorageKey(req.params[0]);
+    if (!verifyMediaSignature(key, req.query.expires, req.query.signature)) {
+      throw new HttpError(403, 'Forbidden', 'Invalid or expired media link');
+    }
+    const maxAge = Math.max(
+      parseInt(req.query.expires, 10) - Math.floor(Date.now() / 1000),
+      0
+    );
+    // Signed links are embedded by other origins (admin web, email clients)
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    await sendObject(res, key, `private, max-age=${maxAge}`);
+  } catch (error) {
+    handleError(res, error, 'serve signed media');
+  }
+});
+
+/**
+ * GET /api/media/<key>
+ * Authenticated access: the caller must be able to see the inspection the
+ * image belongs to (images not linked to an answer yet: the uploader's
+ * organization).
+ */
+router.get(
+  '/*',
+  authMiddleware,
+  requirePermission('inspections:read'),
+  async (req, res) => {
+    try {
+      const key = toStorageKey(req.params[0]);
+      const image = key ? await findImageByKey(key) : null;
+      if (!image) {
+        throw new HttpError(404, 'Not Found', 'File not found');
+      }
+
+      if (image.answer) {
+        await verifyInspectionAccess(
+          image.answer.inspectionId,
+          req.user.id,
+          req.user.orgId
+        );
+      }
+
+      await sendObject(res, key, 'private, no-cache');
+    } catch (error) {
+      handleError(res, error, 'serve media');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,620 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { handleError, parseBigIntId } = require('../utils/routeHelpers');
+const { HttpError } = require('../utils/errors');
+const {
+  resendEmail,
+  formatOutboxMessage,
+} = require('../services/email-outbox-service');
+const {
+  EMAIL_LOCALES,
+  EMAIL_EVENTS,
+  PLACEHOLDERS,
+  SAMPLE_CONTEXT,
+  parseEmailEvent,
+  parseEmailLocale,
+  validateEmailTemplate,
+  resolveEmailTemplate,
+  renderEmailContent,
+  formatEmailTemplate,
+} = require('../services/email-template-service');
+const {
+  NOTIFICATION_EVENTS,
+  parseNotificationEvent,
+  parseNotificationEvents,
+  parseRecipientEmail,
+  getNotificationSettings,
+  updateNotificationSetting,
+  formatNotificationRecipient,
+} = require('../services/notification-service');
+
+const router = express.Router();
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
+
+const MAX_PAGE_SIZE = 200;
+const OUTBOX_STATUSES = ['PENDING', 'SENDING', 'SENT', 'DEAD'];
+
+/**
+ * Organization whose notification settings are used: ?orgId= (or
+ * body.orgId), default the user's own. Other organizations are hidden by the
+ * scoped client.
+ */
+async function findNotificationOrganization(req) {
+  const orgId = req.body?.orgId ?? req.query.orgId ?? req.user.orgId;
+  const organization = await prisma.Organization.findUnique({
+    where: { id: parseBigIntId(orgId) },
+    select: { id: true, name: true, emailLocale: true },
+  });
+  if (!organization) {
+    throw new HttpError(404, 'Not Found', 'Organization not found');
+  }
+  return organization;
+}
+
+const formatNotificationOrganization = organization => ({
+  id: organization.id.toString(),
+  name: organization.name,
+  emailLocale: organization.emailLocale,
+});
+
+// =============================================================================
+// EMAIL OUTBOX
+// =============================================================================
+
+/**
+ * GET /api/notifications/outbox
+ * Query: status, kind, inspectionId, to, page, limit
+ * Example: ?status=DEAD – emails that gave up and need a resend
+ */
+router.get(
+  '/outbox',
+  authMiddleware,
+  requirePermission('notifications:read'),
+  async (req, res) => {
+    try {
+      const { status, kind, inspectionId, to } = req.query;
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit) || 50, 1),
+        MAX_PAGE_SIZE
+      );
+
+      const where = {};
+      if (status) {
+        const normalized = String(status).toUpperCase();
+        if (!OUTBOX_STATUSES.includes(normalized)) {
+          return res.status(400).json({
+            error: 'Validation Error',
+            message: `status must be one of: ${OUTBOX_STATUSES.join(', ')}`,
+          });
+        }
+        where.status = normalized;
+      }
+      if (kind) where.kind = String(kind);
+      if (inspectionId) where.inspectionId = parseBigIntId(inspectionId);
+      if (to) {
+        where.OR = [
+          { toAddress: { contains: String(to) } },
+          { ccAddress: { contains: String(to) } },
+        ];
+      }
+
+      const [messages, totalCount] = await Promise.all([
+        prisma.EmailOutbox.findMany({
+          where,
+          orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        prisma.EmailOutbox.count({ where }),
+      ]);
+
+      const totalPages = Math.ceil(totalCount / limit);
+      res.json({
+        message: 'Outbox retrieved successfully',
+        data: messages.map(message => formatOutboxMessage(message)),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      });
+    } catch (error) {
+      handleError(res, error, 'fetch outbox');
+    }
+  }
+);
+
+/**
+ * GET /api/notifications/outbox/:id
+ * One email with its body and delivery log
+ */
+router.get(
+  '/outbox/:id',
+  authMiddleware,
+  requirePermission('notifications:read'),
+  async (req, res) => {
+    try {
+      const message = await prisma.EmailOutbox.findUnique({
+        where: { id: parseBigIntId(req.params.id) },
+      });
+      if (!message) {
+        return res.status(404).json({
+          error: 'Email not found',
+          message: 'The requested email does not exist',
+        });
+      }
+
+      res.json({
+        message: 'Email fetched successfully',
+        data: formatOutboxMessage(message, { includeBody: true }),
+      });
+    } catch (error) {
+      handleError(res, error, 'fetch email');
+    }
+  }
+);
+
+/**
+ * POST /api/notifications/outbox/:id/resend
+ * Queue a DEAD (or already SENT) email again
+ */
+router.post(
+  '/outbox/:id/resend',
+  authMiddleware,
+  requirePermission('notifications:manage'),
+  async (req, res) => {
+    try {
+      const message = await resendEmail(parseBigIntId(req.params.id));
+      res.json({
+        message: 'Email queued for delivery',
+        data: formatOutboxMessage(message),
+      });
+    } catch (error) {
+      handleError(res, error, 'resend email');
+    }
+  }
+);
+
+// =============================================================================
+// EMAIL TEMPLATES
+// =============================================================================
+
+/**
+ * GET /api/notifications/templates
+ * Query: orgId
+ * Every event in every locale, with the source of its wording
+ * (organization or default) and the placeholders templates can use
+ */
+router.get(
+  '/templates',
+  authMiddleware,
+  requirePermission('notifications:read', 'notifications:manage'),
+  async (req, res) => {
+    try {
+      const organization = await findNotificationOrganization(req);
+
+      const templates = [];
+      for (const event of EMAIL_EVENTS) {
+        for (const locale of EMAIL_LOCALES) {
+          const resolved = await resolveEmailTemplate(event, {
+            orgId: organization.id,
+            locale,
+          });
+          templates.push(formatEmailTemplate(resolved, { includeBody: false }));
+        }
+      }
+
+      res.json({
+        message: 'Email templates retrieved successfully',
+        data: {
+          organization: formatNotificationOrganization(organization),
+          locales: EMAIL_LOCALES,
+          placeholders: PLACEHOLDERS,
+          templates,
+        },
+      });
+    } catch (error) {
+      handleError(res, error, 'fetch email templates');
+    }
+  }
+);
+
+/**
+ * GET /api/notifications/templates/:event/:locale
+ * Query: orgId
+ * Example: /templates/inspection.assigned/en
+ */
+router.get(
+  '/templates/:event/:locale',
+  authMiddleware,
+  requirePermission('notifications:read', 'notifications:manage'),
+  async (req, res) => {
+    try {
+      const event = parseEmailEvent(req.params.event);
+      const locale = parseEmailLocale(req.params.locale);
+      const organization = await findNotificationOrganization(req);
+
+      const resolved = await resolveEmailTemplate(event, {
+        orgId: organization.id,
+        locale,
+      });
+      res.json({
+        message: 'Email template fetched successfully',
+        data: formatEmailTemplate(resolved),
+      });
+    } catch (error) {
+      handleError(res, error, 'fetch email template');
+    }
+  }
+);
+
+/**
+ * PUT /api/notifications/templates/:event/:locale
+ * Body: { orgId?, subject, textBody, htmlBody? }
+ * Store the organization's wording of an event
+ */
+router.put(
+  '/templates/:event/:locale',
+  authMiddleware,
+  requirePermission('notifications:manage'),
+  async (req, res) => {
+    try {
+      const event = parseEmailEvent(req.params.event);
+      const locale = parseEmailLocale(req.params.locale);
+      const content = validateEmailTemplate(req.body);
+      const organization = await findNotificationOrganization(req);
+      const userId = BigInt(req.user.id);
+
+      await prisma.EmailTemplate.upsert({
+        where: {
+          orgId_event_locale: { orgId: organization.id, event, locale },
+        },
+        create: {
+          orgId: organization.id,
+          event,
+          locale,
+          ...content,
+          updatedBy: userId,
+        },
+        update: { ...content, updatedBy: userId },
+      });
+
+      const resolved = await resolveEmailTemplate(event, {
+        orgId: organization.id,
+        locale,
+      });
+      res.json({
+        message: 'Email template saved successfully',
+        data: formatEmailTemplate(resolved),
+      });
+    } catch (error) {
+      handleError(res, error, 'save email template');
+    }
+  }
+);
+
+/**
+ * DELETE /api/notifications/templates/:event/:locale
+ * Query: orgId
+ * Drop the organization's wording; the built-in wording is used again
+ */
+router.delete(
+  '/templates/:event/:locale',
+  authMiddleware,
+  requirePermission('notifications:manage'),
+  async (req, res) => {
+    try {
+      const event = parseEmailEvent(req.params.event);
+      const locale = parseEmailLocale(req.params.locale);
+      const organization = await findNotificationOrganization(req);
+
+      await prisma.EmailTemplate.deleteMany({
+        where: { orgId: organization.id, event, locale },
+      });
+
+      const resolved = await resolveEmailTemplate(event, {
+        orgId: organization.id,
+        locale,
+      });
+      res.json({
+        message: 'Email template reset to the built-in wording',
+        data: formatEmailTemplate(resolved),
+      });
+    } catch (error) {
+      handleError(res, error, 'reset email template');
+    }
+  }
+);
+
+/**
+ * POST /api/notifications/templates/:event/:locale/preview
+ * Body: { orgId?, subject?, textBody?, htmlBody? }
+ * Render the stored template, or the unsaved draft in the body, with sample
+ * data
+ */
+router.post(
+  '/templates/:event/:locale/preview',
+  authMiddleware,
+  requirePermission('notifications:read', 'notifications:manage'),
+  async (req, res) => {
+    try {
+      const event = parseEmailEvent(req.params.event);
+      const locale = parseEmailLocale(req.params.locale);
+      const organization = await findNotificationOrganization(req);
+
+      const resolved = await resolveEmailTemplate(event, {
+        orgId: organization.id,
+        locale,
+      });
+      const { subject, textBody, htmlBody } = req.body || {};
+      const isDraft = [subject, textBody, htmlBody].some(
+        part => part !== undefined
+      );
+      const template = isDraft
+        ? validateEmailTemplate({
+            subject: subject ?? resolved.subject,
+            textBody: textBody ?? resolved.textBody,
+            htmlBody: htmlBody === undefined ? resolved.htmlBody : htmlBody,
+          })
+        : resolved;
+
+      res.json({
+        message: 'Email preview rendered successfully',
+        data: {
+          event,
+          locale,
+          source: isDraft ? 'draft' : resolved.source,
+          ...renderEmailContent(template, SAMPLE_CONTEXT, locale),
+        },
+      });
+    } catch (error) {
+      handleError(res, error, 'preview email template');
+    }
+  }
+);
+
+// =============================================================================
+// RECIPIENT RULES
+// =============================================================================
+
+const RECIPIENT_INCLUDE = {
+  contract: { select: { id: true, contractName: true, contractNumber: true } },
+};
+
+/**
+ * Contract of a recipient rule; it must belong to the rule's organization
+ * @returns {Promise<BigInt|null>}
+ */
+async function parseRecipientContract(contractId, organization) {
+  if (contractId === null || contractId === undefined || contractId === '') {
+    return null;
+  }
+  const contract = await prisma.Contract.findUnique({
+    where: { id: parseBigIntId(contractId) },
+    select: { id: true, orgId: true },
+  });
+  if (!contract || contract.orgId !== organization.id) {
+    throw new HttpError(
+      404,
+      'Not Found',
+      "Contract not found in the recipient's organization"
+    );
+  }
+  return contract.id;
+}
+
+async function findRecipient(id) {
+  const recipient = await prisma.NotificationRecipient.findUnique({
+    where: { id: parseBigIntId(id) },
+    include: RECIPIENT_INCLUDE,
+  });
+  if (!recipient) {
+    throw new HttpError(404, 'Not Found', 'Notification recipient not found');
+  }
+  return recipient;
+}
+
+/**
+ * GET /api/notifications/recipients
+ * Query: orgId, contractId, event
+ * Example: ?contractId=5 – recipients of one contract (organization-wide
+ * recipients have no contractId)
+ */
+router.get(
+  '/recipients',
+  authMiddleware,
+  requirePermission('notifications:read', 'notifications:manage'),
+  async (req, res) => {
+    try {
+      const organization = await findNotificationOrganization(req);
+      const { contractId, event } = req.query;
+
+      const where = { orgId: organization.id };
+      if (contractId) where.contractId = parseBigIntId(contractId);
+      const recipients = await prisma.NotificationRecipient.findMany({
+        where,
+        include: RECIPIENT_INCLUDE,
+        orderBy: [{ contractId: 'asc' }, { email: 'asc' }],
+      });
+
+      const filtered = event
+        ? recipients.filter(
+            recipient =>
+              Array.isArray(recipient.events) &&
+              recipient.events.includes(parseNotificationEvent(event))
+          )
+        : recipients;
+
+      res.json({
+        message: 'Notification recipients retrieved successfully',
+        data: {
+          organization: formatNotificationOrganization(organization),
+          events: Object.keys(NOTIFICATION_EVENTS),
+          recipients: filtered.map(formatNotificationRecipient),
+        },
+      });
+    } catch (error) {
+      handleError(res, error, 'fetch notification recipients');
+    }
+  }
+);
+
+/**
+ * POST /api/notifications/recipients
+ * Body: { orgId?, contractId?, name?, email, events: ["submitted", ...], isActive? }
+ */
+router.post(
+  '/recipients',
+  authMiddleware,
+  requirePermission('notifications:manage'),
+  async (req, res) => {
+    try {
+      const organization = await findNotificationOrganization(req);
+      const { name, email, events, isActive } = req.body;
+
+      const recipient = await prisma.NotificationRecipient.create({
+        data: {
+          orgId: organization.id,
+          contractId: await parseRecipientContract(
+            req.body.contractId,
+            organization
+          ),
+          name: name ? String(name).trim() : null,
+          email: parseRecipientEmail(email),
+          events: parseNotificationEvents(events),
+          isActive: isActive !== false,
+          createdBy: BigInt(req.user.id),
+        },
+        include: RECIPIENT_INCLUDE,
+      });
+
+      res.status(201).json({
+        message: 'Notification recipient created successfully',
+        data: formatNotificationRecipient(recipient),
+      });
+    } catch (error) {
+      handleError(res, error, 'create notification recipient');
+    }
+  }
+);
+
+/**
+ * PUT /api/notifications/recipients/:id
+ * Body: any of { contractId, name, email, events, isActive }
+ */
+router.put(
+  '/recipients/:id',
+  authMiddleware,
+  requirePermission('notifications:manage'),
+  async (req, res) => {
+    try {
+      const existing = await findRecipient(req.params.id);
+      const { contractId, name, email, events, isActive } = req.body;
+
+      const data = {};
+      if (contractId !== undefined) {
+        data.contractId = await parseRecipientContract(contractId, {
+          id: existing.orgId,
+        });
+      }
+      if (name !== undefined) data.name = name ? String(name).trim() : null;
+      if (email !== undefined) data.email = parseRecipientEmail(email);
+      if (events !== undefined) data.events = parseNotificationEvents(events);
+      if (isActive !== undefined) data.isActive = Boolean(isActive);
+
+      const recipient = await prisma.NotificationRecipient.update({
+        where: { id: existing.id },
+        data,
+        include: RECIPIENT_INCLUDE,
+      });
+
+      res.json({
+        message: 'Notification recipient updated successfully',
+        data: formatNotificationRecipient(recipient),
+      });
+    } catch (error) {
+      handleError(res, error, 'update notification recipient');
+    }
+  }
+);
+
+/**
+ * DELETE /api/notifications/recipients/:id
+ */
+router.delete(
+  '/recipients/:id',
+  authMiddleware,
+  requirePermission('notifications:manage'),
+  async (req, res) => {
+    try {
+      const existing = await findRecipient(req.params.id);
+      await prisma.NotificationRecipient.delete({ where: { id: existing.id } });
+
+      res.json({
+        message: 'Notification recipient deleted successfully',
+        data: { id: existing.id.toString() },
+      });
+    } catch (error) {
+      handleError(res, error, 'delete notification recipient');
+    }
+  }
+);
+
+/**
+ * GET /api/notifications/settings
+ * Query: orgId
+ * Per event: enabled, notifyAssignee, notifyOrganizationContact, ccDispatcher
+ */
+router.get(
+  '/settings',
+  authMiddleware,
+  requirePermission('notifications:read', 'notifications:manage'),
+  async (req, res) => {
+    try {
+      const organization = await findNotificationOrganization(req);
+
+      res.json({
+        message: 'Notification settings retrieved successfully',
+        data: {
+          organization: formatNotificationOrganization(organization),
+          settings: await getNotificationSettings(organization.id),
+        },
+      });
+    } catch (error) {
+      handleError(res, error, 'fetch notification settings');
+    }
+  }
+);
+
+/**
+ * PUT /api/notifications/settings/:event
+ * Body: { orgId?, enabled?, notifyAssignee?, notifyOrganizationContact?, ccDispatcher? }
+ * Example: /settings/overdue { "ccDispatcher": true }
+ */
+router.put(
+  '/settings/:event',
+  authMiddleware,
+  requirePermission('notifications:manage'),
+  async (req, res) => {
+    try {
+      const event = parseNotificationEvent(req.params.event);
+      const organization = await findNotificationOrganization(req);
+
+      res.json({
+        message: 'Notification settings saved successfully',
+        data: await updateNotificationSetting(organization.id, event, req.body),
+      });
+    } catch (error) {
+      handleError(res, error, 'save notification settings');
+    }
+  }
+);
+
+module.exports = router;
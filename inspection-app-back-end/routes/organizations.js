@@ -1,13 +1,19 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const { authMiddleware } = require('../middleware/auth');
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const { handleError } = require('../utils/routeHelpers');
+const {
+  EMAIL_LOCALES,
+  DEFAULT_EMAIL_LOCALE,
+} = require('../services/email-template-service');
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
 
 // GET all organizations
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requirePermission('organizations:read'), async (req, res) => {
   try {
     const organizations = await prisma.Organization.findMany({
       orderBy: {
@@ -23,6 +29,7 @@ router.get('/', authMiddleware, async (req, res) => {
       contactName: org.contactName || null,
       contactPhone: org.contactPhone || null,
       contactEmail: org.contactEmail || null,
+      emailLocale: org.emailLocale,
       createdAt: org.createdAt,
       updatedAt: org.updatedAt,
     }));
@@ -44,9 +51,9 @@ router.get('/', authMiddleware, async (req, res) => {
 });
 
 // POST create new organization
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', authMiddleware, requirePermission('organizations:manage'), async (req, res) => {
   try {
-    const { name, code, contactName, contactPhone, contactEmail } = req.body;
+    const { name, code, contactName, contactPhone, contactEmail, emailLocale } = req.body;
 
     // Validation
     if (!name || !code) {
@@ -56,6 +63,13 @@ router.post('/', authMiddleware, async (req, res) => {
       });
     }
 
+    if (emailLocale && !EMAIL_LOCALES.includes(emailLocale)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `emailLocale must be one of: ${EMAIL_LOCALES.join(', ')}`,
+      });
+    }
+
     // Check if code already exists
     const existingOrg = await prisma.Organization.findFirst({
       where: { code },
@@ -76,6 +90,7 @@ router.post('/', authMiddleware, async (req, res) => {
         contactName: contactName || null,
         contactPhone: contactPhone || null,
         contactEmail: contactEmail || null,
+        emailLocale: emailLocale || DEFAULT_EMAIL_LOCALE,
       },
     });
 
@@ -88,6 +103,7 @@ router.post('/', authMiddleware, async (req, res) => {
         contactName: organization.contactName,
         contactPhone: organization.contactPhone,
         contactEmail: organization.contactEmail,
+        emailLocale: organization.emailLocale,
         createdAt: organization.createdAt,
         updatedAt: organization.updatedAt,
       },
@@ -105,10 +121,10 @@ router.post('/', authMiddleware, async (req, res) => {
 });
 
 // PUT update organization
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission('organizations:manage'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, code, contactName, contactPhone, contactEmail } = req.body;
+    const { name, code, contactName, contactPhone, contactEmail, emailLocale } = req.body;
 
     // Check if organization exists
     const existingOrg = await prisma.Organization.findUnique({
@@ -122,6 +138,13 @@ router.put('/:id', authMiddleware, async (req, res) => {
       });
     }
 
+    if (emailLocale !== undefined && !EMAIL_LOCALES.includes(emailLocale)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `emailLocale must be one of: ${EMAIL_LOCALES.join(', ')}`,
+      });
+    }
+
     // Check if code is being changed and if it already exists
     if (code && code !== existingOrg.code) {
       const codeExists = await prisma.Organization.findFirst({
@@ -148,6 +171,7 @@ router.put('/:id', authMiddleware, async (req, res) => {
         ...(contactName !== undefined && { contactName: contactName || null }),
         ...(contactPhone !== undefined && { contactPhone: contactPhone || null }),
         ...(contactEmail !== undefined && { contactEmail: contactEmail || null }),
+        ...(emailLocale !== undefined && { emailLocale }),
       },
     });
 
@@ -160,6 +184,7 @@ router.put('/:id', authMiddleware, async (req, res) => {
         contactName: organization.contactName,
         contactPhone: organization.contactPhone,
         contactEmail: organization.contactEmail,
+        emailLocale: organization.emailLocale,
         createdAt: organization.createdAt,
         updatedAt: organization.updatedAt,
       },
@@ -177,7 +202,7 @@ router.put('/:id', authMiddleware, async (req, res) => {
 });
 
 // DELETE organization
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission('organizations:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     console.log(`🗑️ DELETE organization request: ID=${id}, User=${req.user.id}`);
@@ -0,0 +1,313 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { handleError } = require('../utils/routeHelpers');
+const {
+  PERMISSIONS,
+  invalidatePermissionCache,
+} = require('../services/permission-service');
+
+const router = express.Router();
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
+
+const roleInclude = {
+  permissions: { include: { permission: true } },
+  _count: { select: { users: true } },
+};
+
+const formatRole = role => ({
+  id: role.id.toString(),
+  name: role.name,
+  permissions: role.permissions.map(rp => rp.permission.key).sort(),
+  userCount: role._count?.users ?? 0,
+});
+
+/**
+ * Validate a role name and permission keys from the request body.
+ * Only the fields present in the body are returned, so it serves POST and PUT.
+ */
+const buildRoleInput = body => {
+  const input = {};
+
+  if (body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!/^[a-z][a-z0-9_-]{1,63}$/i.test(name)) {
+      throw new Error(
+        'Validation failed: name must be 2-64 letters, digits, "-" or "_"'
+      );
+    }
+    input.name = name.toLowerCase();
+  }
+
+  if (body.permissions !== undefined) {
+    if (!Array.isArray(body.permissions)) {
+      throw new Error('Validation failed: permissions must be an array');
+    }
+    const unknown = body.permissions.filter(key => !PERMISSIONS[key]);
+    if (unknown.length > 0) {
+      throw new Error(
+        `Validation failed: unknown permissions ${unknown.join(', ')}`
+      );
+    }
+    input.permissions = [...new Set(body.permissions)];
+  }
+
+  return input;
+};
+
+/**
+ * Replace the permissions of a role
+ */
+const setRolePermissions = async (tx, roleId, keys) => {
+  const permissions = await tx.permission.findMany({
+    where: { key: { in: keys } },
+    select: { id: true },
+  });
+
+  await tx.rolePermission.deleteMany({ where: { roleId } });
+  if (permissions.length > 0) {
+    await tx.rolePermission.createMany({
+      data: permissions.map(permission => ({
+        roleId,
+        permissionId: permission.id,
+      })),
+    });
+  }
+};
+
+const findRole = async id => {
+  const role = await prisma.Role.findUnique({
+    where: { id: BigInt(id) },
+    include: roleInclude,
+  });
+  if (!role) {
+    throw new Error('Role not found');
+  }
+  return role;
+};
+
+// =============================================================================
+// ROLES & PERMISSIONS
+// =============================================================================
+
+/**
+ * GET /api/roles/permissions
+ * Permission catalog
+ */
+router.get(
+  '/permissions',
+  authMiddleware,
+  requirePermission('roles:manage', 'users:manage'),
+  async (req, res) => {
+    res.json({
+      message: 'Permissions retrieved successfully',
+      data: Object.entries(PERMISSIONS).map(([key, description]) => ({
+        key,
+        description,
+      })),
+    });
+  }
+);
+
+/**
+ * GET /api/roles
+ * Roles with their permissions (also used to pick a role for a user)
+ */
+router.get(
+  '/',
+  authMiddleware,
+  requirePermission('roles:manage', 'users:manage'),
+  async (req, res) => {
+    try {
+      const roles = await prisma.Role.findMany({
+        include: roleInclude,
+        orderBy: { id: 'asc' },
+      });
+
+      res.json({
+        message: 'Roles retrieved successfully',
+        data: roles.map(formatRole),
+      });
+    } catch (error) {
+      handleError(res, error, 'fetch roles');
+    }
+  }
+);
+
+/**
+ * GET /api/roles/:id
+ */
+router.get(
+  '/:id',
+  authMiddleware,
+  requirePermission('roles:manage', 'users:manage'),
+  async (req, res) => {
+    try {
+      const role = await findRole(req.params.id);
+
+      res.json({
+        message: 'Role retrieved successfully',
+        data: formatRole(role),
+      });
+    } catch (error) {
+      handleError(res, error, 'fetch role');
+    }
+  }
+);
+
+/**
+ * POST /api/roles
+ * Create a role: { name, permissions: ['inspections:read', ...] }
+ */
+router.post(
+  '/',
+  authMiddleware,
+  requirePermission('roles:manage'),
+  async (req, res) => {
+    try {
+      const input = buildRoleInput(req.body);
+      if (!input.name) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Role name is required',
+        });
+      }
+
+      const existing = await prisma.Role.findUnique({
+        where: { name: input.name },
+      });
+      if (existing) {
+        return res.status(409).json({
+          error: 'Role already exists',
+          message: `A role named "${input.name}" already exists`,
+        });
+      }
+
+      const role = await prisma.$transaction(async tx => {
+        const created = await tx.role.create({ data: { name: input.name } });
+        await setRolePermissions(tx, created.id, input.permissions || []);
+        return tx.role.findUnique({
+          where: { id: created.id },
+          include: roleInclude,
+        });
+      });
+
+      console.log(
+        `[roles] ✅ Role created: ${role.name} by user ${req.user.id}`
+      );
+      res.status(201).json({
+        message: 'Role created successfully',
+        data: formatRole(role),
+      });
+    } catch (error) {
+      handleError(res, error, 'create role');
+    }
+  }
+);
+
+/**
+ * PUT /api/roles/:id
+ * Rename a role and/or replace its permissions
+ */
+router.put(
+  '/:id',
+  authMiddleware,
+  requirePermission('roles:manage'),
+  async (req, res) => {
+    try {
+      const existing = await findRole(req.params.id);
+      const input = buildRoleInput(req.body);
+
+      // Do not let an administrator lock themselves out of role management
+      const currentUser = await prisma.User.findUnique({
+        where: { id: BigInt(req.user.id) },
+        select: { roleId: true },
+      });
+      if (
+        input.permissions &&
+        currentUser?.roleId === existing.id &&
+        !input.permissions.includes('roles:manage')
+      ) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'You cannot remove roles:manage from your own role',
+        });
+      }
+
+      if (input.name && input.name !== existing.name) {
+        const duplicate = await prisma.Role.findUnique({
+          where: { name: input.name },
+        });
+        if (duplicate) {
+          return res.status(409).json({
+            error: 'Role already exists',
+            message: `A role named "${input.name}" already exists`,
+          });
+        }
+      }
+
+      const role = await prisma.$transaction(async tx => {
+        if (input.name) {
+          await tx.role.update({
+            where: { id: existing.id },
+            data: { name: input.name },
+          });
+        }
+        if (input.permissions) {
+          await setRolePermissions(tx, existing.id, input.permissions);
+        }
+        return tx.role.findUnique({
+          where: { id: existing.id },
+          include: roleInclude,
+        });
+      });
+      invalidatePermissionCache();
+
+      console.log(
+        `[roles] ✅ Role updated: ${role.name} by user ${req.user.id}`
+      );
+      res.json({
+        message: 'Role updated successfully',
+        data: formatRole(role),
+      });
+    } catch (error) {
+      handleError(res, error, 'update role');
+    }
+  }
+);
+
+/**
+ * DELETE /api/roles/:id
+ * Only roles without users can be deleted
+ */
+router.delete(
+  '/:id',
+  authMiddleware,
+  requirePermission('roles:manage'),
+  async (req, res) => {
+    try {
+      const existing = await findRole(req.params.id);
+
+      if (existing._count.users > 0) {
+        return res.status(400).json({
+          error: 'Cannot delete',
+          message: `Role "${existing.name}" is assigned to ${existing._count.users} user(s). Move them to another role first.`,
+        });
+      }
+
+      await prisma.Role.delete({ where: { id: existing.id } });
+      invalidatePermissionCache();
+
+      console.log(`🗑️ Role deleted: ${existing.name}, User=${req.user.id}`);
+      res.json({
+        message: 'Role deleted successfully',
+      });
+    } catch (error) {
+      handleError(res, error, 'delete role');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,470 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { handleError } = require('../utils/routeHelpers');
+const {
+  SCHEDULE_FREQUENCIES,
+  runDueSchedules,
+} = require('../services/schedule-service');
+const { userHasPermission } = require('../services/permission-service');
+
+const router = express.Router();
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
+
+const VALID_TYPES = [
+  'INSPECTION',
+  'INSTALLATION',
+  'MAINTENANCE',
+  'VERIFICATION',
+];
+
+const scheduleInclude = {
+  device: {
+    select: { id: true, serialNumber: true, assetTag: true },
+  },
+  site: {
+    select: { id: true, name: true },
+  },
+  template: {
+    select: { id: true, name: true, type: true },
+  },
+  assignee: {
+    select: { id: true, fullName: true, email: true },
+  },
+};
+
+const formatSchedule = schedule => ({
+  id: schedule.id.toString(),
+  orgId: schedule.orgId.toString(),
+  deviceId: schedule.deviceId?.toString() || null,
+  siteId: schedule.siteId?.toString() || null,
+  templateId: schedule.templateId?.toString() || null,
+  type: schedule.type,
+  title: schedule.title,
+  frequency: schedule.frequency,
+  intervalDays: schedule.intervalDays,
+  nextDueDate: schedule.nextDueDate,
+  assignedTo: schedule.assignedTo?.toString() || null,
+  createdBy: schedule.createdBy?.toString() || null,
+  lastRunAt: schedule.lastRunAt,
+  isActive: schedule.isActive,
+  device: schedule.device
+    ? {
+        id: schedule.device.id.toString(),
+        serialNumber: schedule.device.serialNumber,
+        assetTag: schedule.device.assetTag,
+      }
+    : null,
+  site: schedule.site
+    ? { id: schedule.site.id.toString(), name: schedule.site.name }
+    : null,
+  template: schedule.template
+    ? {
+        id: schedule.template.id.toString(),
+        name: schedule.template.name,
+        type: schedule.template.type,
+      }
+    : null,
+  assignee: schedule.assignee
+    ? {
+        id: schedule.assignee.id.toString(),
+        fullName: schedule.assignee.fullName,
+        email: schedule.assignee.email,
+      }
+    : null,
+  createdAt: schedule.createdAt,
+  updatedAt: schedule.updatedAt,
+});
+
+const canAccessAllOrganizations = userId =>
+  userHasPermission(userId, 'organizations:all');
+
+/**
+ * Load a schedule and make sure the current user may manage it
+ * Users without organizations:all are limited to their own organization.
+ */
+const findAccessibleSchedule = async (id, user) => {
+  const schedule = await prisma.InspectionSchedule.findUnique({
+    where: { id: BigInt(id) },
+    include: scheduleInclude,
+  });
+
+  if (!schedule) {
+    throw new Error('Schedule not found');
+  }
+
+  if (
+    schedule.orgId.toString() !== String(user.orgId) &&
+    !(await canAccessAllOrganizations(user.id))
+  ) {
+    throw new Error('You do not have access to this schedule');
+  }
+
+  return schedule;
+};
+
+/**
+ * Validate and normalize the writable schedule fields.
+ * Only the fields present in the body are returned, so it serves POST and PUT.
+ */
+const buildScheduleData = async (body, orgId) => {
+  const data = {};
+
+  if (body.frequency !== undefined) {
+    const frequency = String(body.frequency).toUpperCase();
+    if (!SCHEDULE_FREQUENCIES.includes(frequency)) {
+      throw new Error(
+        `Validation failed: frequency must be one of ${SCHEDULE_FREQUENCIES.join(', ')}`
+      );
+    }
+    data.frequency = frequency;
+  }
+
+  if (body.intervalDays !== undefined) {
+    if (body.intervalDays === null || body.intervalDays === '') {
+      data.intervalDays = null;
+    } else {
+      const intervalDays = Number(body.intervalDays);
+      if (!Number.isInteger(intervalDays) || intervalDays < 1) {
+        throw new Error(
+          'Validation failed: intervalDays must be a positive integer'
+        );
+      }
+      data.intervalDays = intervalDays;
+    }
+  }
+
+  if (body.nextDueDate !== undefined) {
+    const nextDueDate = new Date(body.nextDueDate);
+    if (Number.isNaN(nextDueDate.getTime())) {
+      throw new Error('Validation failed: nextDueDate is not a valid date');
+    }
+    data.nextDueDate = nextDueDate;
+  }
+
+  if (body.type !== undefined) {
+    const type = String(body.type).toUpperCase();
+    if (!VALID_TYPES.includes(type)) {
+      throw new Error(
+        `Validation failed: type must be one of ${VALID_TYPES.join(', ')}`
+      );
+    }
+    data.type = type;
+  }
+
+  if (body.title !== undefined) {
+    data.title = body.title || null;
+  }
+
+  if (body.isActive !== undefined) {
+    data.isActive = Boolean(body.isActive);
+  }
+
+  if (body.deviceId !== undefined) {
+    if (body.deviceId) {
+      const device = await prisma.Device.findFirst({
+        where: { id: BigInt(body.deviceId), deletedAt: null },
+      });
+      if (!device) {
+        throw new Error('Device not found');
+      }
+      if (device.orgId !== orgId) {
+        throw new Error(
+          'Validation failed: device belongs to another organization'
+        );
+      }
+      data.deviceId = device.id;
+    } else {
+      data.deviceId = null;
+    }
+  }
+
+  if (body.siteId !== undefined) {
+    if (body.siteId) {
+      const site = await prisma.Site.findUnique({
+        where: { id: BigInt(body.siteId) },
+      });
+      if (!site) {
+        throw new Error('Site not found');
+      }
+      if (site.orgId !== orgId) {
+        throw new Error(
+          'Validation failed: site belongs to another organization'
+        );
+      }
+      data.siteId = site.id;
+    } else {
+      data.siteId = null;
+    }
+  }
+
+  if (body.templateId !== undefined) {
+    if (body.templateId) {
+      const template = await prisma.InspectionTemplate.findUnique({
+        where: { id: BigInt(body.templateId) },
+      });
+      if (!template) {
+        throw new Error('Template not found');
+      }
+      if (!template.isActive || template.archivedAt) {
+        throw new Error('Validation failed: template is archived or inactive');
+      }
+      data.templateId = template.id;
+    } else {
+      data.templateId = null;
+    }
+  }
+
+  if (body.assignedTo !== undefined) {
+    if (body.assignedTo) {
+      const assignee = await prisma.User.findFirst({
+        where: { id: BigInt(body.assignedTo), isActive: true, deletedAt: null },
+      });
+      if (!assignee) {
+        throw new Error('Assigned user not found');
+      }
+      if (assignee.orgId !== orgId) {
+        throw new Error(
+          'Validation failed: assigned user belongs to another organization'
+        );
+      }
+      data.assignedTo = assignee.id;
+    } else {
+      data.assignedTo = null;
+    }
+  }
+
+  return data;
+};
+
+// =============================================================================
+// SCHEDULE CRUD
+// =============================================================================
+
+/**
+ * GET /api/schedules
+ * List schedules (organizations:all sees every organization)
+ */
+router.get(
+  '/',
+  authMiddleware,
+  requirePermission('schedules:read'),
+  async (req, res) => {
+    try {
+      const { orgId, isActive, deviceId } = req.query;
+      const where = {};
+
+      if (await canAccessAllOrganizations(req.user.id)) {
+        if (orgId) {
+          where.orgId = BigInt(orgId);
+        }
+      } else {
+        where.orgId = BigInt(req.user.orgId);
+      }
+      if (isActive !== undefined) {
+        where.isActive = isActive === 'true';
+      }
+      if (deviceId) {
+        where.deviceId = BigInt(deviceId);
+      }
+
+      const schedules = await prisma.InspectionSchedule.findMany({
+        where,
+        include: scheduleInclude,
+        orderBy: { nextDueDate: 'asc' },
+      });
+
+      res.json({
+        message: 'Schedules retrieved successfully',
+        data: schedules.map(formatSchedule),
+      });
+    } catch (error) {
+      handleError(res, error, 'fetch schedules');
+    }
+  }
+);
+
+/**
+ * POST /api/schedules/run
+ * Materialize all due schedules now (organizations:all: every organization)
+ */
+router.post(
+  '/run',
+  authMiddleware,
+  requirePermission('schedules:manage'),
+  async (req, res) => {
+    try {
+      const allOrganizations = await canAccessAllOrganizations(req.user.id);
+      const summary = await runDueSchedules({
+        orgId: allOrganizations ? req.body?.orgId : req.user.orgId,
+      });
+
+      res.json({
+        message: 'Schedules processed successfully',
+        data: summary,
+      });
+    } catch (error) {
+      handleError(res, error, 'run schedules');
+    }
+  }
+);
+
+/**
+ * GET /api/schedules/:id
+ */
+router.get(
+  '/:id',
+  authMiddleware,
+  requirePermission('schedules:read'),
+  async (req, res) => {
+    try {
+      const schedule = await findAccessibleSchedule(req.params.id, req.user);
+
+      res.json({
+        message: 'Schedule retrieved successfully',
+        data: formatSchedule(schedule),
+      });
+    } catch (error) {
+      handleError(res, error, 'fetch schedule');
+    }
+  }
+);
+
+/**
+ * POST /api/schedules
+ * Create a recurring inspection schedule
+ */
+router.post(
+  '/',
+  authMiddleware,
+  requirePermission('schedules:manage'),
+  async (req, res) => {
+    try {
+      const { frequency, nextDueDate, deviceId, siteId } = req.body;
+
+      if (!frequency || !nextDueDate || (!deviceId && !siteId)) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Frequency, next due date and a device or site are required',
+        });
+      }
+
+      const orgId =
+        req.body.orgId && (await canAccessAllOrganizations(req.user.id))
+          ? BigInt(req.body.orgId)
+          : BigInt(req.user.orgId);
+      const data = await buildScheduleData(req.body, orgId);
+
+      const schedule = await prisma.InspectionSchedule.create({
+        data: {
+          ...data,
+          orgId,
+          createdBy: BigInt(req.user.id),
+        },
+        include: scheduleInclude,
+      });
+
+      res.status(201).json({
+        message: 'Schedule created successfully',
+        data: formatSchedule(schedule),
+      });
+    } catch (error) {
+      handleError(res, error, 'create schedule');
+    }
+  }
+);
+
+/**
+ * PUT /api/schedules/:id
+ */
+router.put(
+  '/:id',
+  authMiddleware,
+  requirePermission('schedules:manage'),
+  async (req, res) => {
+    try {
+      const existing = await findAccessibleSchedule(req.params.id, req.user);
+      const data = await buildScheduleData(req.body, existing.orgId);
+
+      // The inspections it generates need a device or a site, as on create
+      const merged = { ...existing, ...data };
+      if (!merged.deviceId && !merged.siteId) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'A schedule needs a device or a site',
+        });
+      }
+
+      const schedule = await prisma.InspectionSchedule.update({
+        where: { id: existing.id },
+        data,
+        include: scheduleInclude,
+      });
+
+      res.json({
+        message: 'Schedule updated successfully',
+        data: formatSchedule(schedule),
+      });
+    } catch (error) {
+      handleError(res, error, 'update schedule');
+    }
+  }
+);
+
+/**
+ * DELETE /api/schedules/:id
+ * Inspections already generated by the schedule are kept
+ */
+router.delete(
+  '/:id',
+  authMiddleware,
+  requirePermission('schedules:manage'),
+  async (req, res) => {
+    try {
+      const existing = await findAccessibleSchedule(req.params.id, req.user);
+
+      await prisma.InspectionSchedule.delete({
+        where: { id: existing.id },
+      });
+
+      console.log(
+        `🗑️ Schedule deleted: ID=${existing.id}, User=${req.user.id}`
+      );
+      res.json({
+        message: 'Schedule deleted successfully',
+      });
+    } catch (error) {
+      handleError(res, error, 'delete schedule');
+    }
+  }
+);
+
+/**
+ * POST /api/schedules/:id/run
+ * Materialize a single schedule now if it is due
+ */
+router.post(
+  '/:id/run',
+  authMiddleware,
+  requirePermission('schedules:manage'),
+  async (req, res) => {
+    try {
+      const schedule = await findAccessibleSchedule(req.params.id, req.user);
+      const summary = await runDueSchedules({ scheduleId: schedule.id });
+
+      res.json({
+        message:
+          summary.created.length > 0
+            ? 'Inspection created from schedule'
+            : 'Schedule is not due yet',
+        data: summary,
+      });
+    } catch (error) {
+      handleError(res, error, 'run schedule');
+    }
+  }
+);
+
+module.exports = router;
@@ -1,13 +1,15 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const { authMiddleware } = require('../middleware/auth');
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const { handleError } = require('../utils/routeHelpers');
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
 
 // GET all sites
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requirePermission('sites:read'), async (req, res) => {
   try {
     const sites = await prisma.Site.findMany({
       include: {
@@ -54,10 +56,22 @@ router.get('/', authMiddleware, async (req, res) => {
 });
 
 // GET sites by organization
-router.get('/organization/:orgId', authMiddleware, async (req, res) => {
+router.get('/organization/:orgId', authMiddleware, requirePermission('sites:read'), async (req, res) => {
   try {
     const { orgId } = req.params;
 
+    // Organizations of other tenants are not visible to the scoped client
+    const organization = await prisma.Organization.findUnique({
+      where: { id: BigInt(orgId) },
+    });
+
+    if (!organization) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Organization not found',
+      });
+    }
+
     const sites = await prisma.Site.findMany({
       where: {
         orgId: BigInt(orgId),
@@ -92,7 +106,7 @@ router.get('/organization/:orgId', authMiddleware, async (req, res) => {
 });
 
 // POST create new site
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', authMiddleware, requirePermission('sites:manage'), async (req, res) => {
   try {
     const { name, orgId } = req.body;
 
@@ -161,7 +175,7 @@ router.post('/', authMiddleware, async (req, res) => {
 });
 
 // PUT update site
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission('sites:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, orgId } = req.body;
@@ -238,7 +252,7 @@ router.put('/:id', authMiddleware, async (req, res) => {
 });
 
 // DELETE site
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission('sites:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     console.log(`🗑️ DELETE site request: ID=${id}, User=${req.user.id}`);
@@ -0,0 +1,72 @@
+const express = require('express');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const { handleError } = require('../utils/routeHelpers');
+const { applyOperations, getChanges } = require('../services/sync-service');
+const { finishSectionSave } = require('../services/section-completion-service');
+
+const router = express.Router();
+
+// =============================================================================
+// OFFLINE SYNC
+// =============================================================================
+
+/**
+ * POST /api/sync
+ * Body: { operations: [{ clientId, type, clientTimestamp, payload, base? }], since }
+ * Applies the queued operations in order, then returns what changed since `since`.
+ * Types: section-answers, question-images, signature-image
+ */
+router.post(
+  '/',
+  authMiddleware,
+  requirePermission('inspections:answer'),
+  async (req, res) => {
+    try {
+      const { operations = [], since } = req.body;
+
+      const results = await applyOperations(operations, req.user, {
+        onSectionSaved: finishSectionSave,
+      });
+      const changes = await getChanges(req.user, since);
+
+      const summary = results.reduce((counts, result) => {
+        counts[result.status] = (counts[result.status] || 0) + 1;
+        return counts;
+      }, {});
+      console.log(
+        `[sync] User ${req.user.id} synced ${results.length} operation(s):`,
+        summary
+      );
+
+      res.json({
+        message: 'Sync completed successfully',
+        data: { results, summary, changes },
+      });
+    } catch (error) {
+      handleError(res, error, 'sync');
+    }
+  }
+);
+
+/**
+ * GET /api/sync/changes?since=<cursor>
+ * Download-only sync (no pending operations)
+ */
+router.get(
+  '/changes',
+  authMiddleware,
+  requirePermission('inspections:read'),
+  async (req, res) => {
+    try {
+      const changes = await getChanges(req.user, req.query.since);
+      res.json({
+        message: 'Changes retrieved successfully',
+        data: changes,
+      });
+    } catch (error) {
+      handleError(res, error, 'fetch sync changes');
+    }
+  }
+);
+
+module.exports = router;
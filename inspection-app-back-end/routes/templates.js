@@ -1,10 +1,27 @@
 const express = require('express');
+const multer = require('multer');
 const { PrismaClient } = require('@prisma/client');
-const { authMiddleware } = require('../middleware/auth');
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+const {
+  authMiddleware,
+  requirePermission,
+  restoreTenantContext,
+} = require('../middleware/auth');
 const { handleError } = require('../utils/routeHelpers');
+const {
+  parseQuestions,
+  validateTemplateQuestions,
+  createTemplateVersion,
+} = require('../services/template-service');
+const {
+  DOCX_MIME_TYPE,
+  loadReportLayout,
+  storeReportLayout,
+} = require('../services/report-layout-service');
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
 
 // Utility function to convert BigInt to string for JSON serialization
 const serializeBigInt = obj => {
@@ -31,6 +48,37 @@ const serializeBigInt = obj => {
   return obj;
 };
 
+const VALID_TYPES = ['INSPECTION', 'INSTALLATION', 'MAINTENANCE', 'VERIFICATION'];
+
+// Report layouts are small DOCX files kept in memory until stored
+const layoutUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+});
+
+const reportLayoutInfo = template => ({
+  templateId: template.id.toString(),
+  reportLayoutKey: template.reportLayoutKey,
+  reportLayoutName: template.reportLayoutName,
+});
+
+// Respond 400 with the per-path errors when questions are invalid
+const rejectInvalidQuestions = (res, questions) => {
+  const errors = validateTemplateQuestions(questions);
+  if (errors.length === 0) {
+    return false;
+  }
+
+  res.status(400).json({
+    error: 'Validation failed',
+    message: 'Template questions are invalid',
+    details: errors,
+  });
+  return true;
+};
+
 // // GET all inspection templates
 // router.get('/inspection', authMiddleware, async (req, res) => {
 //   try {
@@ -61,7 +109,7 @@ const serializeBigInt = obj => {
 // });
 
 // GET all templates (legacy endpoint - kept for backward compatibility)
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requirePermission('templates:read'), async (req, res) => {
   try {
     const {
       type,
@@ -175,7 +223,7 @@ router.get('/', authMiddleware, async (req, res) => {
 });
 
 // GET templates by type (RESTful approach)
-router.get('/type/:type', authMiddleware, async (req, res) => {
+router.get('/type/:type', authMiddleware, requirePermission('templates:read'), async (req, res) => {
   try {
     const { type } = req.params;
     const {
@@ -276,7 +324,7 @@ router.get('/type/:type', authMiddleware, async (req, res) => {
 });
 
 // GET specific inspection template by ID
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, requirePermission('templates:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -330,4 +378,398 @@ router.get('/:id', authMiddleware, async (req, res) => {
   }
 });
 
+// GET version history of a template (questions omitted)
+router.get('/:id/versions', authMiddleware, requirePermission('templates:read'), async (req, res) => {
+  try {
+    const templateId = BigInt(req.params.id);
+
+    const versions = await prisma.InspectionTemplateVersion.findMany({
+      where: { templateId },
+      select: {
+        id: true,
+        templateId: true,
+        version: true,
+        changeNote: true,
+        createdAt: true,
+        creator: { select: { id: true, fullName: true } },
+        _count: { select: { inspections: true } },
+      },
+      orderBy: { version: 'desc' },
+    });
+
+    res.json({
+      message: 'Template versions fetched successfully',
+      data: serializeBigInt(versions),
+    });
+  } catch (error) {
+    handleError(res, error, 'fetch template versions');
+  }
+});
+
+// GET a specific immutable template version
+router.get('/:id/versions/:version', authMiddleware, requirePermission('templates:read'), async (req, res) => {
+  try {
+    const version = await prisma.InspectionTemplateVersion.findUnique({
+      where: {
+        templateId_version: {
+          templateId: BigInt(req.params.id),
+          version: parseInt(req.params.version),
+        },
+      },
+    });
+
+    if (!version) {
+      return res.status(404).json({
+        error: 'Template version not found',
+        message: 'The requested template version does not exist',
+      });
+    }
+
+    res.json({
+      message: 'Template version fetched successfully',
+      data: serializeBigInt(version),
+    });
+  } catch (error) {
+    handleError(res, error, 'fetch template version');
+  }
+});
+
+// POST create a new template (version 1)
+router.post('/', authMiddleware, requirePermission('templates:manage'), async (req, res) => {
+  try {
+    const { name, type, description, questions, changeNote } = req.body;
+
+    if (!name || !type) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Name and type are required',
+      });
+    }
+
+    const normalizedType = String(type).toUpperCase();
+    if (!VALID_TYPES.includes(normalizedType)) {
+      return res.status(400).json({
+        error: 'Invalid template type',
+        message: `Type must be one of: ${VALID_TYPES.join(', ')}`,
+        validTypes: VALID_TYPES,
+      });
+    }
+
+    if (rejectInvalidQuestions(res, questions)) {
+      return;
+    }
+
+    const template = await prisma.$transaction(async tx => {
+      const created = await tx.inspectionTemplate.create({
+        data: {
+          name,
+          type: normalizedType,
+          description: description || null,
+          questions,
+          currentVersion: 1,
+        },
+      });
+
+      await createTemplateVersion(tx, created, questions, {
+        userId: req.user.id,
+        changeNote: changeNote || 'Initial version',
+      });
+
+      return tx.inspectionTemplate.findUnique({ where: { id: created.id } });
+    });
+
+    res.status(201).json({
+      message: 'Inspection template created successfully',
+      data: serializeBigInt(template),
+    });
+  } catch (error) {
+    handleError(res, error, 'create inspection template');
+  }
+});
+
+// PUT update a template; changed questions become a new immutable version
+router.put('/:id', authMiddleware, requirePermission('templates:manage'), async (req, res) => {
+  try {
+    const templateId = BigInt(req.params.id);
+    const { name, type, description, questions, changeNote } = req.body;
+
+    const existing = await prisma.InspectionTemplate.findUnique({
+      where: { id: templateId },
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: 'The requested inspection template does not exist',
+      });
+    }
+
+    if (!existing.isActive) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Archived templates cannot be edited. Restore it first.',
+      });
+    }
+
+    let normalizedType;
+    if (type !== undefined) {
+      normalizedType = String(type).toUpperCase();
+      if (!VALID_TYPES.includes(normalizedType)) {
+        return res.status(400).json({
+          error: 'Invalid template type',
+          message: `Type must be one of: ${VALID_TYPES.join(', ')}`,
+          validTypes: VALID_TYPES,
+        });
+      }
+    }
+
+    const questionsChanged =
+      questions !== undefined &&
+      JSON.stringify(questions) !==
+        JSON.stringify(parseQuestions(existing.questions));
+
+    if (questionsChanged && rejectInvalidQuestions(res, questions)) {
+      return;
+    }
+
+    const template = await prisma.$transaction(async tx => {
+      await tx.inspectionTemplate.update({
+        where: { id: templateId },
+        data: {
+          ...(name && { name }),
+          ...(normalizedType && { type: normalizedType }),
+          ...(description !== undefined && { description }),
+        },
+      });
+
+      if (questionsChanged) {
+        await createTemplateVersion(tx, existing, questions, {
+          userId: req.user.id,
+          changeNote,
+        });
+      }
+
+      return tx.inspectionTemplate.findUnique({ where: { id: templateId } });
+    });
+
+    res.json({
+      message: questionsChanged
+        ? `Inspection template updated to version ${template.currentVersion}`
+        : 'Inspection template updated successfully',
+      data: serializeBigInt(template),
+    });
+  } catch (error) {
+    handleError(res, error, 'update inspection template');
+  }
+});
+
+// POST clone a template (optionally from a specific version) into a new template
+router.post('/:id/clone', authMiddleware, requirePermission('templates:manage'), async (req, res) => {
+  try {
+    const templateId = BigInt(req.params.id);
+    const { name, version } = req.body || {};
+
+    const source = await prisma.InspectionTemplate.findUnique({
+      where: { id: templateId },
+    });
+
+    if (!source) {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: 'The requested inspection template does not exist',
+      });
+    }
+
+    let questions = parseQuestions(source.questions);
+    let sourceVersion = source.currentVersion;
+    if (version !== undefined) {
+      const snapshot = await prisma.InspectionTemplateVersion.findUnique({
+        where: {
+          templateId_version: { templateId, version: parseInt(version) },
+        },
+      });
+      if (!snapshot) {
+        return res.status(404).json({
+          error: 'Template version not found',
+          message: 'The requested template version does not exist',
+        });
+      }
+      questions = parseQuestions(snapshot.questions);
+      sourceVersion = snapshot.version;
+    }
+
+    const template = await prisma.$transaction(async tx => {
+      const created = await tx.inspectionTemplate.create({
+        data: {
+          name: name || `${source.name} (хуулбар)`,
+          type: source.type,
+          description: source.description,
+          questions,
+          currentVersion: 1,
+        },
+      });
+
+      await createTemplateVersion(tx, created, questions, {
+        userId: req.user.id,
+        changeNote: `Cloned from template ${source.id} v${sourceVersion}`,
+      });
+
+      return tx.inspectionTemplate.findUnique({ where: { id: created.id } });
+    });
+
+    res.status(201).json({
+      message: 'Inspection template cloned successfully',
+      data: serializeBigInt(template),
+    });
+  } catch (error) {
+    handleError(res, error, 'clone inspection template');
+  }
+});
+
+// POST archive a template (hidden from new inspections, history kept)
+router.post('/:id/archive', authMiddleware, requirePermission('templates:manage'), async (req, res) => {
+  try {
+    const template = await prisma.InspectionTemplate.update({
+      where: { id: BigInt(req.params.id) },
+      data: { isActive: false, archivedAt: new Date() },
+    });
+
+    res.json({
+      message: 'Inspection template archived successfully',
+      data: serializeBigInt(template),
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: 'The requested inspection template does not exist',
+      });
+    }
+    handleError(res, error, 'archive inspection template');
+  }
+});
+
+// POST restore an archived template
+router.post('/:id/restore', authMiddleware, requirePermission('templates:manage'), async (req, res) => {
+  try {
+    const template = await prisma.InspectionTemplate.update({
+      where: { id: BigInt(req.params.id) },
+      data: { isActive: true, archivedAt: null },
+    });
+
+    res.json({
+      message: 'Inspection template restored successfully',
+      data: serializeBigInt(template),
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: 'The requested inspection template does not exist',
+      });
+    }
+    handleError(res, error, 'restore inspection template');
+  }
+});
+
+// GET the DOCX layout reports of this template are generated with
+router.get('/:id/report-layout', authMiddleware, requirePermission('templates:read'), async (req, res) => {
+  try {
+    const template = await prisma.InspectionTemplate.findUnique({
+      where: { id: BigInt(req.params.id) },
+      select: { id: true, type: true, reportLayoutKey: true, reportLayoutName: true },
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: 'The requested inspection template does not exist',
+      });
+    }
+
+    const layout = await loadReportLayout(template);
+    const filename =
+      layout.source === 'template' && template.reportLayoutName
+        ? template.reportLayoutName
+        : layout.name;
+
+    res.setHeader('Content-Type', DOCX_MIME_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(filename)}"`);
+    res.setHeader('X-Report-Layout-Source', layout.source);
+    res.send(layout.buffer);
+  } catch (error) {
+    handleError(res, error, 'fetch report layout');
+  }
+});
+
+// PUT register a DOCX layout for this template (multipart field "layout")
+router.put(
+  '/:id/report-layout',
+  authMiddleware,
+  requirePermission('templates:manage'),
+  layoutUpload.single('layout'),
+  restoreTenantContext,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'A .docx file is required in the "layout" field',
+        });
+      }
+
+      const templateId = BigInt(req.params.id);
+      const existing = await prisma.InspectionTemplate.findUnique({
+        where: { id: templateId },
+        select: { id: true },
+      });
+      if (!existing) {
+        return res.status(404).json({
+          error: 'Template not found',
+          message: 'The requested inspection template does not exist',
+        });
+      }
+
+      const key = await storeReportLayout(templateId, req.file.buffer);
+      const template = await prisma.InspectionTemplate.update({
+        where: { id: templateId },
+        data: {
+          reportLayoutKey: key,
+          reportLayoutName: req.file.originalname,
+        },
+      });
+
+      res.json({
+        message: 'Report layout registered successfully',
+        data: reportLayoutInfo(template),
+      });
+    } catch (error) {
+      handleError(res, error, 'register report layout');
+    }
+  }
+);
+
+// DELETE the template's own layout (falls back to the type / default layout)
+router.delete('/:id/report-layout', authMiddleware, requirePermission('templates:manage'), async (req, res) => {
+  try {
+    const template = await prisma.InspectionTemplate.update({
+      where: { id: BigInt(req.params.id) },
+      data: { reportLayoutKey: null, reportLayoutName: null },
+    });
+
+    res.json({
+      message: 'Report layout reset to the default',
+      data: reportLayoutInfo(template),
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: 'The requested inspection template does not exist',
+      });
+    }
+    handleError(res, error, 'reset report layout');
+  }
+});
+
 module.exports = router;
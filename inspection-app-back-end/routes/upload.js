@@ -3,11 +3,15 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const fsSync = require('fs');
-const { PrismaClient } = require('@prisma/client');
-const { authMiddleware } = require('../middleware/auth');
+const {
+  authMiddleware,
+  requirePermission,
+  restoreTenantContext,
+} = require('../middleware/auth');
+const { createImage } = require('../services/question-image-repository');
+const { storeImageWithDerivatives } = require('../services/image-derivatives-service');
 
 const router = express.Router();
-const prisma = new PrismaClient();
 
 // =============================================================================
 // MULTER CONFIGURATION
@@ -54,51 +58,32 @@ const upload = multer({
   }
 });
 
-// =============================================================================
-// FTP/LOCAL STORAGE CONFIGURATION
-// =============================================================================
-
-// FTP storage path (local folder serving as FTP directory)
-const FTP_STORAGE_PATH = process.env.FTP_STORAGE_PATH || path.resolve('C:/ftp_data');
-const FTP_PUBLIC_BASE_URL = process.env.FTP_PUBLIC_BASE_URL || 'http://192.168.0.6:4555/uploads';
-
-// Ensure FTP storage directory exists
-if (!fsSync.existsSync(FTP_STORAGE_PATH)) {
-  fsSync.mkdirSync(FTP_STORAGE_PATH, { recursive: true });
-}
-
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
 
 /**
- * Upload file to FTP storage (actually just copy to local FTP directory)
+ * Upload file (and its thumbnail / medium derivatives) to the configured storage
  * @param {string} tempFilePath - Path to temporary file
  * @param {string} originalName - Original filename
- * @returns {Promise<{fileName: string, ftpUrl: string}>}
+ * @returns {Promise<{fileName: string, ftpUrl: string, derivatives: Object}>}
  */
-async function uploadToFTP(tempFilePath, originalName) {
+async function uploadToStorage(tempFilePath, originalName) {
   try {
-    // Generate unique filename for FTP storage
+    // Generate unique filename for storage
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
     const ext = path.extname(originalName);
     const fileName = 'img-' + uniqueSuffix + ext;
     
-    // Destination path in FTP storage
-    const ftpDestPath = path.join(FTP_STORAGE_PATH, fileName);
-    
-    // Copy file to FTP storage
-    await fs.copyFile(tempFilePath, ftpDestPath);
+    const { key, url, thumbnailUrl, mediumUrl } =
+      await storeImageWithDerivatives(fileName, tempFilePath);
     
-    // Build public URL
-    const ftpUrl = `${FTP_PUBLIC_BASE_URL}/${fileName}`;
+    console.log(`✅ Uploaded to storage: ${key} -> ${url}`);
     
-    console.log(`✅ Uploaded to FTP: ${fileName} -> ${ftpUrl}`);
-    
-    return { fileName, ftpUrl };
+    return { fileName: key, ftpUrl: url, derivatives: { thumbnailUrl, mediumUrl } };
   } catch (error) {
-    console.error('❌ FTP upload error:', error);
-    throw new Error(`Failed to upload to FTP: ${error.message}`);
+    console.error('❌ Storage upload error:', error);
+    throw new Error(`Failed to upload to storage: ${error.message}`);
   }
 }
 
@@ -118,50 +103,23 @@ async function deleteTempFile(filePath) {
 /**
  * Save image URL to MySQL database
  * @param {string} userId - User ID
- * @param {string} ftpUrl - FTP URL of the uploaded image
+ * @param {string} ftpUrl - Public URL of the uploaded image
+ * @param {Object} derivatives - { thumbnailUrl, mediumUrl }
  * @returns {Promise<{id: string}>}
  */
-async function saveImageToDatabase(userId, ftpUrl) {
+async function saveImageToDatabase(userId, ftpUrl, derivatives = {}) {
   try {
-    // Insert into inspection_question_images table using raw SQL
-    const userIdBigInt = BigInt(userId);
-    
-    await prisma.$executeRaw`
-      INSERT INTO inspection_question_images (
-        inspection_id,
-        answer_id,
-        field_id,
-        section,
-        image_order,
-        image_url,
-        uploaded_by,
-        uploaded_at,
-        created_at,
-        updated_at
-      ) VALUES (
-        NULL,
-        NULL,
-        'uploaded',
-        'general',
-        1,
-        ${ftpUrl},
-        ${userIdBigInt},
-        NOW(),
-        NOW(),
-        NOW()
-      )
-    `;
-    
-    // Get the inserted ID
-    const result = await prisma.$queryRaw`
-      SELECT id 
-      FROM inspection_question_images 
-      WHERE image_url = ${ftpUrl}
-      ORDER BY id DESC 
-      LIMIT 1
-    `;
-    
-    const imageId = result?.[0]?.id ? result[0].id.toString() : null;
+    // Loose upload: not linked to an answer record yet
+    const image = await createImage({
+      answerId: null,
+      fieldId: 'uploaded',
+      section: 'general',
+      imageOrder: 1,
+      imageUrl: ftpUrl,
+      ...derivatives,
+      uploadedBy: userId,
+    });
+    const imageId = image.id.toString();
     
     console.log(`✅ Saved to database: ID=${imageId}, URL=${ftpUrl}`);
     
@@ -178,63 +136,25 @@ async function saveImageToDatabase(userId, ftpUrl) {
 
 /**
  * POST /api/upload
- * Upload 0-6 images to FTP and save URLs to MySQL
+ * Upload 0-6 images to storage and save URLs to MySQL
  * 
  * Form-data fields:
  * - images: Array of image files (0-6 files)
- * - userId: User ID (required)
+ *
+ * The images are recorded as uploaded by the authenticated user.
  */
-router.post('/', upload.array('images', 6), async (req, res) => {
+router.post('/', authMiddleware, requirePermission('inspections:answer'), upload.array('images', 6), restoreTenantContext, async (req, res) => {
   const uploadedFiles = req.files || [];
   const tempFilePaths = [];
   
   try {
     console.log('📤 Upload request received');
     console.log(`  Files: ${uploadedFiles.length}`);
-    console.log(`  UserId: ${req.body.userId}`);
+    console.log(`  UserId: ${req.user.id}`);
     
-    // Validate userId
-    const { userId } = req.body;
-    if (!userId) {
-      // Clean up temp files
-      for (const file of uploadedFiles) {
-        await deleteTempFile(file.path);
-      }
-      
-      return res.status(400).json({
-        success: false,
-        error: 'userId is required'
-      });
-    }
-    
-    // Validate user exists
-    try {
-      const user = await prisma.user.findUnique({
-        where: { id: BigInt(userId) }
-      });
-      
-      if (!user) {
-        // Clean up temp files
-        for (const file of uploadedFiles) {
-          await deleteTempFile(file.path);
-        }
-        
-        return res.status(400).json({
-          success: false,
-          error: `User with ID ${userId} not found`
-        });
-      }
-    } catch (error) {
-      // Clean up temp files
-      for (const file of uploadedFiles) {
-        await deleteTempFile(file.path);
-      }
-      
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid userId format'
-      });
-    }
+    // Uploads are attributed to the authenticated user (a `userId` form
+    // field is ignored)
+    const userId = req.user.id;
     
     // If no files uploaded, return success with empty array
     if (uploadedFiles.length === 0) {
@@ -254,11 +174,11 @@ router.post('/', upload.array('images', 6), async (req, res) => {
       try {
         console.log(`📁 Processing file: ${file.originalname} (${file.size} bytes)`);
         
-        // Upload to FTP
-        const { fileName, ftpUrl } = await uploadToFTP(file.path, file.originalname);
+        // Upload to storage
+        const { fileName, ftpUrl, derivatives } = await uploadToStorage(file.path, file.originalname);
         
         // Save to database
-        const { id } = await saveImageToDatabase(userId, ftpUrl);
+        const { id } = await saveImageToDatabase(userId, ftpUrl, derivatives);
         
         // Add to response
         uploadedUrls.push(ftpUrl);
@@ -1,27 +1,55 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const { authMiddleware } = require('../middleware/auth');
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const { serializeBigInt, handleError, parseBigIntId } = require('../utils/routeHelpers');
+const {
+  userHasPermission,
+  assertCanAssignRole,
+  getDefaultRole,
+  getUserAccess,
+} = require('../services/permission-service');
+const { revokeAllSessions } = require('../services/session-service');
+const {
+  USER_TOKEN_TYPES,
+  createUserToken,
+  buildTokenLink,
+} = require('../services/user-token-service');
+const { sendUserInviteEmail } = require('../services/email-service');
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
+
+// Create an invitation token and email the set-password link
+const sendInvitation = async (user, invitedBy) => {
+  const { token, expiresAt } = await createUserToken(
+    user.id,
+    USER_TOKEN_TYPES.INVITE,
+    { createdBy: invitedBy }
+  );
+  const sent = await sendUserInviteEmail({
+    to: user.email,
+    fullName: user.fullName,
+    organizationName: user.organization?.name,
+    orgId: user.orgId,
+    link: buildTokenLink(USER_TOKEN_TYPES.INVITE, token),
+    expiresAt,
+  });
+  return { sent, expiresAt };
+};
 
 // GET all users (protected route)
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requirePermission('users:read'), async (req, res) => {
   try {
-    // Admin can see all users, others see only their organization
+    // organizations:all can see all users, others see only their organization
     const whereClause = {
       deletedAt: null, // Exclude soft-deleted users
     };
 
-    // If not admin, filter by organization
-    const currentUserRole = await prisma.User.findUnique({
-      where: { id: BigInt(req.user.id) },
-      include: { role: true },
-    });
-
-    if (currentUserRole?.role?.name !== 'admin') {
+    if (!(await userHasPermission(req.user.id, 'organizations:all'))) {
       whereClause.orgId = BigInt(req.user.orgId);
     }
 
@@ -43,6 +71,7 @@ router.get('/', authMiddleware, async (req, res) => {
       fullName: user.fullName,
       phone: user.phone,
       isActive: user.isActive,
+      invitePending: !!user.invitedAt,
       createdAt: user.createdAt,
       updatedAt: user.updatedAt,
       organization: {
@@ -63,10 +92,22 @@ router.get('/', authMiddleware, async (req, res) => {
 });
 
 // GET users by organization
-router.get('/organization/:orgId', authMiddleware, async (req, res) => {
+router.get('/organization/:orgId', authMiddleware, requirePermission('users:read'), async (req, res) => {
   try {
     const { orgId } = req.params;
 
+    // Organizations of other tenants are not visible to the scoped client
+    const organization = await prisma.Organization.findUnique({
+      where: { id: BigInt(orgId) },
+    });
+
+    if (!organization) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Organization not found',
+      });
+    }
+
     const users = await prisma.User.findMany({
       where: {
         orgId: BigInt(orgId),
@@ -118,7 +159,7 @@ router.get('/organization/:orgId', authMiddleware, async (req, res) => {
   }
 });
 
-// GET current user profile (protected route)
+// GET current user profile (protected route, no permission needed for own profile)
 router.get('/profile', authMiddleware, async (req, res) => {
   try {
     const user = await prisma.User.findUnique({
@@ -136,6 +177,8 @@ router.get('/profile', authMiddleware, async (req, res) => {
       });
     }
 
+    const access = await getUserAccess(user.id);
+
     res.json({
       message: 'Profile retrieved successfully',
       data: {
@@ -152,6 +195,7 @@ router.get('/profile', authMiddleware, async (req, res) => {
           code: user.organization.code,
         },
         role: user.role.name,
+        permissions: access ? [...access.permissions] : [],
       },
     });
   } catch (error) {
@@ -160,7 +204,7 @@ router.get('/profile', authMiddleware, async (req, res) => {
 });
 
 // GET user by ID (protected route)
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, requirePermission('users:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -206,18 +250,18 @@ router.get('/:id', authMiddleware, async (req, res) => {
   }
 });
 
-  // POST new user (protected route - admin only would be added later)
-router.post('/', authMiddleware, async (req, res) => {
+// POST invite new user (requires users:manage)
+router.post('/', authMiddleware, requirePermission('users:manage'), async (req, res) => {
   try {
-    const { email, password, fullName, phone, roleIds, orgId } = req.body;
+    const { email, fullName, phone, roleIds, orgId } = req.body;
     
-    console.log('Creating new user:', { email, fullName, phone, roleIds, orgId });
+    console.log('Inviting new user:', { email, fullName, phone, roleIds, orgId });
 
-    // Validate required fields
-    if (!email || !password || !fullName) {
+    // Validate required fields. The user chooses a password from the invitation email.
+    if (!email || !fullName) {
       return res.status(400).json({
         error: 'Missing required fields',
-        message: 'Email, password, and fullName are required',
+        message: 'Email and fullName are required',
       });
     }
 
@@ -256,14 +300,23 @@ router.post('/', authMiddleware, async (req, res) => {
       });
     }
 
-    // Hash password
+    // Unusable password until the invitation is accepted
     const saltRounds = 10;
-    const passwordHash = await bcrypt.hash(password, saltRounds);
+    const passwordHash = await bcrypt.hash(
+      crypto.randomBytes(32).toString('hex'),
+      saltRounds
+    );
 
-    // Determine roleId - use first role from roleIds array or default to inspector (2)
-    let roleId = BigInt(2); // Default to inspector
+    // Determine roleId - use first role from roleIds array or the default role (DEFAULT_ROLE_NAME)
+    let roleId;
     if (roleIds && Array.isArray(roleIds) && roleIds.length > 0) {
-      roleId = BigInt(roleIds[0]);
+      const role = await assertCanAssignRole(
+        req.user.id,
+        parseBigIntId(roleIds[0])
+      );
+      roleId = role.id;
+    } else {
+      roleId = (await getDefaultRole(prisma)).id;
     }
 
     // Create user
@@ -275,6 +328,7 @@ router.post('/', authMiddleware, async (req, res) => {
         phone: phone || null, // Ensure null if empty string
         orgId: BigInt(orgId), // Use provided orgId
         roleId: roleId,
+        invitedAt: new Date(),
       },
       include: {
         organization: true,
@@ -282,16 +336,23 @@ router.post('/', authMiddleware, async (req, res) => {
       },
     });
 
+    const invitation = await sendInvitation(user, req.user.id);
+
     console.log('User created successfully:', user.id.toString());
     
     res.status(201).json({
-      message: 'User created successfully',
+      message: invitation.sent
+        ? 'User created successfully. Invitation email queued.'
+        : 'User created successfully, but the invitation email could not be queued. Use "resend invitation".',
       data: {
         id: user.id.toString(),
         email: user.email,
         fullName: user.fullName,
         phone: user.phone,
         isActive: user.isActive,
+        invitePending: true,
+        invitationSent: invitation.sent,
+        invitationExpiresAt: invitation.expiresAt,
         organization: {
           id: user.organization.id.toString(),
           name: user.organization.name,
@@ -306,7 +367,7 @@ router.post('/', authMiddleware, async (req, res) => {
 });
 
 // PUT update user (protected route)
-router.put('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, requirePermission('users:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { fullName, phone, isActive, password, roleIds } = req.body;
@@ -341,7 +402,11 @@ router.put('/:id', authMiddleware, async (req, res) => {
 
     // Update roleId if provided
     if (roleIds && Array.isArray(roleIds) && roleIds.length > 0) {
-      updateData.roleId = BigInt(roleIds[0]);
+      const role = await assertCanAssignRole(
+        req.user.id,
+        parseBigIntId(roleIds[0])
+      );
+      updateData.roleId = role.id;
     }
 
     // Update user
@@ -354,6 +419,11 @@ router.put('/:id', authMiddleware, async (req, res) => {
       },
     });
 
+    // Sign the user out everywhere after deactivation or a password reset
+    if (isActive === false || password) {
+      await revokeAllSessions(user.id);
+    }
+
     res.json({
       message: 'User updated successfully',
       data: {
@@ -375,29 +445,94 @@ router.put('/:id', authMiddleware, async (req, res) => {
   }
 });
 
-// DELETE user (protected route)
-router.delete('/:id', authMiddleware, async (req, res) => {
+// POST resend the invitation email of a user who has not set a password yet
+router.post('/:id/resend-invite', authMiddleware, requirePermission('users:manage'), async (req, res) => {
   try {
     const { id } = req.params;
-    console.log(`🗑️ DELETE user request: ID=${id}, User=${req.user.id}`);
 
-    // Determine if current user is admin to allow cross-organization deletion
-    const currentUser = await prisma.User.findUnique({
-      where: { id: BigInt(req.user.id) },
-      include: { role: true },
+    const existingUser = await prisma.User.findFirst({
+      where: {
+        id: BigInt(id),
+        deletedAt: null,
+      },
+      include: {
+        organization: true,
+      },
     });
 
-    if (!currentUser) {
-      console.log(`❌ Authenticated user not found: ID=${req.user.id}`);
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'Authenticated user not found',
+    if (!existingUser) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User not found',
       });
     }
 
-    const isAdmin = currentUser.role?.name === 'admin';
+    if (!existingUser.invitedAt) {
+      return res.status(400).json({
+        error: 'Invitation already accepted',
+        message: 'This user has already set a password',
+      });
+    }
+
+    const invitation = await sendInvitation(existingUser, req.user.id);
+    if (!invitation.sent) {
+      return res.status(502).json({
+        error: 'Email not queued',
+        message: 'The invitation email could not be queued.',
+      });
+    }
+
+    console.log(`📧 Invitation resent to user ${existingUser.email} (ID=${id}) by user ${req.user.id}`);
+    res.json({
+      message: 'Invitation queued successfully',
+      data: { invitationExpiresAt: invitation.expiresAt },
+    });
+  } catch (error) {
+    return handleError(res, error, 'resend invitation');
+  }
+});
+
+// POST revoke all sessions of a user (e.g. lost or stolen device)
+router.post('/:id/revoke-sessions', authMiddleware, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingUser = await prisma.User.findFirst({
+      where: {
+        id: BigInt(id),
+        deletedAt: null,
+      },
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User not found',
+      });
+    }
+
+    const revoked = await revokeAllSessions(existingUser.id);
+
+    console.log(`🔒 Sessions revoked for user ${existingUser.fullName} (ID=${id}) by user ${req.user.id}`);
+    res.json({
+      message: 'User sessions revoked successfully',
+      data: { revokedSessions: revoked },
+    });
+  } catch (error) {
+    return handleError(res, error, 'revoke user sessions');
+  }
+});
+
+// DELETE user (protected route)
+router.delete('/:id', authMiddleware, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`🗑️ DELETE user request: ID=${id}, User=${req.user.id}`);
+
+    // Cross-organization deletion requires organizations:all
+    const isAdmin = req.user.permissions.includes('organizations:all');
 
-    // Build lookup criteria. Non-admins can delete only within their organization
+    // Build lookup criteria. Others can delete only within their organization
     const userCriteria = {
       id: BigInt(id),
       deletedAt: null,
@@ -0,0 +1,92 @@
+/**
+ * Orphaned image cleanup
+ *
+ * Compares inspection_question_images with the photo storage and lists
+ * rows whose file is missing, files no row refers to, and loose uploads
+ * (/api/upload) that were never linked to an answer. Nothing is changed
+ * unless --apply is given. The same job runs from POST /api/image-cleanup.
+ *
+ * Usage:
+ *   npm run images:cleanup                        # dry run
+ *   npm run images:cleanup -- --grace-hours=48    # ignore the last 48 hours
+ *   npm run images:cleanup -- --apply             # delete / re-link
+ */
+
+const path = require('path');
+const dotenv = require('dotenv');
+
+if (!process.env.DB_HOST && !process.env.PORT) {
+  dotenv.config({ path: path.join(__dirname, '..', 'config.env') });
+}
+if (!process.env.DATABASE_URL) {
+  process.env.DATABASE_URL = `mysql://${process.env.DB_USER}:${process.env.DB_PASSWORD}@${process.env.DB_HOST}:${process.env.DB_PORT}/${process.env.DB_NAME}`;
+}
+
+const {
+  cleanUpOrphanedImages,
+  formatCleanupReport,
+} = require('../services/orphaned-images-service');
+const { runUnscoped } = require('../utils/tenantScope');
+
+function parseArgs(argv) {
+  const options = { apply: false };
+  for (const arg of argv) {
+    if (arg === '--apply') {
+      options.apply = true;
+    } else if (arg.startsWith('--grace-hours=')) {
+      options.graceHours = parseFloat(arg.split('=')[1]);
+      if (!Number.isFinite(options.graceHours) || options.graceHours < 0) {
+        throw new Error('--grace-hours must be a number of hours');
+      }
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return options;
+}
+
+function printSection(title, entries, describe) {
+  console.log(`\n=== ${title} (${entries.length}) ===`);
+  entries.forEach(entry => console.log(`  ${describe(entry)}`));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const report = formatCleanupReport(await cleanUpOrphanedImages(options));
+
+  console.log(
+    `Scanned ${report.totals.images} image row(s) and ${report.totals.files} stored file(s), grace period ${report.graceHours}h`
+  );
+  printSection(
+    'Rows without a file',
+    report.missingFiles,
+    image => `#${image.id} ${image.imageUrl}`
+  );
+  printSection(
+    'Files without a row',
+    report.orphanedFiles,
+    file => `${file.key} (${file.size} bytes)`
+  );
+  printSection('Unlinked uploads', report.staleUploads, upload =>
+    upload.relinkTo
+      ? `#${upload.id} ${upload.imageUrl} -> answer ${upload.relinkTo.answerId} ${upload.relinkTo.section}/${upload.relinkTo.fieldId}`
+      : `#${upload.id} ${upload.imageUrl} (not referenced, delete)`
+  );
+
+  if (report.dryRun) {
+    console.log('\nℹ️  Dry run, nothing changed. Run again with --apply.');
+  } else {
+    const { deletedRows, removedFiles, relinkedUploads } = report.actions;
+    console.log(
+      `\n✅ Deleted ${deletedRows} row(s), removed ${removedFiles} file(s), re-linked ${relinkedUploads} upload(s)`
+    );
+  }
+}
+
+// The cleanup covers the images of every organization
+runUnscoped(main)
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Image cleanup failed:', error.message);
+    process.exit(1);
+  });
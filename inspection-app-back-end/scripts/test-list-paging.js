@@ -0,0 +1,177 @@
+/**
+ * List paging check
+ *
+ * Pages through GET /api/inspections page by page and by cursor and verifies
+ * that both return every inspection exactly once, including the ones without
+ * scheduledAt (a cursor must never stop at a row whose sort field is NULL).
+ * When no visible inspection is unscheduled, one is created for the check and
+ * deleted afterwards.
+ *
+ * Usage:
+ *   1. Make sure the server is running (npm start)
+ *   2. Use an account with inspections:read and at least one inspection
+ *   3. PAGING_EMAIL=... PAGING_PASSWORD=... npm run test:paging
+ */
+
+const axios = require('axios');
+
+// Configuration
+const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:4555';
+const ACCOUNT = {
+  email: process.env.PAGING_EMAIL,
+  password: process.env.PAGING_PASSWORD,
+};
+// Small pages so that page boundaries fall on unscheduled inspections
+const PAGE_SIZE = parseInt(process.env.PAGING_LIMIT) || 2;
+
+const results = { passed: 0, failed: 0 };
+
+function check(name, ok, details) {
+  if (ok) {
+    console.log(`✅ PASSED ${name}`);
+    results.passed++;
+  } else {
+    console.log(`❌ FAILED ${name}`, details ?? '');
+    results.failed++;
+  }
+}
+
+/**
+ * Follow `page` until hasNextPage is false
+ * @returns {Promise<{ids: string[], responses: Object[]}>}
+ */
+async function collectByPage(api, params) {
+  const ids = [];
+  const responses = [];
+  for (let page = 1; ; page++) {
+    const response = await api.get('/api/inspections', {
+      params: { ...params, page, limit: PAGE_SIZE },
+    });
+    responses.push(response.data);
+    ids.push(...response.data.data.map(inspection => inspection.id));
+    if (!response.data.pagination.hasNextPage) return { ids, responses };
+  }
+}
+
+/**
+ * Follow nextCursor until it is null
+ * @returns {Promise<string[]>}
+ */
+async function collectByCursor(api, params) {
+  const ids = [];
+  let cursor = null;
+  do {
+    const response = await api.get('/api/inspections', {
+      params: { ...params, limit: PAGE_SIZE, ...(cursor && { cursor }) },
+    });
+    ids.push(...response.data.data.map(inspection => inspection.id));
+    cursor = response.data.pagination.nextCursor;
+  } while (cursor);
+  return ids;
+}
+
+const sameIds = (a, b) =>
+  a.length === b.length && [...a].sort().join() === [...b].sort().join();
+
+async function run() {
+  if (!ACCOUNT.email || !ACCOUNT.password) {
+    console.error('❌ Set PAGING_EMAIL and PAGING_PASSWORD');
+    process.exit(1);
+  }
+
+  const login = await axios.post(`${API_BASE_URL}/api/auth/login`, ACCOUNT);
+  const api = axios.create({
+    baseURL: API_BASE_URL,
+    headers: { Authorization: `Bearer ${login.data.data.token}` },
+  });
+
+  let { ids: allIds, responses } = await collectByPage(api, {});
+  let rows = responses.flatMap(response => response.data);
+  if (rows.length === 0) {
+    console.error('❌ The account sees no inspections');
+    process.exit(1);
+  }
+
+  let createdId = null;
+  if (!rows.some(inspection => !inspection.scheduledAt)) {
+    const withDevice = rows.find(inspection => inspection.deviceId);
+    if (!withDevice) {
+      console.error('❌ No inspection with a device to copy for the check');
+      process.exit(1);
+    }
+    const created = await api.post('/api/inspections', {
+      deviceId: withDevice.deviceId,
+      type: 'INSPECTION',
+      title: 'list paging check',
+    });
+    createdId = created.data.data.id;
+    console.log(`Created unscheduled inspection ${createdId}`);
+    ({ ids: allIds, responses } = await collectByPage(api, {}));
+    rows = responses.flatMap(response => response.data);
+  }
+
+  try {
+    const unscheduled = rows.filter(inspection => !inspection.scheduledAt);
+    const totalCount = responses[0].pagination.totalCount;
+    console.log(
+      `${totalCount} inspections, ${unscheduled.length} without scheduledAt, ${PAGE_SIZE} per page`
+    );
+
+    console.log('\n=== Page paging, default order ===');
+    check(
+      'every inspection is listed once',
+      allIds.length === totalCount && new Set(allIds).size === totalCount,
+      { listed: allIds.length, unique: new Set(allIds).size, totalCount }
+    );
+    check(
+      'no nextCursor is offered for the order on scheduledAt',
+      responses.every(response => response.pagination.nextCursor === null)
+    );
+
+    console.log('\n=== Cursor paging ===');
+    for (const sortOrder of ['asc', 'desc']) {
+      const cursorIds = await collectByCursor(api, {
+        sortBy: 'createdAt',
+        sortOrder,
+      });
+      check(
+        `sortBy=createdAt&sortOrder=${sortOrder} reaches every inspection`,
+        sameIds(cursorIds, allIds),
+        { listed: cursorIds.length, totalCount }
+      );
+      check(
+        `sortBy=createdAt&sortOrder=${sortOrder} includes the unscheduled ones`,
+        unscheduled.every(inspection => cursorIds.includes(inspection.id))
+      );
+    }
+
+    const rejected = async params =>
+      (
+        await api.get('/api/inspections', {
+          params: { ...params, cursor: allIds[0] },
+          validateStatus: () => true,
+        })
+      ).status;
+    check(
+      'cursor with sortBy=scheduledAt is rejected',
+      (await rejected({ sortBy: 'scheduledAt' })) === 400
+    );
+    check(
+      'cursor with the default order is rejected',
+      (await rejected({})) === 400
+    );
+  } finally {
+    if (createdId) {
+      await api.delete(`/api/inspections/${createdId}`);
+      console.log(`\nDeleted inspection ${createdId}`);
+    }
+  }
+
+  console.log(`\n${results.passed} passed, ${results.failed} failed`);
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+run().catch(error => {
+  console.error('❌ Error:', error.response?.data || error.message);
+  process.exit(1);
+});
@@ -0,0 +1,189 @@
+/**
+ * Tenant isolation check
+ *
+ * Logs in as a user of organization A and a user of organization B and
+ * verifies that A cannot read or touch B's records: every cross-tenant
+ * request must answer 404 as if the record did not exist.
+ *
+ * Usage:
+ *   1. Make sure the server is running (npm start)
+ *   2. Use two accounts of different organizations, without the
+ *      organizations:all permission, each with at least one inspection
+ *   3. TENANT_A_EMAIL=... TENANT_A_PASSWORD=... \
+ *      TENANT_B_EMAIL=... TENANT_B_PASSWORD=... npm run test:tenant
+ */
+
+const axios = require('axios');
+
+// Configuration
+const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:4555';
+const TENANT_A = {
+  email: process.env.TENANT_A_EMAIL,
+  password: process.env.TENANT_A_PASSWORD,
+};
+const TENANT_B = {
+  email: process.env.TENANT_B_EMAIL,
+  password: process.env.TENANT_B_PASSWORD,
+};
+
+const results = { passed: 0, failed: 0, skipped: 0 };
+
+/**
+ * Log in and return { token, user }
+ */
+async function login({ email, password }) {
+  const response = await axios.post(`${API_BASE_URL}/api/auth/login`, {
+    email,
+    password,
+  });
+  return response.data.data;
+}
+
+function client(token) {
+  return axios.create({
+    baseURL: API_BASE_URL,
+    headers: { Authorization: `Bearer ${token}` },
+    validateStatus: () => true,
+  });
+}
+
+/**
+ * Run one request and compare the response status
+ */
+async function expectStatus(name, request, expected) {
+  const response = await request();
+
+  if (response.status === 403) {
+    console.log(`⚠️  SKIPPED ${name}: caller lacks the required permission`);
+    results.skipped++;
+    return response;
+  }
+
+  if (response.status === expected) {
+    console.log(`✅ PASSED ${name} (${response.status})`);
+    results.passed++;
+  } else {
+    console.log(
+      `❌ FAILED ${name}: expected ${expected}, got ${response.status}`,
+      response.data
+    );
+    results.failed++;
+  }
+  return response;
+}
+
+async function firstInspection(api) {
+  const response = await api.get('/api/inspections', { params: { limit: 1 } });
+  return response.data?.data?.[0] || null;
+}
+
+async function run() {
+  if (!TENANT_A.email || !TENANT_B.email) {
+    console.error(
+      '❌ Set TENANT_A_EMAIL, TENANT_A_PASSWORD, TENANT_B_EMAIL and TENANT_B_PASSWORD'
+    );
+    process.exit(1);
+  }
+
+  const a = await login(TENANT_A);
+  const b = await login(TENANT_B);
+  const orgA = a.user.organization.id;
+  const orgB = b.user.organization.id;
+
+  if (orgA === orgB) {
+    console.error('❌ Both accounts belong to the same organization');
+    process.exit(1);
+  }
+
+  console.log(`Tenant A: ${a.user.email} (organization ${orgA})`);
+  console.log(`Tenant B: ${b.user.email} (organization ${orgB})`);
+
+  const apiA = client(a.token);
+  const apiB = client(b.token);
+
+  console.log('\n=== Own organization stays reachable ===');
+  await expectStatus(
+    'A lists devices of A',
+    () => apiA.get(`/api/devices/organization/${orgA}`),
+    200
+  );
+
+  console.log('\n=== Lists of another organization ===');
+  for (const resource of ['devices', 'sites', 'contracts', 'users']) {
+    await expectStatus(
+      `A lists ${resource} of B`,
+      () => apiA.get(`/api/${resource}/organization/${orgB}`),
+      404
+    );
+  }
+  const organizations = await expectStatus(
+    'A lists organizations',
+    () => apiA.get('/api/organizations'),
+    200
+  );
+  if ((organizations.data?.data || []).some(org => org.id === orgB)) {
+    console.log('❌ FAILED organization B is listed for A');
+    results.failed++;
+  }
+  await expectStatus(
+    'A renames organization B',
+    () =>
+      apiA.put(`/api/organizations/${orgB}`, {
+        name: 'tenant isolation check',
+      }),
+    404
+  );
+
+  console.log('\n=== Records of another organization ===');
+  const inspectionA = await firstInspection(apiA);
+  const inspectionB = await firstInspection(apiB);
+
+  if (inspectionB) {
+    await expectStatus(
+      'A reads an inspection of B',
+      () => apiA.get(`/api/inspections/${inspectionB.id}`),
+      404
+    );
+    await expectStatus(
+      'A updates an inspection of B',
+      () =>
+        apiA.put(`/api/inspections/${inspectionB.id}`, {
+          notes: 'tenant isolation check',
+        }),
+      404
+    );
+  } else {
+    console.log('⚠️  SKIPPED inspection checks: B has no inspections');
+    results.skipped++;
+  }
+
+  await expectStatus(
+    'A reads user B',
+    () => apiA.get(`/api/users/${b.user.id}`),
+    404
+  );
+
+  if (inspectionA) {
+    await expectStatus(
+      'A assigns its inspection to user B',
+      () =>
+        apiA.put(`/api/inspections/${inspectionA.id}/assign`, {
+          userId: b.user.id,
+        }),
+      404
+    );
+  } else {
+    console.log('⚠️  SKIPPED assignment check: A has no inspections');
+    results.skipped++;
+  }
+
+  console.log(
+    `\n${results.passed} passed, ${results.failed} failed, ${results.skipped} skipped`
+  );
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+run().catch(error => {
+  console.error('❌ Error:', error.response?.data || error.message);
+  process.exit(1);
+});
@@ -28,18 +28,6 @@ app.use(morgan('combined')); // Logging
 app.use(express.json({ limit: '50mb' })); // Parse JSON bodies (increased limit for image uploads)
 app.use(express.urlencoded({ extended: true, limit: '50mb' })); // Parse URL-encoded bodies (increased limit for image uploads)
 
-// Serve uploaded inspection images from FTP storage via HTTP
-const FTP_STORAGE_PATH =
-  process.env.FTP_STORAGE_PATH || path.resolve('C:/ftp_data');
-app.use(
-  '/uploads',
-  express.static(path.resolve(FTP_STORAGE_PATH), {
-    setHeaders: res => {
-      res.setHeader('Cache-Control', 'public, max-age=86400');
-    },
-  })
-);
-
 // Routes
 app.get('/', (req, res) => {
   res.json({
@@ -71,6 +59,17 @@ app.use('/api/devices', require('./routes/devices'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/templates', require('./routes/templates'));
 app.use('/api/documents', require('./routes/documents'));
+app.use('/api/schedules', require('./routes/schedules'));
+app.use('/api/roles', require('./routes/roles'));
+app.use('/api/audit-logs', require('./routes/audit-logs'));
+app.use('/api/image-cleanup', require('./routes/image-cleanup')); // Orphaned photo cleanup
+app.use('/api/exports', require('./routes/exports')); // Bulk report export (ZIP)
+app.use('/api/notifications', require('./routes/notifications')); // Email outbox and templates
+app.use('/api/sync', require('./routes/sync')); // Offline sync for the inspection app
+// Stored photos (authenticated or signed links); /uploads keeps older image URLs working
+const mediaRoutes = require('./routes/media');
+app.use('/api/media', mediaRoutes);
+app.use('/uploads', mediaRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -101,6 +100,25 @@ app.listen(PORT, () => {
   console.log(`🚀 Server is running on port ${PORT}`);
   console.log(`📱 API available at http://localhost:${PORT}`);
   console.log(`🏥 Health check at http://localhost:${PORT}/health`);
+
+  // Make sure every permission route guards rely on exists in the database
+  require('./services/permission-service')
+    .syncPermissionCatalog()
+    .catch(error =>
+      console.error('[server] ❌ Permission catalog sync failed:', error.message)
+    );
+
+  // Recurring inspection scheduler (creates inspections from due schedules)
+  require('./services/schedule-service').startScheduler();
+
+  // Bulk report export jobs
+  require('./services/export-service').startExportWorker();
+
+  // Outbound email delivery
+  require('./services/email-outbox-service').startOutboxWorker();
+
+  // Notifications of inspections past their planned date
+  require('./services/notification-service').startOverdueWorker();
 });
 
 module.exports = app;
@@ -0,0 +1,516 @@
+const nodemailer = require('nodemailer');
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope, runUnscoped } = require('../utils/tenantScope');
+const { HttpError } = require('../utils/errors');
+const { getStorage } = require('../utils/storage');
+const {
+  generateReportDocument,
+  readReportDocument,
+} = require('./report-document-service');
+
+const prisma = withTenantScope(new PrismaClient());
+
+/**
+ * Outbound email queue. services/email-service.js composes messages and
+ * enqueues them here; the worker delivers due messages over SMTP. A failed
+ * attempt is retried after EMAIL_RETRY_BASE_SECONDS, doubling each time up
+ * to EMAIL_RETRY_MAX_SECONDS; after EMAIL_MAX_ATTEMPTS attempts the message
+ * is DEAD until someone resends it. Every attempt is kept in delivery_log.
+ */
+
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 8;
+const EMAIL_RETRY_BASE_SECONDS =
+  parseFloat(process.env.EMAIL_RETRY_BASE_SECONDS) || 60;
+const EMAIL_RETRY_MAX_SECONDS =
+  parseFloat(process.env.EMAIL_RETRY_MAX_SECONDS) || 6 * 60 * 60;
+// A SENDING message not finished after this long lost its process
+const EMAIL_SENDING_STALE_MINUTES =
+  parseFloat(process.env.EMAIL_SENDING_STALE_MINUTES) || 15;
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 20;
+const DELIVERY_LOG_SIZE = 20;
+
+// Bodies carry one-time links: never returned by the API, cleared once sent
+const SENSITIVE_KINDS = ['user.invite', 'user.password-reset'];
+const REDACTED_BODY = '[removed after delivery]';
+
+let transporter;
+let workerTimer = null;
+let runInProgress = null;
+
+const getTransporter = () => {
+  if (transporter) {
+    return transporter;
+  }
+
+  const user = process.env.NOTIFY_EMAIL_USER;
+  const pass = process.env.NOTIFY_EMAIL_PASSWORD;
+
+  console.log('[email-outbox] Initializing email transporter...');
+  console.log('[email-outbox] Config check:', {
+    hasUser: !!user,
+    hasPassword: !!pass,
+    user: user ? `${user.substring(0, 3)}***` : 'missing',
+    host: process.env.NOTIFY_EMAIL_HOST || 'smtp.office365.com (default)',
+    port: process.env.NOTIFY_EMAIL_PORT || '587 (default)',
+    secure: process.env.NOTIFY_EMAIL_SECURE || 'false (default)',
+  });
+
+  // Without credentials only an explicitly configured host is used (a local SMTP sink)
+  if ((!user || !pass) && !process.env.NOTIFY_EMAIL_HOST) {
+    console.error(
+      '[email-outbox] ❌ NOTIFY_EMAIL_USER / NOTIFY_EMAIL_PASSWORD are not configured. Emails stay queued.'
+    );
+    return null;
+  }
+
+  // Microsoft 365/Office 365 SMTP configuration
+  const host = process.env.NOTIFY_EMAIL_HOST || 'smtp.office365.com';
+  const port = Number(process.env.NOTIFY_EMAIL_PORT || 587);
+  const secure =
+    typeof process.env.NOTIFY_EMAIL_SECURE === 'string'
+      ? ['true', '1', 'yes'].includes(
+          process.env.NOTIFY_EMAIL_SECURE.toLowerCase()
+        )
+      : port === 465;
+
+  const transportConfig = { host, port, secure };
+  if (user && pass) {
+    transportConfig.auth = { user, pass };
+  }
+
+  // For Microsoft 365 with port 587, use STARTTLS (secure: false, requireTLS: true)
+  if (port === 587 && !secure) {
+    transportConfig.requireTLS = true;
+  }
+
+  transporter = nodemailer.createTransport(transportConfig);
+  console.log('[email-outbox] ✅ Transporter created:', {
+    host,
+    port,
+    secure,
+    user: user ? `${user.substring(0, 3)}***` : 'none',
+  });
+  return transporter;
+};
+
+/**
+ * Hints for the SMTP errors Microsoft 365 commonly returns
+ */
+function smtpErrorHint(error) {
+  if (error.code === 'EAUTH' || error.responseCode === 535) {
+    if (error.response && error.response.includes('security defaults policy')) {
+      return 'SMTP AUTH is blocked by the Security Defaults policy; enable "Authenticated SMTP" for the mailbox';
+    }
+    return 'Authentication failed: check NOTIFY_EMAIL_USER / NOTIFY_EMAIL_PASSWORD (use an App Password with MFA)';
+  }
+  if (error.code === 'ECONNECTION' || error.code === 'ETIMEDOUT') {
+    return 'Cannot reach the SMTP server: check NOTIFY_EMAIL_HOST / NOTIFY_EMAIL_PORT and the firewall';
+  }
+  if (error.responseCode === 550) {
+    return 'Mailbox unavailable or recipient rejected';
+  }
+  if (error.responseCode === 421) {
+    return 'Service temporarily unavailable';
+  }
+  return null;
+}
+
+/**
+ * Delay before the next attempt after `attempts` failed ones
+ */
+function retryDelayMs(attempts) {
+  const seconds = Math.min(
+    EMAIL_RETRY_BASE_SECONDS * 2 ** (attempts - 1),
+    EMAIL_RETRY_MAX_SECONDS
+  );
+  return seconds * 1000;
+}
+
+// Run the worker soon, outside the tenant context of the current request
+const wakeWorker = () => runUnscoped(() => setImmediate(tick));
+
+/**
+ * Queue an email
+ * @param {Object} message - { kind, to, cc, subject, text, html, attachments, orgId, inspectionId, createdBy }
+ *   to / cc: address or list of addresses
+ * @returns {Promise<Object>} email_outbox row
+ */
+async function enqueueEmail({
+  kind,
+  to,
+  cc = null,
+  subject,
+  text = null,
+  html = null,
+  attachments = null,
+  orgId = null,
+  inspectionId = null,
+  createdBy = null,
+}) {
+  if (!to) {
+    throw new Error(`Validation failed: ${kind} email has no recipient`);
+  }
+
+  const message = await prisma.emailOutbox.create({
+    data: {
+      kind,
+      toAddress: Array.isArray(to) ? to.join(', ') : to,
+      ccAddress: (Array.isArray(cc) ? cc.join(', ') : cc) || null,
+      subject,
+      textBody: text,
+      htmlBody: html,
+      attachments,
+      orgId: orgId ? BigInt(orgId) : null,
+      inspectionId: inspectionId ? BigInt(inspectionId) : null,
+      createdBy: createdBy ? BigInt(createdBy) : null,
+    },
+  });
+  console.log(
+    `[email-outbox] Queued ${kind} email ${message.id} to ${message.toAddress}`
+  );
+  wakeWorker();
+  return message;
+}
+
+/**
+ * Nodemailer attachments of a message. A report attachment is rendered on the
+ * first attempt and pinned to that document so retries send the same file.
+ */
+async function resolveAttachments(message) {
+  const specs = Array.isArray(message.attachments) ? message.attachments : [];
+  if (specs.length === 0) {
+    return [];
+  }
+  let pinned = false;
+  const attachments = [];
+  for (const spec of specs) {
+    if (spec.type === 'report') {
+      let document;
+      let content;
+      if (spec.documentId) {
+        document = await prisma.docDetail.findUnique({
+          where: { id: BigInt(spec.documentId) },
+        });
+        if (!document) {
+          throw new Error(`Report document ${spec.documentId} not found`);
+        }
+        content = await readReportDocument(document);
+      } else {
+        ({ document, buffer: content } = await generateReportDocument(
+          spec.answerId,
+          { format: spec.format || 'DOCX', userId: message.createdBy }
+        ));
+        spec.documentId = document.id.toString();
+        pinned = true;
+      }
+      attachments.push({
+        filename: document.docName,
+        content,
+        contentType: document.mimeType,
+      });
+    } else {
+      const content = await getStorage().get(spec.storageKey);
+      if (!content) {
+        throw new Error(
+          `Attachment ${spec.storageKey} not found in the storage`
+        );
+      }
+      attachments.push({
+        filename: spec.filename,
+        content,
+        contentType: spec.contentType,
+      });
+    }
+  }
+
+  if (pinned) {
+    await prisma.emailOutbox.update({
+      where: { id: message.id },
+      data: { attachments: specs },
+    });
+  }
+  return attachments;
+}
+
+const appendLog = (message, entry) =>
+  [
+    ...(Array.isArray(message.deliveryLog) ? message.deliveryLog : []),
+    entry,
+  ].slice(-DELIVERY_LOG_SIZE);
+
+/**
+ * Try to deliver one claimed message and record the outcome
+ */
+async function deliverMessage(message) {
+  const attempts = message.attempts + 1;
+  const now = new Date();
+
+  try {
+    const mailer = getTransporter();
+    if (!mailer) {
+      throw new Error(
+        'SMTP is not configured (NOTIFY_EMAIL_USER / NOTIFY_EMAIL_PASSWORD)'
+      );
+    }
+
+    const result = await mailer.sendMail({
+      from:
+        process.env.NOTIFY_EMAIL_FROM || process.env.NOTIFY_EMAIL_USER || '',
+      to: message.toAddress,
+      cc: message.ccAddress || undefined,
+      subject: message.subject,
+      text: message.textBody || undefined,
+      html: message.htmlBody || undefined,
+      attachments: await resolveAttachments(message),
+    });
+
+    const sensitive = SENSITIVE_KINDS.includes(message.kind);
+    await prisma.emailOutbox.update({
+      where: { id: message.id },
+      data: {
+        status: 'SENT',
+        attempts,
+        sentAt: now,
+        messageId: result.messageId || null,
+        lastError: null,
+        deliveryLog: appendLog(message, {
+          at: now.toISOString(),
+          ok: true,
+          response: result.response || null,
+        }),
+        ...(sensitive && { textBody: REDACTED_BODY, htmlBody: null }),
+      },
+    });
+    console.log(
+      `[email-outbox] ✅ Sent ${message.kind} email ${message.id} to ${message.toAddress}`
+    );
+    return true;
+  } catch (error) {
+    const hint = smtpErrorHint(error);
+    const errorText = hint ? `${error.message} (${hint})` : error.message;
+    const dead = attempts >= EMAIL_MAX_ATTEMPTS;
+
+    await prisma.emailOutbox.update({
+      where: { id: message.id },
+      data: {
+        status: dead ? 'DEAD' : 'PENDING',
+        attempts,
+        nextAttemptAt: dead
+          ? now
+          : new Date(now.getTime() + retryDelayMs(attempts)),
+        lastError: errorText,
+        deliveryLog: appendLog(message, {
+          at: now.toISOString(),
+          ok: false,
+          error: errorText,
+          responseCode: error.responseCode || null,
+        }),
+      },
+    });
+    console.error(
+      `[email-outbox] ${dead ? '❌' : '⚠️'} ${message.kind} email ${message.id} attempt ${attempts}/${EMAIL_MAX_ATTEMPTS} failed: ${errorText}`
+    );
+    return false;
+  }
+}
+
+/**
+ * Deliver the messages that are due
+ * @returns {Promise<Object>} { sent, failed }
+ */
+async function processOutbox(now = new Date()) {
+  const summary = { sent: 0, failed: 0 };
+
+  for (;;) {
+    const due = await prisma.emailOutbox.findMany({
+      where: { status: 'PENDING', nextAttemptAt: { lte: now } },
+      orderBy: [{ nextAttemptAt: 'asc' }, { id: 'asc' }],
+      take: BATCH_SIZE,
+      select: { id: true },
+    });
+    if (due.length === 0) {
+      return summary;
+    }
+
+    for (const { id } of due) {
+      // Claim the message so that another process does not send it as well
+      const claimed = await prisma.emailOutbox.updateMany({
+        where: { id, status: 'PENDING' },
+        data: { status: 'SENDING' },
+      });
+      if (claimed.count === 0) {
+        continue;
+      }
+      const message = await prisma.emailOutbox.findUnique({ where: { id } });
+      if (await deliverMessage(message)) {
+        summary.sent += 1;
+      } else {
+        summary.failed += 1;
+      }
+    }
+  }
+}
+
+/**
+ * Queue SENDING messages again whose process stopped. The claim stamps
+ * updated_at and a delivery finishes the message well within
+ * EMAIL_SENDING_STALE_MINUTES, so older SENDING rows are no longer being sent.
+ * @returns {Promise<number>} Number of requeued messages
+ */
+async function requeueStaleEmails(now = new Date()) {
+  const { count } = await prisma.emailOutbox.updateMany({
+    where: {
+      status: 'SENDING',
+      updatedAt: {
+        lt: new Date(now.getTime() - EMAIL_SENDING_STALE_MINUTES * 60 * 1000),
+      },
+    },
+    data: { status: 'PENDING' },
+  });
+  if (count > 0) {
+    console.log(`[email-outbox] ⚠️ Requeued ${count} interrupted email(s)`);
+  }
+  return count;
+}
+
+/**
+ * Requeue interrupted messages and deliver due ones unless a run is already
+ * in progress in this process
+ */
+async function tick() {
+  if (runInProgress) {
+    return null;
+  }
+
+  runInProgress = (async () => {
+    await requeueStaleEmails();
+    return processOutbox();
+  })();
+  try {
+    return await runInProgress;
+  } catch (error) {
+    console.error('[email-outbox] ❌ Outbox run failed:', error.message);
+    return null;
+  } finally {
+    runInProgress = null;
+  }
+}
+
+/**
+ * Queue a message again (DEAD or SENT); the attempt count starts over
+ * @param {BigInt} id - email_outbox ID
+ * @returns {Promise<Object>} Updated row
+ */
+async function resendEmail(id) {
+  const message = await prisma.emailOutbox.findUnique({ where: { id } });
+  if (!message) {
+    throw new Error('Email not found');
+  }
+  if (['PENDING', 'SENDING'].includes(message.status)) {
+    throw new HttpError(
+      409,
+      'Conflict',
+      `Email ${id} is already queued for delivery`
+    );
+  }
+  if (message.textBody === REDACTED_BODY) {
+    throw new HttpError(
+      409,
+      'Conflict',
+      'This email contained a one-time link and cannot be resent; request a new link instead'
+    );
+  }
+
+  const updated = await prisma.emailOutbox.update({
+    where: { id },
+    data: { status: 'PENDING', attempts: 0, nextAttemptAt: new Date() },
+  });
+  wakeWorker();
+  return updated;
+}
+
+/**
+ * Start the in-process outbox worker.
+ * Messages left SENDING by a stopped process are queued again once they
+ * are stale (requeueStaleEmails).
+ * Disabled with EMAIL_OUTBOX_ENABLED=false; interval set by EMAIL_OUTBOX_INTERVAL_MS.
+ */
+function startOutboxWorker() {
+  if (workerTimer) {
+    return;
+  }
+  if (
+    ['false', '0', 'no'].includes(
+      (process.env.EMAIL_OUTBOX_ENABLED || '').toLowerCase()
+    )
+  ) {
+    console.log('[email-outbox] Outbox worker disabled (EMAIL_OUTBOX_ENABLED)');
+    return;
+  }
+
+  const intervalMs =
+    Number(process.env.EMAIL_OUTBOX_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+  // The outbox holds the emails of every organization
+  runUnscoped(() => {
+    setImmediate(tick);
+    workerTimer = setInterval(tick, intervalMs);
+    workerTimer.unref();
+  });
+  console.log(`[email-outbox] Outbox worker started (every ${intervalMs}ms)`);
+}
+
+/**
+ * Stop the in-process outbox worker
+ */
+function stopOutboxWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+/**
+ * JSON shape of an outbox message
+ * @param {Object} message - email_outbox row
+ * @param {Object} options - { includeBody }
+ */
+function formatOutboxMessage(message, { includeBody = false } = {}) {
+  const showBody = includeBody && !SENSITIVE_KINDS.includes(message.kind);
+  return {
+    id: message.id.toString(),
+    kind: message.kind,
+    to: message.toAddress,
+    cc: message.ccAddress,
+    subject: message.subject,
+    status: message.status,
+    attempts: message.attempts,
+    maxAttempts: EMAIL_MAX_ATTEMPTS,
+    nextAttemptAt: message.status === 'PENDING' ? message.nextAttemptAt : null,
+    lastError: message.lastError,
+    sentAt: message.sentAt,
+    messageId: message.messageId,
+    orgId: message.orgId?.toString() ?? null,
+    inspectionId: message.inspectionId?.toString() ?? null,
+    attachments: message.attachments,
+    createdBy: message.createdBy?.toString() ?? null,
+    createdAt: message.createdAt,
+    ...(includeBody && {
+      text: showBody ? message.textBody : null,
+      html: showBody ? message.htmlBody : null,
+      deliveryLog: message.deliveryLog || [],
+    }),
+  };
+}
+
+module.exports = {
+  EMAIL_MAX_ATTEMPTS,
+  enqueueEmail,
+  processOutbox,
+  requeueStaleEmails,
+  resendEmail,
+  retryDelayMs,
+  startOutboxWorker,
+  stopOutboxWorker,
+  formatOutboxMessage,
+};
@@ -0,0 +1,669 @@
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenantScope');
+const { HttpError } = require('../utils/errors');
+
+const prisma = withTenantScope(new PrismaClient());
+
+/**
+ * Wording of notification emails. An organization can store its own subject,
+ * text and HTML per event and locale (email_templates); everything else uses
+ * the built-in wording below. Templates reference inspection data with
+ * placeholders such as {{inspection.title}}; `{{site.name|-}}` prints "-"
+ * when the value is empty. Values are HTML-escaped in HTML bodies.
+ */
+
+const EMAIL_LOCALES = ['mn', 'en'];
+const DEFAULT_EMAIL_LOCALE = EMAIL_LOCALES.includes(
+  process.env.EMAIL_DEFAULT_LOCALE
+)
+  ? process.env.EMAIL_DEFAULT_LOCALE
+  : 'mn';
+
+const DATE_LOCALES = { mn: 'mn-MN', en: 'en-GB' };
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g;
+
+const PLACEHOLDERS = {
+  'inspection.id': 'Inspection ID',
+  'inspection.title': 'Inspection title',
+  'inspection.type': 'Inspection type (INSTALLATION, VERIFICATION, ...)',
+  'inspection.status': 'Inspection status',
+  'inspection.scheduledAt': 'Planned date',
+  'inspection.completedAt': 'Completion date',
+  'inspection.notes': 'Instructions / notes of the inspection',
+  'inspection.rejectionReason': 'Reason the inspection was sent back',
+  'inspection.reviewedAt': 'Date of the review decision',
+  'organization.name': 'Organization name',
+  'organization.contactName': 'Organization contact person',
+  'site.name': 'Site name',
+  'device.serialNumber': 'Device serial number',
+  'device.assetTag': 'Device asset tag',
+  'device.model': 'Device manufacturer and model',
+  'assignee.fullName': 'Assigned inspector',
+  'assignee.email': 'Email of the assigned inspector',
+  'recipient.name': 'Name of the recipient (empty when the email has several)',
+};
+
+const COMPLETED_HTML = (labels, greeting, intro) =>
+  `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body {
+      font-family: Arial, sans-serif;
+      line-height: 1.6;
+      color: #333;
+    }
+    .container {
+      max-width: 600px;
+      margin: 0 auto;
+      padding: 20px;
+    }
+    .header {
+      background-color: #4CAF50;
+      color: white;
+      padding: 20px;
+      text-align: center;
+      border-radius: 5px 5px 0 0;
+    }
+    .content {
+      background-color: #f9f9f9;
+      padding: 20px;
+      border: 1px solid #ddd;
+      border-top: none;
+    }
+    .info-box {
+      background-color: white;
+      padding: 15px;
+      margin: 15px 0;
+      border-left: 4px solid #4CAF50;
+      border-radius: 4px;
+    }
+    .info-item {
+      margin: 8px 0;
+    }
+    .info-label {
+      font-weight: bold;
+      color: #555;
+    }
+    .footer {
+      text-align: center;
+      padding: 20px;
+      color: #666;
+      font-size: 12px;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h2>${labels.heading}</h2>
+    </div>
+    <div class="content">
+      <p>${greeting}</p>
+      <p>${intro}</p>
+
+      <div class="info-box">
+        <div class="info-item">
+          <span class="info-label">${labels.title}:</span> {{inspection.title}}
+        </div>
+        <div class="info-item">
+          <span class="info-label">${labels.id}:</span> {{inspection.id}}
+        </div>
+        <div class="info-item">
+          <span class="info-label">${labels.completedAt}:</span> {{inspection.completedAt}}
+        </div>
+      </div>
+
+      <p>${labels.details}</p>
+    </div>
+    <div class="footer">
+      <p>${labels.regards}<br>${labels.signature}</p>
+    </div>
+  </div>
+</body>
+</html>
+`.trim();
+
+// Built-in wording; the Mongolian texts are the ones sent before templates existed
+const DEFAULT_TEMPLATES = {
+  'inspection.assigned': {
+    mn: {
+      subject: 'Шинэ үзлэгийн томилолт - {{inspection.title}}',
+      text: [
+        'Сайн байна уу {{assignee.fullName}},',
+        '',
+        'Танд дараах үзлэгийн томилолт ирлээ:',
+        '• Үзлэг: {{inspection.title}}',
+        '• Төрөл: {{inspection.type}}',
+        '• Төлөвлөсөн огноо: {{inspection.scheduledAt|Төлөвлөсөн огноо тодорхойгүй}}',
+        '• Байгууллага: {{organization.name|Тодорхойгүй байгууллага}}',
+        '• Талбай: {{site.name|Талбайн мэдээлэл байхгүй}}',
+        '• Төхөөрөмж: Сериал: {{device.serialNumber|-}} / Asset: {{device.assetTag|-}}',
+        '',
+        'Үзлэгийн заавар / тэмдэглэл:',
+        '{{inspection.notes|Нэмэлт заавар ирээгүй байна. Дэлгэрэнгүйг систем дээрх тэмдэглэлээс шалгана уу.}}',
+        '',
+        'Амжилттай гүйцэтгэнэ үү.',
+        '',
+        'Хүндэтгэсэн,',
+        'Inspection System',
+      ].join('\n'),
+    },
+    en: {
+      subject: 'New inspection assignment - {{inspection.title}}',
+      text: [
+        'Hello {{assignee.fullName}},',
+        '',
+        'You have been assigned the following inspection:',
+        '• Inspection: {{inspection.title}}',
+        '• Type: {{inspection.type}}',
+        '• Planned date: {{inspection.scheduledAt|Not scheduled}}',
+        '• Organization: {{organization.name|Unknown organization}}',
+        '• Site: {{site.name|No site information}}',
+        '• Device: Serial: {{device.serialNumber|-}} / Asset: {{device.assetTag|-}}',
+        '',
+        'Instructions / notes:',
+        '{{inspection.notes|No additional instructions. Please check the notes in the system.}}',
+        '',
+        'Good luck with the inspection.',
+        '',
+        'Kind regards,',
+        'Inspection System',
+      ].join('\n'),
+    },
+  },
+  'inspection.completed': {
+    mn: {
+      subject: 'Үзлэг дууссан: {{inspection.title}}',
+      text: [
+        'Эрхэм {{recipient.name|хэрэглэгч}},',
+        '',
+        '{{organization.name}} байгууллагын үзлэг амжилттай дууссан тухай мэдэгдэж байна.',
+        '',
+        'Үзлэгийн мэдээлэл:',
+        '- Гарчиг: {{inspection.title}}',
+        '- Үзлэгийн ID: {{inspection.id}}',
+        '- Дууссан огноо: {{inspection.completedAt}}',
+        '',
+        'Дэлгэрэнгүй мэдээллийг системд нэвтэрч үзнэ үү.',
+        '',
+        'Хүндэтгэсэн,',
+        'Inspection App Систем',
+      ].join('\n'),
+      html: COMPLETED_HTML(
+        {
+          heading: 'Үзлэг дууссан',
+          title: 'Гарчиг',
+          id: 'Үзлэгийн ID',
+          completedAt: 'Дууссан огноо',
+          details: 'Дэлгэрэнгүй мэдээллийг системд нэвтэрч үзнэ үү.',
+          regards: 'Хүндэтгэсэн,',
+          signature: 'Inspection App Систем',
+        },
+        'Эрхэм {{recipient.name|хэрэглэгч}},',
+        '{{organization.name}} байгууллагын үзлэг амжилттай дууссан тухай мэдэгдэж байна.'
+      ),
+    },
+    en: {
+      subject: 'Inspection completed: {{inspection.title}}',
+      text: [
+        'Dear {{recipient.name|customer}},',
+        '',
+        'We would like to inform you that an inspection of {{organization.name}} has been completed.',
+        '',
+        'Inspection details:',
+        '- Title: {{inspection.title}}',
+        '- Inspection ID: {{inspection.id}}',
+        '- Completed at: {{inspection.completedAt}}',
+        '',
+        'Please sign in to the system for more details.',
+        '',
+        'Kind regards,',
+        'Inspection App System',
+      ].join('\n'),
+      html: COMPLETED_HTML(
+        {
+          heading: 'Inspection completed',
+          title: 'Title',
+          id: 'Inspection ID',
+          completedAt: 'Completed at',
+          details: 'Please sign in to the system for more details.',
+          regards: 'Kind regards,',
+          signature: 'Inspection App System',
+        },
+        'Dear {{recipient.name|customer}},',
+        'We would like to inform you that an inspection of {{organization.name}} has been completed.'
+      ),
+    },
+  },
+  'inspection.rejected': {
+    mn: {
+      subject: 'Үзлэг буцаагдсан - {{inspection.title}}',
+      text: [
+        'Сайн байна уу {{assignee.fullName}},',
+        '',
+        'Таны илгээсэн үзлэг буцаагдлаа:',
+        '• Үзлэг: {{inspection.title}}',
+        '• Шалтгаан: {{inspection.rejectionReason}}',
+        '',
+        'Үзлэгийг дахин нээж засварласны дараа дахин илгээнэ үү.',
+        '',
+        'Хүндэтгэсэн,',
+        'Inspection System',
+      ].join('\n'),
+    },
+    en: {
+      subject: 'Inspection returned - {{inspection.title}}',
+      text: [
+        'Hello {{assignee.fullName}},',
+        '',
+        'The inspection you submitted was sent back:',
+        '• Inspection: {{inspection.title}}',
+        '• Reason: {{inspection.rejectionReason}}',
+        '',
+        'Please reopen the inspection, correct it and submit it again.',
+        '',
+        'Kind regards,',
+        'Inspection System',
+      ].join('\n'),
+    },
+  },
+  'inspection.approved': {
+    mn: {
+      subject: 'Үзлэг батлагдсан - {{inspection.title}}',
+      text: [
+        'Эрхэм {{recipient.name|хэрэглэгч}},',
+        '',
+        'Дараах үзлэг хянагдаж батлагдлаа:',
+        '• Үзлэг: {{inspection.title}}',
+        '• Байгууллага: {{organization.name}}',
+        '• Талбай: {{site.name|-}}',
+        '• Гүйцэтгэсэн: {{assignee.fullName|-}}',
+        '• Баталсан огноо: {{inspection.reviewedAt}}',
+        '',
+        'Хүндэтгэсэн,',
+        'Inspection System',
+      ].join('\n'),
+    },
+    en: {
+      subject: 'Inspection approved - {{inspection.title}}',
+      text: [
+        'Dear {{recipient.name|colleague}},',
+        '',
+        'The following inspection was reviewed and approved:',
+        '• Inspection: {{inspection.title}}',
+        '• Organization: {{organization.name}}',
+        '• Site: {{site.name|-}}',
+        '• Inspector: {{assignee.fullName|-}}',
+        '• Approved at: {{inspection.reviewedAt}}',
+        '',
+        'Kind regards,',
+        'Inspection System',
+      ].join('\n'),
+    },
+  },
+  'inspection.overdue': {
+    mn: {
+      subject: 'Хугацаа хэтэрсэн үзлэг - {{inspection.title}}',
+      text: [
+        'Эрхэм {{recipient.name|хэрэглэгч}},',
+        '',
+        'Дараах үзлэгийн төлөвлөсөн хугацаа өнгөрсөн боловч дуусаагүй байна:',
+        '• Үзлэг: {{inspection.title}}',
+        '• Төлөвлөсөн огноо: {{inspection.scheduledAt}}',
+        '• Талбай: {{site.name|-}}',
+        '• Төхөөрөмж: Сериал: {{device.serialNumber|-}}',
+        '• Хариуцагч: {{assignee.fullName|Томилогдоогүй}}',
+        '',
+        'Үзлэгийг аль болох хурдан гүйцэтгэнэ үү.',
+        '',
+        'Хүндэтгэсэн,',
+        'Inspection System',
+      ].join('\n'),
+    },
+    en: {
+      subject: 'Overdue inspection - {{inspection.title}}',
+      text: [
+        'Dear {{recipient.name|colleague}},',
+        '',
+        'The planned date of the following inspection has passed and it is not finished yet:',
+        '• Inspection: {{inspection.title}}',
+        '• Planned date: {{inspection.scheduledAt}}',
+        '• Site: {{site.name|-}}',
+        '• Device: Serial: {{device.serialNumber|-}}',
+        '• Inspector: {{assignee.fullName|Not assigned}}',
+        '',
+        'Please complete the inspection as soon as possible.',
+        '',
+        'Kind regards,',
+        'Inspection System',
+      ].join('\n'),
+    },
+  },
+};
+
+const EMAIL_EVENTS = Object.keys(DEFAULT_TEMPLATES);
+
+// Data used by previews
+const SAMPLE_CONTEXT = {
+  inspection: {
+    id: '1024',
+    title: 'Автомашины жин - жилийн баталгаажуулалт',
+    type: 'VERIFICATION',
+    status: 'SUBMITTED',
+    scheduledAt: new Date('2025-05-12T09:30:00Z'),
+    completedAt: new Date('2025-05-12T14:10:00Z'),
+    notes: 'Баталгаажуулалтын жинг авч очно уу.',
+    rejectionReason: 'Индикаторын зураг дутуу байна.',
+    reviewedAt: new Date('2025-05-13T08:00:00Z'),
+  },
+  organization: { name: 'Жишээ ХХК', contactName: 'Б. Болд' },
+  site: { name: 'Төв агуулах' },
+  device: {
+    serialNumber: 'SN-000123',
+    assetTag: 'AT-45',
+    model: 'Mettler Toledo IND570',
+  },
+  assignee: { fullName: 'Д. Дорж', email: 'inspector@example.com' },
+  recipient: { name: 'Б. Болд' },
+};
+
+/**
+ * Validate an event name
+ */
+function parseEmailEvent(event) {
+  if (!EMAIL_EVENTS.includes(event)) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      `event must be one of: ${EMAIL_EVENTS.join(', ')}`
+    );
+  }
+  return event;
+}
+
+/**
+ * Validate a locale (mn / en)
+ */
+function parseEmailLocale(locale) {
+  const normalized = String(locale || '').toLowerCase();
+  if (!EMAIL_LOCALES.includes(normalized)) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      `locale must be one of: ${EMAIL_LOCALES.join(', ')}`
+    );
+  }
+  return normalized;
+}
+
+const escapeHtml = value =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+function formatValue(value, locale) {
+  if (value instanceof Date) {
+    return value.toLocaleString(DATE_LOCALES[locale] || DATE_LOCALES.mn, {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  }
+  return String(value).trim();
+}
+
+/**
+ * Fill the placeholders of a template string
+ * @param {string} template - Text with {{path}} / {{path|fallback}} placeholders
+ * @param {Object} context - { inspection, organization, site, device, assignee, recipient }
+ * @param {Object} options - { locale, html } (html escapes the values)
+ */
+function renderTemplateString(template, context, { locale, html = false }) {
+  return template.replace(PLACEHOLDER_PATTERN, (match, path, fallback) => {
+    const value = path
+      .split('.')
+      .reduce(
+        (current, key) => (current == null ? current : current[key]),
+        context
+      );
+    const text =
+      value == null || formatValue(value, locale) === ''
+        ? (fallback ?? '').trim()
+        : formatValue(value, locale);
+    return html ? escapeHtml(text) : text;
+  });
+}
+
+/**
+ * Check subject and bodies before a template is stored
+ * @returns {Object} { subject, textBody, htmlBody }
+ */
+function validateEmailTemplate({ subject, textBody, htmlBody } = {}) {
+  const errors = [];
+  if (typeof subject !== 'string' || !subject.trim()) {
+    errors.push('subject is required');
+  } else if (subject.length > 500) {
+    errors.push('subject must be at most 500 characters');
+  }
+  if (typeof textBody !== 'string' || !textBody.trim()) {
+    errors.push('textBody is required');
+  }
+  if (htmlBody != null && typeof htmlBody !== 'string') {
+    errors.push('htmlBody must be a string');
+  }
+
+  const unknown = new Set();
+  for (const part of [subject, textBody, htmlBody]) {
+    if (typeof part !== 'string') continue;
+    for (const [, path] of part.matchAll(PLACEHOLDER_PATTERN)) {
+      if (!PLACEHOLDERS[path]) unknown.add(path);
+    }
+  }
+  if (unknown.size > 0) {
+    errors.push(`Unknown placeholders: ${[...unknown].join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Validation Error', errors.join('; '), errors);
+  }
+  return {
+    subject: subject.trim(),
+    textBody,
+    htmlBody: htmlBody && htmlBody.trim() ? htmlBody : null,
+  };
+}
+
+/**
+ * Template used for an event: the organization's own or the built-in one
+ * @returns {Promise<Object>} { event, locale, source, subject, textBody, htmlBody, template }
+ *   source: organization or default; template: the email_templates row
+ */
+async function resolveEmailTemplate(event, { orgId = null, locale } = {}) {
+  const lang = EMAIL_LOCALES.includes(locale) ? locale : DEFAULT_EMAIL_LOCALE;
+  const stored = orgId
+    ? await prisma.emailTemplate.findUnique({
+        where: {
+          orgId_event_locale: { orgId: BigInt(orgId), event, locale: lang },
+        },
+      })
+    : null;
+
+  if (stored) {
+    return {
+      event,
+      locale: lang,
+      source: 'organization',
+      subject: stored.subject,
+      textBody: stored.textBody,
+      htmlBody: stored.htmlBody,
+      template: stored,
+    };
+  }
+
+  const builtIn = DEFAULT_TEMPLATES[event][lang];
+  return {
+    event,
+    locale: lang,
+    source: 'default',
+    subject: builtIn.subject,
+    textBody: builtIn.text,
+    htmlBody: builtIn.html || null,
+    template: null,
+  };
+}
+
+/**
+ * Fill a template with data
+ * @param {Object} template - { subject, textBody, htmlBody }
+ * @param {Object} context - Placeholder data
+ * @param {string} locale - Language used for dates
+ * @returns {{subject: string, text: string, html: string|null}}
+ */
+function renderEmailContent(template, context, locale) {
+  return {
+    subject: renderTemplateString(template.subject, context, { locale })
+      .replace(/\s+/g, ' ')
+      .trim(),
+    text: renderTemplateString(template.textBody, context, { locale }),
+    html: template.htmlBody
+      ? renderTemplateString(template.htmlBody, context, { locale, html: true })
+      : null,
+  };
+}
+
+/**
+ * Placeholder data of an inspection; `overrides` are merged per group
+ * (e.g. { recipient: { name }, inspection: { completedAt } })
+ * @returns {Promise<{context: Object, orgId: BigInt, locale: string}|null>}
+ */
+async function loadInspectionEmailContext(inspectionId, overrides = {}) {
+  const inspection = await prisma.inspection.findUnique({
+    where: { id: BigInt(inspectionId) },
+    include: {
+      organization: {
+        select: { name: true, contactName: true, emailLocale: true },
+      },
+      site: { select: { name: true } },
+      device: {
+        select: {
+          serialNumber: true,
+          assetTag: true,
+          model: { select: { manufacturer: true, model: true } },
+        },
+      },
+      assignee: { select: { fullName: true, email: true } },
+    },
+  });
+  if (!inspection) {
+    return null;
+  }
+
+  const context = {
+    inspection: {
+      id: inspection.id.toString(),
+      title: inspection.title,
+      type: inspection.type,
+      status: inspection.status,
+      scheduledAt: inspection.scheduledAt,
+      completedAt: inspection.completedAt,
+      notes: inspection.notes,
+      rejectionReason: inspection.rejectionReason,
+      reviewedAt: inspection.reviewedAt,
+    },
+    organization: {
+      name: inspection.organization?.name,
+      contactName: inspection.organization?.contactName,
+    },
+    site: { name: inspection.site?.name },
+    device: {
+      serialNumber: inspection.device?.serialNumber,
+      assetTag: inspection.device?.assetTag,
+      model: inspection.device?.model
+        ? `${inspection.device.model.manufacturer} ${inspection.device.model.model}`
+        : null,
+    },
+    assignee: {
+      fullName: inspection.assignee?.fullName,
+      email: inspection.assignee?.email,
+    },
+    recipient: {},
+  };
+  for (const [group, values] of Object.entries(overrides)) {
+    context[group] = { ...context[group], ...values };
+  }
+
+  return {
+    context,
+    orgId: inspection.orgId,
+    locale: inspection.organization?.emailLocale,
+  };
+}
+
+/**
+ * Subject and bodies of an inspection notification
+ * @param {string} event - Email event (EMAIL_EVENTS), e.g. inspection.assigned
+ * @param {BigInt|string} inspectionId - Inspection the email is about
+ * @param {Object} overrides - Extra placeholder data (see loadInspectionEmailContext)
+ * @returns {Promise<Object|null>} { subject, text, html, locale, source, orgId }
+ */
+async function renderInspectionEmail(event, inspectionId, overrides = {}) {
+  parseEmailEvent(event);
+  const loaded = await loadInspectionEmailContext(inspectionId, overrides);
+  if (!loaded) {
+    return null;
+  }
+
+  const template = await resolveEmailTemplate(event, {
+    orgId: loaded.orgId,
+    locale: loaded.locale,
+  });
+  return {
+    ...renderEmailContent(template, loaded.context, template.locale),
+    locale: template.locale,
+    source: template.source,
+    orgId: loaded.orgId,
+  };
+}
+
+/**
+ * JSON shape of a resolved template
+ * @param {Object} resolved - Result of resolveEmailTemplate
+ * @param {Object} options - { includeBody }
+ */
+function formatEmailTemplate(resolved, { includeBody = true } = {}) {
+  return {
+    event: resolved.event,
+    locale: resolved.locale,
+    source: resolved.source,
+    subject: resolved.subject,
+    ...(includeBody && {
+      textBody: resolved.textBody,
+      htmlBody: resolved.htmlBody,
+    }),
+    updatedBy: resolved.template?.updatedBy?.toString() ?? null,
+    updatedAt: resolved.template?.updatedAt ?? null,
+  };
+}
+
+module.exports = {
+  EMAIL_LOCALES,
+  DEFAULT_EMAIL_LOCALE,
+  EMAIL_EVENTS,
+  PLACEHOLDERS,
+  SAMPLE_CONTEXT,
+  parseEmailEvent,
+  parseEmailLocale,
+  validateEmailTemplate,
+  resolveEmailTemplate,
+  renderEmailContent,
+  renderInspectionEmail,
+  formatEmailTemplate,
+};
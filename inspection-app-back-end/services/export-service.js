@@ -0,0 +1,492 @@
+const JSZip = require('jszip');
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope, runUnscoped } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+const { HttpError } = require('../utils/errors');
+const { getStorage } = require('../utils/storage');
+const { userHasPermission } = require('./permission-service');
+const {
+  parseReportFormat,
+  getReportDocument,
+} = require('./report-document-service');
+
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
+
+/**
+ * Bulk report export. A job selects the approved inspections of an
+ * organization, contract, site and/or completion date range; the worker
+ * collects each inspection's registered report (generating the first
+ * revision when there is none), packages them into a ZIP with an index.csv
+ * and keeps the ZIP in the storage until it expires. Jobs run one at a
+ * time in this process.
+ */
+
+const EXPORT_PREFIX = 'exports';
+const EXPORT_MAX_INSPECTIONS =
+  parseInt(process.env.EXPORT_MAX_INSPECTIONS) || 200;
+const EXPORT_TTL_HOURS = parseFloat(process.env.EXPORT_TTL_HOURS) || 72;
+// A RUNNING job without progress for this long lost its process
+const EXPORT_STALE_MINUTES = parseFloat(process.env.EXPORT_STALE_MINUTES) || 30;
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+let workerTimer = null;
+let runInProgress = null;
+
+const CSV_COLUMNS = [
+  ['inspection_id', row => row.inspectionId],
+  ['title', row => row.title],
+  ['organization', row => row.organization],
+  ['site', row => row.site],
+  ['contract', row => row.contract],
+  ['device_serial', row => row.deviceSerial],
+  ['completed_at', row => row.completedAt?.toISOString()],
+  ['approved_at', row => row.approvedAt?.toISOString()],
+  ['document_id', row => row.documentId],
+  ['revision', row => row.revision],
+  ['file', row => row.file],
+  ['sha256', row => row.sha256],
+  ['error', row => row.error],
+];
+
+const parseId = (value, name) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (!/^\d+$/.test(String(value))) {
+    throw new HttpError(400, 'Validation Error', `${name} must be an ID`);
+  }
+  return String(value);
+};
+
+const parseDate = (value, name) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      `${name} must be a valid date`
+    );
+  }
+  return date.toISOString();
+};
+
+/**
+ * Validate export filters; IDs are kept as strings so they can be stored as JSON
+ * @param {Object} input - { orgId, contractId, siteId, from, to }
+ */
+function parseExportFilters(input = {}) {
+  const filters = {
+    orgId: parseId(input.orgId, 'orgId'),
+    contractId: parseId(input.contractId, 'contractId'),
+    siteId: parseId(input.siteId, 'siteId'),
+    from: parseDate(input.from, 'from'),
+    to: parseDate(input.to, 'to'),
+  };
+  if (!Object.values(filters).some(Boolean)) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      'At least one of orgId, contractId, siteId, from or to is required'
+    );
+  }
+  if (filters.from && filters.to && filters.from > filters.to) {
+    throw new HttpError(400, 'Validation Error', 'from must be before to');
+  }
+  return filters;
+}
+
+/**
+ * Inspections an export covers: approved, not deleted, matching the filters
+ * (the date range applies to the completion date)
+ */
+function buildInspectionWhere(filters) {
+  const where = { status: 'APPROVED', deletedAt: null };
+  if (filters.orgId) where.orgId = BigInt(filters.orgId);
+  if (filters.contractId) where.contractId = BigInt(filters.contractId);
+  if (filters.siteId) where.siteId = BigInt(filters.siteId);
+  if (filters.from || filters.to) {
+    where.completedAt = {
+      ...(filters.from && { gte: new Date(filters.from) }),
+      ...(filters.to && { lte: new Date(filters.to) }),
+    };
+  }
+  return where;
+}
+
+/**
+ * Queue an export job
+ * @param {Object} input - Filters plus { format: docx|pdf }
+ * @param {Object} user - Requesting user (JWT payload with id and orgId)
+ * @returns {Promise<Object>} Created export_jobs row
+ */
+async function createExportJob(input, user) {
+  const format = parseReportFormat(input.format || 'DOCX');
+  const filters = parseExportFilters(input);
+
+  // The worker runs outside the request, so the organization is fixed here
+  if (!(await userHasPermission(user.id, 'organizations:all'))) {
+    if (filters.orgId && filters.orgId !== String(user.orgId)) {
+      throw new HttpError(
+        403,
+        'Forbidden',
+        'You can only export reports of your own organization'
+      );
+    }
+    filters.orgId = String(user.orgId);
+  }
+
+  const totalCount = await prisma.inspection.count({
+    where: buildInspectionWhere(filters),
+  });
+  if (totalCount === 0) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      'No approved inspections match the export filters'
+    );
+  }
+  if (totalCount > EXPORT_MAX_INSPECTIONS) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      `The export matches ${totalCount} inspections, at most ${EXPORT_MAX_INSPECTIONS} are allowed (EXPORT_MAX_INSPECTIONS)`
+    );
+  }
+
+  const job = await prisma.exportJob.create({
+    data: {
+      format,
+      filters,
+      totalCount,
+      createdBy: BigInt(user.id),
+    },
+  });
+  console.log(
+    `[export-service] Queued export ${job.id} (${totalCount} inspection(s))`
+  );
+  // Jobs of every organization share the worker, so it runs unscoped
+  runUnscoped(() => setImmediate(tick));
+  return job;
+}
+
+const csvValue = value => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * index.csv of an export (with a BOM so spreadsheet programs read UTF-8)
+ */
+function buildIndexCsv(rows) {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+  for (const row of rows) {
+    lines.push(CSV_COLUMNS.map(([, value]) => csvValue(value(row))).join(','));
+  }
+  return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Collect the reports of a job, store the ZIP and mark the job completed
+ */
+async function runExportJob(job) {
+  const inspections = await prisma.inspection.findMany({
+    where: buildInspectionWhere(job.filters),
+    select: {
+      id: true,
+      title: true,
+      completedAt: true,
+      reviewedAt: true,
+      organization: { select: { name: true } },
+      site: { select: { name: true } },
+      contract: { select: { contractNumber: true } },
+      device: { select: { serialNumber: true } },
+      answers: {
+        select: { id: true },
+        orderBy: [{ answeredAt: 'desc' }, { id: 'desc' }],
+        take: 1,
+      },
+    },
+    orderBy: [{ completedAt: 'asc' }, { id: 'asc' }],
+    take: EXPORT_MAX_INSPECTIONS,
+  });
+
+  await prisma.exportJob.update({
+    where: { id: job.id },
+    data: { totalCount: inspections.length },
+  });
+
+  const zip = new JSZip();
+  const rows = [];
+  let failedCount = 0;
+
+  for (const [index, inspection] of inspections.entries()) {
+    const row = {
+      inspectionId: inspection.id.toString(),
+      title: inspection.title,
+      organization: inspection.organization?.name,
+      site: inspection.site?.name,
+      contract: inspection.contract?.contractNumber,
+      deviceSerial: inspection.device?.serialNumber,
+      completedAt: inspection.completedAt,
+      approvedAt: inspection.reviewedAt,
+    };
+
+    try {
+      const answer = inspection.answers[0];
+      if (!answer) {
+        throw new Error('Inspection has no answers');
+      }
+      const { document, buffer } = await getReportDocument(answer.id, {
+        format: job.format,
+        userId: job.createdBy,
+      });
+      row.documentId = document.id.toString();
+      row.revision = document.revision;
+      row.file = `reports/${document.docName}`;
+      row.sha256 = document.sha256;
+      zip.file(row.file, buffer, { compression: 'STORE' });
+    } catch (error) {
+      console.warn(
+        `[export-service] ⚠️ Export ${job.id}: inspection ${inspection.id} skipped:`,
+        error.message
+      );
+      row.error = error.message;
+      failedCount += 1;
+    }
+    rows.push(row);
+
+    await prisma.exportJob.update({
+      where: { id: job.id },
+      data: { processedCount: index + 1, failedCount },
+    });
+  }
+
+  zip.file('index.csv', buildIndexCsv(rows));
+  const buffer = await zip.generateAsync({
+    type: 'nodebuffer',
+    compression: 'DEFLATE',
+  });
+  const storageKey = `${EXPORT_PREFIX}/export_${job.id}_${Date.now()}.zip`;
+  await getStorage().put(storageKey, buffer, {
+    contentType: 'application/zip',
+  });
+
+  const now = new Date();
+  return prisma.exportJob.update({
+    where: { id: job.id },
+    data: {
+      status: 'COMPLETED',
+      storageKey,
+      fileSize: buffer.length,
+      completedAt: now,
+      expiresAt: new Date(now.getTime() + EXPORT_TTL_HOURS * HOUR_MS),
+    },
+  });
+}
+
+/**
+ * Run queued jobs oldest first
+ * @returns {Promise<number>} Number of jobs processed
+ */
+async function processQueuedExports() {
+  let processed = 0;
+  for (;;) {
+    const job = await prisma.exportJob.findFirst({
+      where: { status: 'QUEUED' },
+      orderBy: { createdAt: 'asc' },
+    });
+    if (!job) {
+      return processed;
+    }
+
+    // Claim the job so that another process does not run it as well
+    const claimed = await prisma.exportJob.updateMany({
+      where: { id: job.id, status: 'QUEUED' },
+      data: { status: 'RUNNING', startedAt: new Date(), error: null },
+    });
+    if (claimed.count === 0) {
+      continue;
+    }
+    try {
+      const completed = await runExportJob(job);
+      console.log(
+        `[export-service] ✅ Export ${job.id} completed (${completed.processedCount - completed.failedCount}/${completed.totalCount} report(s))`
+      );
+    } catch (error) {
+      console.error(`[export-service] ❌ Export ${job.id} failed:`, error);
+      await prisma.exportJob.update({
+        where: { id: job.id },
+        data: {
+          status: 'FAILED',
+          error: error.message,
+          completedAt: new Date(),
+        },
+      });
+    }
+    processed += 1;
+  }
+}
+
+/**
+ * Queue RUNNING jobs again whose process stopped: every processed report
+ * updates a running job, so one without progress for EXPORT_STALE_MINUTES
+ * is no longer worked on
+ * @returns {Promise<number>} Number of requeued jobs
+ */
+async function requeueStaleExports(now = new Date()) {
+  const { count } = await prisma.exportJob.updateMany({
+    where: {
+      status: 'RUNNING',
+      updatedAt: {
+        lt: new Date(now.getTime() - EXPORT_STALE_MINUTES * MINUTE_MS),
+      },
+    },
+    data: { status: 'QUEUED', processedCount: 0, failedCount: 0 },
+  });
+  if (count > 0) {
+    console.log(`[export-service] ⚠️ Requeued ${count} interrupted export(s)`);
+  }
+  return count;
+}
+
+/**
+ * Remove the ZIPs of expired exports
+ * @returns {Promise<number>} Number of expired jobs
+ */
+async function purgeExpiredExports(now = new Date()) {
+  const expired = await prisma.exportJob.findMany({
+    where: { status: 'COMPLETED', expiresAt: { lt: now } },
+    select: { id: true, storageKey: true },
+  });
+  for (const job of expired) {
+    if (job.storageKey) {
+      await getStorage().remove(job.storageKey);
+    }
+    await prisma.exportJob.update({
+      where: { id: job.id },
+      data: { status: 'EXPIRED', storageKey: null },
+    });
+  }
+  return expired.length;
+}
+
+/**
+ * Requeue interrupted exports, process queued ones and purge expired ones
+ * unless a run is already active
+ */
+async function tick() {
+  if (runInProgress) {
+    return null;
+  }
+
+  runInProgress = (async () => {
+    await requeueStaleExports();
+    await processQueuedExports();
+    await purgeExpiredExports();
+  })();
+  try {
+    await runInProgress;
+  } catch (error) {
+    console.error(
+      '[export-service] ❌ Export worker run failed:',
+      error.message
+    );
+  } finally {
+    runInProgress = null;
+  }
+  return null;
+}
+
+/**
+ * Start the in-process export worker.
+ * Jobs left RUNNING by a stopped process are queued again once they are
+ * stale (requeueStaleExports).
+ * Disabled with EXPORT_WORKER_ENABLED=false; interval set by EXPORT_WORKER_INTERVAL_MS.
+ */
+function startExportWorker() {
+  if (workerTimer) {
+    return;
+  }
+  if (
+    ['false', '0', 'no'].includes(
+      (process.env.EXPORT_WORKER_ENABLED || '').toLowerCase()
+    )
+  ) {
+    console.log(
+      '[export-service] Export worker disabled (EXPORT_WORKER_ENABLED)'
+    );
+    return;
+  }
+
+  const intervalMs =
+    Number(process.env.EXPORT_WORKER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+  // Export jobs of every organization share this worker
+  runUnscoped(() => {
+    setImmediate(tick);
+    workerTimer = setInterval(tick, intervalMs);
+    workerTimer.unref();
+  });
+  console.log(`[export-service] Export worker started (every ${intervalMs}ms)`);
+}
+
+/**
+ * Stop the in-process export worker
+ */
+function stopExportWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+/**
+ * JSON shape of an export job
+ */
+function formatExportJob(job) {
+  return {
+    id: job.id.toString(),
+    status: job.status,
+    format: job.format,
+    filters: job.filters,
+    progress: {
+      total: job.totalCount,
+      processed: job.processedCount,
+      failed: job.failedCount,
+      percent:
+        job.totalCount > 0
+          ? Math.round((job.processedCount / job.totalCount) * 100)
+          : 0,
+    },
+    fileSize: job.fileSize,
+    downloadUrl:
+      job.status === 'COMPLETED' && job.storageKey
+        ? `/api/exports/${job.id}/download`
+        : null,
+    error: job.error,
+    createdBy: job.createdBy.toString(),
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    expiresAt: job.expiresAt,
+    createdAt: job.createdAt,
+  };
+}
+
+module.exports = {
+  EXPORT_PREFIX,
+  parseExportFilters,
+  createExportJob,
+  processQueuedExports,
+  purgeExpiredExports,
+  requeueStaleExports,
+  startExportWorker,
+  stopExportWorker,
+  formatExportJob,
+};
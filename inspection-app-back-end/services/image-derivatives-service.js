@@ -0,0 +1,178 @@
+const fs = require('fs/promises');
+const sharp = require('sharp');
+const { HttpError } = require('../utils/errors');
+const { getStorage } = require('../utils/storage');
+const {
+  toStorageKey,
+  buildPublicUrl,
+  storeImage,
+} = require('../utils/imageStorage');
+
+/**
+ * Thumbnail and medium-size copies of uploaded photos. Derivatives are
+ * JPEGs stored next to the original under derivatives/<size>/, with the
+ * EXIF orientation applied and no metadata.
+ */
+
+// Longest edge in pixels
+const DERIVATIVE_SIZES = {
+  thumbnail: parseInt(process.env.IMAGE_THUMBNAIL_SIZE, 10) || 320,
+  medium: parseInt(process.env.IMAGE_MEDIUM_SIZE, 10) || 1280,
+};
+const IMAGE_SIZES = [...Object.keys(DERIVATIVE_SIZES), 'original'];
+
+// Re-encode originals without metadata so GPS coordinates are not kept
+const STRIP_GPS = process.env.IMAGE_STRIP_GPS === 'true';
+
+const derivativeKey = (key, size) =>
+  `derivatives/${size}/${key.replace(/\.[^./]+$/, '')}.jpg`;
+
+/**
+ * Validate a requested image size
+ * @returns {string} thumbnail, medium or original
+ */
+function parseImageSize(value, fallback = 'original') {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  if (!IMAGE_SIZES.includes(value)) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      `size must be one of: ${IMAGE_SIZES.join(', ')}`
+    );
+  }
+  return value;
+}
+
+/**
+ * URL of the requested size of an image row, falling back to the next
+ * larger one when a derivative is missing (e.g. photos uploaded before
+ * derivatives existed)
+ */
+function pickImageVariant(image, size = 'original') {
+  if (size === 'thumbnail') {
+    return image.thumbnailUrl || image.mediumUrl || image.imageUrl;
+  }
+  if (size === 'medium') {
+    return image.mediumUrl || image.imageUrl;
+  }
+  return image.imageUrl;
+}
+
+async function prepareOriginal(buffer) {
+  if (!STRIP_GPS) {
+    return buffer;
+  }
+  try {
+    const image = sharp(buffer).autoOrient();
+    const { format } = await image.metadata();
+    return await image.toFormat(format).toBuffer();
+  } catch (error) {
+    console.warn(
+      '[image-derivatives] ⚠️ Could not strip metadata, keeping original:',
+      error.message
+    );
+    return buffer;
+  }
+}
+
+function renderDerivative(buffer, maxSize) {
+  return sharp(buffer)
+    .autoOrient()
+    .resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+}
+
+/**
+ * Generate and store the derivatives of an image
+ * @param {string} key - Storage key of the original
+ * @param {Buffer} buffer - Original image
+ * @returns {Promise<{thumbnailUrl: string|null, mediumUrl: string|null}>}
+ */
+async function createDerivatives(key, buffer) {
+  const urls = { thumbnailUrl: null, mediumUrl: null };
+  try {
+    for (const [size, maxSize] of Object.entries(DERIVATIVE_SIZES)) {
+      const stored = await storeImage(
+        derivativeKey(key, size),
+        await renderDerivative(buffer, maxSize),
+        { contentType: 'image/jpeg' }
+      );
+      urls[`${size}Url`] = stored.url;
+    }
+  } catch (error) {
+    // The upload itself still succeeds, readers fall back to the original
+    console.warn(
+      `[image-derivatives] ⚠️ Could not create derivatives for ${key}:`,
+      error.message
+    );
+  }
+  return urls;
+}
+
+/**
+ * Store an uploaded photo together with its derivatives
+ * @param {string} fileName - Storage key of the original
+ * @param {Buffer|string} source - Image bytes or path of a temp file
+ * @returns {Promise<{key, url, size, thumbnailUrl, mediumUrl}>}
+ */
+async function storeImageWithDerivatives(
+  fileName,
+  source,
+  { contentType } = {}
+) {
+  const buffer = Buffer.isBuffer(source) ? source : await fs.readFile(source);
+  const original = await prepareOriginal(buffer);
+  const stored = await storeImage(fileName, original, { contentType });
+  const derivatives = await createDerivatives(stored.key, original);
+  return { ...stored, ...derivatives };
+}
+
+/**
+ * Derivatives of an image that is already in storage; existing derivatives
+ * are reused
+ * @param {string} reference - Storage key or stored image URL
+ */
+async function ensureDerivatives(reference) {
+  const key = toStorageKey(reference);
+  if (!key) {
+    return { thumbnailUrl: null, mediumUrl: null };
+  }
+
+  try {
+    const storage = getStorage();
+    const existing = await Promise.all(
+      Object.keys(DERIVATIVE_SIZES).map(size =>
+        storage.stat(derivativeKey(key, size))
+      )
+    );
+    if (existing.every(Boolean)) {
+      return {
+        thumbnailUrl: buildPublicUrl(derivativeKey(key, 'thumbnail')),
+        mediumUrl: buildPublicUrl(derivativeKey(key, 'medium')),
+      };
+    }
+
+    const buffer = await storage.get(key);
+    if (buffer) {
+      return await createDerivatives(key, buffer);
+    }
+  } catch (error) {
+    console.warn(
+      `[image-derivatives] ⚠️ Could not load ${key} for derivatives:`,
+      error.message
+    );
+  }
+  return { thumbnailUrl: null, mediumUrl: null };
+}
+
+module.exports = {
+  IMAGE_SIZES,
+  parseImageSize,
+  pickImageVariant,
+  storeImageWithDerivatives,
+  ensureDerivatives,
+};
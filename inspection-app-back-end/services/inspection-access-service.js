@@ -0,0 +1,74 @@
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+const { userHasPermission } = require('./permission-service');
+
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
+
+/**
+ * Who may open an inspection: members of its organization, its assignee,
+ * its creator and users with organizations:all.
+ */
+
+/**
+ * Check user access to inspection
+ */
+function checkInspectionAccess(
+  inspection,
+  orgIdFromToken,
+  userId,
+  isAdmin = false
+) {
+  if (isAdmin) {
+    return true;
+  }
+
+  const sameOrg = inspection.orgId.toString() === orgIdFromToken;
+  const isAssignee = inspection.assignedTo?.toString() === userId;
+  const isCreator = inspection.createdBy.toString() === userId;
+  return sameOrg || isAssignee || isCreator;
+}
+
+/**
+ * Common inspection verification and access check
+ */
+async function verifyInspectionAccess(
+  inspectionId,
+  userId,
+  orgIdFromToken,
+  selectFields = {}
+) {
+  const defaultSelect = {
+    id: true,
+    orgId: true,
+    assignedTo: true,
+    createdBy: true,
+    templateId: true,
+    templateVersionId: true,
+    type: true,
+    title: true,
+    status: true,
+  };
+
+  const inspection = await prisma.Inspection.findUnique({
+    where: { id: inspectionId },
+    select: { ...defaultSelect, ...selectFields },
+  });
+
+  if (!inspection) {
+    throw new Error('Inspection not found');
+  }
+
+  const isAdmin = await userHasPermission(userId, 'organizations:all');
+
+  if (!checkInspectionAccess(inspection, orgIdFromToken, userId, isAdmin)) {
+    throw new Error('You do not have access to this inspection');
+  }
+
+  return inspection;
+}
+
+module.exports = {
+  checkInspectionAccess,
+  verifyInspectionAccess,
+};
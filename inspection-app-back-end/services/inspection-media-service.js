@@ -0,0 +1,405 @@
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+const { HttpError } = require('../utils/errors');
+const {
+  normalizeRelativePath,
+  buildPublicUrl,
+  loadImagePayload,
+  inferMimeType,
+} = require('../utils/imageStorage');
+const {
+  storeImageWithDerivatives,
+  ensureDerivatives,
+} = require('./image-derivatives-service');
+const {
+  findImageAt,
+  createImage,
+  relinkImages,
+} = require('./question-image-repository');
+
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
+
+const MAIN_SECTION_PATHS = [
+  '$.jbox',
+  '$.sensor',
+  '$.exterior',
+  '$.indicator',
+  '$.foundation',
+  '$.cleanliness',
+];
+
+/**
+ * Find the answer row that holds the section data of an inspection
+ * (the row a signature belongs to)
+ */
+async function findMainAnswer(inspectionId) {
+  // First try the record with a data wrapper
+  let mainAnswer = await prisma.InspectionAnswer.findFirst({
+    where: { inspectionId, answers: { path: '$.data', not: null } },
+    orderBy: { answeredAt: 'asc' },
+  });
+
+  // Then a record with one of the main sections
+  for (const sectionPath of MAIN_SECTION_PATHS) {
+    if (mainAnswer) break;
+    mainAnswer = await prisma.InspectionAnswer.findFirst({
+      where: { inspectionId, answers: { path: sectionPath, not: null } },
+      orderBy: { answeredAt: 'asc' },
+    });
+    if (mainAnswer) {
+      console.log(
+        `[inspection-media] 🔍 Found main record with ${sectionPath} section`
+      );
+    }
+  }
+
+  // Finally a record with metadata
+  if (!mainAnswer) {
+    mainAnswer = await prisma.InspectionAnswer.findFirst({
+      where: { inspectionId, answers: { path: '$.metadata', not: null } },
+      orderBy: { answeredAt: 'asc' },
+    });
+  }
+
+  return mainAnswer;
+}
+
+async function writeSignature(answer, signatureType, signatureImage, userId) {
+  const existingAnswers = answer.answers || {};
+
+  return prisma.InspectionAnswer.update({
+    where: { id: answer.id },
+    data: {
+      answers: {
+        ...existingAnswers,
+        signatures: {
+          ...(existingAnswers.signatures || {}),
+          [signatureType]: signatureImage,
+        },
+      },
+      answeredBy: BigInt(userId),
+      answeredAt: new Date(),
+    },
+  });
+}
+
+/**
+ * Store a signature image on the inspection's answer record
+ * @param {Object} inspection - Inspection the caller already has access to
+ * @param {Object} params - { signatureImage, signatureType, answerId }
+ * @param {string} userId - Acting user
+ * @returns {Promise<Object>} Updated InspectionAnswer
+ */
+async function saveSignatureImage(
+  inspection,
+  { signatureImage, signatureType = 'inspector', answerId },
+  userId
+) {
+  const inspectionId = inspection.id;
+
+  // A specific record was requested
+  if (answerId) {
+    const targetAnswer = await prisma.InspectionAnswer.findFirst({
+      where: { id: BigInt(answerId), inspectionId },
+    });
+    if (targetAnswer) {
+      const updated = await writeSignature(
+        targetAnswer,
+        signatureType,
+        signatureImage,
+        userId
+      );
+      console.log(
+        `[inspection-media] ✅ Updated target record ${updated.id} with signature image`
+      );
+      return updated;
+    }
+    console.log(
+      '[inspection-media] ⚠️ Target answer record not found, falling back to main record search'
+    );
+  }
+
+  const mainAnswer = await findMainAnswer(inspectionId);
+
+  if (!mainAnswer) {
+    // Use the first available record
+    const anyAnswer = await prisma.InspectionAnswer.findFirst({
+      where: { inspectionId },
+      orderBy: { answeredAt: 'asc' },
+    });
+    if (!anyAnswer) {
+      throw new HttpError(
+        404,
+        'Not Found',
+        'No inspection record found for this inspection ID. Please save sections first.'
+      );
+    }
+    const updated = await writeSignature(
+      anyAnswer,
+      signatureType,
+      signatureImage,
+      userId
+    );
+    console.log(
+      `[inspection-media] ✅ Updated record ${updated.id} with signature image`
+    );
+    return updated;
+  }
+
+  // Clean up any existing separate signatures records (their photos move to the main record)
+  const separateRecords = await prisma.InspectionAnswer.findMany({
+    where: {
+      inspectionId,
+      answers: { path: '$.signatures', not: null },
+      id: { not: mainAnswer.id },
+    },
+    select: { id: true },
+  });
+  if (separateRecords.length > 0) {
+    const separateIds = separateRecords.map(record => record.id);
+    await relinkImages(separateIds, mainAnswer.id);
+    await prisma.InspectionAnswer.deleteMany({
+      where: { id: { in: separateIds } },
+    });
+  }
+
+  const updated = await writeSignature(
+    mainAnswer,
+    signatureType,
+    signatureImage,
+    userId
+  );
+  console.log(
+    `[inspection-media] ✅ Updated main record ${updated.id} with signature image`
+  );
+  return updated;
+}
+
+/**
+ * Write a base64 image (and its derivatives) into the configured storage
+ * @returns {Promise<{key, size, thumbnailUrl, mediumUrl}>} Stored object
+ */
+async function saveBase64Image(
+  base64Data,
+  { inspectionId, answerId, fieldId, order, mimeType }
+) {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
+  const ext = mimeType?.includes('png')
+    ? '.png'
+    : mimeType?.includes('gif')
+      ? '.gif'
+      : mimeType?.includes('webp')
+        ? '.webp'
+        : '.jpg';
+  const fileName = `inspection_${inspectionId}_ans_${answerId}_field_${fieldId}_${uniqueSuffix}_${order}${ext}`;
+
+  // Remove data URL prefix if present (e.g., "data:image/jpeg;base64,")
+  const base64String = base64Data.includes(',')
+    ? base64Data.split(',')[1]
+    : base64Data;
+  const stored = await storeImageWithDerivatives(
+    fileName,
+    Buffer.from(base64String, 'base64'),
+    { contentType: mimeType }
+  );
+
+  console.log(`[inspection-media] ✅ Saved image to: ${stored.key}`);
+  return stored;
+}
+
+/**
+ * Store the photos of one question. Images carry either base64 data
+ * (`file`/`base64`/`data`) or the path of an already uploaded file.
+ * @param {Object} inspection - Inspection the caller already has access to
+ * @param {Object} params - { answerId, fieldId, section, images }
+ * @param {string} userId - Acting user
+ * @returns {Promise<Array>} One entry per image; failed images carry `failed: true`
+ */
+async function saveQuestionImages(
+  inspection,
+  { answerId, fieldId, section, images },
+  userId
+) {
+  const inspectionId = inspection.id;
+  const answerIdBigInt = BigInt(answerId);
+
+  // Verify that answer belongs to this inspection
+  const answer = await prisma.InspectionAnswer.findFirst({
+    where: { id: answerIdBigInt, inspectionId },
+  });
+  if (!answer) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      'Invalid answerId: answer does not exist or does not belong to this inspection'
+    );
+  }
+
+  const uploadedImages = [];
+  console.log(
+    `[inspection-media] 📋 Processing ${images.length} image(s) for field ${fieldId}`
+  );
+
+  for (const imageData of images) {
+    const orderRaw = imageData.order ?? imageData.imageOrder;
+    const orderInt = parseInt(orderRaw, 10);
+
+    if (!Number.isFinite(orderInt) || orderInt <= 0) {
+      uploadedImages.push({
+        fieldId,
+        order: orderRaw,
+        failed: true,
+        error: 'Invalid image order',
+      });
+      continue;
+    }
+
+    const base64Data = imageData.file || imageData.base64 || imageData.data;
+    let savedFileName = null;
+    let storedUrl = null;
+    let normalizedPath = null;
+    let fileSize = null;
+    let derivatives = null;
+
+    if (base64Data && typeof base64Data === 'string') {
+      try {
+        const stored = await saveBase64Image(base64Data, {
+          inspectionId,
+          answerId,
+          fieldId,
+          order: orderInt,
+          mimeType: imageData.mimeType,
+        });
+        savedFileName = stored.key;
+        normalizedPath = stored.key;
+        fileSize = stored.size;
+        storedUrl = buildPublicUrl(stored.key);
+        derivatives = {
+          thumbnailUrl: stored.thumbnailUrl,
+          mediumUrl: stored.mediumUrl,
+        };
+      } catch (saveError) {
+        console.error(
+          '[inspection-media] ❌ Error saving base64 image:',
+          saveError
+        );
+        uploadedImages.push({
+          fieldId,
+          order: orderInt,
+          failed: true,
+          error: `Failed to save image: ${saveError.message}`,
+        });
+        continue;
+      }
+    } else {
+      // Use an existing path/URL
+      const candidatePath =
+        imageData.relativePath ||
+        imageData.imageUrl ||
+        imageData.url ||
+        imageData.path;
+      normalizedPath = normalizeRelativePath(candidatePath);
+      if (!normalizedPath) {
+        uploadedImages.push({
+          fieldId,
+          order: orderInt,
+          failed: true,
+          error: 'Missing image path information',
+        });
+        continue;
+      }
+
+      storedUrl =
+        (imageData.imageUrl && imageData.imageUrl.trim()) ||
+        buildPublicUrl(normalizedPath);
+      savedFileName = imageData.fileName || normalizedPath;
+    }
+
+    const existingImage = await findImageAt(answerId, fieldId, orderInt);
+
+    if (existingImage) {
+      console.warn(
+        '[inspection-media] ⚠️ Attempt to upload duplicate image without deleting existing one',
+        {
+          fieldId,
+          order: orderInt,
+        }
+      );
+      throw new HttpError(
+        409,
+        'ImageAlreadyExists',
+        'Энэ талбарт аль хэдийн зураг байна. Шинэ зураг оруулахын өмнө өмнөх зургийг устгана уу.',
+        {
+          fieldId,
+          order: orderInt,
+          existingImage: {
+            id: existingImage.id.toString(),
+            image_url: existingImage.imageUrl,
+            image_order: existingImage.imageOrder,
+            uploaded_at: existingImage.uploadedAt,
+          },
+        }
+      );
+    }
+
+    try {
+      // Files uploaded earlier (e.g. via /api/upload) already have derivatives
+      if (!derivatives) {
+        derivatives = await ensureDerivatives(normalizedPath);
+      }
+
+      const created = await createImage({
+        answerId,
+        fieldId,
+        section,
+        imageOrder: orderInt,
+        imageUrl: storedUrl,
+        ...derivatives,
+        uploadedBy: userId,
+      });
+      const imageId = created.id.toString();
+
+      // Size of an already uploaded file comes from storage
+      if (!fileSize) {
+        const payload = await loadImagePayload(normalizedPath);
+        fileSize = payload.size;
+      }
+
+      uploadedImages.push({
+        id: imageId,
+        fieldId,
+        order: orderInt,
+        imageUrl: storedUrl,
+        thumbnailUrl: derivatives.thumbnailUrl,
+        mediumUrl: derivatives.mediumUrl,
+        relativePath: normalizedPath || savedFileName,
+        fileName: savedFileName,
+        mimeType: inferMimeType(normalizedPath || savedFileName || ''),
+        fileSize,
+      });
+      console.log(
+        `[inspection-media] ✅ Stored image ${orderInt} for field ${fieldId} (ID: ${imageId})`
+      );
+    } catch (imageError) {
+      console.error(
+        `[inspection-media] ❌ Error saving image metadata for order ${orderInt}, field ${fieldId}:`,
+        imageError
+      );
+      uploadedImages.push({
+        fieldId,
+        order: orderInt,
+        failed: true,
+        error: imageError.message,
+        relativePath: normalizedPath,
+      });
+    }
+  }
+
+  return uploadedImages;
+}
+
+module.exports = {
+  saveSignatureImage,
+  saveQuestionImages,
+};
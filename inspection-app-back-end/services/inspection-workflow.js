@@ -0,0 +1,202 @@
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail, withAuditContext } = require('../utils/auditTrail');
+const { HttpError } = require('../utils/errors');
+
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
+
+/**
+ * Allowed inspection status transitions.
+ * DRAFT → IN_PROGRESS → SUBMITTED → APPROVED / REJECTED,
+ * REJECTED → IN_PROGRESS (reopened to the assignee), CANCELED from any open state.
+ */
+const TRANSITIONS = {
+  DRAFT: ['IN_PROGRESS', 'CANCELED'],
+  IN_PROGRESS: ['SUBMITTED', 'CANCELED'],
+  SUBMITTED: ['APPROVED', 'REJECTED', 'CANCELED'],
+  REJECTED: ['IN_PROGRESS', 'CANCELED'],
+  APPROVED: [],
+  CANCELED: [],
+};
+
+// Statuses in which the assignee may still change answers and photos
+const EDITABLE_STATUSES = ['DRAFT', 'IN_PROGRESS'];
+// Sign-off sections that may still be saved after submission
+const SIGN_OFF_SECTIONS = ['remarks', 'signatures'];
+
+/**
+ * Check whether a transition is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Throw a 409 when the transition is not allowed
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ */
+function assertTransition(from, to) {
+  if (!canTransition(from, to)) {
+    throw new HttpError(
+      409,
+      'Invalid status transition',
+      `Inspection status cannot change from ${from} to ${to}`,
+      { from, to, allowed: TRANSITIONS[from] || [] }
+    );
+  }
+}
+
+/**
+ * Throw a 409 when answers of the inspection can no longer be changed
+ * @param {Object} inspection - Inspection with status
+ * @param {string} section - Section being written (remarks/signatures allowed after submit)
+ */
+function assertAnswersEditable(inspection, section = null) {
+  if (EDITABLE_STATUSES.includes(inspection.status)) {
+    return;
+  }
+  if (
+    inspection.status === 'SUBMITTED' &&
+    SIGN_OFF_SECTIONS.includes(section)
+  ) {
+    return;
+  }
+
+  const hint =
+    inspection.status === 'REJECTED'
+      ? ' Reopen the inspection before editing it.'
+      : '';
+  throw new HttpError(
+    409,
+    'Inspection locked',
+    `Inspection is ${inspection.status} and can no longer be edited.${hint}`
+  );
+}
+
+/**
+ * Field changes that accompany entering a status
+ */
+function buildStatusData(inspection, to, { userId, reason }) {
+  const now = new Date();
+  const data = { status: to, updatedBy: userId };
+
+  switch (to) {
+    case 'IN_PROGRESS':
+      if (!inspection.startedAt) data.startedAt = now;
+      break;
+    case 'SUBMITTED':
+      data.completedAt = now;
+      break;
+    case 'APPROVED':
+      data.reviewedBy = userId;
+      data.reviewedAt = now;
+      data.rejectionReason = null;
+      break;
+    case 'REJECTED':
+      data.reviewedBy = userId;
+      data.reviewedAt = now;
+      data.rejectionReason = reason;
+      data.completedAt = null;
+      break;
+    default:
+      break;
+  }
+
+  return data;
+}
+
+/**
+ * Move an inspection to a new status inside a transaction; the audit trail
+ * records the transition with its reason and source. DRAFT → SUBMITTED passes
+ * through IN_PROGRESS.
+ * @param {Object} tx - Prisma transaction client
+ * @param {BigInt|string} inspectionId - Inspection ID
+ * @param {string} to - Target status
+ * @param {Object} options - { userId, reason, source }
+ * @returns {Object} { inspection, changed, transitions }
+ */
+async function transitionInspection(tx, inspectionId, to, options = {}) {
+  const userId = BigInt(options.userId);
+  let inspection = await tx.inspection.findUnique({
+    where: { id: BigInt(inspectionId) },
+  });
+
+  if (!inspection || inspection.deletedAt) {
+    throw new Error('Inspection not found');
+  }
+
+  if (inspection.status === to) {
+    return { inspection, changed: false, transitions: [] };
+  }
+
+  const path =
+    inspection.status === 'DRAFT' && to === 'SUBMITTED'
+      ? ['IN_PROGRESS', 'SUBMITTED']
+      : [to];
+  const transitions = [];
+
+  for (const next of path) {
+    const from = inspection.status;
+    assertTransition(from, next);
+
+    // Conditional update guards against a concurrent transition
+    const updated = await withAuditContext(
+      {
+        ...(options.reason && { reason: options.reason }),
+        ...(options.source && { source: options.source }),
+      },
+      () =>
+        tx.inspection.updateMany({
+          where: { id: inspection.id, status: from },
+          data: buildStatusData(inspection, next, { ...options, userId }),
+        })
+    );
+    if (updated.count === 0) {
+      throw new HttpError(
+        409,
+        'Invalid status transition',
+        'Inspection status was changed by another request. Please reload.'
+      );
+    }
+
+    transitions.push({ from, to: next });
+    inspection = await tx.inspection.findUnique({
+      where: { id: inspection.id },
+    });
+  }
+
+  console.log(
+    `[inspection-workflow] Inspection ${inspection.id}: ${transitions
+      .map(t => `${t.from}→${t.to}`)
+      .join(', ')} by user ${userId}`
+  );
+
+  return { inspection, changed: true, transitions };
+}
+
+/**
+ * Transition an inspection in its own transaction
+ * @param {BigInt|string} inspectionId - Inspection ID
+ * @param {string} to - Target status
+ * @param {Object} options - { userId, reason, source }
+ * @returns {Object} { inspection, changed, transitions }
+ */
+async function changeInspectionStatus(inspectionId, to, options = {}) {
+  return prisma.$transaction(tx =>
+    transitionInspection(tx, inspectionId, to, options)
+  );
+}
+
+module.exports = {
+  TRANSITIONS,
+  EDITABLE_STATUSES,
+  canTransition,
+  assertTransition,
+  assertAnswersEditable,
+  transitionInspection,
+  changeInspectionStatus,
+};
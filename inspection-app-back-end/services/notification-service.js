@@ -0,0 +1,406 @@
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope, runUnscoped } = require('../utils/tenantScope');
+const { HttpError } = require('../utils/errors');
+
+const prisma = withTenantScope(new PrismaClient());
+
+/**
+ * Who receives inspection notifications. Per organization and event the
+ * settings decide whether the assignee and the organization contact get the
+ * email and whether the dispatcher who assigned the inspection is CC'd;
+ * notification_recipients adds contacts of the organization or of one
+ * contract that subscribed to the event. The overdue worker announces
+ * inspections whose planned date has passed, once per planned date.
+ */
+
+// Notification event -> email template event (email-template-service)
+const NOTIFICATION_EVENTS = {
+  assigned: 'inspection.assigned',
+  submitted: 'inspection.completed',
+  approved: 'inspection.approved',
+  rejected: 'inspection.rejected',
+  overdue: 'inspection.overdue',
+};
+
+// Used for events an organization has not configured (the behaviour before
+// recipient rules existed; approved only reaches subscribed recipients)
+const DEFAULT_EVENT_SETTINGS = {
+  assigned: { notifyAssignee: true },
+  submitted: { notifyOrganizationContact: true },
+  approved: {},
+  rejected: { notifyAssignee: true },
+  overdue: { notifyAssignee: true },
+};
+
+const SETTING_FLAGS = [
+  'enabled',
+  'notifyAssignee',
+  'notifyOrganizationContact',
+  'ccDispatcher',
+];
+
+const OVERDUE_STATUSES = ['DRAFT', 'IN_PROGRESS', 'REJECTED'];
+const DEFAULT_OVERDUE_INTERVAL_MS = 15 * 60 * 1000;
+const OVERDUE_BATCH_SIZE = 50;
+const EMAIL_PATTERN = /^[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+$/;
+
+let overdueTimer = null;
+let overdueRunInProgress = null;
+
+// The email service composes and queues the messages; it requires this module
+const sendNotification = (event, options) =>
+  require('./email-service').sendInspectionNotification(event, options);
+
+/**
+ * Validate a notification event (assigned, submitted, ...)
+ */
+function parseNotificationEvent(event) {
+  if (!NOTIFICATION_EVENTS[event]) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      `event must be one of: ${Object.keys(NOTIFICATION_EVENTS).join(', ')}`
+    );
+  }
+  return event;
+}
+
+/**
+ * Validate a recipient's subscribed events
+ * @returns {string[]} Unique events
+ */
+function parseNotificationEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      'events must be a non-empty array'
+    );
+  }
+  return [...new Set(events.map(parseNotificationEvent))];
+}
+
+/**
+ * Normalize a recipient email address
+ */
+function parseRecipientEmail(email) {
+  const normalized = typeof email === 'string' ? email.trim() : '';
+  if (!EMAIL_PATTERN.test(normalized)) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      'email must be a single valid email address'
+    );
+  }
+  return normalized;
+}
+
+/**
+ * Settings of one event with the defaults filled in
+ * @param {string} event - Notification event
+ * @param {Object|null} stored - notification_settings row
+ */
+function buildEventSettings(event, stored = null) {
+  const defaults = {
+    enabled: true,
+    notifyAssignee: false,
+    notifyOrganizationContact: false,
+    ccDispatcher: false,
+    ...DEFAULT_EVENT_SETTINGS[event],
+  };
+  return {
+    event,
+    source: stored ? 'organization' : 'default',
+    ...Object.fromEntries(
+      SETTING_FLAGS.map(flag => [flag, stored ? stored[flag] : defaults[flag]])
+    ),
+    updatedAt: stored?.updatedAt ?? null,
+  };
+}
+
+/**
+ * Settings of every event of an organization
+ * @param {BigInt} orgId - Organization ID
+ * @returns {Promise<Object[]>}
+ */
+async function getNotificationSettings(orgId) {
+  const rows = await prisma.notificationSetting.findMany({
+    where: { orgId: BigInt(orgId) },
+  });
+  return Object.keys(NOTIFICATION_EVENTS).map(event =>
+    buildEventSettings(
+      event,
+      rows.find(row => row.event === event)
+    )
+  );
+}
+
+/**
+ * Store the settings of one event; flags missing from `input` keep their
+ * current value
+ * @returns {Promise<Object>} Settings of the event
+ */
+async function updateNotificationSetting(orgId, event, input = {}) {
+  parseNotificationEvent(event);
+  const data = {};
+  for (const flag of SETTING_FLAGS) {
+    if (input[flag] === undefined) continue;
+    if (typeof input[flag] !== 'boolean') {
+      throw new HttpError(400, 'Validation Error', `${flag} must be a boolean`);
+    }
+    data[flag] = input[flag];
+  }
+
+  const current = buildEventSettings(
+    event,
+    await prisma.notificationSetting.findUnique({
+      where: { orgId_event: { orgId: BigInt(orgId), event } },
+    })
+  );
+  const flags = Object.fromEntries(
+    SETTING_FLAGS.map(flag => [flag, data[flag] ?? current[flag]])
+  );
+
+  const stored = await prisma.notificationSetting.upsert({
+    where: { orgId_event: { orgId: BigInt(orgId), event } },
+    create: { orgId: BigInt(orgId), event, ...flags },
+    update: flags,
+  });
+  return buildEventSettings(event, stored);
+}
+
+/**
+ * Recipients of an event for an inspection
+ * @param {string} event - Notification event
+ * @param {BigInt|string} inspectionId - Inspection ID
+ * @returns {Promise<{to: Object[], cc: Object[]}>} [{ email, name }], empty
+ *   when the event is disabled or nobody is configured
+ */
+async function resolveNotificationRecipients(event, inspectionId) {
+  parseNotificationEvent(event);
+  const inspection = await prisma.inspection.findUnique({
+    where: { id: BigInt(inspectionId) },
+    select: {
+      orgId: true,
+      contractId: true,
+      organization: { select: { contactEmail: true, contactName: true } },
+      assignee: { select: { email: true, fullName: true } },
+      dispatcher: { select: { email: true, fullName: true } },
+    },
+  });
+  if (!inspection) {
+    return { to: [], cc: [] };
+  }
+
+  const settings = buildEventSettings(
+    event,
+    await prisma.notificationSetting.findUnique({
+      where: { orgId_event: { orgId: inspection.orgId, event } },
+    })
+  );
+  if (!settings.enabled) {
+    return { to: [], cc: [] };
+  }
+
+  const to = [];
+  if (settings.notifyAssignee && inspection.assignee?.email) {
+    to.push({
+      email: inspection.assignee.email,
+      name: inspection.assignee.fullName,
+    });
+  }
+  if (
+    settings.notifyOrganizationContact &&
+    inspection.organization?.contactEmail
+  ) {
+    to.push({
+      email: inspection.organization.contactEmail,
+      name: inspection.organization.contactName,
+    });
+  }
+
+  const subscribers = await prisma.notificationRecipient.findMany({
+    where: {
+      orgId: inspection.orgId,
+      isActive: true,
+      OR: [
+        { contractId: null },
+        ...(inspection.contractId
+          ? [{ contractId: inspection.contractId }]
+          : []),
+      ],
+    },
+    orderBy: { id: 'asc' },
+  });
+  for (const subscriber of subscribers) {
+    if (Array.isArray(subscriber.events) && subscriber.events.includes(event)) {
+      to.push({ email: subscriber.email, name: subscriber.name });
+    }
+  }
+
+  const cc = [];
+  if (settings.ccDispatcher && inspection.dispatcher?.email) {
+    cc.push({
+      email: inspection.dispatcher.email,
+      name: inspection.dispatcher.fullName,
+    });
+  }
+
+  // One address per message; someone in `to` is not CC'd as well
+  const seen = new Set();
+  const unique = list =>
+    list.filter(recipient => {
+      const key = recipient.email.trim().toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  return { to: unique(to), cc: unique(cc) };
+}
+
+/**
+ * Queue overdue notifications for inspections whose planned date has passed
+ * @param {Date} now - Reference time
+ * @returns {Promise<{checked: number, notified: number}>}
+ */
+async function notifyOverdueInspections(now = new Date()) {
+  const overdue = await prisma.inspection.findMany({
+    where: {
+      deletedAt: null,
+      status: { in: OVERDUE_STATUSES },
+      scheduledAt: { lt: now },
+      overdueNotifiedAt: null,
+    },
+    select: { id: true },
+    orderBy: { scheduledAt: 'asc' },
+    take: OVERDUE_BATCH_SIZE,
+  });
+
+  let notified = 0;
+  for (const { id } of overdue) {
+    // Claimed first so that a second process does not announce it again
+    const claimed = await prisma.inspection.updateMany({
+      where: { id, overdueNotifiedAt: null },
+      data: { overdueNotifiedAt: now },
+    });
+    if (claimed.count === 0) continue;
+
+    try {
+      if (await sendNotification('overdue', { inspectionId: id })) {
+        notified++;
+      }
+    } catch (error) {
+      console.error(
+        `[notifications] ❌ Overdue notification of inspection ${id} failed:`,
+        error.message
+      );
+    }
+  }
+
+  if (overdue.length > 0) {
+    console.log(
+      `[notifications] ⏰ ${overdue.length} overdue inspection(s), ${notified} notification(s) queued`
+    );
+  }
+  return { checked: overdue.length, notified };
+}
+
+/**
+ * Check for overdue inspections unless a run is already in progress
+ */
+async function overdueTick() {
+  if (overdueRunInProgress) {
+    return null;
+  }
+
+  overdueRunInProgress = notifyOverdueInspections();
+  try {
+    return await overdueRunInProgress;
+  } catch (error) {
+    console.error('[notifications] ❌ Overdue check failed:', error.message);
+    return null;
+  } finally {
+    overdueRunInProgress = null;
+  }
+}
+
+/**
+ * Start the in-process overdue check.
+ * Disabled with NOTIFY_OVERDUE_ENABLED=false; interval set by NOTIFY_OVERDUE_INTERVAL_MS.
+ */
+function startOverdueWorker() {
+  if (overdueTimer) {
+    return;
+  }
+  if (
+    ['false', '0', 'no'].includes(
+      (process.env.NOTIFY_OVERDUE_ENABLED || '').toLowerCase()
+    )
+  ) {
+    console.log(
+      '[notifications] Overdue check disabled (NOTIFY_OVERDUE_ENABLED)'
+    );
+    return;
+  }
+
+  const intervalMs =
+    Number(process.env.NOTIFY_OVERDUE_INTERVAL_MS) ||
+    DEFAULT_OVERDUE_INTERVAL_MS;
+  // Overdue inspections of every organization are checked, so it runs unscoped
+  runUnscoped(() => {
+    setImmediate(overdueTick);
+    overdueTimer = setInterval(overdueTick, intervalMs);
+    overdueTimer.unref();
+  });
+  console.log(`[notifications] Overdue check started (every ${intervalMs}ms)`);
+}
+
+/**
+ * Stop the in-process overdue check
+ */
+function stopOverdueWorker() {
+  if (overdueTimer) {
+    clearInterval(overdueTimer);
+    overdueTimer = null;
+  }
+}
+
+/**
+ * JSON shape of a notification_recipients row
+ */
+function formatNotificationRecipient(recipient) {
+  return {
+    id: recipient.id.toString(),
+    orgId: recipient.orgId.toString(),
+    contractId: recipient.contractId?.toString() ?? null,
+    contract: recipient.contract
+      ? {
+          id: recipient.contract.id.toString(),
+          contractName: recipient.contract.contractName,
+          contractNumber: recipient.contract.contractNumber,
+        }
+      : null,
+    name: recipient.name,
+    email: recipient.email,
+    events: Array.isArray(recipient.events) ? recipient.events : [],
+    isActive: recipient.isActive,
+    createdBy: recipient.createdBy?.toString() ?? null,
+    createdAt: recipient.createdAt,
+    updatedAt: recipient.updatedAt,
+  };
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  DEFAULT_EVENT_SETTINGS,
+  parseNotificationEvent,
+  parseNotificationEvents,
+  parseRecipientEmail,
+  getNotificationSettings,
+  updateNotificationSetting,
+  resolveNotificationRecipients,
+  notifyOverdueInspections,
+  startOverdueWorker,
+  stopOverdueWorker,
+  formatNotificationRecipient,
+};
@@ -0,0 +1,292 @@
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+const { HttpError } = require('../utils/errors');
+const { getStorage } = require('../utils/storage');
+const { toStorageKey } = require('../utils/imageStorage');
+const { linkImage, deleteImages } = require('./question-image-repository');
+const { REPORT_LAYOUT_PREFIX } = require('./report-layout-service');
+const { REPORT_DOCUMENT_PREFIX } = require('./report-document-service');
+const { EXPORT_PREFIX } = require('./export-service');
+
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
+
+/**
+ * Reconciliation of question photos with the file storage. Finds
+ *   - missingFiles:  image rows whose original file is gone
+ *   - orphanedFiles: stored files (originals or derivatives) no row refers to
+ *   - staleUploads:  loose uploads (/api/upload, answer_id NULL) older than
+ *                    the grace period; the ones an answer record refers to
+ *                    are re-linked to that record, the others deleted
+ * Runs as a dry run unless `apply` is set.
+ */
+
+const DEFAULT_GRACE_HOURS = parseFloat(process.env.IMAGE_GC_GRACE_HOURS) || 24;
+const BATCH_SIZE = 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+let runInProgress = null;
+
+const IMAGE_URL_FIELDS = ['imageUrl', 'thumbnailUrl', 'mediumUrl'];
+
+// Storage prefixes that hold other files than question photos
+const NON_PHOTO_PREFIXES = [
+  `${REPORT_LAYOUT_PREFIX}/`,
+  `${REPORT_DOCUMENT_PREFIX}/`,
+  `${EXPORT_PREFIX}/`,
+];
+
+const storageKeysOf = image =>
+  IMAGE_URL_FIELDS.map(field => toStorageKey(image[field])).filter(Boolean);
+
+/**
+ * Every image row, loaded in batches
+ */
+async function loadImages() {
+  const images = [];
+  let cursor = null;
+  for (;;) {
+    const batch = await prisma.questionImage.findMany({
+      select: {
+        id: true,
+        answerId: true,
+        imageUrl: true,
+        thumbnailUrl: true,
+        mediumUrl: true,
+        uploadedBy: true,
+        uploadedAt: true,
+      },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+    images.push(...batch);
+    if (batch.length < BATCH_SIZE) {
+      return images;
+    }
+    cursor = batch[batch.length - 1].id;
+  }
+}
+
+/**
+ * Path ([section, fieldId, ...]) of the first string in an answers JSON that
+ * mentions the storage key
+ */
+function findReference(value, key, path = []) {
+  if (typeof value === 'string') {
+    return value.includes(key) ? path : null;
+  }
+  if (value && typeof value === 'object') {
+    for (const [name, child] of Object.entries(value)) {
+      const found = findReference(child, key, [...path, name]);
+      if (found) {
+        return found;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Answer record of the uploader that refers to a loose upload, if any
+ * @returns {Promise<Object|null>} { answerId, section, fieldId }
+ */
+async function findRelinkTarget(image, key) {
+  if (!image.uploadedBy) {
+    return null;
+  }
+
+  const answers = await prisma.inspectionAnswer.findMany({
+    where: {
+      answeredBy: image.uploadedBy,
+      updatedAt: { gte: image.uploadedAt },
+    },
+    select: { id: true, answers: true },
+    orderBy: { updatedAt: 'desc' },
+  });
+  for (const answer of answers) {
+    const path = findReference(answer.answers, key);
+    if (path && path.length > 0) {
+      return {
+        answerId: answer.id,
+        section: path[0],
+        fieldId: path[1] || 'uploaded',
+      };
+    }
+  }
+  return null;
+}
+
+async function removeFiles(keys) {
+  const storage = getStorage();
+  let removed = 0;
+  for (const key of keys) {
+    try {
+      if (await storage.remove(key)) removed++;
+    } catch (error) {
+      console.warn(
+        `[orphaned-images] ⚠️ Could not remove ${key}:`,
+        error.message
+      );
+    }
+  }
+  return removed;
+}
+
+/**
+ * Compare image rows with the storage and report what is out of sync
+ * @param {Object} options - { graceHours } files and loose uploads younger than this are left alone
+ * @returns {Promise<Object>} Report with missingFiles, orphanedFiles and staleUploads
+ */
+async function findOrphanedImages({ graceHours = DEFAULT_GRACE_HOURS } = {}) {
+  const cutoff = new Date(Date.now() - graceHours * HOUR_MS);
+  const [images, files] = await Promise.all([
+    loadImages(),
+    getStorage().list(),
+  ]);
+
+  const storedKeys = new Set(files.map(file => file.key));
+  const referencedKeys = new Set(images.flatMap(storageKeysOf));
+
+  // Rows with URLs outside the storage (other hosts) cannot be checked
+  const missingFiles = images.filter(image => {
+    const key = toStorageKey(image.imageUrl);
+    return key && !storedKeys.has(key);
+  });
+  const missingIds = new Set(missingFiles.map(image => image.id));
+
+  const orphanedFiles = files.filter(
+    file =>
+      !referencedKeys.has(file.key) &&
+      !NON_PHOTO_PREFIXES.some(prefix => file.key.startsWith(prefix)) &&
+      !(file.modifiedAt && file.modifiedAt > cutoff)
+  );
+
+  const staleUploads = [];
+  for (const image of images) {
+    if (
+      image.answerId !== null ||
+      missingIds.has(image.id) ||
+      image.uploadedAt > cutoff
+    ) {
+      continue;
+    }
+    const key = toStorageKey(image.imageUrl);
+    staleUploads.push({
+      ...image,
+      relinkTo: key ? await findRelinkTarget(image, key) : null,
+    });
+  }
+
+  return {
+    graceHours,
+    scannedAt: new Date(),
+    totals: { images: images.length, files: files.length },
+    missingFiles,
+    orphanedFiles,
+    staleUploads,
+  };
+}
+
+/**
+ * Run the reconciliation: report, and with `apply` delete rows without files,
+ * delete unreferenced files and re-link or delete stale loose uploads
+ * @param {Object} options - { apply = false, graceHours }
+ * @returns {Promise<Object>} Report plus the actions taken
+ */
+async function cleanUpOrphanedImages({ apply = false, graceHours } = {}) {
+  if (runInProgress) {
+    throw new HttpError(409, 'Conflict', 'An image cleanup is already running');
+  }
+
+  runInProgress = (async () => {
+    const report = await findOrphanedImages({ graceHours });
+    const actions = {
+      deletedRows: 0,
+      removedFiles: 0,
+      relinkedUploads: 0,
+    };
+
+    if (apply) {
+      // Derivatives of rows without an original go as well
+      actions.deletedRows += await deleteImages(
+        report.missingFiles.map(image => image.id)
+      );
+      actions.removedFiles += await removeFiles(
+        report.missingFiles.flatMap(storageKeysOf)
+      );
+
+      const unreferenced = [];
+      for (const upload of report.staleUploads) {
+        if (upload.relinkTo) {
+          await linkImage(upload.id, upload.relinkTo);
+          actions.relinkedUploads++;
+        } else {
+          unreferenced.push(upload);
+        }
+      }
+      actions.deletedRows += await deleteImages(
+        unreferenced.map(upload => upload.id)
+      );
+      actions.removedFiles += await removeFiles([
+        ...unreferenced.flatMap(storageKeysOf),
+        ...report.orphanedFiles.map(file => file.key),
+      ]);
+
+      console.log(
+        `[orphaned-images] 🧹 Deleted ${actions.deletedRows} row(s), removed ${actions.removedFiles} file(s), re-linked ${actions.relinkedUploads} upload(s)`
+      );
+    }
+
+    return { ...report, dryRun: !apply, actions };
+  })();
+
+  try {
+    return await runInProgress;
+  } finally {
+    runInProgress = null;
+  }
+}
+
+/**
+ * JSON-friendly version of a cleanup report
+ */
+function formatCleanupReport(report) {
+  const formatImage = image => ({
+    id: image.id.toString(),
+    answerId: image.answerId?.toString() || null,
+    imageUrl: image.imageUrl,
+    uploadedBy: image.uploadedBy?.toString() || null,
+    uploadedAt: image.uploadedAt,
+  });
+
+  return {
+    dryRun: report.dryRun,
+    graceHours: report.graceHours,
+    scannedAt: report.scannedAt,
+    totals: report.totals,
+    summary: {
+      missingFiles: report.missingFiles.length,
+      orphanedFiles: report.orphanedFiles.length,
+      staleUploads: report.staleUploads.length,
+      relinkable: report.staleUploads.filter(upload => upload.relinkTo).length,
+    },
+    actions: report.actions,
+    missingFiles: report.missingFiles.map(formatImage),
+    orphanedFiles: report.orphanedFiles,
+    staleUploads: report.staleUploads.map(upload => ({
+      ...formatImage(upload),
+      relinkTo: upload.relinkTo && {
+        ...upload.relinkTo,
+        answerId: upload.relinkTo.answerId.toString(),
+      },
+    })),
+  };
+}
+
+module.exports = {
+  DEFAULT_GRACE_HOURS,
+  findOrphanedImages,
+  cleanUpOrphanedImages,
+  formatCleanupReport,
+};
@@ -0,0 +1,186 @@
+const { PrismaClient } = require('@prisma/client');
+const { HttpError } = require('../utils/errors');
+
+const prisma = new PrismaClient();
+
+/**
+ * Permission catalog. Routes declare one of these keys with
+ * requirePermission(); roles are granted keys through role_permissions.
+ */
+const PERMISSIONS = {
+  'inspections:read': 'View inspections, answers and images',
+  'inspections:create': 'Create inspections',
+  'inspections:update': 'Edit inspection details',
+  'inspections:delete': 'Delete inspections',
+  'inspections:assign': 'Assign inspections to users',
+  'inspections:answer': 'Fill in answers, photos and signatures',
+  'inspections:review': 'Approve, reject and cancel submitted inspections',
+  'templates:read': 'View inspection templates',
+  'templates:manage': 'Create, edit and archive inspection templates',
+  'schedules:read': 'View recurring inspection schedules',
+  'schedules:manage': 'Create, edit and run recurring inspection schedules',
+  'documents:read': 'Preview and download inspection reports',
+  'documents:generate': 'Regenerate inspection reports as a new revision',
+  'documents:export': 'Export the reports of many inspections as a ZIP',
+  'devices:read': 'View devices and device models',
+  'devices:manage': 'Create, edit and delete devices and device models',
+  'sites:read': 'View sites',
+  'sites:manage': 'Create, edit and delete sites',
+  'contracts:read': 'View contracts',
+  'contracts:manage': 'Create, edit and delete contracts',
+  'organizations:read': 'View organizations',
+  'organizations:manage': 'Create, edit and delete organizations',
+  'organizations:all': 'Access data of every organization',
+  'users:read': 'View users',
+  'users:manage': 'Create, edit and delete users',
+  'roles:manage': 'Manage roles and their permissions',
+  'audit:read': 'View the audit trail of changes',
+  'media:manage': 'Find and clean up orphaned photos',
+  'notifications:read': 'View outgoing emails and their delivery status',
+  'notifications:manage': 'Resend emails and manage notification settings',
+};
+
+const CACHE_TTL_MS = Number(process.env.PERMISSION_CACHE_TTL_MS) || 30 * 1000;
+// roleId -> { name, permissions: Set, loadedAt }
+const roleCache = new Map();
+
+/**
+ * Drop cached role permissions (after roles are edited)
+ */
+function invalidatePermissionCache() {
+  roleCache.clear();
+}
+
+/**
+ * Load a role with its permission keys (cached for CACHE_TTL_MS)
+ * @param {BigInt} roleId - Role ID
+ * @returns {Object|null} { id, name, permissions: Set<string> }
+ */
+async function getRoleAccess(roleId) {
+  const key = roleId.toString();
+  const cached = roleCache.get(key);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached;
+  }
+
+  const role = await prisma.role.findUnique({
+    where: { id: BigInt(roleId) },
+    include: { permissions: { include: { permission: true } } },
+  });
+  if (!role) {
+    roleCache.delete(key);
+    return null;
+  }
+
+  const access = {
+    id: role.id,
+    name: role.name,
+    permissions: new Set(role.permissions.map(rp => rp.permission.key)),
+    loadedAt: Date.now(),
+  };
+  roleCache.set(key, access);
+  return access;
+}
+
+/**
+ * Resolve the role and permissions of a user
+ * @param {BigInt|string} userId - User ID
+ * @returns {Object|null} { id, name, permissions: Set<string> } of the user's role
+ */
+async function getUserAccess(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: BigInt(userId) },
+    select: { roleId: true },
+  });
+  if (!user) {
+    return null;
+  }
+  return getRoleAccess(user.roleId);
+}
+
+/**
+ * Check whether a user has a permission
+ * @param {BigInt|string} userId - User ID
+ * @param {string} permission - Permission key
+ * @returns {boolean}
+ */
+async function userHasPermission(userId, permission) {
+  const access = await getUserAccess(userId);
+  return !!access && access.permissions.has(permission);
+}
+
+/**
+ * Check that a user may give a role to someone. Holders of roles:manage may
+ * assign any role; others only roles whose permissions they have themselves,
+ * so users:manage cannot be used to hand out more rights than the caller has.
+ * @param {BigInt|string} userId - Acting user
+ * @param {BigInt|string} roleId - Role to assign
+ * @returns {Object} { id, name, permissions: Set<string> } of the role
+ * @throws {HttpError} 404 when the role does not exist, 403 when it grants
+ *   permissions the user lacks
+ */
+async function assertCanAssignRole(userId, roleId) {
+  const [access, role] = await Promise.all([
+    getUserAccess(userId),
+    getRoleAccess(roleId),
+  ]);
+  if (!role) {
+    throw new HttpError(404, 'Not found', 'Role not found');
+  }
+  if (access?.permissions.has('roles:manage')) {
+    return role;
+  }
+
+  const missing = [...role.permissions].filter(
+    permission => !access?.permissions.has(permission)
+  );
+  if (missing.length > 0) {
+    throw new HttpError(
+      403,
+      'Forbidden',
+      `You cannot assign the role ${role.name}: it has permissions you do not have`,
+      { missingPermissions: missing }
+    );
+  }
+  return role;
+}
+
+/**
+ * Role given to new users when none is specified (DEFAULT_ROLE_NAME, default "inspector")
+ * @param {PrismaClient} db - Prisma client or transaction
+ * @returns {Object} Role row
+ */
+async function getDefaultRole(db = prisma) {
+  const name = process.env.DEFAULT_ROLE_NAME || 'inspector';
+  const role = await db.role.findUnique({ where: { name } });
+  if (!role) {
+    throw new Error(`Default role "${name}" does not exist`);
+  }
+  return role;
+}
+
+/**
+ * Insert catalog permissions that are missing from the permissions table
+ */
+async function syncPermissionCatalog() {
+  const result = await prisma.permission.createMany({
+    data: Object.entries(PERMISSIONS).map(([key, description]) => ({
+      key,
+      description,
+    })),
+    skipDuplicates: true,
+  });
+  if (result.count > 0) {
+    console.log(`[permission-service] ✅ Added ${result.count} permission(s)`);
+  }
+}
+
+module.exports = {
+  PERMISSIONS,
+  invalidatePermissionCache,
+  getUserAccess,
+  userHasPermission,
+  assertCanAssignRole,
+  getDefaultRole,
+  syncPermissionCatalog,
+};
@@ -0,0 +1,187 @@
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
+
+/**
+ * Data access for question photos (inspection_question_images).
+ * Every function takes an optional `db` so it can run inside a transaction.
+ */
+
+const IMAGE_ORDER = [
+  { section: 'asc' },
+  { fieldId: 'asc' },
+  { imageOrder: 'asc' },
+];
+
+/**
+ * Image stored at one slot (answer + field + order)
+ * @returns {Promise<Object|null>}
+ */
+async function findImageAt(answerId, fieldId, imageOrder, db = prisma) {
+  return db.questionImage.findFirst({
+    where: { answerId: BigInt(answerId), fieldId, imageOrder },
+  });
+}
+
+/**
+ * Store one image
+ * @param {Object} data - { answerId, fieldId, section, imageOrder, imageUrl, thumbnailUrl, mediumUrl, uploadedBy }
+ * @returns {Promise<Object>} Created row
+ */
+async function createImage(data, db = prisma) {
+  return db.questionImage.create({
+    data: {
+      answerId: data.answerId != null ? BigInt(data.answerId) : null,
+      fieldId: data.fieldId,
+      section: data.section,
+      imageOrder: data.imageOrder,
+      imageUrl: data.imageUrl,
+      thumbnailUrl: data.thumbnailUrl || null,
+      mediumUrl: data.mediumUrl || null,
+      uploadedBy: data.uploadedBy != null ? BigInt(data.uploadedBy) : null,
+    },
+  });
+}
+
+/**
+ * Images of one answer record, ordered by section / field / order
+ */
+async function listImagesForAnswer(answerId, db = prisma) {
+  return db.questionImage.findMany({
+    where: { answerId: BigInt(answerId) },
+    orderBy: IMAGE_ORDER,
+  });
+}
+
+/**
+ * Images of every answer record of an inspection
+ * @param {Object} filters - Optional { fieldId, section }
+ */
+async function listImagesForInspection(
+  inspectionId,
+  filters = {},
+  db = prisma
+) {
+  return db.questionImage.findMany({
+    where: {
+      answer: { inspectionId: BigInt(inspectionId) },
+      ...(filters.fieldId && { fieldId: filters.fieldId }),
+      ...(filters.section && { section: filters.section }),
+    },
+    orderBy: IMAGE_ORDER,
+  });
+}
+
+/**
+ * Number of images per `section:field_id` of an inspection
+ * @returns {Promise<Object>} { 'section:fieldId': count }
+ */
+async function countImagesByField(inspectionId, db = prisma) {
+  const groups = await db.questionImage.groupBy({
+    by: ['section', 'fieldId'],
+    where: { answer: { inspectionId: BigInt(inspectionId) } },
+    _count: { _all: true },
+  });
+
+  const counts = {};
+  groups.forEach(group => {
+    counts[`${group.section}:${group.fieldId}`] = group._count._all;
+  });
+  return counts;
+}
+
+/**
+ * Move the images of answer records that are about to be deleted onto the
+ * record that replaces them. An image whose slot is already taken on the
+ * target moves to the next free order of its field.
+ * @param {Array<BigInt>} fromAnswerIds - Records being merged away
+ * @param {BigInt} toAnswerId - Surviving record
+ * @returns {Promise<number>} Number of images moved
+ */
+async function relinkImages(fromAnswerIds, toAnswerId, db = prisma) {
+  const targetId = BigInt(toAnswerId);
+  const sourceIds = fromAnswerIds
+    .map(id => BigInt(id))
+    .filter(id => id !== targetId);
+  if (sourceIds.length === 0) return 0;
+
+  const [moving, existing] = await Promise.all([
+    db.questionImage.findMany({
+      where: { answerId: { in: sourceIds } },
+      orderBy: [{ uploadedAt: 'asc' }, { id: 'asc' }],
+    }),
+    db.questionImage.findMany({
+      where: { answerId: targetId },
+      select: { fieldId: true, imageOrder: true },
+    }),
+  ]);
+
+  const taken = new Set(
+    existing.map(img => `${img.fieldId}:${img.imageOrder}`)
+  );
+  for (const image of moving) {
+    let imageOrder = image.imageOrder;
+    while (taken.has(`${image.fieldId}:${imageOrder}`)) imageOrder++;
+    taken.add(`${image.fieldId}:${imageOrder}`);
+
+    await db.questionImage.update({
+      where: { id: image.id },
+      data: { answerId: targetId, imageOrder },
+    });
+  }
+
+  if (moving.length > 0) {
+    console.log(
+      `[question-images] 🔗 Relinked ${moving.length} image(s) to answer ${targetId}`
+    );
+  }
+  return moving.length;
+}
+
+/**
+ * Attach a loose upload to an answer record, after the last image of the field
+ * @param {Object} target - { answerId, section, fieldId }
+ * @returns {Promise<Object>} Updated row
+ */
+async function linkImage(imageId, { answerId, section, fieldId }, db = prisma) {
+  const last = await db.questionImage.findFirst({
+    where: { answerId: BigInt(answerId), fieldId },
+    orderBy: { imageOrder: 'desc' },
+    select: { imageOrder: true },
+  });
+
+  return db.questionImage.update({
+    where: { id: BigInt(imageId) },
+    data: {
+      answerId: BigInt(answerId),
+      section,
+      fieldId,
+      imageOrder: last ? last.imageOrder + 1 : 1,
+    },
+  });
+}
+
+/**
+ * Delete image rows (stored files are left to the caller)
+ * @returns {Promise<number>} Number of rows deleted
+ */
+async function deleteImages(imageIds, db = prisma) {
+  if (imageIds.length === 0) return 0;
+  const result = await db.questionImage.deleteMany({
+    where: { id: { in: imageIds.map(id => BigInt(id)) } },
+  });
+  return result.count;
+}
+
+module.exports = {
+  findImageAt,
+  createImage,
+  listImagesForAnswer,
+  listImagesForInspection,
+  countImagesByField,
+  relinkImages,
+  linkImage,
+  deleteImages,
+};
@@ -0,0 +1,375 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+const { HttpError } = require('../utils/errors');
+const { getStorage } = require('../utils/storage');
+const {
+  REPORT_IMAGE_SIZE,
+  buildInspectionReportData,
+} = require('./report-service');
+const { parseImageSize } = require('./image-derivatives-service');
+const { renderInspectionPdf } = require('./report-pdf-service');
+const { renderInspectionDocx } = require('./report-docx-service');
+const { DOCX_MIME_TYPE } = require('./report-layout-service');
+const pkg = require('../package.json');
+
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
+
+/**
+ * Registry of generated inspection reports (doc_details). A report is
+ * rendered once, stored together with its SHA-256, the generator version
+ * and the template version it was built from, and served from the storage
+ * afterwards. Regenerating adds the next revision; what was delivered
+ * earlier stays downloadable unchanged. Reports of inspections still being
+ * filled in, and reports with non-default image sizes, are rendered as
+ * unregistered previews.
+ */
+
+const REPORT_DOCUMENT_PREFIX = 'reports';
+const REPORT_GENERATOR_VERSION = `${pkg.name}@${pkg.version}`;
+const MAX_REVISION_ATTEMPTS = 3;
+// Inspections whose answers are still being filled in
+const OPEN_STATUSES = ['DRAFT', 'IN_PROGRESS'];
+
+const REPORT_FORMATS = {
+  DOCX: {
+    extension: 'docx',
+    mimeType: DOCX_MIME_TYPE,
+    render: reportData => renderInspectionDocx(reportData),
+  },
+  PDF: {
+    extension: 'pdf',
+    mimeType: 'application/pdf',
+    render: reportData => renderInspectionPdf(reportData),
+  },
+};
+
+/**
+ * Normalize a report format (docx / pdf)
+ */
+function parseReportFormat(format = 'DOCX') {
+  const normalized = String(format).toUpperCase();
+  if (!REPORT_FORMATS[normalized]) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      `Report format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}`
+    );
+  }
+  return normalized;
+}
+
+const sha256Of = buffer =>
+  crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Answer record with what decides whether its report may be registered
+ */
+async function findReportAnswer(answerId) {
+  const answer = await prisma.inspectionAnswer.findUnique({
+    where: { id: BigInt(answerId) },
+    select: {
+      updatedAt: true,
+      inspection: {
+        select: { status: true, completedAt: true, reviewedAt: true },
+      },
+    },
+  });
+  if (!answer) {
+    throw new Error('Inspection answer not found');
+  }
+  return answer;
+}
+
+/**
+ * Why a report can only be previewed, or null when it can be registered:
+ * the answers of open inspections still change, and a revision is the
+ * document delivered to the customer, rendered with the report image size
+ * @returns {HttpError|null}
+ */
+function previewOnlyReason(answer, imageSize) {
+  if (OPEN_STATUSES.includes(answer.inspection.status)) {
+    return new HttpError(
+      409,
+      'Conflict',
+      `The inspection is ${answer.inspection.status}: its report is only a preview until it is submitted`
+    );
+  }
+  if (imageSize !== REPORT_IMAGE_SIZE) {
+    return new HttpError(
+      400,
+      'Validation Error',
+      `Registered reports use ${REPORT_IMAGE_SIZE} images; other sizes are only a preview`
+    );
+  }
+  return null;
+}
+
+/**
+ * Render the report of an answer
+ * @returns {Promise<{reportData: Object, buffer: Buffer}>}
+ */
+async function renderReport(answerId, reportFormat, imageSize) {
+  const reportData = await buildInspectionReportData(
+    prisma,
+    { answerId: BigInt(answerId) },
+    { imageSize }
+  );
+  const buffer = await REPORT_FORMATS[reportFormat].render(reportData);
+  return { reportData, buffer };
+}
+
+/**
+ * Render the report of an answer record without registering it; the
+ * document has no ID and no revision
+ * @param {BigInt|string} answerId - Inspection answer ID
+ * @param {Object} options - { format: DOCX|PDF, imageSize }
+ * @returns {Promise<{document: Object, buffer: Buffer}>}
+ */
+async function previewReportDocument(
+  answerId,
+  { format = 'DOCX', imageSize } = {}
+) {
+  const reportFormat = parseReportFormat(format);
+  const spec = REPORT_FORMATS[reportFormat];
+  const { reportData, buffer } = await renderReport(
+    answerId,
+    reportFormat,
+    imageSize
+  );
+  return {
+    document: {
+      id: null,
+      docName: `inspection-${reportData.inspection.id}-preview.${spec.extension}`,
+      answerId: BigInt(answerId),
+      format: reportFormat,
+      revision: null,
+      mimeType: spec.mimeType,
+      fileSize: buffer.length,
+      sha256: sha256Of(buffer),
+    },
+    buffer,
+  };
+}
+
+/**
+ * Render the report of an answer record and register it as a new revision.
+ * Open inspections and non-default image sizes are rejected (see
+ * previewReportDocument).
+ * @param {BigInt|string} answerId - Inspection answer ID
+ * @param {Object} options - { format: DOCX|PDF, imageSize, userId }
+ * @returns {Promise<{document: Object, buffer: Buffer}>}
+ */
+async function generateReportDocument(
+  answerId,
+  { format = 'DOCX', imageSize, userId = null } = {}
+) {
+  const reportFormat = parseReportFormat(format);
+  const spec = REPORT_FORMATS[reportFormat];
+  const answerIdBigInt = BigInt(answerId);
+
+  const rejection = previewOnlyReason(
+    await findReportAnswer(answerIdBigInt),
+    parseImageSize(imageSize, REPORT_IMAGE_SIZE)
+  );
+  if (rejection) {
+    throw rejection;
+  }
+
+  const { reportData, buffer } = await renderReport(
+    answerIdBigInt,
+    reportFormat,
+    imageSize
+  );
+  const sha256 = sha256Of(buffer);
+  const inspectionId = BigInt(reportData.inspection.id);
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await prisma.docDetail.findFirst({
+      where: { answerId: answerIdBigInt, format: reportFormat },
+      orderBy: { revision: 'desc' },
+      select: { revision: true },
+    });
+    const revision = (latest?.revision || 0) + 1;
+    const storageKey = `${REPORT_DOCUMENT_PREFIX}/inspection_${inspectionId}/answer_${answerIdBigInt}_r${revision}_${Date.now()}.${spec.extension}`;
+
+    // The file is stored first so that a row never points at a missing file
+    await getStorage().put(storageKey, buffer, { contentType: spec.mimeType });
+
+    try {
+      const document = await prisma.$transaction(async tx => {
+        const created = await tx.docDetail.create({
+          data: {
+            docName: `inspection-${inspectionId}-r${revision}.${spec.extension}`,
+            inspectionId,
+            answerId: answerIdBigInt,
+            format: reportFormat,
+            revision,
+            storageKey,
+            mimeType: spec.mimeType,
+            fileSize: buffer.length,
+            sha256,
+            generatorVersion: REPORT_GENERATOR_VERSION,
+            templateId: reportData.template
+              ? BigInt(reportData.template.id)
+              : null,
+            templateVersion: reportData.template?.version ?? null,
+            reportLayoutKey:
+              reportFormat === 'DOCX'
+                ? reportData.template?.reportLayoutKey || null
+                : null,
+            createdBy: userId ? BigInt(userId) : null,
+          },
+        });
+        // Linking the document is not a change of the answers (isReportStale)
+        const { updatedAt } = await tx.inspectionAnswer.findUnique({
+          where: { id: answerIdBigInt },
+          select: { updatedAt: true },
+        });
+        await tx.inspectionAnswer.update({
+          where: { id: answerIdBigInt },
+          data: { docId: created.id, updatedAt },
+        });
+        return created;
+      });
+
+      console.log(
+        `[report-documents] ✅ Registered ${document.docName} (document ${document.id}, ${buffer.length} bytes)`
+      );
+      return { document, buffer };
+    } catch (error) {
+      await getStorage()
+        .remove(storageKey)
+        .catch(() => {});
+      // Another request registered the same revision first
+      if (error.code === 'P2002' && attempt < MAX_REVISION_ATTEMPTS) {
+        continue;
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Latest registered revision of an answer's report, or null
+ * @param {BigInt|string} answerId - Inspection answer ID
+ * @param {string} format - DOCX|PDF
+ */
+async function findLatestReportDocument(answerId, format = 'DOCX') {
+  return prisma.docDetail.findFirst({
+    where: { answerId: BigInt(answerId), format: parseReportFormat(format) },
+    orderBy: { revision: 'desc' },
+  });
+}
+
+/**
+ * Stored file of a registered document, checked against its hash
+ * @param {Object} document - doc_details row
+ * @returns {Promise<Buffer>}
+ */
+async function readReportDocument(document) {
+  if (!document.storageKey) {
+    throw new HttpError(
+      404,
+      'Not Found',
+      `Document ${document.id} has no stored file`
+    );
+  }
+  const buffer = await getStorage().get(document.storageKey);
+  if (!buffer) {
+    throw new HttpError(
+      404,
+      'Not Found',
+      `File of document ${document.id} was not found in the storage`
+    );
+  }
+  if (document.sha256 && sha256Of(buffer) !== document.sha256) {
+    console.error(
+      `[report-documents] ❌ Hash mismatch for document ${document.id} (${document.storageKey})`
+    );
+    throw new HttpError(
+      500,
+      'Integrity Error',
+      `File of document ${document.id} does not match its recorded hash`
+    );
+  }
+  return buffer;
+}
+
+/**
+ * Whether a registered report predates the last change of its answers or
+ * the last submit / review of the inspection
+ */
+function isReportStale(document, answer) {
+  return [
+    answer.updatedAt,
+    answer.inspection.completedAt,
+    answer.inspection.reviewedAt,
+  ].some(changedAt => changedAt && changedAt > document.createdAt);
+}
+
+/**
+ * Report of an answer as delivered before. The first request, and the first
+ * one after the answers or the inspection status changed, registers a new
+ * revision; open inspections and non-default image sizes get a preview.
+ * @param {BigInt|string} answerId - Inspection answer ID
+ * @param {Object} options - { format, imageSize, userId }
+ * @returns {Promise<{document: Object, buffer: Buffer}>}
+ */
+async function getReportDocument(answerId, options = {}) {
+  const answer = await findReportAnswer(answerId);
+  const imageSize = parseImageSize(options.imageSize, REPORT_IMAGE_SIZE);
+  if (previewOnlyReason(answer, imageSize)) {
+    return previewReportDocument(answerId, options);
+  }
+
+  const existing = await findLatestReportDocument(answerId, options.format);
+  if (existing && !isReportStale(existing, answer)) {
+    return { document: existing, buffer: await readReportDocument(existing) };
+  }
+  return generateReportDocument(answerId, options);
+}
+
+/**
+ * JSON shape of a doc_details row
+ */
+function formatReportDocument(document) {
+  return {
+    id: document.id.toString(),
+    name: document.docName,
+    inspectionId: document.inspectionId?.toString() ?? null,
+    answerId: document.answerId?.toString() ?? null,
+    format: document.format,
+    revision: document.revision,
+    mimeType: document.mimeType,
+    fileSize: document.fileSize,
+    sha256: document.sha256,
+    generatorVersion: document.generatorVersion,
+    templateId: document.templateId?.toString() ?? null,
+    templateVersion: document.templateVersion,
+    reportLayoutKey: document.reportLayoutKey,
+    createdBy: document.createdBy?.toString() ?? null,
+    creator: document.creator
+      ? {
+          id: document.creator.id.toString(),
+          fullName: document.creator.fullName,
+          email: document.creator.email,
+        }
+      : null,
+    createdAt: document.createdAt,
+  };
+}
+
+module.exports = {
+  REPORT_DOCUMENT_PREFIX,
+  REPORT_GENERATOR_VERSION,
+  REPORT_FORMATS,
+  parseReportFormat,
+  previewReportDocument,
+  generateReportDocument,
+  findLatestReportDocument,
+  readReportDocument,
+  getReportDocument,
+  formatReportDocument,
+};
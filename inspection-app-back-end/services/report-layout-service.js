@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const PizZip = require('pizzip');
+const { HttpError } = require('../utils/errors');
+const { getStorage } = require('../utils/storage');
+
+/**
+ * DOCX layouts of inspection reports. A template can register its own
+ * layout (kept in the file storage); otherwise templates/<type>.docx
+ * (e.g. installation.docx) and finally REPORT_TEMPLATE_FILE are used.
+ * Replaced layouts stay in the storage so earlier reports can be traced
+ * back to the layout they were generated with.
+ */
+
+const REPORT_TEMPLATE_DIR = path.resolve(__dirname, '..', 'templates');
+const REPORT_TEMPLATE_FILE =
+  process.env.REPORT_TEMPLATE_FILE || 'template.docx';
+const REPORT_LAYOUT_PREFIX = 'report-layouts';
+const DOCX_MIME_TYPE =
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+/**
+ * Layout used for a template
+ * @param {Object|null} template - { id, type, reportLayoutKey } (report data `template`)
+ * @returns {Promise<{buffer: Buffer, source: string, name: string}>}
+ *   source: template, type or default
+ */
+async function loadReportLayout(template) {
+  if (template?.reportLayoutKey) {
+    const buffer = await getStorage().get(template.reportLayoutKey);
+    if (buffer) {
+      return {
+        buffer,
+        source: 'template',
+        name: path.posix.basename(template.reportLayoutKey),
+      };
+    }
+    console.warn(
+      `[report-layouts] ⚠️ Layout ${template.reportLayoutKey} of template ${template.id} is missing, using the default`
+    );
+  }
+
+  const candidates = [
+    template?.type && {
+      source: 'type',
+      name: `${String(template.type).toLowerCase()}.docx`,
+    },
+    { source: 'default', name: REPORT_TEMPLATE_FILE },
+  ].filter(Boolean);
+
+  for (const candidate of candidates) {
+    const filePath = path.join(REPORT_TEMPLATE_DIR, candidate.name);
+    if (fs.existsSync(filePath)) {
+      return { ...candidate, buffer: fs.readFileSync(filePath) };
+    }
+  }
+  throw new HttpError(
+    404,
+    'Template not found',
+    `Template file ${REPORT_TEMPLATE_FILE} does not exist`
+  );
+}
+
+/**
+ * Reject uploads that are not Word documents
+ */
+function validateReportLayout(buffer) {
+  let zip;
+  try {
+    zip = new PizZip(buffer);
+  } catch (error) {
+    zip = null;
+  }
+  if (!zip || !zip.file('word/document.xml')) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      'Report layout must be a .docx file'
+    );
+  }
+}
+
+/**
+ * Store a new layout for a template
+ * @param {BigInt} templateId - Template ID
+ * @param {Buffer} buffer - DOCX file
+ * @returns {Promise<string>} Storage key
+ */
+async function storeReportLayout(templateId, buffer) {
+  validateReportLayout(buffer);
+  const key = `${REPORT_LAYOUT_PREFIX}/template_${templateId}_${Date.now()}.docx`;
+  await getStorage().put(key, buffer, { contentType: DOCX_MIME_TYPE });
+  console.log(`[report-layouts] ✅ Stored layout ${key}`);
+  return key;
+}
+
+module.exports = {
+  REPORT_LAYOUT_PREFIX,
+  DOCX_MIME_TYPE,
+  loadReportLayout,
+  storeReportLayout,
+};
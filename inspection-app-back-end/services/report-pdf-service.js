@@ -0,0 +1,285 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const sharp = require('sharp');
+
+/**
+ * PDF rendering of the inspection report data built by report-service.
+ * Rendered locally with pdfkit: question results per section with their
+ * photos, remarks, the inspector's signature and a footer on every page.
+ */
+
+// The built-in PDF fonts have no Cyrillic glyphs, so a TTF font is embedded
+const FONT_CANDIDATES = {
+  regular: [
+    process.env.REPORT_PDF_FONT,
+    '/usr/share/fonts/dejavu/DejaVuSans.ttf',
+    '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf',
+  ],
+  bold: [
+    process.env.REPORT_PDF_FONT_BOLD,
+    '/usr/share/fonts/dejavu/DejaVuSans-Bold.ttf',
+    '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf',
+  ],
+};
+const FALLBACK_FONTS = { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+
+const PAGE_MARGIN = 50;
+const FOOTER_HEIGHT = 30;
+const PHOTO_WIDTH = 150;
+const PHOTO_HEIGHT = 112;
+const PHOTO_GAP = 8;
+const SIGNATURE_SIZE = [180, 80];
+
+let warnedFallbackFont = false;
+
+function resolveFont(variant) {
+  const file = FONT_CANDIDATES[variant].find(
+    candidate => candidate && fs.existsSync(candidate)
+  );
+  if (file) {
+    return file;
+  }
+  if (!warnedFallbackFont) {
+    console.warn(
+      '[report-pdf] ⚠️ No TTF font found (REPORT_PDF_FONT), Cyrillic text will not render'
+    );
+    warnedFallbackFont = true;
+  }
+  return FALLBACK_FONTS[variant];
+}
+
+/**
+ * Photo bytes pdfkit can embed (JPEG with orientation applied)
+ */
+async function photoBuffer(image) {
+  if (!image?.base64) {
+    return null;
+  }
+  try {
+    return await sharp(Buffer.from(image.base64, 'base64'))
+      .autoOrient()
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 85 })
+      .toBuffer();
+  } catch (error) {
+    console.warn(`[report-pdf] ⚠️ Skipping image ${image.id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Signature bytes (PNG keeps its transparency)
+ */
+async function signatureBuffer(signature) {
+  if (!signature?.data) {
+    return null;
+  }
+  try {
+    return await sharp(Buffer.from(signature.data, 'base64')).png().toBuffer();
+  } catch (error) {
+    console.warn('[report-pdf] ⚠️ Skipping signature:', error.message);
+    return null;
+  }
+}
+
+// Start a new page when `height` does not fit above the footer
+function ensureSpace(doc, height) {
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  if (doc.y + height > bottom) {
+    doc.addPage();
+  }
+}
+
+function drawHeading(doc, fonts, text, size = 13) {
+  ensureSpace(doc, size * 3);
+  doc.moveDown(0.6).font(fonts.bold).fontSize(size).text(text);
+  doc.moveDown(0.3).font(fonts.regular).fontSize(10);
+}
+
+function drawKeyValues(doc, fonts, rows) {
+  const labelWidth = 150;
+  const x = doc.page.margins.left;
+  const valueWidth = doc.page.width - doc.page.margins.right - x - labelWidth;
+
+  for (const [label, value] of rows) {
+    ensureSpace(doc, 16);
+    const y = doc.y;
+    doc.font(fonts.bold).text(label, x, y, { width: labelWidth });
+    const labelBottom = doc.y;
+    doc.font(fonts.regular).text(value || '-', x + labelWidth, y, {
+      width: valueWidth,
+    });
+    doc.x = x;
+    doc.y = Math.max(doc.y, labelBottom);
+  }
+}
+
+function drawPhotos(doc, photos) {
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  let x = left;
+
+  ensureSpace(doc, PHOTO_HEIGHT + PHOTO_GAP);
+  let y = doc.y + 4;
+  for (const photo of photos) {
+    if (x + PHOTO_WIDTH > right) {
+      x = left;
+      y += PHOTO_HEIGHT + PHOTO_GAP;
+      doc.y = y;
+      ensureSpace(doc, PHOTO_HEIGHT);
+      y = doc.y;
+    }
+    doc.image(photo, x, y, {
+      fit: [PHOTO_WIDTH, PHOTO_HEIGHT],
+      align: 'center',
+      valign: 'center',
+    });
+    x += PHOTO_WIDTH + PHOTO_GAP;
+  }
+  doc.x = left;
+  doc.y = y + PHOTO_HEIGHT + PHOTO_GAP;
+}
+
+async function drawSection(doc, fonts, section, images) {
+  drawHeading(doc, fonts, section.title || section.key);
+
+  for (const field of section.fields) {
+    ensureSpace(doc, 40);
+    doc.font(fonts.bold).text(field.question || field.id);
+    doc.font(fonts.regular).text(`Төлөв: ${field.status || '-'}`);
+    if (field.comment) {
+      doc.text(`Тайлбар: ${field.comment}`);
+    }
+
+    const photos = [];
+    for (const image of images.filter(
+      img => img.section === section.key && img.fieldId === field.id
+    )) {
+      const photo = await photoBuffer(image);
+      if (photo) photos.push(photo);
+    }
+    if (photos.length > 0) {
+      drawPhotos(doc, photos);
+    }
+    doc.moveDown(0.4);
+  }
+}
+
+function drawFooters(doc, fonts, reportData, generatedAt) {
+  const range = doc.bufferedPageRange();
+  const stamp = generatedAt.toISOString().replace('T', ' ').slice(0, 19);
+
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Writing into the bottom margin must not open a new page
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc
+      .font(fonts.regular)
+      .fontSize(8)
+      .fillColor('#666666')
+      .text(
+        `Үзлэг #${reportData.inspection.id} · Үүсгэсэн: ${stamp} UTC · ${i - range.start + 1}/${range.count}`,
+        doc.page.margins.left,
+        doc.page.height - bottom + (bottom - FOOTER_HEIGHT) / 2,
+        {
+          width:
+            doc.page.width - doc.page.margins.left - doc.page.margins.right,
+          align: 'center',
+          lineBreak: false,
+        }
+      );
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+/**
+ * Render an inspection report as PDF
+ * @param {Object} reportData - Result of buildInspectionReportData
+ * @param {Object} options - { generatedAt } (default now)
+ * @returns {Promise<Buffer>} PDF file
+ */
+async function renderInspectionPdf(
+  reportData,
+  { generatedAt = new Date() } = {}
+) {
+  const { inspection, d } = reportData;
+  const fonts = { regular: resolveFont('regular'), bold: resolveFont('bold') };
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    info: {
+      Title: `Inspection report ${inspection.id}`,
+      Subject: inspection.title || '',
+      CreationDate: generatedAt,
+    },
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  doc
+    .font(fonts.bold)
+    .fontSize(18)
+    .text('Үзлэгийн тайлан', { align: 'center' });
+  if (inspection.title) {
+    doc.font(fonts.regular).fontSize(11).text(inspection.title, {
+      align: 'center',
+    });
+  }
+  doc.moveDown();
+
+  doc.fontSize(10);
+  drawKeyValues(doc, fonts, [
+    ['Гүйцэтгэгч', d.contractor.company],
+    ['Гэрээний дугаар', d.contractor.contract_no],
+    ['Огноо', d.metadata.date],
+    ['Байцаагч', d.metadata.inspector],
+    ['Байршил', d.metadata.location],
+    ['Жингийн серийн дугаар', d.metadata.scale_id_serial_no],
+    ['Загвар', d.metadata.model],
+    ['Төлөв', inspection.status],
+  ]);
+
+  const images = Array.isArray(d.images) ? d.images : [];
+  // Sections and questions in the order of the inspection's template
+  for (const section of d.sections || []) {
+    await drawSection(doc, fonts, section, images);
+  }
+
+  if (d.remarks) {
+    drawHeading(doc, fonts, 'Нэмэлт тэмдэглэл');
+    doc.text(
+      typeof d.remarks === 'string' ? d.remarks : JSON.stringify(d.remarks)
+    );
+  }
+
+  const ftpImage = await signatureBuffer(d.ftp_image);
+  if (ftpImage) {
+    drawHeading(doc, fonts, 'Хавсралт зураг');
+    ensureSpace(doc, 200);
+    doc.image(ftpImage, { fit: [300, 200] });
+  }
+
+  drawHeading(doc, fonts, 'Байцаагчийн гарын үсэг');
+  const signature = await signatureBuffer(d.signatures?.inspector);
+  if (signature) {
+    ensureSpace(doc, SIGNATURE_SIZE[1]);
+    doc.image(signature, { fit: SIGNATURE_SIZE });
+  } else {
+    doc.text('-');
+  }
+
+  drawFooters(doc, fonts, reportData, generatedAt);
+  doc.end();
+  return finished;
+}
+
+module.exports = {
+  renderInspectionPdf,
+};
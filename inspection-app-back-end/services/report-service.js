@@ -2,8 +2,14 @@ const {
   loadImagePayload,
   inferMimeType,
   normalizeRelativePath,
-  buildPublicUrl,
 } = require('../utils/imageStorage');
+const { signMediaUrl } = require('../utils/mediaUrls');
+const { listImagesForAnswer } = require('./question-image-repository');
+const { parseImageSize, pickImageVariant } = require('./image-derivatives-service');
+const { resolveInspectionTemplate } = require('./template-service');
+
+// Photos in reports are printed small, the medium derivative is enough
+const REPORT_IMAGE_SIZE = process.env.REPORT_IMAGE_SIZE || 'medium';
 
 function safeField(section = {}, key) {
   const item = section?.[key] || {};
@@ -30,19 +36,8 @@ function extractSignatureImage(signatureValue) {
   };
 }
 
-async function loadImagesForAnswer(prisma, answerId) {
-  const rows = await prisma.$queryRaw`
-    SELECT
-      id,
-      field_id,
-      section,
-      image_order,
-      image_url,
-      uploaded_at
-    FROM inspection_question_images
-    WHERE answer_id = ${answerId}
-    ORDER BY section, field_id, image_order;
-  `;
+async function loadImagesForAnswer(prisma, answerId, size) {
+  const rows = await listImagesForAnswer(answerId, prisma);
 
   const images = [];
   console.log(`[report-service] Loading ${rows.length} images for answer ${answerId}`);
@@ -50,17 +45,17 @@ async function loadImagesForAnswer(prisma, answerId) {
   for (const row of rows) {
     console.log(`[report-service] Processing image:`, {
       id: row.id?.toString(),
-      image_url: row.image_url,
+      imageUrl: row.imageUrl,
       section: row.section,
-      field_id: row.field_id,
-      image_order: row.image_order,
+      fieldId: row.fieldId,
+      imageOrder: row.imageOrder,
     });
 
-    const normalizedPath = normalizeRelativePath(row.image_url);
-    console.log(`[report-service] Normalized path: ${normalizedPath} (from: ${row.image_url})`);
+    const normalizedPath = normalizeRelativePath(pickImageVariant(row, size));
+    console.log(`[report-service] Normalized path: ${normalizedPath} (from: ${row.imageUrl})`);
 
     if (!normalizedPath) {
-      console.warn(`[report-service] ❌ Failed to normalize path: ${row.image_url}`);
+      console.warn(`[report-service] ❌ Failed to normalize path: ${row.imageUrl}`);
       continue;
     }
 
@@ -69,14 +64,14 @@ async function loadImagesForAnswer(prisma, answerId) {
       hasBase64: !!payload.base64,
       base64Length: payload.base64?.length,
       size: payload.size,
-      localPath: payload.localPath,
+      key: payload.key,
       error: payload.error,
     });
 
     if (!payload.base64) {
       console.error(`[report-service] ❌ Failed to load image payload for: ${normalizedPath}`, {
         error: payload.error,
-        localPath: payload.localPath,
+        key: payload.key,
       });
       // Continue anyway - will create image object without base64
     }
@@ -87,13 +82,13 @@ async function loadImagesForAnswer(prisma, answerId) {
     const imageObj = {
       id: row.id?.toString() || null,
       section: row.section || null,
-      fieldId: row.field_id || null,
-      order: Number(row.image_order) || 0,
-      imageUrl: buildPublicUrl(normalizedPath),
+      fieldId: row.fieldId || null,
+      order: row.imageOrder || 0,
+      imageUrl: signMediaUrl(normalizedPath),
       storagePath: normalizedPath,
       base64: payload.base64,
       mimeType,
-      uploadedAt: row.uploaded_at || null,
+      uploadedAt: row.uploadedAt || null,
     };
 
     console.log(`[report-service] Created image object:`, {
@@ -111,72 +106,94 @@ async function loadImagesForAnswer(prisma, answerId) {
   return images;
 }
 
-function mapIndicatorSection(section = {}) {
-  return {
-    led_display: safeField(section, 'led_display'),
-    power_plug: safeField(section, 'power_plug'),
-    seal_bolt: safeField(section, 'seal_bolt'),
-    buttons: safeField(section, 'buttons'),
-    junction_wiring: safeField(section, 'junction_wiring'),
-    serial_converter_plug: safeField(section, 'serial_converter'),
-  };
-}
-
-function mapFoundationSection(section = {}) {
-  return {
-    cross_base: safeField(section, 'cross_base'),
-    anchor_plate: safeField(section, 'anchor_plate'),
-    ramp_angle: safeField(section, 'ramp_angle'),
-    ramp_stopper: safeField(section, 'ramp_stopper'),
-    ramp: safeField(section, 'ramp'),
-    slab_base: safeField(section, 'slab_base'),
-  };
-}
-
-function mapCleanlinessSection(section = {}) {
-  return {
-    under_platform: safeField(section, 'under_platform'),
-    top_platform: safeField(section, 'top_platform'),
-    gap_platform_ramp: safeField(section, 'gap_platform_ramp'),
-    both_sides_area: safeField(section, 'both_sides_area'),
-  };
-}
-
-function mapExteriorSection(section = {}) {
-  return {
-    sensor_base: safeField(section, 'sensor_base'),
-    beam: safeField(section, 'beam'),
-    platform_plate: safeField(section, 'platform_plate'),
-    beam_joint_plate: safeField(section, 'beam_joint_plate'),
-    stop_bolt: safeField(section, 'stop_bolt'),
-    interplatform_bolts: safeField(section, 'interplatform_bolts'),
-  };
-}
+// Questions of the truck scale checklist, used for inspections created
+// before templates were attached to inspections
+const LEGACY_SCALE_QUESTIONS = [
+  {
+    section: 'exterior',
+    title: 'Гадна үзлэг',
+    fields: ['sensor_base', 'beam', 'platform_plate', 'beam_joint_plate', 'stop_bolt', 'interplatform_bolts'],
+  },
+  {
+    section: 'indicator',
+    title: 'Индикатор',
+    fields: ['led_display', 'power_plug', 'seal_bolt', 'buttons', 'junction_wiring', 'serial_converter'],
+  },
+  {
+    section: 'jbox',
+    title: 'Холболтын хайрцаг (J-box)',
+    fields: ['box_integrity', 'collector_board', 'wire_tightener', 'resistor_element', 'protective_box'],
+  },
+  {
+    section: 'sensor',
+    title: 'Мэдрэгч',
+    fields: ['signal_wire', 'ball', 'base', 'ball_cup_thin', 'plate'],
+  },
+  {
+    section: 'foundation',
+    title: 'Суурь',
+    fields: ['cross_base', 'anchor_plate', 'ramp_angle', 'ramp_stopper', 'ramp', 'slab_base'],
+  },
+  {
+    section: 'cleanliness',
+    title: 'Цэвэрлэгээ',
+    fields: ['under_platform', 'top_platform', 'gap_platform_ramp', 'both_sides_area'],
+  },
+].map(section => ({
+  ...section,
+  fields: section.fields.map(id => ({ id, question: '' })),
+}));
+
+// Placeholder names that differ from the field ID (templates/template.docx)
+const FIELD_ALIASES = {
+  indicator: { serial_converter: 'serial_converter_plug' },
+};
 
-function mapJboxSection(section = {}) {
-  return {
-    box_integrity: safeField(section, 'box_integrity'),
-    collector_board: safeField(section, 'collector_board'),
-    wire_tightener: safeField(section, 'wire_tightener'),
-    resistor_element: safeField(section, 'resistor_element'),
-    protective_box: safeField(section, 'protective_box'),
-  };
+/**
+ * Placeholder name of a field in DOCX layouts
+ */
+function reportFieldKey(section, fieldId) {
+  return FIELD_ALIASES[section]?.[fieldId] || fieldId;
 }
 
-function mapSensorSection(section = {}) {
-  return {
-    signal_wire: safeField(section, 'signal_wire'),
-    ball: safeField(section, 'ball'),
-    base: safeField(section, 'base'),
-    ball_cup_thin: safeField(section, 'ball_cup_thin'),
-    plate: safeField(section, 'plate'),
-  };
+/**
+ * Answers of every template section: `bySection` keyed like the layout
+ * placeholders (d.<section>.<field>.status) and `sections` in template order
+ * for layouts that loop over them
+ */
+function buildSections(questions, dataRoot) {
+  const bySection = {};
+  const sections = questions.map(section => {
+    const answers = dataRoot[section.section] || {};
+    const fields = (section.fields || []).map(field => ({
+      id: field.id,
+      key: reportFieldKey(section.section, field.id),
+      type: field.type || null,
+      ...safeField(answers, field.id),
+      question: answers[field.id]?.question || field.question || '',
+    }));
+
+    bySection[section.section] = Object.fromEntries(
+      fields.map(({ key, status, comment, question }) => [
+        key,
+        { status, comment, question },
+      ])
+    );
+    return { key: section.section, title: section.title || section.section, fields };
+  });
+  return { bySection, sections };
 }
 
+/**
+ * Collect the data of the inspection report template
+ * @param {Object} options - { imageSize: thumbnail|medium|original } (default REPORT_IMAGE_SIZE)
+ */
 async function buildInspectionReportData(
   prisma,
-  identifiers = {}
+  identifiers = {},
+  { imageSize } = {}
 ) {
+  const size = parseImageSize(imageSize, REPORT_IMAGE_SIZE);
   let inspectionId = null;
   let answer = null;
 
@@ -263,9 +280,15 @@ async function buildInspectionReportData(
   );
 
   const images = answer
-    ? await loadImagesForAnswer(prisma, answer.id)
+    ? await loadImagesForAnswer(prisma, answer.id, size)
     : [];
 
+  const templateInfo = await resolveInspectionTemplate(prisma, inspection);
+  const questions = templateInfo?.questions?.length
+    ? templateInfo.questions
+    : LEGACY_SCALE_QUESTIONS;
+  const { bySection, sections } = buildSections(questions, dataRoot);
+
   const d = {
     contractor: {
       company: contractorOrg?.name || '',
@@ -279,12 +302,8 @@ async function buildInspectionReportData(
       scale_id_serial_no: metadata.scale_id_serial_no || '',
       model: metadata.model || inspection.device?.model?.model || '',
     },
-    exterior: mapExteriorSection(dataRoot.exterior),
-    indicator: mapIndicatorSection(dataRoot.indicator),
-    jbox: mapJboxSection(dataRoot.jbox),
-    sensor: mapSensorSection(dataRoot.sensor),
-    foundation: mapFoundationSection(dataRoot.foundation),
-    cleanliness: mapCleanlinessSection(dataRoot.cleanliness),
+    ...bySection,
+    sections,
     remarks: parsedAnswers.remarks || '',
     signatures: {
       inspector: signatureInspector,
@@ -300,6 +319,15 @@ async function buildInspectionReportData(
       status: inspection.status,
       type: inspection.type,
     },
+    template: templateInfo
+      ? {
+          id: templateInfo.template.id.toString(),
+          name: templateInfo.template.name,
+          type: templateInfo.template.type,
+          version: templateInfo.version,
+          reportLayoutKey: templateInfo.template.reportLayoutKey || null,
+        }
+      : null,
     answer: answer
       ? {
           id: answer.id.toString(),
@@ -311,6 +339,8 @@ async function buildInspectionReportData(
 }
 
 module.exports = {
+  REPORT_IMAGE_SIZE,
   buildInspectionReportData,
+  reportFieldKey,
 };
 
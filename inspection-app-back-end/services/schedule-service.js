@@ -0,0 +1,362 @@
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope, runUnscoped } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+const { getLatestTemplateVersion } = require('./template-service');
+
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
+
+const SCHEDULE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let schedulerTimer = null;
+let runInProgress = null;
+
+/**
+ * Add calendar months, clamping to the last day of the target month
+ * (Jan 31 + 1 month = Feb 28/29)
+ * @param {Date} date - Start date
+ * @param {number} months - Number of months to add
+ * @returns {Date} New date
+ */
+function addMonths(date, months) {
+  const result = new Date(date.getTime());
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(
+    Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+}
+
+/**
+ * Compute the due date that follows `fromDate` for a schedule.
+ * `intervalDays` takes precedence over the frequency when it is set.
+ * @param {Date} fromDate - Current due date
+ * @param {string} frequency - DAILY, WEEKLY, MONTHLY or YEARLY
+ * @param {number|null} intervalDays - Custom interval in days
+ * @returns {Date} Next due date
+ */
+function computeNextDueDate(fromDate, frequency, intervalDays = null) {
+  const from = new Date(fromDate);
+
+  if (intervalDays && intervalDays > 0) {
+    return new Date(from.getTime() + intervalDays * DAY_MS);
+  }
+
+  switch ((frequency || '').toUpperCase()) {
+    case 'DAILY':
+      return new Date(from.getTime() + DAY_MS);
+    case 'WEEKLY':
+      return new Date(from.getTime() + 7 * DAY_MS);
+    case 'MONTHLY':
+      return addMonths(from, 1);
+    case 'YEARLY':
+      return addMonths(from, 12);
+    default:
+      throw new Error(
+        `Validation failed: unsupported frequency "${frequency}"`
+      );
+  }
+}
+
+/**
+ * Map a schedule frequency to the inspection schedule type
+ * @param {string} frequency - Schedule frequency
+ * @returns {string} DAILY or SCHEDULED
+ */
+function getScheduleType(frequency) {
+  return (frequency || '').toUpperCase() === 'DAILY' ? 'DAILY' : 'SCHEDULED';
+}
+
+/**
+ * Build the title of a generated inspection
+ * @param {Object} schedule - Schedule with device and template included
+ * @param {Date} dueAt - Due date being materialized
+ * @returns {string} Inspection title
+ */
+function buildInspectionTitle(schedule, dueAt) {
+  const date = dueAt.toISOString().slice(0, 10);
+  const base =
+    schedule.title ||
+    [schedule.template?.name || 'Үзлэг', schedule.device?.serialNumber]
+      .filter(Boolean)
+      .join(' - ');
+  return `${base} (${date})`.slice(0, 255);
+}
+
+/**
+ * Materialize the current due date of a single schedule into an inspection
+ * and advance `nextDueDate` past `now`. Both writes happen in one transaction
+ * and the unique (schedule_id, schedule_due_at) key on inspections makes a
+ * repeated run for the same due date a no-op.
+ * @param {Object} schedule - Schedule with device and template included
+ * @param {Date} now - Reference time
+ * @returns {Object} Result with status created | duplicate | stale
+ */
+async function materializeSchedule(schedule, now = new Date()) {
+  const dueAt = new Date(schedule.nextDueDate);
+
+  // Missed periods (e.g. server was down) are not backfilled: one inspection
+  // is created for the oldest due date and the schedule jumps past `now`
+  let nextDueDate = computeNextDueDate(
+    dueAt,
+    schedule.frequency,
+    schedule.intervalDays
+  );
+  let skippedPeriods = 0;
+  while (nextDueDate <= now) {
+    nextDueDate = computeNextDueDate(
+      nextDueDate,
+      schedule.frequency,
+      schedule.intervalDays
+    );
+    skippedPeriods += 1;
+  }
+
+  const createdBy =
+    schedule.createdBy ||
+    (process.env.SCHEDULER_SYSTEM_USER_ID
+      ? BigInt(process.env.SCHEDULER_SYSTEM_USER_ID)
+      : null);
+  if (!createdBy) {
+    throw new Error(
+      `Schedule ${schedule.id} has no creator and SCHEDULER_SYSTEM_USER_ID is not set`
+    );
+  }
+
+  let templateVersion = null;
+  if (schedule.templateId) {
+    if (schedule.template && schedule.template.isActive === false) {
+      throw new Error(`Template ${schedule.templateId} is archived`);
+    }
+    templateVersion = await getLatestTemplateVersion(
+      prisma,
+      schedule.templateId
+    );
+  }
+
+  try {
+    const inspection = await prisma.$transaction(async tx => {
+      const created = await tx.inspection.create({
+        data: {
+          orgId: schedule.orgId,
+          deviceId: schedule.deviceId,
+          siteId: schedule.siteId || schedule.device?.siteId || null,
+          contractId: schedule.device?.contractId || null,
+          templateId: schedule.templateId,
+          templateVersionId: templateVersion?.id || null,
+          type: schedule.type || schedule.template?.type || 'INSPECTION',
+          scheduleType: getScheduleType(schedule.frequency),
+          title: buildInspectionTitle(schedule, dueAt),
+          scheduledAt: dueAt,
+          status: 'DRAFT',
+          progress: 0,
+          assignedTo: schedule.assignedTo,
+          assignedBy: schedule.assignedTo ? createdBy : null,
+          createdBy,
+          scheduleId: schedule.id,
+          scheduleDueAt: dueAt,
+        },
+      });
+
+      // Guard against a concurrent runner that already advanced this schedule
+      const advanced = await tx.inspectionSchedule.updateMany({
+        where: { id: schedule.id, nextDueDate: dueAt },
+        data: { nextDueDate, lastRunAt: now },
+      });
+      if (advanced.count === 0) {
+        throw new Error('SCHEDULE_ALREADY_ADVANCED');
+      }
+
+      return created;
+    });
+
+    console.log(
+      `[schedule-service] ✅ Schedule ${schedule.id}: created inspection ${inspection.id} for ${dueAt.toISOString()}` +
+        (skippedPeriods > 0
+          ? ` (${skippedPeriods} missed period(s) skipped)`
+          : '')
+    );
+
+    return {
+      status: 'created',
+      scheduleId: schedule.id.toString(),
+      inspectionId: inspection.id.toString(),
+      dueAt,
+      nextDueDate,
+      skippedPeriods,
+    };
+  } catch (error) {
+    if (error.code === 'P2002') {
+      // The inspection for this due date already exists - only advance the schedule
+      await prisma.inspectionSchedule.updateMany({
+        where: { id: schedule.id, nextDueDate: dueAt },
+        data: { nextDueDate, lastRunAt: now },
+      });
+      console.log(
+        `[schedule-service] ⚠️ Schedule ${schedule.id}: inspection for ${dueAt.toISOString()} already exists`
+      );
+      return {
+        status: 'duplicate',
+        scheduleId: schedule.id.toString(),
+        dueAt,
+        nextDueDate,
+      };
+    }
+    if (error.message === 'SCHEDULE_ALREADY_ADVANCED') {
+      return {
+        status: 'stale',
+        scheduleId: schedule.id.toString(),
+        dueAt,
+      };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create inspections for every active schedule whose next due date has passed
+ * @param {Object} options - Run options
+ * @param {Date} options.now - Reference time (defaults to current time)
+ * @param {BigInt|string} options.orgId - Restrict the run to one organization
+ * @param {BigInt|string} options.scheduleId - Restrict the run to one schedule
+ * @returns {Object} Summary of the run
+ */
+async function runDueSchedules({ now = new Date(), orgId, scheduleId } = {}) {
+  const where = {
+    isActive: true,
+    nextDueDate: { lte: now },
+    OR: [{ deviceId: null }, { device: { deletedAt: null } }],
+  };
+  if (orgId) {
+    where.orgId = BigInt(orgId);
+  }
+  if (scheduleId) {
+    where.id = BigInt(scheduleId);
+  }
+
+  const schedules = await prisma.inspectionSchedule.findMany({
+    where,
+    include: {
+      device: {
+        select: {
+          id: true,
+          serialNumber: true,
+          siteId: true,
+          contractId: true,
+        },
+      },
+      template: {
+        select: { id: true, name: true, type: true, isActive: true },
+      },
+    },
+    orderBy: { nextDueDate: 'asc' },
+  });
+
+  const summary = {
+    checked: schedules.length,
+    created: [],
+    duplicates: 0,
+    failed: [],
+    ranAt: now,
+  };
+
+  for (const schedule of schedules) {
+    try {
+      const result = await materializeSchedule(schedule, now);
+      if (result.status === 'created') {
+        summary.created.push(result);
+      } else {
+        summary.duplicates += 1;
+      }
+    } catch (error) {
+      console.error(
+        `[schedule-service] ❌ Schedule ${schedule.id} failed:`,
+        error.message
+      );
+      summary.failed.push({
+        scheduleId: schedule.id.toString(),
+        error: error.message,
+      });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Run the due schedules unless a run is already in progress in this process
+ * @returns {Object|null} Run summary, or null when a run was already active
+ */
+async function tick() {
+  if (runInProgress) {
+    return null;
+  }
+
+  runInProgress = runDueSchedules();
+  try {
+    const summary = await runInProgress;
+    if (summary.checked > 0) {
+      console.log(
+        `[schedule-service] Run finished: ${summary.created.length} created, ${summary.duplicates} duplicate, ${summary.failed.length} failed`
+      );
+    }
+    return summary;
+  } catch (error) {
+    console.error('[schedule-service] ❌ Scheduler run failed:', error.message);
+    return null;
+  } finally {
+    runInProgress = null;
+  }
+}
+
+/**
+ * Start the in-process scheduler timer.
+ * Disabled with SCHEDULER_ENABLED=false; interval set by SCHEDULER_INTERVAL_MS.
+ */
+function startScheduler() {
+  if (schedulerTimer) {
+    return;
+  }
+  if (
+    ['false', '0', 'no'].includes(
+      (process.env.SCHEDULER_ENABLED || '').toLowerCase()
+    )
+  ) {
+    console.log('[schedule-service] Scheduler disabled (SCHEDULER_ENABLED)');
+    return;
+  }
+
+  const intervalMs =
+    Number(process.env.SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+  // Schedules of every organization fall due here, so the scheduler runs unscoped
+  runUnscoped(() => {
+    schedulerTimer = setInterval(tick, intervalMs);
+    schedulerTimer.unref();
+    setImmediate(tick);
+  });
+  console.log(`[schedule-service] Scheduler started (every ${intervalMs}ms)`);
+}
+
+/**
+ * Stop the in-process scheduler timer
+ */
+function stopScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  SCHEDULE_FREQUENCIES,
+  computeNextDueDate,
+  getScheduleType,
+  materializeSchedule,
+  runDueSchedules,
+  startScheduler,
+  stopScheduler,
+};
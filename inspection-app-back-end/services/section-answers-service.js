@@ -1,6 +1,24 @@
 const { PrismaClient } = require('@prisma/client');
-
-const prisma = new PrismaClient();
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+const { resolveInspectionTemplate } = require('./template-service');
+const { ValidationError } = require('../utils/errors');
+const { assertAnswersEditable, transitionInspection } = require('./inspection-workflow');
+const { countImagesByField, relinkImages } = require('./question-image-repository');
+
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
+
+// Answer statuses that describe a problem and therefore need a comment
+const PROBLEM_STATUSES = [
+  'Сайжруулах шаардлагатай',
+  'Солих шаардлагатай',
+  'Цэвэрлэх шаардлагатай',
+  'Засварлах шаардлагатай'
+];
+const MIN_PROBLEM_COMMENT_LENGTH = 3;
+const NON_TEMPLATE_SECTIONS = ['metadata', 'remarks', 'signatures'];
+// Fixed section list of inspections created before templates
+const LEGACY_SECTIONS = ['exterior', 'indicator', 'jbox', 'sensor', 'foundation', 'cleanliness'];
 
 /**
  * Advanced service for handling section answers JSON processing and database operations
@@ -45,6 +63,9 @@ class SectionAnswersService {
         throw new Error(`Status must be one of ${statusValidation.allowedStatuses.join(', ')}`);
       }
 
+      // Submitted/approved inspections are locked (remarks and signatures may still be signed off)
+      assertAnswersEditable(inspection, section);
+
       // Get template information
       const templateInfo = await this.getTemplateInfo(inspection, requestData);
       const { template, sections, sectionOrder, currentSectionIndex, isLastSection } = templateInfo;
@@ -53,8 +74,24 @@ class SectionAnswersService {
       // Don't mark as completion if it's remarks or signatures section
       const isCompletion = (statusValidation.normalizedStatus === 'SUBMITTED' || 
                           (normalizedSectionStatus === 'COMPLETED' && isLastSection)) &&
-                          section !== 'remarks' && section !== 'signatures';
+                          !NON_TEMPLATE_SECTIONS.includes(section);
       
+      // Only sections the template lets go may be skipped
+      const isTemplateSection = !!sections[section];
+      if (isTemplateSection && normalizedSectionStatus === 'SKIPPED' && !this.canSkipSection(sections[section])) {
+        throw new ValidationError(`Section '${section}' is required and cannot be skipped`, { section });
+      }
+
+      // Strict mode: a COMPLETED section must be complete, a completion must cover every section
+      if (this.isStrictValidationEnabled(requestData) && (isCompletion || (isTemplateSection && normalizedSectionStatus === 'COMPLETED'))) {
+        await this.validateAnswersStrict({
+          inspectionId,
+          sections,
+          sectionNames: isCompletion ? null : [section],
+          pending: { section, data: { ...(data?.[section] || answers), sectionStatus: normalizedSectionStatus } },
+        });
+      }
+
       console.log(`Processing section '${section}' for inspection ${inspectionId}:`, {
         section, currentIndex: currentSectionIndex, totalSections: sectionOrder.length,
         isLastSection, sectionStatus: normalizedSectionStatus, isCompletion, status: statusValidation.normalizedStatus
@@ -137,15 +174,9 @@ class SectionAnswersService {
         }
         
         // Validate comment if status indicates issues
-        const problemStatuses = [
-          'Сайжруулах шаардлагатай',
-          'Солих шаардлагатай', 
-          'Цэвэрлэх шаардлагатай',
-          'Засварлах шаардлагатай'
-        ];
-        
-        if (problemStatuses.includes(fieldData.status)) {
-          if (!fieldData.comment || fieldData.comment.trim().length < 3) {
+        // (enforced by validateAnswersStrict in strict mode)
+        if (PROBLEM_STATUSES.includes(fieldData.status)) {
+          if (!fieldData.comment || fieldData.comment.trim().length < MIN_PROBLEM_COMMENT_LENGTH) {
             console.warn(`Field ${fieldKey} in section ${sectionName} has problem status but missing or too short comment`);
           }
         }
@@ -173,7 +204,7 @@ class SectionAnswersService {
       where: { id: inspectionId },
       select: {
         id: true, orgId: true, status: true, assignedTo: true, 
-        createdBy: true, templateId: true, type: true,
+        createdBy: true, templateId: true, templateVersionId: true, type: true,
       },
     });
 
@@ -206,9 +237,10 @@ class SectionAnswersService {
 
   /**
    * Validate status
+   * APPROVED / REJECTED / CANCELED are set only through the review endpoints
    */
   validateStatus(status) {
-    const allowedStatuses = ['DRAFT', 'IN_PROGRESS', 'SUBMITTED', 'APPROVED', 'REJECTED', 'CANCELED'];
+    const allowedStatuses = ['DRAFT', 'IN_PROGRESS', 'SUBMITTED'];
     const normalizedStatus = typeof status === 'string' && status.length > 0 ? status.toUpperCase() : undefined;
 
     return {
@@ -230,15 +262,12 @@ class SectionAnswersService {
     let isLastSection = false;
     
     if (inspection.templateId) {
-      template = await prisma.inspectionTemplate.findUnique({
-        where: { id: inspection.templateId },
-        select: { questions: true },
-      });
+      // Validate against the template version pinned to the inspection
+      template = await resolveInspectionTemplate(prisma, inspection);
       
       if (template) {
-        console.log('✅ Template found - using for validation');
-        const questions = typeof template.questions === 'string' ? JSON.parse(template.questions) : template.questions;
-        sections = this.getTemplateSections(questions);
+        console.log(`✅ Template found (version ${template.version}) - using for validation`);
+        sections = this.getTemplateSections(template.questions);
         sectionOrder = Object.keys(sections).sort((a, b) => sections[a].order - sections[b].order);
         currentSectionIndex = sectionOrder.indexOf(requestData.section || '');
         isLastSection = currentSectionIndex === sectionOrder.length - 1;
@@ -268,11 +297,12 @@ class SectionAnswersService {
       if (section.section && section.title && section.fields) {
         sections[section.section] = {
           name: section.section, title: section.title, order: index + 1,
+          required: section.required !== false, skippable: section.skippable === true,
           questions: section.fields.map(field => ({
             id: field.id, question: field.question, type: field.type,
             options: field.options || [], textRequired: field.text_required || false,
             imageRequired: field.image_required || false,
-            required: field.text_required || field.image_required || false
+            required: field.required ?? (field.text_required || field.image_required || false)
           }))
         };
       }
@@ -291,14 +321,7 @@ class SectionAnswersService {
     const sortedData = {};
 
     templateSection.questions.forEach(question => {
-      const fieldId = question.id;
-      const possibleKeys = [
-        fieldId, `field_${fieldId}`, fieldId.replace(/_/g, ''),
-        fieldId.replace(/_status$/, ''), fieldId.replace(/_status$/, '').replace(/_/g, ''),
-        fieldId.replace(/_status$/, '').replace(/_([a-z])/g, (match, letter) => letter.toUpperCase())
-      ];
-
-      for (const key of possibleKeys) {
+      for (const key of this.getFieldKeyCandidates(question.id)) {
         if (sectionData[key]) {
           sortedData[key] = sectionData[key];
           break;
@@ -314,6 +337,260 @@ class SectionAnswersService {
     return sortedData;
   }
 
+  /**
+   * Answer keys a template field may be stored under by older app versions
+   */
+  getFieldKeyCandidates(fieldId) {
+    return [
+      fieldId, `field_${fieldId}`, fieldId.replace(/_/g, ''),
+      fieldId.replace(/_status$/, ''), fieldId.replace(/_status$/, '').replace(/_/g, ''),
+      fieldId.replace(/_status$/, '').replace(/_([a-z])/g, (match, letter) => letter.toUpperCase())
+    ];
+  }
+
+  /**
+   * Find the answer of a template field inside section data
+   */
+  findFieldAnswer(sectionData, fieldId) {
+    if (!sectionData || typeof sectionData !== 'object') return null;
+
+    for (const key of this.getFieldKeyCandidates(fieldId)) {
+      if (sectionData[key] !== undefined && sectionData[key] !== null) {
+        return sectionData[key];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether a template field has an answer (a status or a plain value)
+   */
+  hasFieldAnswer(sectionData, fieldId) {
+    const answer = this.findFieldAnswer(sectionData, fieldId);
+    const status = answer && typeof answer === 'object' ? answer.status : answer;
+    return status !== undefined && status !== null && status !== '';
+  }
+
+  /**
+   * A section may be skipped when the template marks it skippable or optional
+   */
+  canSkipSection(templateSection) {
+    return templateSection.skippable || !templateSection.required;
+  }
+
+  /**
+   * Status of one template section from its stored answers:
+   * SKIPPED (marked so and allowed by the template), COMPLETED (every required
+   * question answered), IN_PROGRESS or NOT_STARTED
+   */
+  getSectionCompletionStatus(templateSection, sectionData) {
+    if (!sectionData || typeof sectionData !== 'object') return 'NOT_STARTED';
+    if (sectionData.sectionStatus === 'SKIPPED' && this.canSkipSection(templateSection)) return 'SKIPPED';
+
+    const answered = templateSection.questions.filter(question => this.hasFieldAnswer(sectionData, question.id));
+    const requiredAnswered = templateSection.questions.every(question =>
+      !question.required || answered.includes(question)
+    );
+    const isMarkedDone = sectionData.sectionStatus === 'COMPLETED' || sectionData.confirmed === true;
+
+    if (requiredAnswered && (answered.length > 0 || isMarkedDone)) return 'COMPLETED';
+    return answered.length > 0 ? 'IN_PROGRESS' : 'NOT_STARTED';
+  }
+
+  /**
+   * Strict validation is on when STRICT_ANSWER_VALIDATION=true or the client asks for it
+   */
+  isStrictValidationEnabled(requestData = {}) {
+    const envValue = (process.env.STRICT_ANSWER_VALIDATION || '').toLowerCase();
+    return ['true', '1', 'yes'].includes(envValue) || requestData.strict === true;
+  }
+
+  /**
+   * Merge every stored answer row of an inspection into { section: { field: answer } }
+   */
+  async getMergedSectionData(inspectionId, db = prisma) {
+    const rows = await db.inspectionAnswer.findMany({
+      where: { inspectionId },
+      orderBy: { answeredAt: 'asc' },
+      select: { answers: true },
+    });
+
+    let merged = {};
+    rows.forEach(row => {
+      const answerData = row.answers || {};
+      const sectionData = answerData.data || answerData;
+      if (!sectionData || typeof sectionData !== 'object') return;
+
+      Object.keys(sectionData).forEach(sectionName => {
+        if (NON_TEMPLATE_SECTIONS.includes(sectionName)) return;
+        merged[sectionName] = this.deepMerge(merged[sectionName] || {}, sectionData[sectionName] || {});
+      });
+    });
+
+    return merged;
+  }
+
+  /**
+   * Completion of an inspection computed from its template section list.
+   * Only required sections count towards progress and completion; a skipped
+   * section counts as done when the template allows skipping it. Without a
+   * template the legacy sections (LEGACY_SECTIONS) are required and count as
+   * done once answers are stored for them; other stored sections are optional.
+   * @param {Object} inspection - Inspection with id, templateId and templateVersionId
+   * @param {PrismaClient} db - Prisma client or transaction
+   * @returns {Promise<Object>} { hasTemplate, sections: [{ section, title, required,
+   *   skippable, status, answeredAt, answeredBy }], requiredSections, completedSections,
+   *   skippedSections, missingSections, progress, isComplete }
+   */
+  async getInspectionCompletion(inspection, db = prisma) {
+    const template = inspection.templateId ? await resolveInspectionTemplate(db, inspection) : null;
+    const templateSections = template ? this.getTemplateSections(template.questions) : {};
+
+    const rows = await db.inspectionAnswer.findMany({
+      where: { inspectionId: inspection.id },
+      orderBy: { answeredAt: 'asc' },
+      select: { answers: true, answeredAt: true, answeredBy: true },
+    });
+
+    // Merged answers and the last row that saved each section
+    const storedData = {};
+    const lastSaves = {};
+    rows.forEach(row => {
+      const answerData = row.answers || {};
+      const sectionData = answerData.data || answerData;
+      if (!sectionData || typeof sectionData !== 'object') return;
+
+      Object.keys(sectionData).forEach(sectionName => {
+        const value = sectionData[sectionName];
+        if (NON_TEMPLATE_SECTIONS.includes(sectionName) || !value || typeof value !== 'object') return;
+        storedData[sectionName] = this.deepMerge(storedData[sectionName] || {}, value);
+        lastSaves[sectionName] = row;
+      });
+    });
+
+    const sectionOrder = template
+      ? Object.keys(templateSections).sort((a, b) => templateSections[a].order - templateSections[b].order)
+      : [...LEGACY_SECTIONS, ...Object.keys(storedData).filter(name => !LEGACY_SECTIONS.includes(name))];
+
+    const sections = sectionOrder.map(sectionName => {
+      const templateSection = templateSections[sectionName];
+      return {
+        section: sectionName,
+        title: templateSection?.title || sectionName,
+        required: templateSection ? templateSection.required : LEGACY_SECTIONS.includes(sectionName),
+        skippable: templateSection ? this.canSkipSection(templateSection) : false,
+        status: templateSection
+          ? this.getSectionCompletionStatus(templateSection, storedData[sectionName])
+          : (storedData[sectionName] ? 'COMPLETED' : 'NOT_STARTED'),
+        answeredAt: lastSaves[sectionName]?.answeredAt || null,
+        answeredBy: lastSaves[sectionName]?.answeredBy?.toString() || null,
+      };
+    });
+
+    const required = sections.filter(section => section.required);
+    const isDone = section => section.status === 'COMPLETED' || section.status === 'SKIPPED';
+    const doneCount = required.filter(isDone).length;
+    const isComplete = sections.length > 0 && doneCount === required.length;
+
+    return {
+      hasTemplate: !!template,
+      sections,
+      requiredSections: required.map(section => section.section),
+      completedSections: sections.filter(section => section.status === 'COMPLETED').map(section => section.section),
+      skippedSections: sections.filter(section => section.status === 'SKIPPED').map(section => section.section),
+      missingSections: required.filter(section => !isDone(section)).map(section => section.section),
+      progress: required.length > 0
+        ? Math.round((doneCount / required.length) * 100)
+        : (isComplete ? 100 : 0),
+      isComplete,
+    };
+  }
+
+  /**
+   * Count uploaded question photos per `section:field_id` for an inspection
+   */
+  async countQuestionImages(inspectionId, db = prisma) {
+    return countImagesByField(inspectionId, db);
+  }
+
+
+  /**
+   * Collect per-field errors of one template section
+   * @returns {Array} [{ section, fieldId, question, code, message }]
+   */
+  collectSectionErrors(sectionName, templateSection, sectionData, imageCounts) {
+    const errors = [];
+
+    templateSection.questions.forEach(question => {
+      const answer = this.findFieldAnswer(sectionData, question.id);
+      const status = answer && typeof answer === 'object' ? answer.status : answer;
+      const comment = answer && typeof answer === 'object' && typeof answer.comment === 'string'
+        ? answer.comment.trim()
+        : '';
+      const addError = (code, message) => errors.push({
+        section: sectionName, fieldId: question.id, question: question.question, code, message
+      });
+
+      if (question.required && (status === undefined || status === null || status === '')) {
+        addError('ANSWER_REQUIRED', 'Хариулт сонгоогүй байна');
+      }
+
+      if (question.textRequired && comment.length === 0) {
+        addError('COMMENT_REQUIRED', 'Тайлбар бичих шаардлагатай');
+      } else if (PROBLEM_STATUSES.includes(status) && comment.length < MIN_PROBLEM_COMMENT_LENGTH) {
+        addError('PROBLEM_COMMENT_REQUIRED', `"${status}" сонгосон тул тайлбар бичих шаардлагатай`);
+      }
+
+      if (question.imageRequired && !imageCounts[`${sectionName}:${question.id}`]) {
+        addError('PHOTO_REQUIRED', 'Зураг хавсаргах шаардлагатай');
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Reject incomplete answers in strict mode.
+   * Stored answers are merged with the pending (not yet saved) section data.
+   * @param {Object} params
+   * @param {BigInt} params.inspectionId - Inspection ID
+   * @param {Object} params.sections - Template sections (getTemplateSections)
+   * @param {Array<string>} params.sectionNames - Sections to validate (default: all)
+   * @param {Object} params.pending - { section, data } being saved in this request
+   * @throws {ValidationError} With the per-field error list as details
+   */
+  async validateAnswersStrict({ inspectionId, sections, sectionNames, pending = null, db = prisma }) {
+    const candidates = (sectionNames || Object.keys(sections)).filter(name => sections[name]);
+    if (candidates.length === 0) return;
+
+    const [storedData, imageCounts] = await Promise.all([
+      this.getMergedSectionData(inspectionId, db),
+      this.countQuestionImages(inspectionId, db),
+    ]);
+
+    if (pending?.section && pending.data && typeof pending.data === 'object') {
+      storedData[pending.section] = { ...(storedData[pending.section] || {}), ...pending.data };
+    }
+
+    // Skipped sections and optional sections nobody started are not checked
+    const names = candidates.filter(name => {
+      const status = this.getSectionCompletionStatus(sections[name], storedData[name]);
+      return status !== 'SKIPPED' && (sections[name].required || status !== 'NOT_STARTED');
+    });
+
+    const errors = names.flatMap(name =>
+      this.collectSectionErrors(name, sections[name], storedData[name], imageCounts)
+    );
+
+    if (errors.length > 0) {
+      console.warn(`⚠️ Strict validation failed for inspection ${inspectionId}: ${errors.length} error(s)`);
+      throw new ValidationError(
+        `${errors.length} required answer(s) are missing`,
+        { errors }
+      );
+    }
+  }
+
   /**
    * Process section data and save to database
    */
@@ -323,6 +600,13 @@ class SectionAnswersService {
         const extractedMetadata = this.extractMetadata(params);
         const extractedRemarks = this.extractRemarks(params);
         const extractedSignatures = this.extractSignatures(params);
+
+        // The first saved answer starts the inspection
+        if (params.inspection.status === 'DRAFT') {
+          await transitionInspection(tx, params.inspectionId, 'IN_PROGRESS', {
+            userId: params.userId, source: 'section-answers'
+          });
+        }
         
         return await this.handleDatabaseOperation({ tx, ...params, extractedMetadata, extractedRemarks, extractedSignatures });
       } catch (transactionError) {
@@ -336,7 +620,7 @@ class SectionAnswersService {
    * Unified database operation handler
    */
   async handleDatabaseOperation(params) {
-    const { tx, inspectionId, userId, section, answers, data, answerId, sections, extractedMetadata, extractedRemarks, extractedSignatures, isCompletion } = params;
+    const { tx, inspectionId, userId, section, answers, data, answerId, sections, extractedMetadata, extractedRemarks, extractedSignatures, isCompletion, normalizedSectionStatus } = params;
 
     // Special handling for remarks section
     if (section === 'remarks' && extractedRemarks) {
@@ -350,11 +634,11 @@ class SectionAnswersService {
 
     // Handle completion - merge all sections
     if (isCompletion) {
-      return await this.handleCompletionOperation({ tx, inspectionId, userId, section, answers, data, sections, extractedMetadata, extractedRemarks, extractedSignatures });
+      return await this.handleCompletionOperation({ tx, inspectionId, userId, section, answers, data, sections, extractedMetadata, extractedRemarks, extractedSignatures, normalizedSectionStatus });
     }
 
     // Handle regular section save
-    return await this.handleRegularOperation({ tx, inspectionId, userId, section, answers, data, answerId, sections, extractedMetadata, extractedRemarks, extractedSignatures });
+    return await this.handleRegularOperation({ tx, inspectionId, userId, section, answers, data, answerId, sections, extractedMetadata, extractedRemarks, extractedSignatures, normalizedSectionStatus });
   }
 
   /**
@@ -513,7 +797,7 @@ class SectionAnswersService {
    * Handle completion operation - merge all sections into final record
    */
   async handleCompletionOperation(params) {
-    const { tx, inspectionId, userId, section, answers, data, sections, extractedMetadata, extractedRemarks, extractedSignatures } = params;
+    const { tx, inspectionId, userId, section, answers, data, sections, extractedMetadata, extractedRemarks, extractedSignatures, normalizedSectionStatus } = params;
 
     // Get all previous section answers
     const allPreviousAnswers = await tx.inspectionAnswer.findMany({
@@ -576,6 +860,7 @@ class SectionAnswersService {
       ? this.sortSectionDataByTemplate(rawSectionData, section, sections)
       : rawSectionData;
     
+    if (sections[section]) sectionData.sectionStatus = normalizedSectionStatus;
     mergedData[section] = sectionData;
     
     // Build final answers without data wrapper
@@ -606,10 +891,7 @@ class SectionAnswersService {
     
     console.log(`Merged ${Object.keys(mergedData).length} sections for final record`);
     
-    // Delete all previous records and create final merged record
-    const deleteResult = await tx.inspectionAnswer.deleteMany({ where: { inspectionId } });
-    console.log(`Deleted ${deleteResult.count} previous section records`);
-    
+    // Create the final merged record, move the photos onto it, then delete the previous records
     const sectionAnswer = await this.performDatabaseOperation({
       tx,
       operation: 'create',
@@ -617,8 +899,12 @@ class SectionAnswersService {
       userId,
       answers: finalAnswers
     });
-    
     console.log(`Created final merged record ${sectionAnswer.id}`);
+
+    const previousIds = allPreviousAnswers.map(prevAnswer => prevAnswer.id);
+    await relinkImages(previousIds, sectionAnswer.id, tx);
+    const deleteResult = await tx.inspectionAnswer.deleteMany({ where: { id: { in: previousIds } } });
+    console.log(`Deleted ${deleteResult.count} previous section records`);
     return { sectionAnswer, didCreate: true, extractedMetadata };
   }
 
@@ -626,7 +912,7 @@ class SectionAnswersService {
    * Handle regular section operation
    */
   async handleRegularOperation(params) {
-    const { tx, inspectionId, userId, section, answers, data, answerId, sections, extractedMetadata, extractedRemarks, extractedSignatures } = params;
+    const { tx, inspectionId, userId, section, answers, data, answerId, sections, extractedMetadata, extractedRemarks, extractedSignatures, normalizedSectionStatus } = params;
 
 
     // Process section data
@@ -640,6 +926,9 @@ class SectionAnswersService {
       ? this.sortSectionDataByTemplate(rawSectionData, section, sections)
       : rawSectionData;
 
+    // The section status is kept with its answers (SKIPPED counts towards completion)
+    if (sections[section]) sectionData.sectionStatus = normalizedSectionStatus;
+
     // Find target answer row
     let targetAnswer = null;
     if (answerId) {
@@ -858,8 +1147,8 @@ class SectionAnswersService {
       return { sectionAnswer: updatedAnswer, didCreate: false, extractedMetadata: null };
     }
 
-    // Clean up any existing separate remarks records
-    await tx.inspectionAnswer.deleteMany({
+    // Clean up any existing separate remarks records (their photos move to the main record)
+    const separateRecords = await tx.inspectionAnswer.findMany({
       where: {
         inspectionId,
         answers: {
@@ -869,8 +1158,14 @@ class SectionAnswersService {
         id: {
           not: mainAnswer.id
         }
-      }
+      },
+      select: { id: true }
     });
+    if (separateRecords.length > 0) {
+      const separateIds = separateRecords.map(record => record.id);
+      await relinkImages(separateIds, mainAnswer.id, tx);
+      await tx.inspectionAnswer.deleteMany({ where: { id: { in: separateIds } } });
+    }
 
     const existingAnswers = mainAnswer.answers || {};
     console.log('🔍 Existing answers before update:', JSON.stringify(existingAnswers, null, 2));
@@ -1021,8 +1316,8 @@ class SectionAnswersService {
       return { sectionAnswer: updatedAnswer, didCreate: false, extractedMetadata: null };
     }
 
-    // Clean up any existing separate signatures records
-    await tx.inspectionAnswer.deleteMany({
+    // Clean up any existing separate signatures records (their photos move to the main record)
+    const separateRecords = await tx.inspectionAnswer.findMany({
       where: {
         inspectionId,
         answers: {
@@ -1032,8 +1327,14 @@ class SectionAnswersService {
         id: {
           not: mainAnswer.id
         }
-      }
+      },
+      select: { id: true }
     });
+    if (separateRecords.length > 0) {
+      const separateIds = separateRecords.map(record => record.id);
+      await relinkImages(separateIds, mainAnswer.id, tx);
+      await tx.inspectionAnswer.deleteMany({ where: { id: { in: separateIds } } });
+    }
 
     const existingAnswers = mainAnswer.answers || {};
     console.log('🔍 Existing answers before update:', JSON.stringify(existingAnswers, null, 2));
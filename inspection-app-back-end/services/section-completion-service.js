@@ -0,0 +1,174 @@
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+const sectionAnswersService = require('./section-answers-service');
+const { resolveInspectionTemplate } = require('./template-service');
+const {
+  EDITABLE_STATUSES,
+  changeInspectionStatus,
+} = require('./inspection-workflow');
+const { sendInspectionCompletionEmail } = require('./email-service');
+
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
+
+/**
+ * JSON shape of an inspection completion
+ */
+function formatCompletion(completion) {
+  return {
+    isComplete: completion.isComplete,
+    progress: completion.progress,
+    hasTemplate: completion.hasTemplate,
+    requiredSections: completion.requiredSections,
+    completedSections: completion.completedSections,
+    skippedSections: completion.skippedSections,
+    missingSections: completion.missingSections,
+  };
+}
+
+/**
+ * Get template and sections for inspection
+ * Questions come from the template version pinned to the inspection
+ */
+async function getTemplateAndSections(inspection) {
+  const resolved = await resolveInspectionTemplate(prisma, inspection);
+
+  if (!resolved) {
+    throw new Error('No template found for this inspection');
+  }
+
+  const template = {
+    ...resolved.template,
+    questions: resolved.questions,
+    version: resolved.version,
+  };
+  const sections = sectionAnswersService.getTemplateSections(
+    resolved.questions
+  );
+
+  return { template, sections };
+}
+
+/**
+ * Strict answer validation for section confirmation and submit.
+ * No-op unless strict mode is enabled (STRICT_ANSWER_VALIDATION or body.strict).
+ * @param {Object} inspection - Inspection with templateId / templateVersionId
+ * @param {Array<string>|null} sectionNames - Sections to check (null = all)
+ * @param {Object} requestBody - Request body (for the `strict` flag)
+ */
+async function assertSectionsComplete(
+  inspection,
+  sectionNames,
+  requestBody = {}
+) {
+  if (
+    !inspection.templateId ||
+    !sectionAnswersService.isStrictValidationEnabled(requestBody)
+  ) {
+    return;
+  }
+
+  const { sections } = await getTemplateAndSections(inspection);
+  await sectionAnswersService.validateAnswersStrict({
+    inspectionId: inspection.id,
+    sections,
+    sectionNames,
+  });
+}
+
+/**
+ * After a section save: store the progress, submit the inspection for review
+ * once it is finished and queue the completion email.
+ * The client finishes an inspection by completing its last section or signing
+ * it off; it is submitted only when every required section is done.
+ * Shared by POST /section-answers and the offline sync endpoint.
+ * @param {Object} requestData - Saved section payload
+ * @param {Object} serviceResult - Result of sectionAnswersService.saveSectionAnswers
+ * @param {Object} user - Acting user from the JWT
+ * @returns {Promise<Object>} Completion of the inspection (getInspectionCompletion)
+ */
+async function finishSectionSave(requestData, serviceResult, user) {
+  const inspectionId = BigInt(requestData.inspectionId);
+  const inspection = await prisma.Inspection.findUnique({
+    where: { id: inspectionId },
+    select: {
+      id: true,
+      templateId: true,
+      templateVersionId: true,
+      status: true,
+      progress: true,
+    },
+  });
+  const completion =
+    await sectionAnswersService.getInspectionCompletion(inspection);
+
+  if (inspection.progress !== completion.progress) {
+    await prisma.Inspection.update({
+      where: { id: inspectionId },
+      data: { progress: completion.progress, updatedBy: BigInt(user.id) },
+    });
+  }
+
+  const isSignaturesCompleted =
+    requestData.section === 'signatures' &&
+    (requestData.sectionStatus === 'COMPLETED' || requestData.progress === 100);
+  const isFinishRequested = serviceResult.isCompletion || isSignaturesCompleted;
+
+  console.log('📧 Completion check:', {
+    isCompletion: serviceResult.isCompletion,
+    isSignaturesCompleted,
+    section: requestData.section,
+    status: requestData.status,
+    sectionStatus: requestData.sectionStatus,
+    ...formatCompletion(completion),
+  });
+
+  // Sign-off saves after submission leave the status alone
+  if (!isFinishRequested || !EDITABLE_STATUSES.includes(inspection.status)) {
+    return completion;
+  }
+  if (!completion.isComplete) {
+    console.warn(
+      `⚠️ Inspection ${inspectionId} not submitted, unfinished sections: ${completion.missingSections.join(', ')}`
+    );
+    return completion;
+  }
+
+  // A finished inspection is submitted for review
+  await assertSectionsComplete(inspection, null, requestData);
+  const { changed } = await changeInspectionStatus(inspection.id, 'SUBMITTED', {
+    userId: user.id,
+    source: 'section-answers',
+  });
+
+  // Queue the completion email for the organization's "submitted"
+  // recipients once; the outbox attaches the DOCX report on delivery
+  if (changed) {
+    try {
+      const queued = await sendInspectionCompletionEmail({
+        inspectionId,
+        completedAt:
+          serviceResult.result.sectionAnswer.answeredAt || new Date(),
+        answerId: serviceResult.result.sectionAnswer.id,
+        createdBy: user.id,
+      });
+      if (queued) {
+        console.log(
+          `📧 Completion email ${queued.id} queued for ${queued.toAddress}`
+        );
+      }
+    } catch (emailError) {
+      // Log error but don't fail the request
+      console.error('❌ Failed to queue completion email:', emailError.message);
+    }
+  }
+
+  return completion;
+}
+
+module.exports = {
+  formatCompletion,
+  getTemplateAndSections,
+  assertSectionsComplete,
+  finishSectionSave,
+};
@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const { HttpError } = require('../utils/errors');
+
+const prisma = new PrismaClient();
+
+/**
+ * Sessions: a short-lived JWT access token plus a rotating refresh token.
+ * Refresh tokens are random strings stored as SHA-256 hashes. Each refresh
+ * revokes the presented token and issues the next one in the same family;
+ * presenting an already rotated token revokes the whole family.
+ */
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = token =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionExpired = message =>
+  new HttpError(401, 'Invalid refresh token', message);
+
+/**
+ * Sign an access token for a user
+ * @param {Object} user - User row (id, email, orgId, fullName, tokenVersion)
+ * @returns {string} JWT
+ */
+function generateAccessToken(user) {
+  return jwt.sign(
+    {
+      id: user.id.toString(),
+      email: user.email,
+      orgId: user.orgId.toString(),
+      fullName: user.fullName,
+      tv: user.tokenVersion || 0,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Store a new refresh token
+ * @returns {Object} { token, record }
+ */
+async function createRefreshToken(db, userId, familyId, meta = {}) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const record = await db.refreshToken.create({
+    data: {
+      userId: BigInt(userId),
+      familyId,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(
+        Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+      ),
+      userAgent: meta.userAgent ? meta.userAgent.slice(0, 255) : null,
+      ipAddress: meta.ipAddress || null,
+    },
+  });
+  return { token, record };
+}
+
+/**
+ * Client metadata stored with a refresh token
+ * @param {Object} req - Express request
+ */
+function getSessionMeta(req) {
+  return {
+    userAgent: req.get('user-agent') || null,
+    ipAddress: req.ip || null,
+  };
+}
+
+/**
+ * Start a new session (login / register)
+ * @param {Object} user - User row
+ * @param {Object} meta - { userAgent, ipAddress }
+ * @returns {Object} { token, refreshToken, expiresIn }
+ */
+async function issueSession(user, meta = {}) {
+  const { token: refreshToken } = await createRefreshToken(
+    prisma,
+    user.id,
+    crypto.randomUUID(),
+    meta
+  );
+
+  return {
+    token: generateAccessToken(user),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Raw refresh token from the client
+ * @param {Object} meta - { userAgent, ipAddress }
+ * @returns {Object} { user, token, refreshToken, expiresIn }
+ */
+async function rotateRefreshToken(refreshToken, meta = {}) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new HttpError(
+      400,
+      'Missing required field',
+      'refreshToken is required'
+    );
+  }
+
+  const existing = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+  });
+
+  if (!existing) {
+    throw sessionExpired('Refresh token is invalid. Please login again.');
+  }
+
+  if (existing.revokedAt) {
+    // A rotated token came back: assume it was stolen and end the session
+    await prisma.refreshToken.updateMany({
+      where: { familyId: existing.familyId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    console.warn(
+      `[session-service] ⚠️ Refresh token reuse detected for user ${existing.userId}, session family ${existing.familyId} revoked`
+    );
+    throw sessionExpired('Refresh token was already used. Please login again.');
+  }
+
+  if (existing.expiresAt <= new Date()) {
+    throw sessionExpired('Refresh token expired. Please login again.');
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: existing.userId },
+    include: { organization: true, role: true },
+  });
+
+  if (!user || !user.isActive || user.deletedAt) {
+    await revokeAllRefreshTokens(existing.userId);
+    throw sessionExpired('User not found or inactive');
+  }
+
+  const next = await prisma.$transaction(async tx => {
+    // Conditional update so two concurrent refreshes cannot both succeed
+    const revoked = await tx.refreshToken.updateMany({
+      where: { id: existing.id, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    if (revoked.count === 0) {
+      throw sessionExpired(
+        'Refresh token was already used. Please login again.'
+      );
+    }
+
+    const created = await createRefreshToken(
+      tx,
+      user.id,
+      existing.familyId,
+      meta
+    );
+    await tx.refreshToken.update({
+      where: { id: existing.id },
+      data: { replacedBy: created.record.id },
+    });
+    return created;
+  });
+
+  return {
+    user,
+    token: generateAccessToken(user),
+    refreshToken: next.token,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+}
+
+/**
+ * Revoke the session a refresh token belongs to (logout)
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {boolean} Whether a session was found
+ */
+async function revokeRefreshToken(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return false;
+  }
+
+  const existing = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+  });
+  if (!existing) {
+    return false;
+  }
+
+  await prisma.refreshToken.updateMany({
+    where: { familyId: existing.familyId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  return true;
+}
+
+async function revokeAllRefreshTokens(userId) {
+  const result = await prisma.refreshToken.updateMany({
+    where: { userId: BigInt(userId), revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  return result.count;
+}
+
+/**
+ * End every session of a user: revokes refresh tokens and invalidates
+ * access tokens already issued by bumping users.token_version
+ * @param {BigInt|string} userId - User ID
+ * @returns {number} Number of refresh tokens revoked
+ */
+async function revokeAllSessions(userId) {
+  await prisma.user.update({
+    where: { id: BigInt(userId) },
+    data: { tokenVersion: { increment: 1 } },
+  });
+  const count = await revokeAllRefreshTokens(userId);
+  console.log(
+    `[session-service] 🔒 Revoked all sessions of user ${userId} (${count} refresh token(s))`
+  );
+  return count;
+}
+
+/**
+ * Check that the user behind a decoded access token may still use it
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {string|null} Reason the token is rejected, or null when valid
+ */
+async function getSessionError(decoded) {
+  const user = await prisma.user.findUnique({
+    where: { id: BigInt(decoded.id) },
+    select: { isActive: true, deletedAt: true, tokenVersion: true },
+  });
+
+  if (!user || user.deletedAt) {
+    return 'User not found';
+  }
+  if (!user.isActive) {
+    return 'Account disabled';
+  }
+  if ((decoded.tv || 0) !== user.tokenVersion) {
+    return 'Session revoked';
+  }
+  return null;
+}
+
+module.exports = {
+  generateAccessToken,
+  getSessionMeta,
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  getSessionError,
+};
@@ -0,0 +1,732 @@
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+const { HttpError } = require('../utils/errors');
+const { serializeBigInt } = require('../utils/routeHelpers');
+const sectionAnswersService = require('./section-answers-service');
+const { assertAnswersEditable } = require('./inspection-workflow');
+const {
+  saveSignatureImage,
+  saveQuestionImages,
+} = require('./inspection-media-service');
+
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
+
+/**
+ * Offline sync for the inspection app.
+ *
+ * The app queues what the inspector does without signal as operations
+ *   { clientId, type, clientTimestamp, payload, base? }
+ * where `payload` is the body of the matching online endpoint plus
+ * `inspectionId`. Operations are applied in queue order and recorded per
+ * user + clientId, so a queue that is sent again returns the stored results
+ * instead of applying twice.
+ *
+ * Section answers are merged per field: a field the server changed since the
+ * client last saw it keeps the server value and is reported as a conflict.
+ * "Changed" is decided against `base` (the section as the client last synced
+ * it) when sent, otherwise by comparing the server's last save of the section
+ * (by another user) with the operation's clientTimestamp.
+ */
+
+const OPERATION_TYPES = [
+  'section-answers',
+  'question-images',
+  'signature-image',
+];
+const MAX_OPERATIONS = 100;
+const MAX_CLIENT_ID_LENGTH = 64;
+// A PENDING claim older than this belongs to a request that died mid-way
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+// Assigned inspections the app keeps offline
+const ACTIVE_STATUSES = ['DRAFT', 'IN_PROGRESS', 'SUBMITTED', 'REJECTED'];
+// Sections stored outside the template sections; applied as sent
+const SIGN_OFF_SECTIONS = ['metadata', 'remarks', 'signatures'];
+
+const INSPECTION_SELECT = {
+  id: true,
+  orgId: true,
+  deviceId: true,
+  siteId: true,
+  contractId: true,
+  templateId: true,
+  templateVersionId: true,
+  type: true,
+  scheduleType: true,
+  title: true,
+  scheduledAt: true,
+  startedAt: true,
+  completedAt: true,
+  status: true,
+  progress: true,
+  assignedTo: true,
+  rejectionReason: true,
+  notes: true,
+  deletedAt: true,
+  updatedAt: true,
+  site: { select: { id: true, name: true } },
+  device: { select: { id: true, serialNumber: true, assetTag: true } },
+};
+
+const DEVICE_SELECT = {
+  id: true,
+  orgId: true,
+  siteId: true,
+  contractId: true,
+  serialNumber: true,
+  assetTag: true,
+  status: true,
+  metadata: true,
+  deletedAt: true,
+  updatedAt: true,
+  model: { select: { id: true, manufacturer: true, model: true } },
+};
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(key => sameValue(a[key], b[key]));
+}
+
+function parseTimestamp(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      `${name} must be a valid date`
+    );
+  }
+  return date;
+}
+
+function parseInspectionId(payload) {
+  if (payload?.inspectionId === undefined || payload?.inspectionId === null) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      'payload.inspectionId is required'
+    );
+  }
+  try {
+    return BigInt(payload.inspectionId);
+  } catch (error) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      `Invalid inspectionId: ${payload.inspectionId}`
+    );
+  }
+}
+
+/**
+ * HTTP status the online endpoint would have answered with
+ */
+function statusCodeFor(error) {
+  if (error instanceof HttpError) return error.statusCode;
+  const message = error.message || '';
+  if (message.includes('do not have access')) return 403;
+  if (message.includes('not found') || message.includes('does not exist')) {
+    return 404;
+  }
+  if (
+    message.includes('Validation') ||
+    message.includes('required') ||
+    message.includes('must be')
+  ) {
+    return 400;
+  }
+  return 500;
+}
+
+/**
+ * Reserve an operation for this request
+ * @returns {Promise<Object|null>} The stored operation when it was seen before, null when claimed
+ */
+async function claimOperation(
+  userId,
+  operation,
+  inspectionId,
+  clientTimestamp
+) {
+  try {
+    await prisma.SyncOperation.create({
+      data: {
+        userId,
+        clientId: operation.clientId,
+        type: operation.type,
+        inspectionId,
+        status: 'PENDING',
+        clientTimestamp,
+      },
+    });
+    return null;
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+  }
+
+  const existing = await prisma.SyncOperation.findUnique({
+    where: { userId_clientId: { userId, clientId: operation.clientId } },
+  });
+
+  if (existing.status === 'PENDING') {
+    // Take over a claim left behind by a crashed request
+    const { count } = await prisma.SyncOperation.updateMany({
+      where: {
+        id: existing.id,
+        status: 'PENDING',
+        updatedAt: { lt: new Date(Date.now() - STALE_CLAIM_MS) },
+      },
+      data: { updatedAt: new Date() },
+    });
+    if (count === 1) return null;
+  }
+
+  return existing;
+}
+
+function storedResult(record) {
+  if (record.status === 'PENDING') {
+    return {
+      clientId: record.clientId,
+      type: record.type,
+      status: 'IN_PROGRESS',
+      duplicate: true,
+      error: 'Operation is being applied by another request',
+    };
+  }
+  return {
+    clientId: record.clientId,
+    type: record.type,
+    status: record.status,
+    duplicate: true,
+    ...(record.result || {}),
+  };
+}
+
+/**
+ * Answer row an image or signature operation targets: an explicit answerId,
+ * the answer created by an earlier operation (`answerRef` = its clientId),
+ * or the inspection's latest answer row
+ */
+async function resolveAnswerId(payload, inspectionId, userId, context) {
+  if (payload.answerId) return payload.answerId;
+
+  if (payload.answerRef) {
+    if (context.answerIds.has(payload.answerRef)) {
+      return context.answerIds.get(payload.answerRef);
+    }
+    const earlier = await prisma.SyncOperation.findUnique({
+      where: {
+        userId_clientId: { userId, clientId: String(payload.answerRef) },
+      },
+    });
+    if (earlier?.result?.data?.answerId) return earlier.result.data.answerId;
+    throw new HttpError(
+      400,
+      'Validation Error',
+      `answerRef ${payload.answerRef} does not match an applied operation`
+    );
+  }
+
+  const latestAnswer =
+    (await prisma.InspectionAnswer.findFirst({
+      where: { inspectionId, answers: { path: '$.metadata', not: null } },
+      orderBy: { answeredAt: 'desc' },
+      select: { id: true },
+    })) ||
+    (await prisma.InspectionAnswer.findFirst({
+      where: { inspectionId },
+      orderBy: { answeredAt: 'desc' },
+      select: { id: true },
+    }));
+
+  return latestAnswer ? latestAnswer.id.toString() : null;
+}
+
+/**
+ * When and by whom a section was last saved on the server
+ */
+async function getSectionLastSave(inspectionId, section) {
+  const rows = await prisma.InspectionAnswer.findMany({
+    where: { inspectionId },
+    orderBy: { answeredAt: 'desc' },
+    select: { answers: true, answeredAt: true, answeredBy: true },
+  });
+
+  const row = rows.find(r => {
+    const answers = r.answers || {};
+    return (answers.data || answers)[section] !== undefined;
+  });
+  return row
+    ? { answeredAt: row.answeredAt, answeredBy: row.answeredBy }
+    : null;
+}
+
+/**
+ * Merge the client's section fields over the server state
+ * @returns {Promise<{resolved: Object, conflicts: Array}>} Fields to save and the fields kept from the server
+ */
+async function resolveSectionConflicts({
+  inspectionId,
+  section,
+  sectionData,
+  base,
+  clientTimestamp,
+  userId,
+}) {
+  const serverSections =
+    await sectionAnswersService.getMergedSectionData(inspectionId);
+  const serverData = serverSections[section] || {};
+  const hasBase = base && typeof base === 'object';
+
+  let serverIsNewer = false;
+  if (!hasBase) {
+    const lastSave = await getSectionLastSave(inspectionId, section);
+    serverIsNewer =
+      !!lastSave?.answeredAt &&
+      lastSave.answeredBy !== userId &&
+      (!clientTimestamp || lastSave.answeredAt > clientTimestamp);
+  }
+
+  const resolved = { ...sectionData };
+  const conflicts = [];
+
+  for (const [fieldId, clientValue] of Object.entries(sectionData)) {
+    const serverValue = serverData[fieldId];
+    if (serverValue === undefined || sameValue(serverValue, clientValue)) {
+      continue;
+    }
+
+    const serverChanged = hasBase
+      ? !sameValue(serverValue, base[fieldId])
+      : serverIsNewer;
+    if (serverChanged) {
+      resolved[fieldId] = serverValue;
+      conflicts.push({
+        section,
+        fieldId,
+        clientValue,
+        serverValue,
+        resolution: 'server',
+      });
+    }
+  }
+
+  return { resolved, conflicts };
+}
+
+async function applySectionAnswers(operation, user, context) {
+  const payload = { ...operation.payload };
+  const inspectionId = parseInspectionId(payload);
+  const { section } = payload;
+  let conflicts = [];
+
+  const sectionData = payload.data?.[section] || payload.answers;
+  if (
+    section &&
+    !SIGN_OFF_SECTIONS.includes(section) &&
+    sectionData &&
+    typeof sectionData === 'object'
+  ) {
+    const merge = await resolveSectionConflicts({
+      inspectionId,
+      section,
+      sectionData,
+      base: operation.base,
+      clientTimestamp: context.clientTimestamp,
+      userId: BigInt(user.id),
+    });
+    conflicts = merge.conflicts;
+    if (payload.data?.[section]) {
+      payload.data = { ...payload.data, [section]: merge.resolved };
+    } else {
+      payload.answers = merge.resolved;
+    }
+  }
+
+  if (payload.answerRef && !payload.answerId) {
+    payload.answerId = await resolveAnswerId(
+      payload,
+      inspectionId,
+      BigInt(user.id),
+      context
+    );
+  }
+
+  const serviceResult = await sectionAnswersService.saveSectionAnswers(
+    payload,
+    user
+  );
+  if (context.onSectionSaved) {
+    await context.onSectionSaved(payload, serviceResult, user);
+  }
+
+  return {
+    data: {
+      inspectionId: inspectionId.toString(),
+      answerId: serviceResult.result.sectionAnswer.id.toString(),
+      section,
+      isCompletion: serviceResult.isCompletion,
+      nextSection: serviceResult.nextSection,
+    },
+    conflicts,
+  };
+}
+
+async function loadEditableInspection(inspectionId, user, section) {
+  const inspection = await sectionAnswersService.verifyInspectionAccess(
+    inspectionId,
+    BigInt(user.id),
+    String(user.orgId),
+    String(user.id)
+  );
+  assertAnswersEditable(inspection, section);
+  return inspection;
+}
+
+async function applySignatureImage(operation, user, context) {
+  const payload = operation.payload || {};
+  const inspectionId = parseInspectionId(payload);
+  const { signatureImage, signatureType = 'inspector' } = payload;
+
+  if (!signatureImage) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      'signatureImage field is required'
+    );
+  }
+
+  const inspection = await loadEditableInspection(
+    inspectionId,
+    user,
+    'signatures'
+  );
+  const answerId = payload.answerRef
+    ? await resolveAnswerId(payload, inspectionId, BigInt(user.id), context)
+    : payload.answerId;
+
+  const updatedAnswer = await saveSignatureImage(
+    inspection,
+    { signatureImage, signatureType, answerId },
+    user.id
+  );
+
+  return {
+    data: {
+      inspectionId: inspectionId.toString(),
+      answerId: updatedAnswer.id.toString(),
+      signatureType,
+      savedAt: updatedAnswer.answeredAt,
+    },
+    conflicts: [],
+  };
+}
+
+async function applyQuestionImages(operation, user, context) {
+  const payload = operation.payload || {};
+  const inspectionId = parseInspectionId(payload);
+  const { fieldId, section, images } = payload;
+
+  if (!fieldId || !section || !Array.isArray(images) || images.length === 0) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      'fieldId, section, and images array are required'
+    );
+  }
+
+  const inspection = await loadEditableInspection(inspectionId, user, section);
+  const answerId = await resolveAnswerId(
+    payload,
+    inspectionId,
+    BigInt(user.id),
+    context
+  );
+  if (!answerId) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      'answerId is required: no answer saved for this inspection yet'
+    );
+  }
+
+  // One image at a time so a photo already on the server does not stop the rest
+  const uploadedImages = [];
+  const conflicts = [];
+  for (const image of images) {
+    try {
+      uploadedImages.push(
+        ...(await saveQuestionImages(
+          inspection,
+          { answerId, fieldId, section, images: [image] },
+          user.id
+        ))
+      );
+    } catch (error) {
+      if (!(error instanceof HttpError) || error.statusCode !== 409)
+        throw error;
+      conflicts.push({
+        section,
+        fieldId,
+        order: error.details?.order,
+        serverValue: error.details?.existingImage,
+        resolution: 'server',
+      });
+    }
+  }
+
+  const failedImages = uploadedImages.filter(img => img.failed);
+  if (
+    failedImages.length > 0 &&
+    failedImages.length === uploadedImages.length
+  ) {
+    throw new HttpError(
+      400,
+      'Upload Failed',
+      'No images were successfully uploaded',
+      failedImages
+    );
+  }
+
+  return {
+    data: {
+      inspectionId: inspectionId.toString(),
+      answerId: String(answerId),
+      fieldId,
+      section,
+      uploadedImages: uploadedImages.filter(img => !img.failed),
+      failedImages,
+    },
+    conflicts,
+  };
+}
+
+const HANDLERS = {
+  'section-answers': applySectionAnswers,
+  'question-images': applyQuestionImages,
+  'signature-image': applySignatureImage,
+};
+
+async function applyOperation(operation, user, context) {
+  const { clientId, type } = operation || {};
+
+  if (
+    typeof clientId !== 'string' ||
+    !clientId.trim() ||
+    clientId.length > MAX_CLIENT_ID_LENGTH
+  ) {
+    return {
+      clientId: clientId ?? null,
+      type: type ?? null,
+      status: 'REJECTED',
+      error: `clientId is required (max ${MAX_CLIENT_ID_LENGTH} characters)`,
+    };
+  }
+  if (!OPERATION_TYPES.includes(type)) {
+    return {
+      clientId,
+      type: type ?? null,
+      status: 'REJECTED',
+      error: `type must be one of ${OPERATION_TYPES.join(', ')}`,
+    };
+  }
+
+  const userId = BigInt(user.id);
+  const where = { userId_clientId: { userId, clientId } };
+  let inspectionId = null;
+  let clientTimestamp = null;
+
+  try {
+    inspectionId = parseInspectionId(operation.payload);
+    clientTimestamp = parseTimestamp(
+      operation.clientTimestamp,
+      'clientTimestamp'
+    );
+  } catch (error) {
+    return { clientId, type, status: 'REJECTED', error: error.message };
+  }
+
+  const existing = await claimOperation(
+    userId,
+    operation,
+    inspectionId,
+    clientTimestamp
+  );
+  if (existing) {
+    console.log(
+      `[sync] ↩️ Operation ${clientId} already processed (${existing.status})`
+    );
+    return storedResult(existing);
+  }
+
+  try {
+    const outcome = await HANDLERS[type](operation, user, {
+      ...context,
+      clientTimestamp,
+    });
+    const status = outcome.conflicts.length > 0 ? 'CONFLICT' : 'APPLIED';
+    const result = serializeBigInt({
+      data: outcome.data,
+      ...(outcome.conflicts.length > 0 && { conflicts: outcome.conflicts }),
+    });
+
+    await prisma.SyncOperation.update({ where, data: { status, result } });
+    if (result.data?.answerId) {
+      context.answerIds.set(clientId, result.data.answerId);
+    }
+
+    console.log(`[sync] ✅ ${type} ${clientId}: ${status}`);
+    return { clientId, type, status, ...result };
+  } catch (error) {
+    const statusCode = statusCodeFor(error);
+
+    if (statusCode >= 500) {
+      // Release the claim so the client can retry the operation
+      console.error(`[sync] ❌ ${type} ${clientId} failed:`, error);
+      await prisma.SyncOperation.delete({ where }).catch(() => {});
+      return {
+        clientId,
+        type,
+        status: 'FAILED',
+        retryable: true,
+        error:
+          process.env.NODE_ENV === 'development'
+            ? error.message
+            : 'Internal server error',
+      };
+    }
+
+    console.warn(
+      `[sync] ⚠️ ${type} ${clientId} rejected (${statusCode}): ${error.message}`
+    );
+    const result = serializeBigInt({
+      statusCode,
+      error: error.message,
+      ...(error.details !== undefined && { details: error.details }),
+    });
+    await prisma.SyncOperation.update({
+      where,
+      data: { status: 'REJECTED', result },
+    });
+    return { clientId, type, status: 'REJECTED', ...result };
+  }
+}
+
+/**
+ * Apply a queue of offline operations in order
+ * @param {Array} operations - Client operations
+ * @param {Object} user - Decoded JWT
+ * @param {Object} options - { onSectionSaved(payload, serviceResult, user) } run after each section save
+ * @returns {Promise<Array>} One result per operation:
+ *   APPLIED / CONFLICT (applied, some fields kept from the server) /
+ *   REJECTED (will not succeed on retry) / FAILED (retryable) / IN_PROGRESS
+ */
+async function applyOperations(operations, user, options = {}) {
+  if (!Array.isArray(operations)) {
+    throw new HttpError(400, 'Validation Error', 'operations must be an array');
+  }
+  if (operations.length > MAX_OPERATIONS) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      `At most ${MAX_OPERATIONS} operations may be sent per request`
+    );
+  }
+
+  const context = {
+    answerIds: new Map(),
+    onSectionSaved: options.onSectionSaved,
+  };
+  const results = [];
+  for (const operation of operations) {
+    results.push(await applyOperation(operation, user, context));
+  }
+  return results;
+}
+
+/**
+ * Inspections, templates and devices changed since the client's cursor
+ * @param {Object} user - Decoded JWT
+ * @param {string} since - Cursor returned by the previous sync (omit for a full download)
+ * @returns {Promise<Object>} { cursor, inspections, activeInspectionIds, templates, devices }
+ */
+async function getChanges(user, since) {
+  const sinceDate = parseTimestamp(since, 'since');
+  // Taken before reading, so rows changed meanwhile are returned again next time
+  const cursor = new Date();
+  const userId = BigInt(user.id);
+  // Inclusive: clients upsert by id, so a row seen twice is harmless
+  const changedSince = sinceDate ? { updatedAt: { gte: sinceDate } } : {};
+
+  const [inspections, activeInspections, templates, devices] =
+    await Promise.all([
+      prisma.Inspection.findMany({
+        where: sinceDate
+          ? { assignedTo: userId, ...changedSince }
+          : {
+              assignedTo: userId,
+              deletedAt: null,
+              status: { in: ACTIVE_STATUSES },
+            },
+        select: INSPECTION_SELECT,
+        orderBy: { updatedAt: 'asc' },
+      }),
+      prisma.Inspection.findMany({
+        where: {
+          assignedTo: userId,
+          deletedAt: null,
+          status: { in: ACTIVE_STATUSES },
+        },
+        select: { id: true },
+      }),
+      prisma.InspectionTemplate.findMany({
+        where: sinceDate ? changedSince : { isActive: true },
+        select: {
+          id: true,
+          name: true,
+          type: true,
+          description: true,
+          questions: true,
+          currentVersion: true,
+          isActive: true,
+          archivedAt: true,
+          updatedAt: true,
+        },
+        orderBy: { updatedAt: 'asc' },
+      }),
+      prisma.Device.findMany({
+        where: {
+          ...(sinceDate ? changedSince : { deletedAt: null }),
+          OR: [
+            { orgId: BigInt(user.orgId) },
+            { inspections: { some: { assignedTo: userId } } },
+          ],
+        },
+        select: DEVICE_SELECT,
+        orderBy: { updatedAt: 'asc' },
+      }),
+    ]);
+
+  return serializeBigInt({
+    cursor: cursor.toISOString(),
+    full: !sinceDate,
+    // Inspections not listed here were unassigned, closed or deleted
+    activeInspectionIds: activeInspections.map(i => i.id),
+    inspections,
+    templates,
+    devices,
+  });
+}
+
+module.exports = {
+  OPERATION_TYPES,
+  MAX_OPERATIONS,
+  applyOperations,
+  getChanges,
+};
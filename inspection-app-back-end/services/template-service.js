@@ -0,0 +1,242 @@
+const SECTION_KEY_PATTERN = /^[a-z][a-z0-9_]*$/i;
+const FIELD_ID_PATTERN = /^[a-z][a-z0-9_]*$/i;
+const RESERVED_SECTIONS = ['metadata', 'remarks', 'signatures'];
+
+/**
+ * Parse template questions that may be stored as a JSON string
+ * @param {Array|string} questions - Raw questions value
+ * @returns {Array} Questions array (empty when missing)
+ */
+function parseQuestions(questions) {
+  if (!questions) return [];
+  if (typeof questions === 'string') {
+    try {
+      return JSON.parse(questions);
+    } catch (error) {
+      return [];
+    }
+  }
+  return questions;
+}
+
+/**
+ * Validate the `questions` JSON of an inspection template.
+ * Expected shape: [{ section, title, required, skippable, fields: [{ id, question, type,
+ * options, required, text_required, image_required }] }]
+ * Sections are required unless `required: false`; a `skippable` section may be
+ * marked SKIPPED by the inspector and still counts as done.
+ * @param {*} questions - Questions to validate
+ * @returns {Array<{path: string, message: string}>} Validation errors (empty when valid)
+ */
+function validateTemplateQuestions(questions) {
+  const errors = [];
+  const addError = (path, message) => errors.push({ path, message });
+
+  if (!Array.isArray(questions) || questions.length === 0) {
+    addError('questions', 'questions must be a non-empty array of sections');
+    return errors;
+  }
+
+  const sectionKeys = new Set();
+  questions.forEach((section, sIdx) => {
+    const sectionPath = `questions[${sIdx}]`;
+
+    if (!section || typeof section !== 'object' || Array.isArray(section)) {
+      addError(sectionPath, 'section must be an object');
+      return;
+    }
+
+    if (
+      typeof section.section !== 'string' ||
+      !SECTION_KEY_PATTERN.test(section.section)
+    ) {
+      addError(
+        `${sectionPath}.section`,
+        'section key is required and may contain only letters, digits and underscores'
+      );
+    } else if (RESERVED_SECTIONS.includes(section.section)) {
+      addError(
+        `${sectionPath}.section`,
+        `"${section.section}" is a reserved section name`
+      );
+    } else if (sectionKeys.has(section.section)) {
+      addError(
+        `${sectionPath}.section`,
+        `duplicate section key "${section.section}"`
+      );
+    } else {
+      sectionKeys.add(section.section);
+    }
+
+    if (typeof section.title !== 'string' || section.title.trim() === '') {
+      addError(`${sectionPath}.title`, 'title is required');
+    }
+
+    ['required', 'skippable'].forEach(flag => {
+      if (section[flag] !== undefined && typeof section[flag] !== 'boolean') {
+        addError(`${sectionPath}.${flag}`, `${flag} must be a boolean`);
+      }
+    });
+
+    if (!Array.isArray(section.fields) || section.fields.length === 0) {
+      addError(`${sectionPath}.fields`, 'fields must be a non-empty array');
+      return;
+    }
+
+    const fieldIds = new Set();
+    section.fields.forEach((field, fIdx) => {
+      const fieldPath = `${sectionPath}.fields[${fIdx}]`;
+
+      if (!field || typeof field !== 'object' || Array.isArray(field)) {
+        addError(fieldPath, 'field must be an object');
+        return;
+      }
+
+      if (typeof field.id !== 'string' || !FIELD_ID_PATTERN.test(field.id)) {
+        addError(
+          `${fieldPath}.id`,
+          'id is required and may contain only letters, digits and underscores'
+        );
+      } else if (fieldIds.has(field.id)) {
+        addError(`${fieldPath}.id`, `duplicate field id "${field.id}"`);
+      } else {
+        fieldIds.add(field.id);
+      }
+
+      if (typeof field.question !== 'string' || field.question.trim() === '') {
+        addError(`${fieldPath}.question`, 'question is required');
+      }
+
+      if (typeof field.type !== 'string' || field.type.trim() === '') {
+        addError(`${fieldPath}.type`, 'type is required');
+      }
+
+      if (field.options !== undefined) {
+        if (
+          !Array.isArray(field.options) ||
+          field.options.some(
+            option => typeof option !== 'string' || option.trim() === ''
+          )
+        ) {
+          addError(
+            `${fieldPath}.options`,
+            'options must be an array of non-empty strings'
+          );
+        } else if (new Set(field.options).size !== field.options.length) {
+          addError(`${fieldPath}.options`, 'options must be unique');
+        }
+      }
+
+      ['required', 'text_required', 'image_required'].forEach(flag => {
+        if (field[flag] !== undefined && typeof field[flag] !== 'boolean') {
+          addError(`${fieldPath}.${flag}`, `${flag} must be a boolean`);
+        }
+      });
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Get the latest version row of a template
+ * @param {PrismaClient} db - Prisma client or transaction
+ * @param {BigInt} templateId - Template ID
+ * @returns {Object|null} Version row
+ */
+async function getLatestTemplateVersion(db, templateId) {
+  return db.inspectionTemplateVersion.findFirst({
+    where: { templateId: BigInt(templateId) },
+    orderBy: { version: 'desc' },
+  });
+}
+
+/**
+ * Snapshot new questions as the next immutable version of a template and
+ * mirror them onto `inspection_templates.questions`
+ * @param {PrismaClient} db - Prisma client or transaction
+ * @param {Object} template - Template row
+ * @param {Array} questions - Validated questions
+ * @param {Object} options - { userId, changeNote }
+ * @returns {Object} Created version row
+ */
+async function createTemplateVersion(
+  db,
+  template,
+  questions,
+  { userId, changeNote } = {}
+) {
+  const latest = await getLatestTemplateVersion(db, template.id);
+  const version = (latest?.version || 0) + 1;
+
+  const created = await db.inspectionTemplateVersion.create({
+    data: {
+      templateId: template.id,
+      version,
+      questions,
+      changeNote: changeNote || null,
+      createdBy: userId ? BigInt(userId) : null,
+    },
+  });
+
+  await db.inspectionTemplate.update({
+    where: { id: template.id },
+    data: { questions, currentVersion: version },
+  });
+
+  return created;
+}
+
+/**
+ * Resolve the question set an inspection is answered against.
+ * Uses the pinned template version and falls back to the live template
+ * for inspections created before versioning.
+ * @param {PrismaClient} db - Prisma client or transaction
+ * @param {Object} inspection - Inspection with templateId / templateVersionId
+ * @returns {Object|null} { template, questions, version, templateVersionId }
+ */
+async function resolveInspectionTemplate(db, inspection) {
+  if (!inspection?.templateId) {
+    return null;
+  }
+
+  const template = await db.inspectionTemplate.findUnique({
+    where: { id: inspection.templateId },
+    select: {
+      id: true,
+      name: true,
+      type: true,
+      description: true,
+      questions: true,
+      currentVersion: true,
+      reportLayoutKey: true,
+      isActive: true,
+    },
+  });
+
+  if (!template) {
+    return null;
+  }
+
+  let pinned = null;
+  if (inspection.templateVersionId) {
+    pinned = await db.inspectionTemplateVersion.findUnique({
+      where: { id: inspection.templateVersionId },
+    });
+  }
+
+  return {
+    template,
+    questions: parseQuestions(pinned ? pinned.questions : template.questions),
+    version: pinned ? pinned.version : template.currentVersion,
+    templateVersionId: pinned ? pinned.id : null,
+  };
+}
+
+module.exports = {
+  parseQuestions,
+  validateTemplateQuestions,
+  getLatestTemplateVersion,
+  createTemplateVersion,
+  resolveInspectionTemplate,
+};
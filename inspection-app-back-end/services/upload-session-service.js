@@ -0,0 +1,454 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { PrismaClient } = require('@prisma/client');
+const { withTenantScope } = require('../utils/tenantScope');
+const { withAuditTrail } = require('../utils/auditTrail');
+const { HttpError } = require('../utils/errors');
+const { detectImageType } = require('../utils/imageStorage');
+const { storeImageWithDerivatives } = require('./image-derivatives-service');
+const { findImageAt, createImage } = require('./question-image-repository');
+
+const prisma = withAuditTrail(withTenantScope(new PrismaClient()));
+
+/**
+ * Resumable question photo uploads. The client opens a session for one
+ * answer / section / field / order slot, then PUTs the file in chunks with
+ * a Content-Range header. Chunks are streamed to a temp file; after a
+ * dropped connection the client asks for the session and continues at
+ * `receivedBytes`. The last chunk stores the photo and attaches it to the slot;
+ * when that fails, an empty PUT with `Content-Range: bytes *\/<total>` retries
+ * it from the received file.
+ */
+
+const UPLOAD_SESSION_DIR = path.resolve(
+  __dirname,
+  '..',
+  'temp_uploads',
+  'sessions'
+);
+const MAX_IMAGE_BYTES =
+  parseInt(process.env.IMAGE_UPLOAD_MAX_BYTES, 10) || 10 * 1024 * 1024;
+const SESSION_TTL_HOURS =
+  parseFloat(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+const RECOMMENDED_CHUNK_BYTES = 512 * 1024;
+// Enough leading bytes to recognize every accepted format
+const SIGNATURE_BYTES = 12;
+
+// Sessions with a chunk being written by this process
+const activeUploads = new Set();
+
+const partPath = session =>
+  path.join(UPLOAD_SESSION_DIR, `${session.uploadId}.part`);
+
+async function receivedSize(session) {
+  try {
+    return (await fs.promises.stat(partPath(session))).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+}
+
+async function removePartFile(session) {
+  await fs.promises.unlink(partPath(session)).catch(() => {});
+}
+
+async function readSignature(session) {
+  const handle = await fs.promises.open(partPath(session), 'r');
+  try {
+    const buffer = Buffer.alloc(SIGNATURE_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SIGNATURE_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Parse `Content-Range: bytes <start>-<end>/<total>`, or `bytes *\/<total>`
+ * (no bytes, finish a complete upload) where start and end are null
+ */
+function parseContentRange(header) {
+  const value = (header || '').trim();
+  const finish = /^bytes \*\/(\d+)$/.exec(value);
+  if (finish) {
+    return { start: null, end: null, total: Number(finish[1]) };
+  }
+  const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(value);
+  if (!match) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      'Content-Range header "bytes <start>-<end>/<total>" is required'
+    );
+  }
+  const [start, end, total] = match.slice(1).map(Number);
+  if (end < start || end >= total) {
+    throw new HttpError(416, 'Range Not Satisfiable', 'Invalid Content-Range');
+  }
+  return { start, end, total };
+}
+
+// Passes at most `limit` bytes and fails when the body is longer
+function byteLimiter(limit) {
+  let seen = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      seen += chunk.length;
+      if (seen > limit) {
+        callback(
+          new HttpError(
+            400,
+            'Validation Error',
+            'Chunk is longer than its Content-Range'
+          )
+        );
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+}
+
+/**
+ * Mark expired open sessions and delete their temp files
+ * @returns {Promise<number>} Number of sessions expired
+ */
+async function purgeExpiredUploadSessions() {
+  const expired = await prisma.uploadSession.findMany({
+    where: { status: 'OPEN', expiresAt: { lt: new Date() } },
+    take: 100,
+  });
+  for (const session of expired) {
+    await removePartFile(session);
+  }
+  if (expired.length > 0) {
+    await prisma.uploadSession.updateMany({
+      where: { id: { in: expired.map(session => session.id) } },
+      data: { status: 'EXPIRED' },
+    });
+    console.log(
+      `[upload-sessions] 🧹 Expired ${expired.length} upload session(s)`
+    );
+  }
+  return expired.length;
+}
+
+/**
+ * Open an upload session for one photo slot
+ * @param {Object} inspection - Inspection the caller already has access to
+ * @param {Object} params - { answerId, section, fieldId, imageOrder, fileName, size }
+ * @param {string} userId - Acting user
+ * @returns {Promise<Object>} Session row
+ */
+async function createUploadSession(
+  inspection,
+  { answerId, section, fieldId, imageOrder, fileName, size },
+  userId
+) {
+  const order = parseInt(imageOrder, 10);
+  const totalSize = parseInt(size, 10);
+  if (!answerId || !section || !fieldId) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      'answerId, section and fieldId are required'
+    );
+  }
+  if (!Number.isFinite(order) || order <= 0) {
+    throw new HttpError(400, 'Validation Error', 'Invalid image order');
+  }
+  if (!Number.isFinite(totalSize) || totalSize <= 0) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      'size must be the file size in bytes'
+    );
+  }
+  if (totalSize > MAX_IMAGE_BYTES) {
+    throw new HttpError(
+      413,
+      'Payload Too Large',
+      `Images are limited to ${MAX_IMAGE_BYTES} bytes`
+    );
+  }
+
+  const answer = await prisma.inspectionAnswer.findFirst({
+    where: { id: BigInt(answerId), inspectionId: inspection.id },
+  });
+  if (!answer) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      'Invalid answerId: answer does not exist or does not belong to this inspection'
+    );
+  }
+  if (await findImageAt(answer.id, fieldId, order)) {
+    throw new HttpError(
+      409,
+      'ImageAlreadyExists',
+      'Энэ талбарт аль хэдийн зураг байна. Шинэ зураг оруулахын өмнө өмнөх зургийг устгана уу.',
+      { fieldId, order }
+    );
+  }
+
+  purgeExpiredUploadSessions().catch(error =>
+    console.warn(
+      '[upload-sessions] ⚠️ Could not purge expired sessions:',
+      error.message
+    )
+  );
+
+  return prisma.uploadSession.create({
+    data: {
+      uploadId: crypto.randomBytes(24).toString('hex'),
+      inspectionId: inspection.id,
+      answerId: answer.id,
+      section,
+      fieldId,
+      imageOrder: order,
+      fileName: fileName ? String(fileName).slice(0, 255) : null,
+      totalSize,
+      createdBy: BigInt(userId),
+      expiresAt: new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000),
+    },
+  });
+}
+
+/**
+ * Session of an inspection by its upload ID
+ */
+async function getUploadSession(inspectionId, uploadId) {
+  const session = await prisma.uploadSession.findFirst({
+    where: { uploadId: String(uploadId), inspectionId: BigInt(inspectionId) },
+  });
+  if (!session) {
+    throw new HttpError(404, 'Not Found', 'Upload session not found');
+  }
+  // The temp file is the truth when a chunk was cut off
+  if (session.status === 'OPEN') {
+    session.receivedBytes = await receivedSize(session);
+  }
+  return session;
+}
+
+async function failSession(session, message) {
+  await removePartFile(session);
+  await prisma.uploadSession.update({
+    where: { id: session.id },
+    data: { status: 'FAILED' },
+  });
+  throw new HttpError(415, 'Unsupported Media Type', message);
+}
+
+/**
+ * Store the assembled file and attach it to the session's slot
+ */
+async function completeUpload(session, imageType, userId) {
+  if (
+    await findImageAt(session.answerId, session.fieldId, session.imageOrder)
+  ) {
+    throw new HttpError(
+      409,
+      'ImageAlreadyExists',
+      'Энэ талбарт аль хэдийн зураг байна. Шинэ зураг оруулахын өмнө өмнөх зургийг устгана уу.',
+      { fieldId: session.fieldId, order: session.imageOrder }
+    );
+  }
+
+  const fileName = `inspection_${session.inspectionId}_ans_${session.answerId}_field_${session.fieldId}_${Date.now()}_${session.imageOrder}${imageType.ext}`;
+  const stored = await storeImageWithDerivatives(fileName, partPath(session), {
+    contentType: imageType.mimeType,
+  });
+  const image = await createImage({
+    answerId: session.answerId,
+    fieldId: session.fieldId,
+    section: session.section,
+    imageOrder: session.imageOrder,
+    imageUrl: stored.url,
+    thumbnailUrl: stored.thumbnailUrl,
+    mediumUrl: stored.mediumUrl,
+    uploadedBy: userId,
+  });
+
+  const completed = await prisma.uploadSession.update({
+    where: { id: session.id },
+    data: { status: 'COMPLETED', imageId: image.id },
+  });
+  await removePartFile(session);
+  console.log(
+    `[upload-sessions] ✅ Upload ${session.uploadId} stored as image ${image.id}`
+  );
+
+  return {
+    session: completed,
+    image: {
+      id: image.id.toString(),
+      fieldId: image.fieldId,
+      section: image.section,
+      order: image.imageOrder,
+      imageUrl: stored.url,
+      thumbnailUrl: stored.thumbnailUrl,
+      mediumUrl: stored.mediumUrl,
+      fileName: stored.key,
+      fileSize: stored.size,
+      mimeType: imageType.mimeType,
+    },
+  };
+}
+
+/**
+ * Append one chunk from a request stream. A `bytes *\/<total>` range appends
+ * nothing and stores a complete upload whose last chunk failed to be stored.
+ * @param {Object} session - Open session
+ * @param {Readable} body - Raw chunk bytes
+ * @param {string} contentRange - Content-Range header
+ * @param {string} userId - Acting user
+ * @returns {Promise<{session, image}>} image is set once the upload is complete
+ */
+async function appendChunk(session, body, contentRange, userId) {
+  if (session.status !== 'OPEN') {
+    throw new HttpError(
+      409,
+      'Conflict',
+      `Upload session is ${session.status.toLowerCase()}`
+    );
+  }
+  if (session.expiresAt < new Date()) {
+    throw new HttpError(410, 'Gone', 'Upload session has expired');
+  }
+
+  const range = parseContentRange(contentRange);
+  if (range.total !== session.totalSize) {
+    throw new HttpError(
+      400,
+      'Validation Error',
+      `Content-Range total must be ${session.totalSize}`
+    );
+  }
+  if (activeUploads.has(session.uploadId)) {
+    throw new HttpError(
+      409,
+      'Conflict',
+      'Another chunk of this upload is still being received'
+    );
+  }
+
+  activeUploads.add(session.uploadId);
+  try {
+    const offset = await receivedSize(session);
+    if (range.start === null) {
+      if (offset !== session.totalSize) {
+        throw new HttpError(
+          409,
+          'Conflict',
+          `Upload is not complete, expected the chunk starting at byte ${offset}`,
+          { receivedBytes: offset }
+        );
+      }
+    } else if (range.start !== offset) {
+      throw new HttpError(
+        409,
+        'Conflict',
+        `Expected the chunk starting at byte ${offset}`,
+        { receivedBytes: offset }
+      );
+    } else {
+      await fs.promises.mkdir(UPLOAD_SESSION_DIR, { recursive: true });
+      try {
+        await pipeline(
+          body,
+          byteLimiter(range.end - range.start + 1),
+          fs.createWriteStream(partPath(session), { flags: 'a' })
+        );
+      } catch (error) {
+        // Bytes written before the connection dropped stay, the client resumes after them
+        await prisma.uploadSession.update({
+          where: { id: session.id },
+          data: { receivedBytes: await receivedSize(session) },
+        });
+        throw error;
+      }
+    }
+
+    const receivedBytes = await receivedSize(session);
+    const complete = receivedBytes === session.totalSize;
+
+    // Check the format as soon as the leading bytes are in
+    let imageType = null;
+    if (complete || receivedBytes >= SIGNATURE_BYTES) {
+      imageType = detectImageType(await readSignature(session));
+      if (!imageType) {
+        await failSession(
+          session,
+          'File is not a JPEG, PNG, GIF or WebP image'
+        );
+      }
+    }
+
+    const updated = await prisma.uploadSession.update({
+      where: { id: session.id },
+      data: { receivedBytes },
+    });
+    if (!complete) {
+      return { session: updated, image: null };
+    }
+    return await completeUpload(updated, imageType, userId);
+  } finally {
+    activeUploads.delete(session.uploadId);
+  }
+}
+
+/**
+ * Cancel an open session and delete what was received
+ */
+async function abortUploadSession(session) {
+  if (session.status !== 'OPEN') {
+    throw new HttpError(
+      409,
+      'Conflict',
+      `Upload session is ${session.status.toLowerCase()}`
+    );
+  }
+  await removePartFile(session);
+  return prisma.uploadSession.update({
+    where: { id: session.id },
+    data: { status: 'ABORTED' },
+  });
+}
+
+/**
+ * JSON-friendly session
+ */
+function formatUploadSession(session) {
+  return {
+    uploadId: session.uploadId,
+    inspectionId: session.inspectionId.toString(),
+    answerId: session.answerId.toString(),
+    section: session.section,
+    fieldId: session.fieldId,
+    order: session.imageOrder,
+    fileName: session.fileName,
+    status: session.status,
+    totalSize: session.totalSize,
+    receivedBytes: session.receivedBytes,
+    chunkSize: RECOMMENDED_CHUNK_BYTES,
+    imageId: session.imageId?.toString() || null,
+    expiresAt: session.expiresAt,
+  };
+}
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  createUploadSession,
+  getUploadSession,
+  appendChunk,
+  abortUploadSession,
+  purgeExpiredUploadSessions,
+  formatUploadSession,
+};
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { HttpError } = require('../utils/errors');
+
+const prisma = new PrismaClient();
+
+/**
+ * One-time tokens emailed to users: invitations and password resets.
+ * The raw token only ever appears in the emailed link; the database keeps its
+ * SHA-256. Issuing a new token retires older unused tokens of the same type.
+ */
+
+const USER_TOKEN_TYPES = {
+  INVITE: 'INVITE',
+  PASSWORD_RESET: 'PASSWORD_RESET',
+};
+
+const TOKEN_TTL_MS = {
+  INVITE: (Number(process.env.INVITE_TOKEN_TTL_HOURS) || 72) * 60 * 60 * 1000,
+  PASSWORD_RESET:
+    (Number(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || 60) * 60 * 1000,
+};
+
+// Path of the admin-web page that handles each token type
+const LINK_PATHS = {
+  INVITE: '/set-password',
+  PASSWORD_RESET: '/reset-password',
+};
+
+const hashToken = token =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a one-time token for a user
+ * @param {BigInt|string} userId - User ID
+ * @param {string} type - USER_TOKEN_TYPES value
+ * @param {Object} options - { createdBy }
+ * @returns {Object} { token, expiresAt }
+ */
+async function createUserToken(userId, type, { createdBy } = {}) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_MS[type]);
+
+  await prisma.$transaction([
+    prisma.userToken.updateMany({
+      where: { userId: BigInt(userId), type, usedAt: null },
+      data: { usedAt: new Date() },
+    }),
+    prisma.userToken.create({
+      data: {
+        userId: BigInt(userId),
+        type,
+        tokenHash: hashToken(token),
+        expiresAt,
+        createdBy: createdBy ? BigInt(createdBy) : null,
+      },
+    }),
+  ]);
+
+  return { token, expiresAt };
+}
+
+/**
+ * Mark a token as used and run `fn` in the same transaction
+ * @param {string} token - Raw token from the link
+ * @param {string} type - Expected USER_TOKEN_TYPES value
+ * @param {Function} fn - async (tx, user) => result
+ * @returns {*} Result of `fn`
+ */
+async function consumeUserToken(token, type, fn) {
+  const invalid = new HttpError(
+    400,
+    'Invalid token',
+    'This link is invalid or has expired. Please request a new one.'
+  );
+
+  if (!token || typeof token !== 'string') {
+    throw invalid;
+  }
+
+  return prisma.$transaction(async tx => {
+    const record = await tx.userToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { user: true },
+    });
+
+    if (
+      !record ||
+      record.type !== type ||
+      record.usedAt ||
+      record.expiresAt <= new Date() ||
+      record.user.deletedAt
+    ) {
+      throw invalid;
+    }
+
+    // Conditional update makes the token single-use under concurrency
+    const used = await tx.userToken.updateMany({
+      where: { id: record.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+    if (used.count === 0) {
+      throw invalid;
+    }
+
+    return fn(tx, record.user);
+  });
+}
+
+/**
+ * Build the link sent by email
+ * @param {string} type - USER_TOKEN_TYPES value
+ * @param {string} token - Raw token
+ * @returns {string} URL of the admin-web page with the token
+ */
+function buildTokenLink(type, token) {
+  const base = (process.env.APP_PUBLIC_URL || 'http://localhost:3000').replace(
+    /\/+$/,
+    ''
+  );
+  return `${base}${LINK_PATHS[type]}?token=${encodeURIComponent(token)}`;
+}
+
+module.exports = {
+  USER_TOKEN_TYPES,
+  createUserToken,
+  consumeUserToken,
+  buildTokenLink,
+};
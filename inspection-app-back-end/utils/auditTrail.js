@@ -0,0 +1,336 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { Prisma } = require('@prisma/client');
+const { tenantContext } = require('./tenantScope');
+
+/**
+ * Automatic audit trail for Prisma.
+ *
+ * Clients wrapped with withAuditTrail() write an AuditLog row for every
+ * create / update / delete of the models below, with before and after
+ * snapshots of the row. The acting user comes from the request context set
+ * by authMiddleware (null for the scheduler and scripts).
+ *
+ * The before snapshot is read just ahead of the mutation; the after snapshot
+ * is taken from the mutation result (merged over the before snapshot when the
+ * caller selected only some fields). Inside an interactive transaction the
+ * snapshot read and the audit write run in that transaction; a mutation
+ * outside one runs with them in a transaction of its own. Either way the
+ * audit row commits or rolls back together with the change, and a failed
+ * audit write fails the operation.
+ *
+ * Why a change was made (e.g. a rejection reason) is passed with
+ * withAuditContext() and stored as `context` in the new_data of the rows
+ * written meanwhile.
+ */
+
+const auditContext = new AsyncLocalStorage();
+
+// Model name -> audit_logs.table_id
+const AUDITED_MODELS = {
+  Organization: 'organizations',
+  Site: 'sites',
+  Contract: 'contracts',
+  Device: 'devices',
+  DeviceModel: 'device_models',
+  User: 'users',
+  InspectionTemplate: 'inspection_templates',
+  Inspection: 'inspections',
+  EmailTemplate: 'email_templates',
+  NotificationRecipient: 'notification_recipients',
+  NotificationSetting: 'notification_settings',
+};
+
+// Never copied into audit_logs
+const REDACTED_FIELDS = ['passwordHash'];
+// Not treated as a change on their own
+const IGNORED_FIELDS = ['updatedAt'];
+
+const modelKey = model => model.charAt(0).toLowerCase() + model.slice(1);
+
+// Model name -> column fields (relations are left out of snapshots)
+const SCALAR_FIELDS = Object.fromEntries(
+  Prisma.dmmf.datamodel.models.map(m => [
+    m.name,
+    m.fields.filter(f => f.kind !== 'object').map(f => f.name),
+  ])
+);
+
+/**
+ * JSON-safe copy of the columns of a row, without redacted fields
+ */
+function snapshot(model, row) {
+  if (!row) return null;
+  const data = {};
+  for (const field of SCALAR_FIELDS[model]) {
+    if (!(field in row) || REDACTED_FIELDS.includes(field)) continue;
+    const value = row[field];
+    data[field] = typeof value === 'bigint' ? value.toString() : value;
+  }
+  return JSON.parse(JSON.stringify(data));
+}
+
+function hasChanges(before, after) {
+  return Object.keys({ ...before, ...after }).some(
+    field =>
+      !IGNORED_FIELDS.includes(field) &&
+      JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  );
+}
+
+function updateAction(before, after) {
+  return !before.deletedAt && after.deletedAt ? 'SOFT_DELETE' : 'UPDATE';
+}
+
+/**
+ * Row after an update: the returned columns over the before snapshot
+ * (the result may hold only selected fields)
+ */
+function mergeResult(before, result) {
+  return { ...before, ...(result || {}) };
+}
+
+/**
+ * Row after updateMany: plain values of `data` over the before snapshot
+ * (atomic operations such as { increment } are not reflected)
+ */
+function applyData(before, data = {}) {
+  const after = { ...before };
+  for (const [field, value] of Object.entries(data)) {
+    if (
+      value === null ||
+      typeof value !== 'object' ||
+      value instanceof Date ||
+      Array.isArray(value)
+    ) {
+      after[field] = value;
+    } else if ('set' in value) {
+      after[field] = value.set;
+    }
+  }
+  return after;
+}
+
+function updateEntry(model, before, after) {
+  const oldData = snapshot(model, before);
+  const newData = snapshot(model, after);
+  if (!hasChanges(oldData, newData)) return null;
+  return {
+    recordId: before.id,
+    action: updateAction(before, after),
+    oldData,
+    newData,
+  };
+}
+
+/**
+ * Run fn with details recorded on the audit rows of its mutations
+ * @param {Object} context - e.g. { source: 'section-confirm', reason }
+ * @param {Function} fn - Function returning a promise; Prisma queries run
+ *   when awaited, so fn is resolved inside the context
+ */
+function withAuditContext(context, fn) {
+  return auditContext.run(
+    { ...auditContext.getStore(), ...context },
+    async () => fn()
+  );
+}
+
+// Operations that write audit rows
+const AUDITED_OPERATIONS = [
+  'create',
+  'update',
+  'upsert',
+  'updateMany',
+  'delete',
+  'deleteMany',
+];
+
+/**
+ * Wrap a Prisma client so mutations of audited models are recorded
+ * @param {PrismaClient} client - Prisma client (may already be extended)
+ * @returns {PrismaClient} Extended client
+ */
+function withAuditTrail(client) {
+  // Joining an interactive transaction relies on this Prisma internal
+  // (@prisma/client is pinned in package.json); fail at startup, not on
+  // the first audited write, when an upgrade removes it
+  if (typeof client._createItxClient !== 'function') {
+    throw new Error(
+      'auditTrail: this @prisma/client has no _createItxClient; audit rows cannot join interactive transactions'
+    );
+  }
+
+  const write = async (db, model, entries) => {
+    entries = entries.filter(Boolean);
+    if (entries.length === 0) return;
+    const userId = tenantContext.getStore()?.userId;
+    const context = auditContext.getStore();
+
+    try {
+      await db.auditLog.createMany({
+        data: entries.map(entry => ({
+          tableId: AUDITED_MODELS[model],
+          recordId: BigInt(entry.recordId),
+          action: entry.action,
+          oldData: entry.oldData ?? undefined,
+          newData:
+            entry.newData || context
+              ? { ...entry.newData, ...(context && { context }) }
+              : undefined,
+          userId: userId ? BigInt(userId) : null,
+        })),
+      });
+    } catch (error) {
+      console.error(
+        `[auditTrail] ❌ Failed to write audit log for ${model}:`,
+        error.message
+      );
+      throw error;
+    }
+  };
+
+  /**
+   * Run a mutation with its snapshot reads and audit write on db
+   * @param {Function} run - Executes the mutation with the given args
+   */
+  const audit = async (db, model, operation, args, run) => {
+    const delegate = db[modelKey(model)];
+
+    switch (operation) {
+      case 'create': {
+        const result = await run(args);
+        if (result?.id !== undefined) {
+          await write(db, model, [
+            {
+              recordId: result.id,
+              action: 'CREATE',
+              newData: snapshot(model, result),
+            },
+          ]);
+        }
+        return result;
+      }
+
+      case 'update':
+      case 'upsert': {
+        const before = await delegate.findUnique({ where: args.where });
+        const result = await run(args);
+        if (before) {
+          await write(db, model, [
+            updateEntry(model, before, mergeResult(before, result)),
+          ]);
+        } else if (result?.id !== undefined) {
+          await write(db, model, [
+            {
+              recordId: result.id,
+              action: 'CREATE',
+              newData: snapshot(model, result),
+            },
+          ]);
+        }
+        return result;
+      }
+
+      case 'updateMany': {
+        const befores = await delegate.findMany({ where: args.where });
+        const result = await run(args);
+        await write(
+          db,
+          model,
+          befores.map(before =>
+            updateEntry(model, before, applyData(before, args.data))
+          )
+        );
+        return result;
+      }
+
+      case 'delete': {
+        const before = await delegate.findUnique({ where: args.where });
+        const result = await run(args);
+        if (before) {
+          await write(db, model, [
+            {
+              recordId: before.id,
+              action: 'DELETE',
+              oldData: snapshot(model, before),
+            },
+          ]);
+        }
+        return result;
+      }
+
+      case 'deleteMany': {
+        const befores = await delegate.findMany({ where: args.where });
+        const result = await run(args);
+        await write(
+          db,
+          model,
+          befores.map(before => ({
+            recordId: before.id,
+            action: 'DELETE',
+            oldData: snapshot(model, before),
+          }))
+        );
+        return result;
+      }
+
+      default:
+        return run(args);
+    }
+  };
+
+  return client.$extends({
+    name: 'auditTrail',
+    query: {
+      $allModels: {
+        async $allOperations({
+          model,
+          operation,
+          args,
+          query,
+          __internalParams,
+        }) {
+          if (
+            !AUDITED_MODELS[model] ||
+            !AUDITED_OPERATIONS.includes(operation)
+          ) {
+            return query(args);
+          }
+
+          // Query extensions only see the caller's transaction through
+          // Prisma's internal params
+          const transaction = __internalParams?.transaction;
+          if (transaction?.kind === 'itx') {
+            return audit(
+              client._createItxClient(transaction),
+              model,
+              operation,
+              args,
+              query
+            );
+          }
+          if (transaction) {
+            // A batch transaction cannot take extra queries
+            return audit(client, model, operation, args, query);
+          }
+
+          // A single operation runs with its audit write in a transaction of
+          // its own, so a failed audit write rolls the change back. The
+          // mutation goes through the wrapped client, which keeps its other
+          // extensions (e.g. the tenant scope).
+          return client.$transaction(tx =>
+            audit(tx, model, operation, args, nextArgs =>
+              tx[modelKey(model)][operation](nextArgs)
+            )
+          );
+        },
+      },
+    },
+  });
+}
+
+module.exports = {
+  AUDITED_MODELS,
+  withAuditContext,
+  withAuditTrail,
+};
@@ -0,0 +1,37 @@
+/**
+ * Error types that carry an HTTP status for route handlers
+ */
+
+/**
+ * Error with an explicit HTTP status code and optional structured details
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status code
+   * @param {string} error - Short error title returned as `error`
+   * @param {string} message - Human readable message
+   * @param {*} details - Optional structured details returned to the client
+   */
+  constructor(statusCode, error, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.error = error;
+    this.details = details;
+  }
+}
+
+/**
+ * Answers failed validation; `details` holds the per-field error list
+ */
+class ValidationError extends HttpError {
+  constructor(message, details) {
+    super(422, 'Validation failed', message, details);
+    this.name = 'ValidationError';
+  }
+}
+
+module.exports = {
+  HttpError,
+  ValidationError,
+};
@@ -1,11 +1,17 @@
 const fs = require('fs/promises');
-const path = require('path');
-
-const DEFAULT_STORAGE_PATH =
-  process.env.FTP_STORAGE_PATH || path.resolve('C:/ftp_data');
-const DEFAULT_PUBLIC_BASE_URL =
+const { getStorage } = require('./storage');
+
+// Images are served by the authenticated media endpoint (routes/media.js)
+const MEDIA_PUBLIC_BASE_URL = (
+  process.env.MEDIA_PUBLIC_BASE_URL ||
+  `http://localhost:${process.env.PORT || 3000}/api/media`
+).replace(/\/+$/, '');
+// Base URL of older image URLs (http://host:4555/uploads/<file>)
+const LEGACY_PUBLIC_BASE_URL =
+  process.env.STORAGE_PUBLIC_BASE_URL ||
   process.env.FTP_PUBLIC_BASE_URL ||
-  'http://192.168.0.6:4555/uploads';
+  '/uploads';
+// Path segment that FTP URLs (ftp://host/<prefix>/<file>) put in front of the key
 const FTP_REMOTE_PREFIX = (process.env.FTP_REMOTE_PREFIX || 'test')
   .trim()
   .replace(/^\/+|\/+$/g, '');
@@ -42,17 +48,17 @@ function normalizeRelativePath(input) {
   return segments.join('/');
 }
 
-function stripRemotePrefix(relativePath) {
+function stripPrefix(relativePath, prefix) {
   if (!relativePath) {
     return null;
   }
 
-  if (!FTP_REMOTE_PREFIX) {
+  if (!prefix) {
     return relativePath;
   }
 
-  const prefixWithSlash = `${FTP_REMOTE_PREFIX}/`;
-  if (relativePath === FTP_REMOTE_PREFIX) {
+  const prefixWithSlash = `${prefix}/`;
+  if (relativePath === prefix) {
     return '';
   }
 
@@ -63,116 +69,139 @@ function stripRemotePrefix(relativePath) {
   return relativePath;
 }
 
-function resolveLocalPath(relativePath) {
-  const normalized = normalizeRelativePath(relativePath);
-  if (!normalized) {
+// Path of a base URL ("api/media" for http://host:4555/api/media)
+function basePath(baseUrl) {
+  try {
+    return normalizeRelativePath(new URL(baseUrl, 'http://localhost').pathname);
+  } catch (error) {
     return null;
   }
+}
 
-  const sanitized = stripRemotePrefix(normalized);
-  if (!sanitized) {
+const URL_BASE_PATHS = [
+  basePath(MEDIA_PUBLIC_BASE_URL),
+  basePath(LEGACY_PUBLIC_BASE_URL),
+].filter(Boolean);
+
+/**
+ * Storage key of an image reference. Accepts keys, relative paths and the
+ * URLs stored in image_url (media, legacy /uploads and ftp:// URLs).
+ * @returns {string|null}
+ */
+function toStorageKey(input) {
+  const normalized = normalizeRelativePath(input);
+  if (!normalized) {
     return null;
   }
 
-  const base = path.resolve(DEFAULT_STORAGE_PATH);
-  const absolutePath = path.resolve(base, sanitized);
-
-  if (!absolutePath.startsWith(base)) {
-    throw new Error(`Invalid path traversal attempt: ${relativePath}`);
-  }
-
-  return absolutePath;
+  const basePrefix = URL_BASE_PATHS.find(
+    prefix => normalized === prefix || normalized.startsWith(`${prefix}/`)
+  );
+  const withoutBase = stripPrefix(normalized, basePrefix);
+  return stripPrefix(withoutBase, FTP_REMOTE_PREFIX) || null;
 }
 
 async function readImageAsBase64(relativePath) {
-  const localPath = resolveLocalPath(relativePath);
-  if (!localPath) {
+  const key = toStorageKey(relativePath);
+  if (!key) {
     return null;
   }
 
   try {
-    const fileBuffer = await fs.readFile(localPath);
-    return fileBuffer.toString('base64');
+    const fileBuffer = await getStorage().get(key);
+    return fileBuffer ? fileBuffer.toString('base64') : null;
   } catch (error) {
     console.error(
-      `[imageStorage] Failed to read file ${localPath}: ${error.message}`
+      `[imageStorage] Failed to read ${key}: ${error.message}`
     );
     return null;
   }
 }
 
 function buildPublicUrl(relativePath) {
-  const normalized = normalizeRelativePath(relativePath);
-  if (!normalized) {
+  const key = toStorageKey(relativePath);
+  if (!key) {
     return null;
   }
 
-  const sanitized = stripRemotePrefix(normalized);
-  if (!sanitized) {
-    return null;
-  }
-
-  const base = DEFAULT_PUBLIC_BASE_URL.replace(/\/+$/, '');
-  return `${base}/${sanitized}`;
+  return `${MEDIA_PUBLIC_BASE_URL}/${key}`;
 }
 
 async function loadImagePayload(relativePath) {
   console.log(`[imageStorage] loadImagePayload called with: ${relativePath}`);
   
-  const localPath = resolveLocalPath(relativePath);
-  if (!localPath) {
-    console.warn(`[imageStorage] ❌ Failed to resolve local path for: ${relativePath}`);
-    return { base64: null, size: null, localPath: null };
+  const key = toStorageKey(relativePath);
+  if (!key) {
+    console.warn(`[imageStorage] ❌ Failed to resolve storage key for: ${relativePath}`);
+    return { base64: null, size: null, key: null };
   }
 
-  console.log(`[imageStorage] Resolved local path: ${localPath}`);
-
   try {
-    // Check if file exists
-    try {
-      await fs.access(localPath);
-      console.log(`[imageStorage] ✅ File exists: ${localPath}`);
-    } catch (accessError) {
-      console.error(`[imageStorage] ❌ File does not exist: ${localPath}`, accessError.message);
-      return { base64: null, size: null, localPath, error: 'File not found' };
+    const fileBuffer = await getStorage().get(key);
+    if (!fileBuffer) {
+      console.error(`[imageStorage] ❌ File does not exist: ${key}`);
+      return { base64: null, size: null, key, error: 'File not found' };
     }
 
-    const fileBuffer = await fs.readFile(localPath);
-    console.log(`[imageStorage] ✅ File read successfully: ${localPath} (${fileBuffer.length} bytes)`);
-    
-    const stats = await fs.stat(localPath);
-    console.log(`[imageStorage] File stats: size=${stats.size} bytes, modified=${stats.mtime}`);
-    
     // Validate buffer
-    if (!fileBuffer || fileBuffer.length === 0) {
-      console.error(`[imageStorage] ❌ File buffer is empty: ${localPath}`);
-      return { base64: null, size: null, localPath, error: 'Empty file' };
+    if (fileBuffer.length === 0) {
+      console.error(`[imageStorage] ❌ File buffer is empty: ${key}`);
+      return { base64: null, size: null, key, error: 'Empty file' };
     }
 
-    // Convert to base64
-    const base64String = fileBuffer.toString('base64');
-    if (!base64String || base64String.length === 0) {
-      console.error(`[imageStorage] ❌ Base64 conversion failed: ${localPath}`);
-      return { base64: null, size: null, localPath, error: 'Base64 conversion failed' };
-    }
-
-    console.log(`[imageStorage] ✅ Base64 conversion successful: ${localPath} (${base64String.length} chars, first 50: ${base64String.substring(0, 50)}...)`);
+    console.log(`[imageStorage] ✅ File read successfully: ${key} (${fileBuffer.length} bytes)`);
 
     return {
-      base64: base64String,
-      size: stats.size,
-      localPath,
+      base64: fileBuffer.toString('base64'),
+      size: fileBuffer.length,
+      key,
     };
   } catch (error) {
     console.error(
-      `[imageStorage] ❌ Failed to load payload for ${localPath}:`,
+      `[imageStorage] ❌ Failed to load payload for ${key}:`,
       error.message,
       error.stack
     );
-    return { base64: null, size: null, localPath, error: error.message };
+    return { base64: null, size: null, key, error: error.message };
   }
 }
 
+/**
+ * Store an image in the configured storage
+ * @param {string} fileName - Storage key / relative path
+ * @param {Buffer|string} source - Image bytes or path of a local (temp) file
+ * @param {Object} options - { contentType }
+ * @returns {Promise<{key: string, url: string, size: number}>}
+ */
+async function storeImage(fileName, source, { contentType } = {}) {
+  const key = toStorageKey(fileName);
+  if (!key) {
+    throw new Error(`Invalid image file name: ${fileName}`);
+  }
+
+  await getStorage().put(key, source, {
+    contentType: contentType || inferMimeType(key),
+  });
+  const size = Buffer.isBuffer(source)
+    ? source.length
+    : (await fs.stat(source)).size;
+
+  console.log(`[imageStorage] ✅ Stored ${key} (${size} bytes)`);
+  return { key, url: buildPublicUrl(key), size };
+}
+
+/**
+ * Remove an image from storage
+ * @returns {Promise<boolean>} false when it did not exist
+ */
+async function deleteImage(relativePath) {
+  const key = toStorageKey(relativePath);
+  if (!key) {
+    return false;
+  }
+  return getStorage().remove(key);
+}
+
 function inferMimeType(relativePath) {
   const normalized = normalizeRelativePath(relativePath) || '';
   const lower = normalized.toLowerCase();
@@ -184,15 +213,52 @@ function inferMimeType(relativePath) {
   return 'image/jpeg';
 }
 
+// Leading bytes of the accepted image formats
+const IMAGE_SIGNATURES = [
+  { mimeType: 'image/jpeg', ext: '.jpg', bytes: [0xff, 0xd8, 0xff] },
+  {
+    mimeType: 'image/png',
+    ext: '.png',
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { mimeType: 'image/gif', ext: '.gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  // RIFF....WEBP
+  {
+    mimeType: 'image/webp',
+    ext: '.webp',
+    bytes: [0x52, 0x49, 0x46, 0x46],
+    at8: [0x57, 0x45, 0x42, 0x50],
+  },
+];
+
+const startsWithBytes = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, i) => buffer[offset + i] === byte);
+
+/**
+ * Image type from the file's magic bytes (the declared MIME type is not trusted)
+ * @param {Buffer} buffer - At least the first 12 bytes of the file
+ * @returns {{mimeType: string, ext: string}|null} null when not a supported image
+ */
+function detectImageType(buffer) {
+  const match = IMAGE_SIGNATURES.find(
+    signature =>
+      startsWithBytes(buffer, signature.bytes) &&
+      (!signature.at8 || startsWithBytes(buffer, signature.at8, 8))
+  );
+  return match ? { mimeType: match.mimeType, ext: match.ext } : null;
+}
+
 module.exports = {
   normalizeRelativePath,
-  resolveLocalPath,
+  toStorageKey,
   readImageAsBase64,
   buildPublicUrl,
   loadImagePayload,
+  storeImage,
+  deleteImage,
   inferMimeType,
-  DEFAULT_STORAGE_PATH,
-  DEFAULT_PUBLIC_BASE_URL,
+  detectImageType,
+  MEDIA_PUBLIC_BASE_URL,
   FTP_REMOTE_PREFIX,
 };
-
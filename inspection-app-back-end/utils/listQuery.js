@@ -0,0 +1,265 @@
+/**
+ * Query-string syntax shared by list routes:
+ *   page, limit          page-based paging (limit capped by the list's maxLimit)
+ *   cursor               keyset paging: the `nextCursor` of the previous page;
+ *                        only with a sort whose fields are never NULL
+ *   sortBy, sortOrder    one of the list's sortable fields, asc|desc
+ *   search               free text matched against the list's search fields
+ *   <filter>=A,B         enum / ID filters take one value or a comma-separated list
+ *   <range>From, <range>To   date ranges (ISO dates, inclusive)
+ *
+ * A list describes its filters once (see parseListQuery) and gets a Prisma
+ * where/orderBy/skip/take plus the pagination block of the response.
+ */
+const { HttpError } = require('./errors');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const ID_PATTERN = /^\d+$/;
+
+const validationError = message =>
+  new HttpError(400, 'Validation Error', message);
+
+/**
+ * Split a query value into its non-empty parts (`a,b` or repeated `?x=a&x=b`)
+ */
+function splitList(value) {
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Enum filter: one or more of `values`
+ * @returns {Object|undefined} Prisma filter
+ */
+function parseEnumFilter(value, values, name) {
+  if (value === undefined || value === '') return undefined;
+  const selected = splitList(value).map(item => item.toUpperCase());
+  const invalid = selected.filter(item => !values.includes(item));
+  if (invalid.length > 0) {
+    throw validationError(`${name} must be one of: ${values.join(', ')}`);
+  }
+  return selected.length === 1 ? selected[0] : { in: selected };
+}
+
+/**
+ * ID filter: one or more numeric IDs
+ * @returns {BigInt|Object|undefined} Prisma filter
+ */
+function parseIdFilter(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const ids = splitList(value);
+  if (ids.length === 0 || ids.some(id => !ID_PATTERN.test(id))) {
+    throw validationError(
+      `${name} must be an ID or a comma-separated list of IDs`
+    );
+  }
+  return ids.length === 1 ? BigInt(ids[0]) : { in: ids.map(id => BigInt(id)) };
+}
+
+/**
+ * Date range filter from `<prefix>From` / `<prefix>To`
+ * @returns {Object|undefined} Prisma filter ({ gte, lte })
+ */
+function parseDateRange(query, prefix) {
+  const parse = key => {
+    if (!query[key]) return undefined;
+    const date = new Date(query[key]);
+    if (Number.isNaN(date.getTime())) {
+      throw validationError(`${key} must be a valid date`);
+    }
+    return date;
+  };
+  const from = parse(`${prefix}From`);
+  const to = parse(`${prefix}To`);
+  if (!from && !to) return undefined;
+  if (from && to && from > to) {
+    throw validationError(`${prefix}From must be before ${prefix}To`);
+  }
+  return { ...(from && { gte: from }), ...(to && { lte: to }) };
+}
+
+/**
+ * Free-text filter over fields; `relation.field` searches a to-one relation
+ * @returns {Object|undefined} Prisma filter ({ OR: [...] })
+ */
+function buildSearchFilter(term, fields) {
+  const text = typeof term === 'string' ? term.trim() : '';
+  if (!text) return undefined;
+  return {
+    OR: fields.map(field =>
+      field
+        .split('.')
+        .reverse()
+        .reduce((filter, key) => ({ [key]: filter }), { contains: text })
+    ),
+  };
+}
+
+/**
+ * Parse the list query of a route
+ * @param {Object} query - req.query
+ * @param {Object} spec - {
+ *   filters: { name: { type: 'enum', values, field } | { type: 'id', field } },
+ *   dateRanges: { prefix: field },
+ *   search: ['title', 'device.serialNumber'],
+ *   sortFields: ['createdAt', ...], defaultSort: [{ createdAt: 'desc' }],
+ *   nullableSortFields: ['scheduledAt'],
+ *   defaultLimit, maxLimit
+ * }
+ * @returns {Object} { where, orderBy, cursor, skip, take } for findListPage,
+ *   { page, limit }, `keyset` (whether a nextCursor can continue the order)
+ *   and the applied `filters` to echo in the response
+ */
+function parseListQuery(query = {}, spec = {}) {
+  const conditions = [];
+  const filters = {};
+
+  Object.entries(spec.filters || {}).forEach(([name, filter]) => {
+    const value =
+      filter.type === 'enum'
+        ? parseEnumFilter(query[name], filter.values, name)
+        : parseIdFilter(query[name], name);
+    if (value === undefined) return;
+    conditions.push({ [filter.field || name]: value });
+    filters[name] = splitList(query[name]).map(item =>
+      filter.type === 'enum' ? item.toUpperCase() : item
+    );
+  });
+
+  Object.entries(spec.dateRanges || {}).forEach(([prefix, field]) => {
+    const range = parseDateRange(query, prefix);
+    if (!range) return;
+    conditions.push({ [field]: range });
+    filters[`${prefix}From`] = range.gte || null;
+    filters[`${prefix}To`] = range.lte || null;
+  });
+
+  const search = buildSearchFilter(query.search, spec.search || []);
+  if (search) {
+    conditions.push(search);
+    filters.search = query.search.trim();
+  }
+
+  // Sorting: a whitelisted field, the ID breaks ties so paging is stable
+  let orderBy = spec.defaultSort || [{ id: 'desc' }];
+  if (query.sortBy) {
+    if (!(spec.sortFields || []).includes(query.sortBy)) {
+      throw validationError(
+        `sortBy must be one of: ${(spec.sortFields || []).join(', ')}`
+      );
+    }
+    const sortOrder = String(query.sortOrder || 'asc').toLowerCase();
+    if (!['asc', 'desc'].includes(sortOrder)) {
+      throw validationError('sortOrder must be asc or desc');
+    }
+    orderBy = [{ [query.sortBy]: sortOrder }];
+    filters.sortBy = query.sortBy;
+    filters.sortOrder = sortOrder;
+  }
+  if (!orderBy.some(order => order.id)) {
+    orderBy = [...orderBy, { id: 'desc' }];
+  }
+
+  // A cursor compares the sort fields of its row; NULL compares as unknown,
+  // so a page ending on a NULL would be followed by an empty one
+  const nullableSortFields = spec.nullableSortFields || [];
+  const keyset = !orderBy.some(order =>
+    Object.keys(order).some(field => nullableSortFields.includes(field))
+  );
+
+  const maxLimit = spec.maxLimit || MAX_LIMIT;
+  const limit = Math.min(
+    Math.max(parseInt(query.limit) || spec.defaultLimit || DEFAULT_LIMIT, 1),
+    maxLimit
+  );
+
+  // A cursor continues after the last item of the previous page
+  let cursor = null;
+  let page = null;
+  if (query.cursor) {
+    if (!ID_PATTERN.test(String(query.cursor))) {
+      throw validationError('cursor must be the nextCursor of a previous page');
+    }
+    if (!keyset) {
+      const cursorSortFields = (spec.sortFields || []).filter(
+        field => !nullableSortFields.includes(field)
+      );
+      throw validationError(
+        `cursor paging needs a sortBy that is never empty: ${cursorSortFields.join(', ')}`
+      );
+    }
+    cursor = BigInt(query.cursor);
+  } else {
+    page = Math.max(parseInt(query.page) || 1, 1);
+  }
+
+  return {
+    where: conditions.length > 0 ? { AND: conditions } : {},
+    orderBy,
+    ...(cursor
+      ? { cursor: { id: cursor }, skip: 1 }
+      : { skip: (page - 1) * limit }),
+    // One extra row tells whether another page follows
+    take: limit + 1,
+    page,
+    limit,
+    keyset,
+    filters,
+  };
+}
+
+/**
+ * Run a parsed list query against a Prisma model
+ * @param {Object} model - Prisma model delegate (e.g. prisma.Inspection)
+ * @param {Object} args - { where, include, select } of the route
+ * @param {Object} listQuery - Result of parseListQuery
+ * @returns {Promise<{items: Object[], pagination: Object}>}
+ */
+async function findListPage(model, args, listQuery) {
+  const where = { AND: [args.where || {}, listQuery.where] };
+  const [rows, totalCount] = await Promise.all([
+    model.findMany({
+      ...args,
+      where,
+      orderBy: listQuery.orderBy,
+      ...(listQuery.cursor && { cursor: listQuery.cursor }),
+      skip: listQuery.skip,
+      take: listQuery.take,
+    }),
+    model.count({ where }),
+  ]);
+
+  const { page, limit } = listQuery;
+  const items = rows.slice(0, limit);
+  const hasNextPage = rows.length > limit;
+  const totalPages = Math.ceil(totalCount / limit);
+  return {
+    items,
+    pagination: {
+      page,
+      limit,
+      totalCount,
+      totalPages,
+      hasNextPage,
+      hasPrevPage: page ? page > 1 : true,
+      nextCursor:
+        hasNextPage && listQuery.keyset
+          ? items[items.length - 1].id.toString()
+          : null,
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseEnumFilter,
+  parseIdFilter,
+  parseDateRange,
+  buildSearchFilter,
+  parseListQuery,
+  findListPage,
+};
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const { toStorageKey, buildPublicUrl } = require('./imageStorage');
+
+/**
+ * HMAC-signed, expiring links to stored images. The media endpoint serves a
+ * signed link without authentication until it expires, so links can be used
+ * where no Authorization header is sent (<img> tags, emails).
+ */
+
+const MEDIA_URL_SECRET = process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET;
+const MEDIA_URL_TTL_SECONDS =
+  parseInt(process.env.MEDIA_URL_TTL_SECONDS, 10) || 15 * 60;
+
+const computeSignature = (key, expires) =>
+  crypto
+    .createHmac('sha256', MEDIA_URL_SECRET)
+    .update(`${key}\n${expires}`)
+    .digest('hex');
+
+/**
+ * Signed URL of an image
+ * @param {string} reference - Storage key or stored image URL
+ * @param {Object} options - { ttlSeconds }
+ * @returns {string|null}
+ */
+function signMediaUrl(reference, { ttlSeconds = MEDIA_URL_TTL_SECONDS } = {}) {
+  const key = toStorageKey(reference);
+  if (!key) {
+    return null;
+  }
+
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const signature = computeSignature(key, expires);
+  return `${buildPublicUrl(key)}?expires=${expires}&signature=${signature}`;
+}
+
+/**
+ * Check the signature of a media link
+ * @returns {boolean} true when the signature matches and has not expired
+ */
+function verifyMediaSignature(key, expires, signature) {
+  const expiresAt = parseInt(expires, 10);
+  if (!key || !Number.isFinite(expiresAt) || typeof signature !== 'string') {
+    return false;
+  }
+  if (expiresAt < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(key, expiresAt), 'hex');
+  const provided = Buffer.from(signature, 'hex');
+  return (
+    provided.length === expected.length &&
+    crypto.timingSafeEqual(provided, expected)
+  );
+}
+
+module.exports = {
+  signMediaUrl,
+  verifyMediaSignature,
+  MEDIA_URL_TTL_SECONDS,
+};
@@ -1,6 +1,7 @@
 /**
  * Common utility functions for Express routes
  */
+const { HttpError } = require('./errors');
 
 /**
  * Serialize BigInt values to strings for JSON responses
@@ -25,6 +26,14 @@ const serializeBigInt = obj => {
 function handleError(res, error, operation = 'operation') {
   console.error(`Error ${operation}:`, error);
 
+  if (error instanceof HttpError) {
+    return res.status(error.statusCode).json({
+      error: error.error,
+      message: error.message,
+      ...(error.details !== undefined && { details: error.details }),
+    });
+  }
+
   if (
     error.message.includes('not found') ||
     error.message.includes('does not exist')
@@ -0,0 +1,137 @@
+const path = require('path');
+const { Readable, Writable } = require('stream');
+const ftp = require('basic-ftp');
+
+// "File unavailable" reply of the FTP server
+const FILE_UNAVAILABLE = 550;
+
+const isMissing = error => error.code === FILE_UNAVAILABLE;
+
+/**
+ * Stores objects on a remote FTP server. Every operation opens its own
+ * connection because a basic-ftp client runs one command at a time.
+ * @param {Object} config - { host, port, user, password, secure, remoteDir, timeoutMs }
+ */
+function createFtpDriver(config) {
+  if (!config.host) {
+    throw new Error('FTP_HOST is required when STORAGE_DRIVER=ftp');
+  }
+
+  const remoteDir = (config.remoteDir || '').replace(/^\/+|\/+$/g, '');
+  const remotePath = key => (remoteDir ? `${remoteDir}/${key}` : key);
+
+  // Files below a remote directory, keys relative to FTP_REMOTE_DIR
+  async function listDirectory(client, dir) {
+    const objects = [];
+    for (const entry of await client.list(dir)) {
+      const entryPath = dir ? `${dir}/${entry.name}` : entry.name;
+      if (entry.isDirectory) {
+        objects.push(...(await listDirectory(client, entryPath)));
+      } else if (entry.isFile) {
+        objects.push({
+          key: remoteDir ? entryPath.slice(remoteDir.length + 1) : entryPath,
+          size: entry.size,
+          modifiedAt: entry.modifiedAt || null,
+        });
+      }
+    }
+    return objects;
+  }
+
+  async function withClient(operation) {
+    const client = new ftp.Client(config.timeoutMs);
+    try {
+      await client.access({
+        host: config.host,
+        port: config.port,
+        user: config.user,
+        password: config.password,
+        secure: config.secure,
+      });
+      return await operation(client);
+    } finally {
+      client.close();
+    }
+  }
+
+  return {
+    name: 'ftp',
+
+    async put(key, source) {
+      const target = remotePath(key);
+      await withClient(async client => {
+        const dir = path.posix.dirname(target);
+        if (dir !== '.') {
+          // ensureDir also changes into the directory
+          await client.ensureDir(dir);
+        }
+        await client.uploadFrom(
+          Buffer.isBuffer(source) ? Readable.from(source) : source,
+          path.posix.basename(target)
+        );
+      });
+    },
+
+    async get(key) {
+      const chunks = [];
+      const collector = new Writable({
+        write(chunk, encoding, callback) {
+          chunks.push(chunk);
+          callback();
+        },
+      });
+
+      try {
+        await withClient(client =>
+          client.downloadTo(collector, remotePath(key))
+        );
+        return Buffer.concat(chunks);
+      } catch (error) {
+        if (isMissing(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async stat(key) {
+      try {
+        return await withClient(async client => ({
+          size: await client.size(remotePath(key)),
+          modifiedAt: await client.lastMod(remotePath(key)),
+        }));
+      } catch (error) {
+        if (isMissing(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      try {
+        await withClient(client => client.remove(remotePath(key)));
+        return true;
+      } catch (error) {
+        if (isMissing(error)) {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async list(prefix = '') {
+      const dir = prefix ? remotePath(prefix.replace(/\/+$/, '')) : remoteDir;
+      try {
+        return await withClient(client => listDirectory(client, dir));
+      } catch (error) {
+        if (isMissing(error)) {
+          return [];
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = { createFtpDriver };
@@ -0,0 +1,92 @@
+const path = require('path');
+const { createLocalDriver } = require('./local');
+const { createFtpDriver } = require('./ftp');
+const { createS3Driver } = require('./s3');
+
+/**
+ * Object storage for inspection photos and signatures.
+ *
+ * A driver stores objects under a key (relative path such as
+ * `inspection_12_ans_5_field_q1_1700000000000_1.jpg`) and implements:
+ *   put(key, bufferOrFilePath, { contentType }) -> Promise<void>
+ *   get(key)    -> Promise<Buffer|null>   (null when the object is missing)
+ *   stat(key)   -> Promise<{ size, modifiedAt }|null>
+ *   remove(key) -> Promise<boolean>       (false when nothing was removed)
+ *   list(prefix) -> Promise<Array<{ key, size, modifiedAt }>>
+ *                  (every object, or the objects below a directory prefix)
+ *
+ * STORAGE_DRIVER selects local (default), ftp or s3.
+ */
+
+const DRIVERS = {
+  local: createLocalDriver,
+  ftp: createFtpDriver,
+  s3: createS3Driver,
+};
+
+const DEFAULT_LOCAL_ROOT = path.resolve(__dirname, '..', '..', 'uploads');
+
+const parseBoolean = (value, fallback) =>
+  value === undefined || value === '' ? fallback : value === 'true';
+
+function loadStorageConfig(env = process.env) {
+  const driver = (env.STORAGE_DRIVER || 'local').trim().toLowerCase();
+  const timeoutMs = parseInt(env.STORAGE_TIMEOUT_MS, 10) || 30000;
+
+  const config = {
+    driver,
+    local: {
+      root:
+        env.STORAGE_LOCAL_PATH || env.FTP_STORAGE_PATH || DEFAULT_LOCAL_ROOT,
+    },
+    ftp: {
+      host: env.FTP_HOST,
+      port: parseInt(env.FTP_PORT, 10) || 21,
+      user: env.FTP_USER || 'anonymous',
+      password: env.FTP_PASSWORD || '',
+      secure: parseBoolean(env.FTP_SECURE, false),
+      remoteDir: env.FTP_REMOTE_DIR || '',
+      timeoutMs,
+    },
+    s3: {
+      endpoint: env.S3_ENDPOINT,
+      region: env.S3_REGION || 'us-east-1',
+      bucket: env.S3_BUCKET,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: parseBoolean(env.S3_FORCE_PATH_STYLE, true),
+      timeoutMs,
+    },
+  };
+
+  return config;
+}
+
+function createStorage(config = loadStorageConfig()) {
+  const factory = DRIVERS[config.driver];
+  if (!factory) {
+    throw new Error(
+      `Unknown STORAGE_DRIVER "${config.driver}" (expected ${Object.keys(DRIVERS).join(', ')})`
+    );
+  }
+  return factory(config[config.driver]);
+}
+
+let storage = null;
+
+/**
+ * Storage driver configured for this process
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+    console.log(`[storage] 📦 Using ${storage.name} storage`);
+  }
+  return storage;
+}
+
+module.exports = {
+  getStorage,
+  createStorage,
+  loadStorageConfig,
+};
@@ -0,0 +1,106 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const isMissing = error => error.code === 'ENOENT';
+
+/**
+ * Stores objects as files below a local directory
+ * (the directory can be the home of an FTP server or a mounted volume)
+ * @param {Object} config - { root }
+ */
+function createLocalDriver({ root }) {
+  const base = path.resolve(root);
+
+  const resolve = key => {
+    const absolutePath = path.resolve(base, key);
+    if (!absolutePath.startsWith(base + path.sep)) {
+      throw new Error(`Invalid path traversal attempt: ${key}`);
+    }
+    return absolutePath;
+  };
+
+  async function listDirectory(dir) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (isMissing(error)) {
+        return [];
+      }
+      throw error;
+    }
+
+    const objects = [];
+    for (const entry of entries) {
+      const absolutePath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        objects.push(...(await listDirectory(absolutePath)));
+      } else if (entry.isFile()) {
+        const stats = await fs.stat(absolutePath);
+        objects.push({
+          key: path.relative(base, absolutePath).split(path.sep).join('/'),
+          size: stats.size,
+          modifiedAt: stats.mtime,
+        });
+      }
+    }
+    return objects;
+  }
+
+  return {
+    name: 'local',
+    root: base,
+
+    async put(key, source) {
+      const target = resolve(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      if (Buffer.isBuffer(source)) {
+        await fs.writeFile(target, source);
+      } else {
+        await fs.copyFile(source, target);
+      }
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(resolve(key));
+      } catch (error) {
+        if (isMissing(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fs.stat(resolve(key));
+        return { size: stats.size, modifiedAt: stats.mtime };
+      } catch (error) {
+        if (isMissing(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(resolve(key));
+        return true;
+      } catch (error) {
+        if (isMissing(error)) {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async list(prefix = '') {
+      const dir = prefix ? resolve(prefix) : base;
+      return listDirectory(dir);
+    },
+  };
+}
+
+module.exports = { createLocalDriver };
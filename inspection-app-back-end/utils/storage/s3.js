@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const axios = require('axios');
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) =>
+  crypto.createHmac('sha256', key).update(data).digest();
+
+// encodeURIComponent leaves !'()* alone, S3 signatures expect them encoded
+const encodeSegment = value =>
+  encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+// Canonical query string: sorted by name, every name and value encoded
+const canonicalQuery = (query = {}) =>
+  Object.keys(query)
+    .sort()
+    .map(name => `${encodeSegment(name)}=${encodeSegment(query[name])}`)
+    .join('&');
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const decodeXml = value =>
+  value.replace(
+    /&(amp|lt|gt|quot|apos);/g,
+    (match, name) => XML_ENTITIES[name]
+  );
+const xmlValue = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1]) : null;
+};
+
+/**
+ * Stores objects in an S3-compatible bucket (AWS S3, MinIO, ...).
+ * Requests are signed with AWS Signature Version 4.
+ * @param {Object} config - { endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle, timeoutMs }
+ */
+function createS3Driver(config) {
+  const missing = [
+    'endpoint',
+    'bucket',
+    'accessKeyId',
+    'secretAccessKey',
+  ].filter(name => !config[name]);
+  if (missing.length > 0) {
+    throw new Error(
+      `S3 storage is missing configuration: ${missing.join(', ')}`
+    );
+  }
+
+  const endpoint = new URL(config.endpoint);
+  const basePath = endpoint.pathname.replace(/\/+$/, '');
+
+  const objectUrl = key => {
+    const encodedKey = key.split('/').map(encodeSegment).join('/');
+    return config.forcePathStyle
+      ? `${endpoint.origin}${basePath}/${config.bucket}/${encodedKey}`
+      : `${endpoint.protocol}//${config.bucket}.${endpoint.host}${basePath}/${encodedKey}`;
+  };
+
+  function signHeaders(
+    method,
+    url,
+    payloadHash,
+    extraHeaders = {},
+    query = ''
+  ) {
+    const { host, pathname } = new URL(url);
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+
+    const headers = {
+      ...extraHeaders,
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+    };
+    const names = Object.keys(headers)
+      .map(name => name.toLowerCase())
+      .sort();
+    const lowerCased = Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [
+        name.toLowerCase(),
+        value,
+      ])
+    );
+    const canonicalHeaders = names
+      .map(name => `${name}:${String(lowerCased[name]).trim()}\n`)
+      .join('');
+    const signedHeaders = names.join(';');
+
+    const canonicalRequest = [
+      method,
+      pathname,
+      query,
+      canonicalHeaders,
+      signedHeaders,
+      payloadHash,
+    ].join('\n');
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      sha256(canonicalRequest),
+    ].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${config.secretAccessKey}`, dateStamp), config.region)
+    );
+    const signature = crypto
+      .createHmac('sha256', signingKey)
+      .update(stringToSign)
+      .digest('hex');
+
+    // Host is set by the HTTP client from the URL
+    delete lowerCased.host;
+    return {
+      ...lowerCased,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    };
+  }
+
+  async function send(method, key, { body, headers, query } = {}) {
+    const url = objectUrl(key);
+    const queryString = canonicalQuery(query);
+    const payload = body || Buffer.alloc(0);
+    const response = await axios({
+      method,
+      url: queryString ? `${url}?${queryString}` : url,
+      data: body,
+      headers: signHeaders(method, url, sha256(payload), headers, queryString),
+      responseType: 'arraybuffer',
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      timeout: config.timeoutMs,
+      validateStatus: () => true,
+    });
+    return response;
+  }
+
+  const failed = (method, key, response) =>
+    new Error(`S3 ${method} ${key} failed with status ${response.status}`);
+
+  return {
+    name: 's3',
+
+    async put(key, source, { contentType } = {}) {
+      const body = Buffer.isBuffer(source) ? source : await fs.readFile(source);
+      const response = await send('PUT', key, {
+        body,
+        headers: contentType ? { 'Content-Type': contentType } : {},
+      });
+      if (response.status >= 300) {
+        throw failed('PUT', key, response);
+      }
+    },
+
+    async get(key) {
+      const response = await send('GET', key);
+      if (response.status === 404) {
+        return null;
+      }
+      if (response.status >= 300) {
+        throw failed('GET', key, response);
+      }
+      return Buffer.from(response.data);
+    },
+
+    async stat(key) {
+      const response = await send('HEAD', key);
+      if (response.status === 404) {
+        return null;
+      }
+      if (response.status >= 300) {
+        throw failed('HEAD', key, response);
+      }
+      return {
+        size: Number(response.headers['content-length']),
+        modifiedAt: response.headers['last-modified']
+          ? new Date(response.headers['last-modified'])
+          : null,
+      };
+    },
+
+    async remove(key) {
+      // S3 answers 204 whether or not the object existed
+      const existing = await this.stat(key);
+      if (!existing) {
+        return false;
+      }
+      const response = await send('DELETE', key);
+      if (response.status >= 300) {
+        throw failed('DELETE', key, response);
+      }
+      return true;
+    },
+
+    async list(prefix = '') {
+      const objects = [];
+      let continuationToken = null;
+      do {
+        const query = { 'list-type': '2' };
+        if (prefix) {
+          query.prefix = `${prefix.replace(/\/+$/, '')}/`;
+        }
+        if (continuationToken) {
+          query['continuation-token'] = continuationToken;
+        }
+
+        const response = await send('GET', '', { query });
+        if (response.status >= 300) {
+          throw failed('LIST', prefix || '/', response);
+        }
+
+        const xml = Buffer.from(response.data).toString('utf8');
+        for (const [, entry] of xml.matchAll(
+          /<Contents>([\s\S]*?)<\/Contents>/g
+        )) {
+          const modified = xmlValue(entry, 'LastModified');
+          objects.push({
+            key: xmlValue(entry, 'Key'),
+            size: Number(xmlValue(entry, 'Size')),
+            modifiedAt: modified ? new Date(modified) : null,
+          });
+        }
+        continuationToken =
+          xmlValue(xml, 'IsTruncated') === 'true'
+            ? xmlValue(xml, 'NextContinuationToken')
+            : null;
+      } while (continuationToken);
+      return objects;
+    },
+  };
+}
+
+module.exports = { createS3Driver };
@@ -0,0 +1,243 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { HttpError } = require('./errors');
+const { userHasPermission } = require('../services/permission-service');
+
+/**
+ * Tenant scoping for Prisma.
+ *
+ * authMiddleware runs every authenticated request inside a tenant context
+ * keyed on the JWT organization. Prisma clients wrapped with withTenantScope()
+ * then constrain reads and writes of organization-owned models to that
+ * organization, so records of another tenant behave as if they did not exist
+ * (lookups return null, updates/deletes fail with "not found" → 404).
+ * Users with the organizations:all permission are not scoped.
+ *
+ * A query without any tenant context fails instead of running unscoped, so a
+ * lost context (e.g. after a body parser that runs outside the request's
+ * async context) cannot leak other organizations' records. Code that really
+ * works across organizations (background workers, scripts, unauthenticated
+ * endpoints) opts out explicitly with runUnscoped().
+ */
+
+const tenantContext = new AsyncLocalStorage();
+
+// Model name -> where-filter that limits the model to one organization
+const SCOPED_MODELS = {
+  Organization: orgId => ({ id: orgId }),
+  User: orgId => ({ orgId }),
+  Site: orgId => ({ orgId }),
+  Contract: orgId => ({ orgId }),
+  Device: orgId => ({ orgId }),
+  Inspection: orgId => ({ orgId }),
+  InspectionSchedule: orgId => ({ orgId }),
+  InspectionAnswer: orgId => ({ inspection: { orgId } }),
+  // Photos not linked to an answer yet belong to the organization of the uploader
+  QuestionImage: orgId => ({
+    OR: [
+      { answer: { inspection: { orgId } } },
+      { answerId: null, uploader: { orgId } },
+    ],
+  }),
+  UploadSession: orgId => ({ inspection: { orgId } }),
+  DocDetail: orgId => ({ inspection: { orgId } }),
+  // Export jobs are visible to the organization of the requesting user
+  ExportJob: orgId => ({ creator: { orgId } }),
+  EmailOutbox: orgId => ({ orgId }),
+  EmailTemplate: orgId => ({ orgId }),
+  NotificationRecipient: orgId => ({ orgId }),
+  NotificationSetting: orgId => ({ orgId }),
+  // Audit entries are visible to the organization of the acting user
+  AuditLog: orgId => ({ user: { orgId } }),
+};
+
+// Models whose rows carry org_id directly (checked on create / update)
+const ORG_COLUMN_MODELS = [
+  'User',
+  'Site',
+  'Contract',
+  'Device',
+  'Inspection',
+  'InspectionSchedule',
+  'EmailTemplate',
+  'NotificationRecipient',
+  'NotificationSetting',
+];
+
+const WHERE_OPERATIONS = [
+  'findUnique',
+  'findUniqueOrThrow',
+  'findFirst',
+  'findFirstOrThrow',
+  'findMany',
+  'count',
+  'aggregate',
+  'groupBy',
+  'update',
+  'updateMany',
+  'updateManyAndReturn',
+  'delete',
+  'deleteMany',
+  'upsert',
+];
+
+/**
+ * Run `fn` inside the tenant context of an authenticated user
+ * @param {Object} user - Decoded JWT ({ id, orgId })
+ * @param {Function} fn - Callback (usually Express `next`)
+ */
+function runWithTenant(user, fn) {
+  return tenantContext.run(
+    { userId: user.id, orgId: user.orgId ? BigInt(user.orgId) : null },
+    fn
+  );
+}
+
+/**
+ * Run `fn` without tenant scoping (workers, scripts, unauthenticated endpoints)
+ * @param {Function} fn - Callback
+ */
+function runUnscoped(fn) {
+  return tenantContext.run({ userId: null, orgId: null }, fn);
+}
+
+/**
+ * Organization the current request is limited to
+ * @returns {BigInt|null} Organization ID, or null when not scoped
+ * @throws {Error} When called outside runWithTenant() / runUnscoped()
+ */
+async function getTenantOrgId() {
+  const context = tenantContext.getStore();
+  if (!context) {
+    throw new Error(
+      'Query outside a tenant context: run it in an authenticated request or runUnscoped()'
+    );
+  }
+  if (context.orgId === null) {
+    return null;
+  }
+
+  // Resolved once per request
+  if (!context.bypass) {
+    context.bypass = userHasPermission(context.userId, 'organizations:all');
+  }
+  return (await context.bypass) ? null : context.orgId;
+}
+
+const tenantMismatch = () =>
+  new Error('Organization not found or you do not have access to it');
+
+/**
+ * Reject writes that would place a row in another organization
+ */
+function assertOwnOrganization(data, orgId) {
+  if (!data) return;
+  const target = data.orgId ?? data.organization?.connect?.id;
+  if (
+    target !== undefined &&
+    target !== null &&
+    String(target) !== String(orgId)
+  ) {
+    throw tenantMismatch();
+  }
+}
+
+function scopeCreateData(model, data, orgId) {
+  if (!ORG_COLUMN_MODELS.includes(model)) {
+    return data;
+  }
+  assertOwnOrganization(data, orgId);
+  return data.orgId === undefined && data.organization === undefined
+    ? { ...data, orgId }
+    : data;
+}
+
+function scopeWhere(where, filter) {
+  if (!where) {
+    return filter;
+  }
+  const and = where.AND ? [].concat(where.AND) : [];
+  return { ...where, AND: [...and, filter] };
+}
+
+/**
+ * Add the tenant filter to the arguments of a model operation
+ */
+function scopeArgs(model, operation, args = {}, orgId) {
+  const scoped = { ...args };
+
+  if (WHERE_OPERATIONS.includes(operation)) {
+    scoped.where = scopeWhere(args.where, SCOPED_MODELS[model](orgId));
+  }
+
+  if (model === 'Organization') {
+    if (['create', 'createMany', 'createManyAndReturn'].includes(operation)) {
+      throw new HttpError(
+        403,
+        'Forbidden',
+        'Only platform administrators can create organizations'
+      );
+    }
+    return scoped;
+  }
+
+  switch (operation) {
+    case 'create':
+      scoped.data = scopeCreateData(model, args.data, orgId);
+      break;
+    case 'createMany':
+    case 'createManyAndReturn':
+      scoped.data = []
+        .concat(args.data)
+        .map(row => scopeCreateData(model, row, orgId));
+      break;
+    case 'upsert':
+      scoped.create = scopeCreateData(model, args.create, orgId);
+      assertOwnOrganization(args.update, orgId);
+      break;
+    case 'update':
+    case 'updateMany':
+    case 'updateManyAndReturn':
+      if (ORG_COLUMN_MODELS.includes(model)) {
+        assertOwnOrganization(args.data, orgId);
+      }
+      break;
+    default:
+      break;
+  }
+
+  return scoped;
+}
+
+/**
+ * Wrap a Prisma client so organization-owned models are limited to the
+ * organization of the current request
+ * @param {PrismaClient} client - Prisma client
+ * @returns {PrismaClient} Extended client
+ */
+function withTenantScope(client) {
+  return client.$extends({
+    name: 'tenantScope',
+    query: {
+      $allModels: {
+        async $allOperations({ model, operation, args, query }) {
+          if (!SCOPED_MODELS[model]) {
+            return query(args);
+          }
+          const orgId = await getTenantOrgId();
+          if (orgId === null) {
+            return query(args);
+          }
+          return query(scopeArgs(model, operation, args, orgId));
+        },
+      },
+    },
+  });
+}
+
+module.exports = {
+  tenantContext,
+  runWithTenant,
+  runUnscoped,
+  getTenantOrgId,
+  withTenantScope,
+};
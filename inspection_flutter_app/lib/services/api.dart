@@ -36,9 +36,26 @@ void setupInterceptors() {
       onError: (error, handler) async {
         // Dio 5.0+ uses DioException instead of DioError
         if (error.response?.statusCode == 401) {
-          final prefs = await SharedPreferences.getInstance();
-          await prefs.remove('authToken');
-          await prefs.remove('user');
+          final options = error.requestOptions;
+          final isAuthRequest = options.path.startsWith('/api/auth/');
+
+          // Access token expired: refresh it once and retry the request
+          if (!isAuthRequest && options.extra['retried'] != true) {
+            final token = await _refreshAccessToken();
+            if (token != null) {
+              options.extra['retried'] = true;
+              options.headers['Authorization'] = 'Bearer $token';
+              try {
+                return handler.resolve(await api.fetch(options));
+              } on DioException catch (e) {
+                return handler.next(e);
+              }
+            }
+          }
+
+          if (!isAuthRequest) {
+            await _clearAuth();
+          }
         }
         return handler.next(error);
       },
@@ -56,6 +73,61 @@ void setupInterceptors() {
   );
 }
 
+Future<void> _clearAuth() async {
+  final prefs = await SharedPreferences.getInstance();
+  await prefs.remove('authToken');
+  await prefs.remove('refreshToken');
+  await prefs.remove('user');
+}
+
+Future<void> _saveAuth(Map<String, dynamic> data) async {
+  final prefs = await SharedPreferences.getInstance();
+  final token = data['data']?['token'] as String?;
+  final refreshToken = data['data']?['refreshToken'] as String?;
+  final user = data['data']?['user'];
+  if (token != null) {
+    await prefs.setString('authToken', token);
+  }
+  if (refreshToken != null) {
+    await prefs.setString('refreshToken', refreshToken);
+  }
+  if (user != null) {
+    await prefs.setString('user', jsonEncode(user));
+  }
+}
+
+// Concurrent 401s share one refresh request
+Future<String?>? _refreshing;
+
+// Exchange the stored refresh token for a new access token.
+// Uses a separate Dio so the request skips these interceptors.
+Future<String?> _refreshAccessToken() {
+  _refreshing ??= () async {
+    try {
+      final prefs = await SharedPreferences.getInstance();
+      final refreshToken = prefs.getString('refreshToken');
+      if (refreshToken == null || refreshToken.isEmpty) return null;
+
+      final response = await Dio(
+        BaseOptions(
+          baseUrl: AppConfig.apiBaseUrl,
+          connectTimeout: AppConfig.apiTimeout,
+          receiveTimeout: AppConfig.apiTimeout,
+        ),
+      ).post("/api/auth/refresh", data: {"refreshToken": refreshToken});
+      final data = response.data as Map<String, dynamic>;
+      await _saveAuth(data);
+      return data['data']?['token'] as String?;
+    } catch (e) {
+      debugPrint('Token refresh error: $e');
+      return null;
+    } finally {
+      _refreshing = null;
+    }
+  }();
+  return _refreshing!;
+}
+
 // Auth API methods
 class AuthAPI {
   static Future<Map<String, dynamic>> login(
@@ -68,15 +140,7 @@ class AuthAPI {
         data: {"email": email, "password": password},
       );
       final data = response.data as Map<String, dynamic>;
-      final token = data['data']?['token'] as String?;
-      final user = data['data']?['user'];
-      final prefs = await SharedPreferences.getInstance();
-      if (token != null) {
-        await prefs.setString('authToken', token);
-      }
-      if (user != null) {
-        await prefs.setString('user', jsonEncode(user));
-      }
+      await _saveAuth(data);
       return data;
     } catch (e) {
       rethrow;
@@ -89,15 +153,7 @@ class AuthAPI {
     try {
       final response = await api.post("/api/auth/register", data: userData);
       final data = response.data as Map<String, dynamic>;
-      final token = data['data']?['token'] as String?;
-      final user = data['data']?['user'];
-      final prefs = await SharedPreferences.getInstance();
-      if (token != null) {
-        await prefs.setString('authToken', token);
-      }
-      if (user != null) {
-        await prefs.setString('user', jsonEncode(user));
-      }
+      await _saveAuth(data);
       return data;
     } catch (e) {
       rethrow;
@@ -106,8 +162,18 @@ class AuthAPI {
 
   static Future<void> logout() async {
     final prefs = await SharedPreferences.getInstance();
-    await prefs.remove('authToken');
-    await prefs.remove('user');
+    final refreshToken = prefs.getString('refreshToken');
+    if (refreshToken != null) {
+      try {
+        await api.post(
+          "/api/auth/logout",
+          data: {"refreshToken": refreshToken},
+        );
+      } catch (e) {
+        debugPrint('Logout error: $e');
+      }
+    }
+    await _clearAuth();
   }
 
   static Future<Map<String, dynamic>> verify() async {
@@ -171,9 +237,26 @@ class UserAPI {
 
 // Inspection API methods
 class InspectionAPI {
+  // The list is paged on the server; follows nextCursor to load every page.
+  // Cursor paging needs a sort that is never empty, hence createdAt.
   static Future<dynamic> getAll() async {
-    final response = await api.get("/api/inspections");
-    return response.data;
+    final List<dynamic> items = [];
+    String? cursor;
+    do {
+      final response = await api.get(
+        "/api/inspections",
+        queryParameters: {
+          'limit': 200,
+          'sortBy': 'createdAt',
+          if (cursor != null) 'cursor': cursor,
+        },
+      );
+      final data = response.data;
+      if (data is! Map<String, dynamic>) return data;
+      items.addAll(data['data'] is List ? data['data'] : []);
+      cursor = data['pagination']?['nextCursor']?.toString();
+    } while (cursor != null);
+    return {'data': items};
   }
 
   // Helper method to try different endpoints for final submission
@@ -877,3 +960,33 @@ class TemplateAPI {
     return response.data;
   }
 }
+
+// Offline sync API methods
+class SyncAPI {
+  // Send queued offline operations and fetch what changed since the cursor.
+  // Each operation: {clientId, type, clientTimestamp, payload, base?}
+  // type: section-answers | question-images | signature-image
+  static Future<dynamic> sync({
+    required List<Map<String, dynamic>> operations,
+    String? since,
+  }) async {
+    debugPrint('=== SYNC: ${operations.length} operation(s), since: $since ===');
+    final response = await api.post(
+      "/api/sync",
+      data: {
+        "operations": operations,
+        if (since != null) "since": since,
+      },
+    );
+    return response.data;
+  }
+
+  // Download-only sync (no pending operations)
+  static Future<dynamic> getChanges({String? since}) async {
+    final response = await api.get(
+      "/api/sync/changes",
+      queryParameters: {if (since != null) "since": since},
+    );
+    return response.data;
+  }
+}